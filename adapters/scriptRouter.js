@@ -1,7 +1,7 @@
 // =========================== 2) adapters/scriptRouter.js =====================
 // Generic, domain-configurable adapter that forwards world events to script
 // handlers whose names match the event. Event routing is external to core.
-import { ScriptMeta } from '../scripts.js';
+import { ScriptMeta, scriptContext } from '../scripts.js';
 
 /**
  * Create a router that wires world events to per-entity script handlers.
@@ -17,7 +17,7 @@ export function makeScriptRouter(routes) {
                     const handlers = world.scripts?.handlersOf?.(eid);
                     const fn = handlers?.[ev];
                     if (typeof fn === 'function') {
-                        try { fn(world, eid, payload, { rand: world.rand, emit: (e, p) => world.emit(e, p) }); }
+                        try { fn(world, eid, payload, scriptContext(world, eid)); }
                         catch (e) {
                             const msg = (e && e.stack) ? e.stack : String(e);
                             world.has(eid, ScriptMeta)
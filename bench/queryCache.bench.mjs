@@ -0,0 +1,46 @@
+// Wall-clock comparison of incremental query caches against dropping every cache per mutation.
+// Run with `deno task bench`; tests/world.performance.test.mjs covers the behaviour deterministically.
+import { World, defineComponent } from '../core.js';
+
+const Comps = Array.from({ length: 8 }, (_, i) => defineComponent(`BenchChurn${i}`, { v: 0 }));
+const Churn = defineComponent('BenchChurnHot', { v: 0 });
+
+function setup() {
+  const world = new World();
+  const ids = [];
+  for (let i = 0; i < 5000; i++) {
+    const e = world.create();
+    for (let c = 0; c < Comps.length; c++) if ((i + c) % 3) world.add(e, Comps[c], { v: i });
+    ids.push(e);
+  }
+  const queries = [];
+  for (let q = 0; q < 40; q++) {
+    const terms = [Comps[q % 8], Comps[(q * 3 + 1) % 8]];
+    if (q % 4 === 0) terms.push(Churn);
+    queries.push(terms);
+  }
+  return { world, ids, queries };
+}
+
+function churn({ world, ids, queries }, fullInvalidate) {
+  for (let step = 0; step < 200; step++) {
+    const e = ids[(step * 37) % ids.length];
+    if (world.has(e, Churn)) world.remove(e, Churn); else world.add(e, Churn);
+    if (fullInvalidate) world._invalidateCaches(); // the behaviour before incremental caches
+    for (const terms of queries) world.query(...terms).count({ cheap: true });
+  }
+}
+
+Deno.bench('query caches: incremental', { group: 'churn', baseline: true }, (b) => {
+  const state = setup();
+  b.start();
+  churn(state, false);
+  b.end();
+});
+
+Deno.bench('query caches: full invalidation', { group: 'churn' }, (b) => {
+  const state = setup();
+  b.start();
+  churn(state, true);
+  b.end();
+});
@@ -0,0 +1,430 @@
+// ecs/binarySnapshot.js
+// Compact binary encoding for world snapshots.
+/**
+ * @module ecs/binarySnapshot
+ * Encodes the plain snapshots produced by {@link module:ecs/serialization.serializeWorld} into a
+ * compact byte format and back. Component and relation rows are stored column by column: ids as
+ * delta varints, integer fields as zigzag varints, other numbers as float64, booleans as bits and
+ * strings as indices into one shared string table. Everything else (meta, entity table, calendar,
+ * resources, nested values) uses a small tagged value encoding.
+ *
+ * `decodeSnapshot` returns an ordinary snapshot object, so it plugs straight into `applySnapshot`,
+ * `World.fromSnapshot` and `world.load`.
+ *
+ * Layout: 'ECSB' magic, format version (u8), flags (u8, reserved), string table, then sections.
+ *
+ * Usage:
+ *   const bytes = serializeWorldBinary(world);             // Uint8Array
+ *   const copy = World.fromSnapshot(decodeSnapshot(bytes), registry);
+ */
+
+import { serializeWorld } from './serialization.js';
+
+/**
+ * @typedef {import('./core.js').World} World
+ * @typedef {import('./serialization.js').Snapshot} Snapshot
+ */
+
+/** Current binary format version. */
+export const BINARY_SNAPSHOT_VERSION = 1;
+
+const MAGIC = [0x45, 0x43, 0x53, 0x42]; // 'ECSB'
+
+// Tagged values.
+const T_NULL = 0, T_UNDEF = 1, T_FALSE = 2, T_TRUE = 3, T_INT = 4, T_F64 = 5, T_STR = 6, T_ARR = 7, T_OBJ = 8, T_ABSENT = 9;
+// Column kinds.
+const C_INT = 1, C_F64 = 2, C_BOOL = 3, C_STR = 4, C_ANY = 5;
+
+const _textEncoder = new TextEncoder();
+const _textDecoder = new TextDecoder();
+
+/**
+ * Encode a snapshot object (as returned by `serializeWorld`) to bytes.
+ * @param {Snapshot} snapshot
+ * @returns {Uint8Array}
+ */
+export function encodeSnapshot(snapshot) {
+  if (!snapshot || typeof snapshot !== 'object' || snapshot.v !== 1 || !snapshot.comps || typeof snapshot.comps !== 'object')
+    throw new Error('encodeSnapshot: invalid snapshot format');
+  const body = new Writer();
+  const strings = new StringTable();
+  const { v: _v, meta, alive, entities, calendar, resources, relations, comps, ...extra } = snapshot;
+
+  _writeValue(body, strings, meta);
+  body.bool(Array.isArray(alive));
+  if (Array.isArray(alive)) _writeIds(body, alive);
+  _writeValue(body, strings, entities);
+  _writeValue(body, strings, calendar);
+  _writeValue(body, strings, resources);
+
+  const relNames = Object.keys(relations || {});
+  body.uvar(relNames.length);
+  for (const name of relNames) {
+    const rows = relations[name];
+    body.uvar(strings.id(name));
+    body.uvar(rows.length);
+    _writeIds(body, rows.map((r) => r[0]));
+    _writeIds(body, rows.map((r) => r[1]));
+    _writeColumns(body, strings, rows.map((r) => r[2]));
+  }
+
+  const compNames = Object.keys(comps);
+  body.uvar(compNames.length);
+  for (const name of compNames) {
+    const rows = comps[name];
+    body.uvar(strings.id(name));
+    body.uvar(rows.length);
+    _writeIds(body, rows.map((r) => r[0]));
+    _writeColumns(body, strings, rows.map((r) => r[1]));
+  }
+  _writeValue(body, strings, Object.keys(extra).length ? extra : undefined);
+
+  const head = new Writer();
+  for (const b of MAGIC) head.u8(b);
+  head.u8(BINARY_SNAPSHOT_VERSION);
+  head.u8(0);
+  strings.write(head);
+  const out = new Uint8Array(head.length + body.length);
+  out.set(head.bytes(), 0);
+  out.set(body.bytes(), head.length);
+  return out;
+}
+
+/**
+ * Decode bytes produced by {@link encodeSnapshot} into a snapshot object.
+ * @param {Uint8Array|ArrayBuffer} bytes
+ * @returns {Snapshot}
+ */
+export function decodeSnapshot(bytes) {
+  const buf = bytes instanceof ArrayBuffer ? new Uint8Array(bytes) : bytes;
+  if (!(buf instanceof Uint8Array) || buf.length < 6 || MAGIC.some((b, i) => buf[i] !== b))
+    throw new Error('decodeSnapshot: not a binary snapshot');
+  const r = new Reader(buf, 4);
+  const version = r.u8();
+  if (version !== BINARY_SNAPSHOT_VERSION) throw new Error(`decodeSnapshot: unsupported version ${version}`);
+  r.u8(); // flags
+  const strings = StringTable.read(r);
+
+  const out = { v: 1 };
+  out.meta = _readValue(r, strings);
+  const alive = r.bool() ? _readIds(r) : undefined;
+  const entities = _readValue(r, strings);
+  const calendar = _readValue(r, strings);
+  const resources = _readValue(r, strings);
+
+  const relCount = r.uvar();
+  const relations = relCount ? {} : undefined;
+  for (let i = 0; i < relCount; i++) {
+    const name = strings.get(r.uvar());
+    const n = r.uvar();
+    const src = _readIds(r, n), tgt = _readIds(r, n);
+    const data = _readColumns(r, strings, n);
+    relations[name] = src.map((s, j) => [s, tgt[j], data[j]]);
+  }
+
+  const comps = {};
+  const compCount = r.uvar();
+  for (let i = 0; i < compCount; i++) {
+    const name = strings.get(r.uvar());
+    const n = r.uvar();
+    const ids = _readIds(r, n);
+    const recs = _readColumns(r, strings, n);
+    comps[name] = ids.map((id, j) => [id, recs[j]]);
+  }
+  const extra = _readValue(r, strings);
+  if (r.pos !== buf.length) throw new Error('decodeSnapshot: trailing bytes');
+
+  // Same key order as serializeWorld output.
+  out.comps = comps;
+  if (alive) out.alive = alive;
+  if (resources !== undefined) out.resources = resources;
+  if (entities !== undefined) out.entities = entities;
+  if (calendar !== undefined) out.calendar = calendar;
+  if (relations) out.relations = relations;
+  return extra ? Object.assign(out, extra) : out;
+}
+
+/** `encodeSnapshot(serializeWorld(world, opts))`.
+ * @param {World} world @param {Parameters<typeof serializeWorld>[1]} [opts] @returns {Uint8Array} */
+export function serializeWorldBinary(world, opts) {
+  return encodeSnapshot(serializeWorld(world, opts));
+}
+
+/* helpers */
+
+/** Growable little-endian byte writer. @private */
+class Writer {
+  constructor() {
+    this.buf = new Uint8Array(1024);
+    this.view = new DataView(this.buf.buffer);
+    this.length = 0;
+  }
+
+  _ensure(n) {
+    if (this.length + n <= this.buf.length) return;
+    let size = this.buf.length * 2;
+    while (size < this.length + n) size *= 2;
+    const next = new Uint8Array(size);
+    next.set(this.buf.subarray(0, this.length));
+    this.buf = next;
+    this.view = new DataView(next.buffer);
+  }
+
+  u8(b) { this._ensure(1); this.buf[this.length++] = b; }
+  bool(b) { this.u8(b ? 1 : 0); }
+
+  /** Unsigned LEB128 for integers in [0, 2^53). */
+  uvar(x) {
+    if (this.length + 8 > this.buf.length) this._ensure(8);
+    const buf = this.buf;
+    while (x > 0x7fffffff) {
+      buf[this.length++] = (x % 0x80) | 0x80;
+      x = Math.floor(x / 0x80);
+    }
+    while (x >= 0x80) {
+      buf[this.length++] = (x & 0x7f) | 0x80;
+      x >>>= 7;
+    }
+    buf[this.length++] = x;
+  }
+
+  /** Zigzag signed varint for safe integers. */
+  svar(x) { this.uvar(x < 0 ? -2 * x - 1 : 2 * x); }
+
+  f64(x) { this._ensure(8); this.view.setFloat64(this.length, x, true); this.length += 8; }
+
+  raw(bytes) { this._ensure(bytes.length); this.buf.set(bytes, this.length); this.length += bytes.length; }
+
+  bytes() { return this.buf.subarray(0, this.length); }
+}
+
+/** @private */
+class Reader {
+  constructor(buf, pos = 0) {
+    this.buf = buf;
+    this.view = new DataView(buf.buffer, buf.byteOffset, buf.byteLength);
+    this.pos = pos;
+  }
+
+  u8() {
+    if (this.pos >= this.buf.length) throw new Error('decodeSnapshot: unexpected end of data');
+    return this.buf[this.pos++];
+  }
+  bool() { return this.u8() !== 0; }
+
+  uvar() {
+    const b0 = this.buf[this.pos];
+    if (b0 < 0x80) { this.pos++; return b0; } // also fails (undefined) past the end
+    let x = 0, mul = 1, b;
+    do {
+      b = this.u8();
+      x += (b & 0x7f) * mul;
+      mul *= 0x80;
+    } while (b & 0x80);
+    return x;
+  }
+
+  svar() { const z = this.uvar(); return (z % 2) ? -(z + 1) / 2 : z / 2; }
+
+  f64() {
+    if (this.pos + 8 > this.buf.length) throw new Error('decodeSnapshot: unexpected end of data');
+    const x = this.view.getFloat64(this.pos, true);
+    this.pos += 8;
+    return x;
+  }
+
+  raw(n) {
+    if (this.pos + n > this.buf.length) throw new Error('decodeSnapshot: unexpected end of data');
+    const out = this.buf.subarray(this.pos, this.pos + n);
+    this.pos += n;
+    return out;
+  }
+}
+
+/** Deduplicated UTF-8 strings referenced by index. @private */
+class StringTable {
+  constructor(list = []) {
+    this.list = list;
+    this.index = new Map(list.map((s, i) => [s, i]));
+  }
+
+  id(s) {
+    let i = this.index.get(s);
+    if (i === undefined) { i = this.list.length; this.list.push(s); this.index.set(s, i); }
+    return i;
+  }
+
+  get(i) {
+    if (i >= this.list.length) throw new Error('decodeSnapshot: bad string index');
+    return this.list[i];
+  }
+
+  write(w) {
+    w.uvar(this.list.length);
+    for (const s of this.list) {
+      const bytes = _textEncoder.encode(s);
+      w.uvar(bytes.length);
+      w.raw(bytes);
+    }
+  }
+
+  static read(r) {
+    const n = r.uvar();
+    const list = new Array(n);
+    for (let i = 0; i < n; i++) list[i] = _textDecoder.decode(r.raw(r.uvar()));
+    return new StringTable(list);
+  }
+}
+
+/** Integers that zigzag-encode exactly (|v| < 2^52); -0 stays a float. @private */
+function _isInt(v) { return Number.isInteger(v) && Math.abs(v) < 0x10000000000000 && !Object.is(v, -0); }
+
+/** @private */
+function _writeValue(w, strings, v) {
+  if (v === null) return w.u8(T_NULL);
+  switch (typeof v) {
+    case 'undefined': return w.u8(T_UNDEF);
+    case 'boolean': return w.u8(v ? T_TRUE : T_FALSE);
+    case 'number':
+      if (_isInt(v)) { w.u8(T_INT); return w.svar(v); }
+      w.u8(T_F64); return w.f64(v);
+    case 'string': w.u8(T_STR); return w.uvar(strings.id(v));
+    case 'object':
+      if (Array.isArray(v) || ArrayBuffer.isView(v)) {
+        w.u8(T_ARR); w.uvar(v.length);
+        for (let i = 0; i < v.length; i++) _writeValue(w, strings, v[i]);
+        return;
+      }
+      if (Object.getPrototypeOf(v) === Object.prototype || Object.getPrototypeOf(v) === null) {
+        const keys = Object.keys(v);
+        w.u8(T_OBJ); w.uvar(keys.length);
+        for (const k of keys) { w.uvar(strings.id(k)); _writeValue(w, strings, v[k]); }
+        return;
+      }
+  }
+  throw new Error(`encodeSnapshot: unsupported value of type ${v?.constructor?.name || typeof v}`);
+}
+
+/** @private */
+function _readValue(r, strings) {
+  const tag = r.u8();
+  switch (tag) {
+    case T_NULL: return null;
+    case T_UNDEF: return undefined;
+    case T_FALSE: return false;
+    case T_TRUE: return true;
+    case T_INT: return r.svar();
+    case T_F64: return r.f64();
+    case T_STR: return strings.get(r.uvar());
+    case T_ARR: {
+      const n = r.uvar();
+      const out = new Array(n);
+      for (let i = 0; i < n; i++) out[i] = _readValue(r, strings);
+      return out;
+    }
+    case T_OBJ: {
+      const n = r.uvar();
+      const out = {};
+      for (let i = 0; i < n; i++) { const k = strings.get(r.uvar()); out[k] = _readValue(r, strings); }
+      return out;
+    }
+  }
+  throw new Error(`decodeSnapshot: bad value tag ${tag}`);
+}
+
+/** Ids as zigzag deltas from the previous id (ascending runs cost one byte each). @private */
+function _writeIds(w, ids) {
+  w.uvar(ids.length);
+  let prev = 0;
+  for (const id of ids) { w.svar(id - prev); prev = id; }
+}
+
+/** @private */
+function _readIds(r, expected) {
+  const n = r.uvar();
+  if (expected !== undefined && n !== expected) throw new Error('decodeSnapshot: id column length mismatch');
+  const out = new Array(n);
+  let prev = 0;
+  for (let i = 0; i < n; i++) { prev += r.svar(); out[i] = prev; }
+  return out;
+}
+
+/** Records as one typed column per field (fields in first-seen order). @private */
+function _writeColumns(w, strings, recs) {
+  const fields = [];
+  const seen = new Set();
+  for (const rec of recs) {
+    if (!rec || typeof rec !== 'object' || Array.isArray(rec)) throw new Error('encodeSnapshot: records must be plain objects');
+    for (const k in rec) if (!seen.has(k)) { seen.add(k); fields.push(k); }
+  }
+  w.uvar(fields.length);
+  for (const field of fields) {
+    let kind = 0;
+    for (const rec of recs) {
+      if (!(field in rec)) { kind = C_ANY; break; }
+      const v = rec[field];
+      const k = typeof v === 'number' ? (_isInt(v) ? C_INT : C_F64)
+        : typeof v === 'boolean' ? C_BOOL
+        : typeof v === 'string' ? C_STR
+        : C_ANY;
+      if (kind === 0 || kind === k) kind = k;
+      else if ((kind === C_INT && k === C_F64) || (kind === C_F64 && k === C_INT)) kind = C_F64;
+      else { kind = C_ANY; break; }
+    }
+    w.uvar(strings.id(field));
+    w.u8(kind);
+    switch (kind) {
+      case C_INT: for (const rec of recs) w.svar(rec[field]); break;
+      case C_F64: {
+        w._ensure(8 * recs.length);
+        const view = w.view;
+        for (const rec of recs) { view.setFloat64(w.length, rec[field], true); w.length += 8; }
+        break;
+      }
+      case C_STR: for (const rec of recs) w.uvar(strings.id(rec[field])); break;
+      case C_BOOL: {
+        for (let i = 0; i < recs.length; i += 8) {
+          let byte = 0;
+          for (let b = 0; b < 8 && i + b < recs.length; b++) if (recs[i + b][field]) byte |= 1 << b;
+          w.u8(byte);
+        }
+        break;
+      }
+      default:
+        for (const rec of recs) {
+          if (field in rec) _writeValue(w, strings, rec[field]);
+          else w.u8(T_ABSENT);
+        }
+    }
+  }
+}
+
+/** @private */
+function _readColumns(r, strings, n) {
+  const recs = Array.from({ length: n }, () => ({}));
+  const fieldCount = r.uvar();
+  for (let f = 0; f < fieldCount; f++) {
+    const field = strings.get(r.uvar());
+    const kind = r.u8();
+    switch (kind) {
+      case C_INT: for (let i = 0; i < n; i++) recs[i][field] = r.svar(); break;
+      case C_F64: for (let i = 0; i < n; i++) recs[i][field] = r.f64(); break;
+      case C_STR: for (let i = 0; i < n; i++) recs[i][field] = strings.get(r.uvar()); break;
+      case C_BOOL: {
+        for (let i = 0; i < n; i += 8) {
+          const byte = r.u8();
+          for (let b = 0; b < 8 && i + b < n; b++) recs[i + b][field] = !!(byte & (1 << b));
+        }
+        break;
+      }
+      case C_ANY:
+        for (let i = 0; i < n; i++) {
+          if (r.buf[r.pos] === T_ABSENT) { r.pos++; continue; }
+          recs[i][field] = _readValue(r, strings);
+        }
+        break;
+      default: throw new Error(`decodeSnapshot: bad column kind ${kind}`);
+    }
+  }
+  return recs;
+}
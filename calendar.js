@@ -0,0 +1,181 @@
+// ecs/calendar.js
+// Discrete-event calendar: events due at future simulation times.
+/**
+ * @module ecs/calendar
+ * Deterministic priority queue of scheduled events. Events are ordered by due time and, for equal
+ * times, by scheduling order (insertion sequence), so two runs that schedule the same events
+ * dispatch them identically. Each {@link module:ecs/core~World} owns one (`world.calendar`);
+ * due events are delivered through `world.emit` at the start of the tick that reaches them.
+ */
+
+/**
+ * @typedef {object} ScheduledEvent
+ * @property {number} id - Scheduling sequence number (unique per calendar, also the tie-breaker).
+ * @property {number} time - Absolute simulation time the event is due.
+ * @property {string} event - Event name passed to `world.emit`.
+ * @property {any} payload
+ * @property {number|null} entity - Owning entity; the event is dropped if it is no longer alive.
+ */
+
+/**
+ * @typedef {object} EventHandle
+ * @property {number} id
+ * @property {number} time
+ * @property {string} event
+ * @property {number|null} entity
+ * @property {()=>boolean} cancel - Cancel the event; returns false if it already fired or was canceled.
+ */
+
+/** Binary min-heap ordering by (time, id). @private */
+function _before(a, b) { return a.time < b.time || (a.time === b.time && a.id < b.id); }
+
+/** Copy restored payloads so the calendar never aliases snapshot data. @private */
+function _clone(x) {
+  if (!x || typeof x !== 'object' || typeof structuredClone !== 'function') return x;
+  try { return structuredClone(x); } catch { return x; }
+}
+
+export class EventCalendar {
+  constructor() {
+    this._heap = [];          // ScheduledEvent entries (may contain canceled ones)
+    this._pending = new Map(); // Map<id, entry> of live entries
+    this._nextId = 1;
+    /** Event currently being dispatched (null outside dispatch). @type {ScheduledEvent|null} */
+    this.current = null;
+  }
+
+  /** Number of pending (not yet fired, not canceled) events. */
+  get size() { return this._pending.size; }
+
+  /** Queue an event at an absolute time.
+   * @param {number} time
+   * @param {string} event
+   * @param {any} [payload]
+   * @param {number|null} [entity]
+   * @returns {EventHandle}
+   */
+  add(time, event, payload = undefined, entity = null) {
+    if (!Number.isFinite(time)) throw new Error('schedule: time must be a finite number');
+    if (typeof event !== 'string' || !event) throw new Error('schedule: event must be a non-empty string');
+    return this._insert({ id: this._nextId++, time, event, payload, entity: entity ?? null });
+  }
+
+  /** Cancel a pending event by handle or id. @param {EventHandle|number} handleOrId @returns {boolean} */
+  cancel(handleOrId) {
+    const id = (typeof handleOrId === 'number') ? handleOrId : handleOrId?.id;
+    const entry = this._pending.get(id);
+    if (!entry) return false;
+    this._pending.delete(id);
+    entry.canceled = true;
+    return true;
+  }
+
+  /** Due time of the earliest pending event, or null when the calendar is empty. */
+  peekTime() {
+    this._prune();
+    return this._heap.length ? this._heap[0].time : null;
+  }
+
+  /** Remove and return the earliest pending event due at or before `time`, or null.
+   * @param {number} time
+   * @returns {ScheduledEvent|null}
+   */
+  popDue(time) {
+    this._prune();
+    const top = this._heap[0];
+    if (!top || top.time > time) return null;
+    this._pop();
+    this._pending.delete(top.id);
+    return top;
+  }
+
+  /** Pending events in dispatch order (copies; payloads are shared). @returns {ScheduledEvent[]} */
+  pending() {
+    return Array.from(this._pending.values(), ({ id, time, event, payload, entity }) => ({ id, time, event, payload, entity }))
+      .sort((a, b) => (_before(a, b) ? -1 : 1));
+  }
+
+  /** Drop every pending event. */
+  clear() {
+    for (const entry of this._pending.values()) entry.canceled = true;
+    this._pending.clear();
+    this._heap.length = 0;
+  }
+
+  /** Replace the calendar contents with serialized events (ids and sequence preserved).
+   * @param {{ nextId?: number, events?: ScheduledEvent[] }|null|undefined} data
+   * @param {(entity:number)=>number|null} [mapEntity] - Translate owning entities; null drops the event.
+   */
+  restore(data, mapEntity = null) {
+    this.clear();
+    if (!data || !Array.isArray(data.events)) return;
+    let maxId = 0;
+    for (const ev of data.events) {
+      if (!ev || !Number.isInteger(ev.id) || ev.id <= 0) throw new Error(`calendar: invalid event id '${ev?.id}'`);
+      let entity = ev.entity ?? null;
+      if (entity != null && mapEntity) {
+        entity = mapEntity(entity);
+        if (entity == null) continue;
+      }
+      if (!Number.isFinite(ev.time) || typeof ev.event !== 'string') throw new Error(`calendar: invalid event ${ev.id}`);
+      this._insert({ id: ev.id, time: ev.time, event: ev.event, payload: _clone(ev.payload), entity });
+      if (ev.id > maxId) maxId = ev.id;
+    }
+    const next = Number(data.nextId);
+    this._nextId = Math.max(maxId + 1, Number.isInteger(next) ? next : 1);
+  }
+
+  /** Capture the queue so {@link EventCalendar#_loadState} can rewind it (transaction rollback). @private */
+  _saveState() {
+    return { heap: this._heap.slice(), pending: Array.from(this._pending.values()), nextId: this._nextId };
+  }
+
+  /** @private */
+  _loadState(state) {
+    this._heap = state.heap.slice();
+    this._pending = new Map();
+    for (const entry of state.pending) { entry.canceled = false; this._pending.set(entry.id, entry); }
+    this._nextId = state.nextId;
+  }
+
+  /** @private */
+  _insert(entry) {
+    const heap = this._heap;
+    heap.push(entry);
+    let i = heap.length - 1;
+    while (i > 0) {
+      const p = (i - 1) >> 1;
+      if (!_before(heap[i], heap[p])) break;
+      [heap[i], heap[p]] = [heap[p], heap[i]];
+      i = p;
+    }
+    this._pending.set(entry.id, entry);
+    return {
+      id: entry.id, time: entry.time, event: entry.event, entity: entry.entity,
+      cancel: () => this.cancel(entry.id)
+    };
+  }
+
+  /** @private */
+  _pop() {
+    const heap = this._heap;
+    const last = heap.pop();
+    if (!heap.length) return;
+    heap[0] = last;
+    let i = 0;
+    for (;;) {
+      const l = 2 * i + 1, r = l + 1;
+      let m = i;
+      if (l < heap.length && _before(heap[l], heap[m])) m = l;
+      if (r < heap.length && _before(heap[r], heap[m])) m = r;
+      if (m === i) break;
+      [heap[i], heap[m]] = [heap[m], heap[i]];
+      i = m;
+    }
+  }
+
+  /** Discard canceled entries sitting at the top of the heap. @private */
+  _prune() {
+    while (this._heap.length && this._heap[0].canceled) this._pop();
+  }
+}
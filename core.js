@@ -7,22 +7,28 @@
  * Design goals:
  * - Deterministic and framework-agnostic
  * - Minimal, explicit APIs (no implicit phases)
- * - Efficient queries with cache invalidation upon structural changes
- * - Two store modes: Map-of-records (default) and SoA (struct-of-arrays)
+ * - Efficient queries with incrementally maintained caches (per component key)
+ * - Three store modes: Map-of-records (default), SoA (struct-of-arrays, TypedArray columns for
+ *   typed fields) and table (archetype tables grouped by exact component signature)
  */
 
-import { composeScheduler, registerSystem } from './systems.js';
+import { composeScheduler, defaultRegistry, SystemRegistry } from './systems.js';
 import { installScriptsAPI, PHASE_SCRIPTS } from './scripts.js';
-import { mulberry32 } from './rng.js';
+import { mulberry32, createRng, seedFromString } from './rng.js';
+import { EventCalendar } from './calendar.js';
+import { normalizeSchema, checkSchema } from './schema.js';
 
 const globalConsole = (typeof console !== 'undefined') ? console : null;
 const logError = (globalConsole && typeof globalConsole.error === 'function') ? globalConsole.error.bind(globalConsole) : () => {};
+let worldHasher = null; // installed by determinism.js, see setWorldHasher()
 
 class WorldDebug {
   constructor(world) {
     this.world = world;
     this.enabled = !!world?._debug;
     this._history = new Map(); // Map<entityId, Map<compKey, snapshot>>
+    this._resourceHistory = new Map(); // Map<resKey, snapshot>
+    this.history = null; // undo/redo history attached by createHistory (history.js)
   }
 
   enable(on = true) { this.enabled = !!on; return this; }
@@ -65,6 +71,37 @@ class WorldDebug {
     return this;
   }
 
+  inspectResources() {
+    const world = this.world;
+    const resources = {};
+    const prev = this._resourceHistory;
+    const nextHistory = new Map();
+
+    for (const [rkey, rec] of world._resources) {
+      const Res = world._resourceDefs.get(rkey);
+      const snapshot = deepClone(rec);
+      const previous = prev.has(rkey) ? prev.get(rkey) : null;
+      nextHistory.set(rkey, snapshot);
+      resources[Res.name] = {
+        value: snapshot,
+        changed: world.resourceChanged(Res),
+        previous,
+        diff: previous ? diffRecords(previous, snapshot) : null,
+      };
+    }
+    const removed = [];
+    for (const rkey of prev.keys()) if (!nextHistory.has(rkey)) removed.push(world._resourceDefs.get(rkey).name);
+
+    this._resourceHistory = nextHistory;
+    return Object.freeze({ resources, removed });
+  }
+
+  /** Query cache counters: live cache entries, full list builds and incremental list edits so far. */
+  queryCaches() {
+    const { builds, updates } = this.world._cacheStats;
+    return { entries: this.world._cache.size, builds, updates };
+  }
+
 }
 
 /**
@@ -72,7 +109,17 @@ class WorldDebug {
  * @property {symbol} key - Opaque unique identifier.
  * @property {string} name - Human-readable name.
  * @property {object} defaults - Default record shape for instances.
- * @property {(function(object):boolean)=} validate - Optional predicate for validation; returning false throws when adding/setting.
+ * @property {(function(object):any)=} validate - Optional validator run on add/set: false rejects the record; a message,
+ *   an issue `{ path, expected, actual, message }` or an array of them rejects it with details.
+ * @property {Readonly<Record<string, import('./schema.js').FieldSpec>>=} schema - Declarative field specs checked on add/set.
+ * @property {Readonly<Record<string, FieldType>>=} types - Optional per-field storage types (used by the SoA store).
+ * @property {number=} version - Record schema version (saved in snapshots; absent means 1).
+ * @property {(function(number, object):object)=} migrate - Upgrades a record saved at the given version by one version.
+ * @property {ReadonlyArray<string>=} aliases - Former names accepted when loading snapshots.
+ */
+
+/**
+ * @typedef {'f32'|'f64'|'i32'|'u8'|'bool'|'entity'} FieldType
  */
 
 /**
@@ -81,6 +128,23 @@ class WorldDebug {
 
 /** Deterministic RNG provided by rng.js (mulberry32). */
 
+/** ===== Entity handles =====
+ * Entity ids are generational handles: the low bits hold the slot index, the high bits a
+ * generation bumped every time the slot is freed. A stale id therefore never aliases the
+ * entity that later reuses its slot. Handles stay positive int32 so `id|0` remains safe.
+ */
+export const ENTITY_INDEX_BITS = 20;
+export const ENTITY_GENERATION_BITS = 11;
+const INDEX_MASK = (1 << ENTITY_INDEX_BITS) - 1;
+const GEN_MASK = (1 << ENTITY_GENERATION_BITS) - 1;
+
+/** Slot index of an entity handle. @param {number} id @returns {number} */
+export const entityIndex = (id) => id & INDEX_MASK;
+/** Generation of an entity handle. @param {number} id @returns {number} */
+export const entityGeneration = (id) => (id >>> ENTITY_INDEX_BITS) & GEN_MASK;
+/** Encode a slot index and generation into an entity handle. @param {number} index @param {number} generation @returns {number} */
+export const makeEntityId = (index, generation) => ((generation & GEN_MASK) << ENTITY_INDEX_BITS) | (index & INDEX_MASK);
+
 const $NOT = Symbol('Not');
 const $CHANGED = Symbol('Changed');
 /**
@@ -90,26 +154,218 @@ const $CHANGED = Symbol('Changed');
  */
 export const Not = (Comp) => ({ kind: $NOT, Comp });
 /**
- * Changed-in-last-tick component term for queries.
- * Matches entities whose given component was modified since the previous tick.
+ * Changed-recently component term for queries (a filter).
+ * Matches entities whose given component was added, set or mutated within the current change window:
+ * since the running system last ran (the default), or since the current tick began for
+ * `since: 'tick'` systems and code running outside systems.
  * @param {Component} Comp
  * @returns {{kind:symbol, Comp:Component}}
  */
 export const Changed = (Comp) => ({ kind: $CHANGED, Comp });
 
+const $ADDED = Symbol('Added');
+const $REMOVED = Symbol('Removed');
+/**
+ * Added-recently component term for queries (a filter, like {@link Changed}).
+ * Matches entities that gained the component within the current change window and still have it.
+ * @param {Component} Comp
+ * @returns {{kind:symbol, Comp:Component}}
+ */
+export const Added = (Comp) => ({ kind: $ADDED, Comp });
+/**
+ * Removed-recently component term for queries. Matches entities (alive or destroyed) that lost the
+ * component within the current change window and do not have it now; each Removed term appends
+ * the last-known record (a copy) to the yielded tuple, after the positive components. Copies are
+ * only kept once the world has built a query with `Removed(Comp)` (systems and `defineQuery`
+ * handles do so up front); removals before that yield null.
+ * @param {Component} Comp
+ * @returns {{kind:symbol, Comp:Component}}
+ */
+export const Removed = (Comp) => ({ kind: $REMOVED, Comp });
+
+const $REL = Symbol('Rel');
+/** Wildcard relation target: `Rel(Targets, Any)` matches entities with at least one `Targets` pair. */
+export const Any = Symbol('Any');
+/**
+ * Relation query term. `Rel(R, target)` matches sources related to `target` and yields the pair
+ * data; `Rel(R, Any)` matches sources with any `R` pair and yields `{ targets, data }` (sorted ids
+ * and their pair data). May be wrapped in {@link Not} or {@link Changed}; Changed, Added and
+ * Removed follow the source's whole `R` record, whichever target the term names.
+ * @param {Relation} Relation
+ * @param {number|typeof Any} target
+ * @returns {{kind:symbol, Relation:Relation, target:number|symbol}}
+ */
+export const Rel = (Relation, target) => ({ kind: $REL, Relation, target });
+
+/**
+ * Define a relation between entities (source → target pairs carrying optional data).
+ * A world keeps one component per relation on each source, holding its pairs keyed by target, and
+ * one on each target listing its sources, so pairs take part in queries, caching, change tracking
+ * and every store mode like ordinary components without a store per target.
+ * - `exclusive`: a source holds at most one target; relating again replaces the old pair.
+ * - `symmetric`: relating a→b also relates b→a (and unrelating removes both).
+ * `schema`, `version`, `migrate` and `aliases` work as for {@link defineComponent} (applied to pair data).
+ * @param {string} name
+ * @param {{ exclusive?:boolean, symmetric?:boolean, defaults?:object, validate?:(rec:object)=>any,
+ *   schema?:Record<string, import('./schema.js').FieldSpec|string>, version?:number,
+ *   migrate?:(fromVersion:number, data:object)=>object, aliases?:string[] }} [options]
+ * @returns {Relation}
+ */
+export function defineRelation(name, options = {}) {
+  if (typeof name !== 'string' || !name) throw new Error('defineRelation: name must be a non-empty string');
+  return Object.freeze({
+    key: Symbol(`rel:${name}`),
+    name,
+    isRelation: true,
+    exclusive: !!options.exclusive,
+    symmetric: !!options.symmetric,
+    defaults: Object.freeze({ ...(options.defaults ?? {}) }),
+    validate: typeof options.validate === 'function' ? options.validate : undefined,
+    ...(options.schema != null ? { schema: normalizeSchema(`defineRelation(${name})`, options.schema) } : {}),
+    ..._normalizeVersioning(`defineRelation(${name})`, options)
+  });
+}
+
+/** TypedArray constructor backing each SoA field type. */
+const FIELD_ARRAYS = Object.freeze({
+  f32: Float32Array,
+  f64: Float64Array,
+  i32: Int32Array,
+  u8: Uint8Array,
+  bool: Uint8Array,
+  entity: Int32Array,
+});
+/** Field types accepted by defineComponent's `types` option. */
+export const FIELD_TYPES = Object.freeze(Object.keys(FIELD_ARRAYS));
+
+/**
+ * What happens to a component field holding an entity id when that entity is destroyed:
+ * - `nullify`: the field is set to 0, the null entity id
+ * - `cascadeDestroy`: the holding entity is destroyed as well
+ * - `removeComponent`: the component is removed from the holding entity
+ * - `error`: the destroy is refused (throws; logged and dropped when it happens in a tick flush)
+ */
+export const REF_POLICIES = Object.freeze(['nullify', 'cascadeDestroy', 'removeComponent', 'error']);
+
 /**
  * Define a structured component with defaults and optional validation.
  * Instances added to entities start as deep clones of defaults merged with provided data.
+ * `types` maps fields to storage types; in SoA worlds those fields live in TypedArray columns.
+ * `refs` declares fields holding entity ids and the {@link REF_POLICIES} policy applied when the
+ * referenced entity is destroyed; those fields are also remapped when snapshots are appended.
+ * `schema` declares field types, ranges and enums (see {@link module:ecs/schema}); records are checked
+ * against it on add/set, with the failing field named in the error.
+ * `version` (default 1) is written to snapshots; loading records saved at an older version runs
+ * `migrate(fromVersion, record)` once per version step (it returns the upgraded record, or
+ * upgrades it in place). `aliases` lists former names so saves made before a rename still load.
  * @param {string} name
  * @param {object} defaults - Plain-object defaults (no functions). Nested arrays/objects are deep-cloned on add/set.
- * @param {{ validate?:(rec:object)=>boolean }} [options]
+ * @param {{ validate?:(rec:object)=>any, schema?:Record<string, import('./schema.js').FieldSpec|string>,
+ *   types?:Record<string, FieldType>, refs?:Record<string, RefPolicy>, version?:number,
+ *   migrate?:(fromVersion:number, rec:object)=>object, aliases?:string[] }} [options]
  * @returns {Component}
  */
 export function defineComponent(name, defaults, options = {}) {
   const key = Symbol(name);
   const shape = Object.freeze({ ...(defaults ?? {}) });
   const validate = typeof options.validate === 'function' ? options.validate : undefined;
-  return Object.freeze({ key, name, defaults: shape, validate });
+  const types = _normalizeFieldTypes(name, shape, options.types);
+  const refs = _normalizeRefs(name, shape, options.refs);
+  const schema = options.schema != null ? normalizeSchema(`defineComponent(${name})`, options.schema) : undefined;
+  return Object.freeze({
+    key, name, defaults: shape, validate, types, refs,
+    ...(schema ? { schema } : {}),
+    ..._normalizeVersioning(`defineComponent(${name})`, options)
+  });
+}
+
+/** @private */
+function _normalizeVersioning(where, { version, migrate, aliases }) {
+  const out = {};
+  if (version != null) {
+    if (!Number.isInteger(version) || version < 1) throw new Error(`${where}: version must be a positive integer`);
+    out.version = version;
+  }
+  if (migrate != null) {
+    if (typeof migrate !== 'function') throw new Error(`${where}: migrate must be a function`);
+    out.migrate = migrate;
+  }
+  if (aliases != null) {
+    if (!Array.isArray(aliases) || aliases.some((a) => typeof a !== 'string' || !a)) throw new Error(`${where}: aliases must be an array of names`);
+    out.aliases = Object.freeze(aliases.slice());
+  }
+  return out;
+}
+
+/**
+ * Install the digest function behind {@link World#hash}. `determinism.js` installs `hashWorld`
+ * when it is loaded (index.js loads it), so core does not depend on the add-on.
+ * @param {((world:World, opts?:object)=>string)|null} fn
+ */
+export function setWorldHasher(fn) {
+  if (fn != null && typeof fn !== 'function') throw new Error('setWorldHasher: expected a function or null');
+  worldHasher = fn || null;
+}
+
+/**
+ * Check a record against a component's `schema`, then its `validate` function (skipped when the
+ * schema already failed). `validate` may return a boolean, a message, an issue
+ * (`{ path, expected, actual, message? }`) or an array of them.
+ * @param {Component|Relation} Comp
+ * @param {object} rec
+ * @returns {import('./schema.js').ValidationIssue[]} Empty when the record is valid.
+ */
+export function validateRecord(Comp, rec) {
+  const issues = Comp.schema ? checkSchema(Comp.schema, rec) : [];
+  if (!issues.length && typeof Comp.validate === 'function') issues.push(...validatorIssues(Comp.validate(rec)));
+  return issues;
+}
+
+/**
+ * Upgrade a record saved at `fromVersion` to `Comp.version` by running `Comp.migrate` once per
+ * version step. Returns `rec` itself when no step is needed; migrations may modify it in place.
+ * @param {Component|Relation} Comp
+ * @param {number|undefined} fromVersion - Saved version (absent means 1).
+ * @param {object} rec
+ * @returns {object}
+ */
+export function migrateRecord(Comp, fromVersion, rec) {
+  const target = Comp.version ?? 1;
+  let v = fromVersion ?? 1;
+  if (!Number.isInteger(v) || v < 1) throw new Error(`migrate(${Comp.name}): invalid saved version '${v}'`);
+  if (v > target) throw new Error(`migrate(${Comp.name}): saved version ${v} is newer than version ${target}`);
+  if (v < target && !Comp.migrate) throw new Error(`migrate(${Comp.name}): no migration from version ${v}`);
+  for (; v < target; v++) {
+    const next = Comp.migrate(v, rec);
+    if (next !== undefined) rec = next;
+  }
+  return rec;
+}
+
+/** @private */
+function _normalizeRefs(name, shape, refs) {
+  if (refs == null) return undefined;
+  if (typeof refs !== 'object') throw new Error(`defineComponent(${name}): refs must be an object`);
+  const out = {};
+  for (const [field, policy] of Object.entries(refs)) {
+    if (!REF_POLICIES.includes(policy)) throw new Error(`defineComponent(${name}): unknown ref policy '${policy}' for '${field}'`);
+    if (!Object.prototype.hasOwnProperty.call(shape, field)) throw new Error(`defineComponent(${name}): ref field '${field}' missing from defaults`);
+    out[field] = policy;
+  }
+  return Object.freeze(out);
+}
+
+/** @private */
+function _normalizeFieldTypes(name, shape, types) {
+  if (types == null) return undefined;
+  if (typeof types !== 'object') throw new Error(`defineComponent(${name}): types must be an object`);
+  const out = {};
+  for (const [field, type] of Object.entries(types)) {
+    if (!FIELD_ARRAYS[type]) throw new Error(`defineComponent(${name}): unknown field type '${type}' for '${field}'`);
+    if (!Object.prototype.hasOwnProperty.call(shape, field)) throw new Error(`defineComponent(${name}): typed field '${field}' missing from defaults`);
+    out[field] = type;
+  }
+  return Object.freeze(out);
 }
 
 /**
@@ -127,38 +383,72 @@ export function defineTag(name) {
  *
  * Contract:
  * - Entity ids are positive integers; 0 is reserved as a "null" sentinel.
+ * - Ids are generational handles (see {@link entityIndex}/{@link entityGeneration}); once an
+ *   entity is destroyed its id stays dead even after the slot is reused.
  * - Create/add/set/mutate are immediate, even during a tick.
  * - Destructive structural mutations (destroy/remove) are deferred if performed inside a tick
  *   unless strict mode throws. Use addDeferred() to explicitly queue a component add.
- * - Query caching: a positive set of entity ids per unique component set is cached and
- *   invalidated on any structural change.
+ * - Query caching: a sorted positive set of entity ids per unique component set is cached and
+ *   updated incrementally on structural changes; only caches involving the touched component
+ *   change. Lists already handed to a running query are copied before mutation (copy-on-write),
+ *   so iteration keeps snapshot semantics.
  */
 export class World {
   constructor(opts = {}) {
-    // scheduler
+    // scheduler & per-world system registry (inherits the default registry unless one is supplied)
     this.scheduler = null;
+    this.systems = (opts.systems instanceof SystemRegistry) ? opts.systems : new SystemRegistry({ parent: defaultRegistry });
 
     // hooks
     this.onTick = opts.onTick || null;
 
     // rng
     this.seed = (opts.seed ?? (Math.random() * 2 ** 32) | 0) >>> 0;
-    this.rand = mulberry32(this.seed);
+    this.rand = mulberry32(this.seed); // getState()/setState() let snapshots carry the position
+    this._rngStreams = new Map(); // name -> createRng stream (see rng())
 
     // stores / caches
     this.storeMode = opts.store || 'map';
     this._store = new Map();    // Map<Comp.key, store>
-    this._cache = new Map();    // query positive set cache
-    this._changed = new Map();  // Map<Comp.key, Set<id>>
+    this._tables = (this.storeMode === 'table') ? makeTableStorage() : null; // shared archetype tables
+    this._cache = new Map();    // Map<cacheKey, { all, list, shared }> query positive set cache
+    this._cacheByComp = new Map(); // Map<Comp.key, Set<cache entry>> for incremental updates
+    this._cacheStats = { builds: 0, updates: 0 }; // full list builds vs. incremental edits (debug.queryCaches)
+    this._changedAt = new Map(); // Map<Comp.key, Map<id, change stamp>> last add/set/mutate per record
+    this._addedAt = new Map();   // Map<Comp.key, Map<id, change stamp>> when each record was attached
+    this._removed = new Map();  // Map<Comp.key, Map<id, { stamp, rec }>> (rec = last-known copy)
+    this._keepRemoved = new Set(); // Comp.keys seen in Removed terms: only these keep `rec` copies
+    this._resources = new Map();         // Map<Res.key, record> world-level singletons
+    this._resourceDefs = new Map();      // Map<Res.key, Component> every resource type ever set
+    this._resourceChangedAt = new Map(); // Map<Res.key, change stamp>
     this._components = new Map(); // Map<Comp.key, Comp>
+    this._refComps = new Set();   // components declaring entity-reference fields
+    this._deadRefs = [];          // destroyed ids whose referrers still need their policies applied
+    this._refBatch = false;       // true while a flush collects destroyed ids
+    this._clearing = false;       // true while _destroyAll() wipes the world (policies skipped)
+    this._journal = null;         // undo closures while a transaction is open (see transaction())
 
     // command queue for deferred destructive mutations and explicit queued ops
     this._cmd = [];
 
+    // observers: per-component hooks and query enter/exit watchers (registration order)
+    this._observers = new Map();      // Map<Comp.key, Array<{ onAdd?, onRemove?, onSet? }>>
+    this._queryObservers = new Map(); // Map<Comp.key, Array<query observer>>
+    this._dyingId = 0;                // entity whose components destroy() is currently detaching
+
+    // relations: Map<Relation.key, { rel, any, incoming }>; `any` holds a source's pairs keyed by
+    // target ({ targets, data }, sorted by target), `incoming` a target's sources ({ sources })
+    this._rel = new Map();
+
+    // discrete-event calendar (events due at future simulation times)
+    this.calendar = new EventCalendar();
+
     // entity bookkeeping
-    this._free = [];
-    this._nextId = 1;
-    this.alive = new Set();
+    this._free = [];      // recycled slot indices (LIFO)
+    this._nextId = 1;     // next never-used slot index
+    this._gens = [];      // current generation per slot index
+    this.alive = new Set(); // alive entity handles
+    this._edits = 0;      // bumped by every mutation; history compares it to spot edits made outside its steps
 
     // flags & timing
     this._inTick = false;
@@ -168,6 +458,14 @@ export class World {
     this.time = 0;
     this.step = 0;
 
+    // change windows for Changed/Added/Removed: mutations are stamped with _changeTick and are
+    // "recent" when stamp > since (the running system's window, or _windowStart outside systems)
+    this._changeTick = 1;
+    this._windowStart = 0;
+    this._sysCtx = null;           // { fn, since, stamp, lastRun } while a system runs
+    this._systemRuns = new Map();  // Map<SystemFn, stamp of its last run>
+    this._prunedAt = 0;            // _windowStart at the previous _pruneChangeLog
+
     this.debug = new WorldDebug(this);
     this.debug.enable(this._debug);
   }
@@ -190,7 +488,8 @@ export class World {
     const world = new this({ ...worldOpts, seed, store });
     const reg = _registryToMap(registry, 'fromSnapshot');
     for (const Comp of reg.values()) {
-      if (Comp?.key && typeof Comp.name === 'string') world._components.set(Comp.key, Comp);
+      if (Comp?.isRelation) world._relState(Comp);
+      else if (Comp?.key && typeof Comp.name === 'string') world._components.set(Comp.key, Comp);
     }
     world.load(json, { skipUnknown: !!skipUnknown });
     return world;
@@ -206,14 +505,15 @@ export class World {
     return this;
   }
 
-  /** System registration pass-through (core does not know phase semantics).
+  /** Register a system in this world's own registry (core does not know phase semantics).
+   * Other worlds never see it; systems registered globally via registerSystem still run here.
    * @param {(world:World, dt:number)=>void} fn
    * @param {string} [phase='default']
    * @param {{ before?:Function[], after?:Function[] }} [opts]
    * @returns {this}
    */
   system(fn, phase = 'default', opts = {}) {
-    try { registerSystem(fn, phase, opts); } catch (e) { logError('[ecs] system registration failed', e); }
+    try { this.systems.register(fn, phase, opts); } catch (e) { logError('[ecs] system registration failed', e); }
     return this;
   }
 
@@ -222,28 +522,45 @@ export class World {
    * @param {number} dt
    */
   tick(dt) {
+    this._runTick(dt, this.time + dt);
+  }
+
+  /** Run one tick that ends at simulation time `time`.
+   * Scheduled events due by then are dispatched (bounded) before the scheduler runs.
+   * @param {number} dt
+   * @param {number} time
+   * @private
+   */
+  _runTick(dt, time) {
     if (!this.scheduler) throw new Error('tick: no scheduler installed. Call world.setScheduler(...) first.');
-    this.time += dt;
+    this.time = time;
     this.step++;
     this._inTick = true;
     const t0 = (typeof performance !== 'undefined' ? performance.now() : Date.now());
+    if (this.calendar.size) this._dispatchDueEvents();
     try { this.scheduler(this, dt); }
     catch (e) { logError('[ecs] scheduler error', e); }
 
+    // Open the next change window before the flush so deferred removals/adds are seen next tick.
+    this._windowStart = this._changeTick++;
+
     // Flush deferred ops (bounded)
     if (this._cmd.length) {
       const cmds = this._cmd.slice(); this._cmd.length = 0;
       const MAX = 1000;
       const limit = Math.min(MAX, cmds.length);
       const prev = this._inTick; this._inTick = false;
+      this._refBatch = true;
       try {
         for (let i = 0; i < limit; i++) this._applyOp(cmds[i]);
-      } finally { this._inTick = prev; }
+      } finally { this._refBatch = false; }
+      // Referential-integrity policies for everything destroyed by the flush, in one sweep.
+      try { this._applyRefPolicies(); }
+      finally { this._inTick = prev; }
       if (cmds.length > limit) this._cmd.push(...cmds.slice(limit));
     }
 
-    // Clear change marks
-    this._changed.clear();
+    this._pruneChangeLog();
     this._inTick = false;
 
     const took = (typeof performance !== 'undefined' ? performance.now() : Date.now()) - t0;
@@ -253,18 +570,213 @@ export class World {
     }
   }
 
+  /** ===== Event calendar ===== */
+  /** Schedule an event for a future simulation time.
+   * `when` is a delay relative to `world.time` (number or `{ delay }`) or an absolute `{ at }` time.
+   * When due, the event is delivered as `world.emit(event, payload)` at the start of the tick that
+   * reaches its time; `world.calendar.current` describes it while listeners run. Events due at the
+   * same time fire in the order they were scheduled. An event bound to an `entity` is dropped if
+   * that entity is no longer alive when it comes due.
+   * @param {number|{ at?: number, delay?: number }} when
+   * @param {string} event
+   * @param {any} [payload]
+   * @param {{ entity?: number }} [opts]
+   * @returns {import('./calendar.js').EventHandle}
+   */
+  schedule(when, event, payload = undefined, opts = {}) {
+    let at;
+    if (typeof when === 'number') at = this.time + _delay(when);
+    else if (when && typeof when === 'object' && when.at != null) {
+      at = Number(when.at);
+      if (!(at >= this.time)) throw new Error(`schedule: time ${when.at} is in the past (world.time=${this.time})`);
+    } else if (when && typeof when === 'object' && when.delay != null) at = this.time + _delay(when.delay);
+    else throw new Error('schedule: expected a delay or { at } / { delay }');
+    const entity = opts?.entity ?? null;
+    if (entity != null && !this.alive.has(entity)) throw new Error('schedule: entity not alive');
+    const handle = this.calendar.add(at, event, payload, entity);
+    this._edits++;
+    if (this._journal) {
+      this._journal.push(() => {
+        if (this._journal) this._journalCalendar();
+        this.calendar.cancel(handle.id);
+        if (this.calendar._nextId === handle.id + 1) this.calendar._nextId = handle.id;
+      });
+    }
+    return handle;
+  }
+
+  /** Cancel a scheduled event. @param {import('./calendar.js').EventHandle|number} handleOrId @returns {boolean} */
+  cancelEvent(handleOrId) {
+    if (this._journal) this._journalCalendar();
+    this._edits++;
+    return this.calendar.cancel(handleOrId);
+  }
+
+  /** Due time of the next pending event, or null when nothing is scheduled. @returns {number|null} */
+  nextEventTime() { return this.calendar.peekTime(); }
+
+  /** Jump `world.time` to the next pending event and run one tick there (events first, then the scheduler).
+   * Returns the dt that was stepped, or null if nothing is scheduled.
+   * @returns {number|null}
+   */
+  advanceToNextEvent() {
+    if (this._inTick) throw new Error('advanceToNextEvent: cannot be called during tick');
+    const at = this.calendar.peekTime();
+    if (at == null) return null;
+    const dt = Math.max(0, at - this.time);
+    this._runTick(dt, Math.max(at, this.time));
+    return dt;
+  }
+
+  /** Deliver due events in (time, sequence) order. Events scheduled by listeners for the current
+   * time fire in the same pass; the pass is bounded so zero-delay loops cannot stall the tick.
+   * @private
+   */
+  _dispatchDueEvents() {
+    const MAX = 10000;
+    for (let n = 0; n < MAX; n++) {
+      const ev = this.calendar.popDue(this.time);
+      if (!ev) break;
+      if (ev.entity != null && !this.alive.has(ev.entity)) continue;
+      this.calendar.current = ev;
+      try { this.emit(ev.event, ev.payload); }
+      finally { this.calendar.current = null; }
+    }
+  }
+
   /** ===== Entity lifecycle ===== */
   /** Create a new entity id and mark it alive.
+   * Reuses a freed slot when available; the returned handle carries the slot's current generation.
    * @returns {number}
    */
   create() {
-    const id = this._free.length ? this._free.pop() : this._nextId++;
+    let index;
+    const recycled = this._free.length > 0;
+    if (recycled) index = this._free.pop();
+    else {
+      if (this._nextId > INDEX_MASK) throw new Error('create: entity index space exhausted');
+      index = this._nextId++;
+    }
+    const id = makeEntityId(index, this._gens[index] || 0);
     this.alive.add(id);
+    this._cacheInsertAlive(id);
+    this._edits++;
+    if (this._journal) this._journal.push(() => this._uncreate(id, recycled));
     return id;
   }
+
+  /** Undo create(): destroy `id` and hand its slot back exactly as it was.
+   * Journal closures like this one record their own inverse when a journal is open (history redo).
+   * @private
+   */
+  _uncreate(id, recycled) {
+    if (!this.alive.has(id)) throw new Error(`undo create: entity ${id} is no longer alive`);
+    const journal = this._journal;
+    const clearing = this._clearing;
+    this._journal = null;
+    this._clearing = true; // dependants are journaled separately
+    try { this.destroyImmediate(id); }
+    finally { this._clearing = clearing; this._journal = journal; }
+    const index = entityIndex(id);
+    this._gens[index] = entityGeneration(id);
+    const at = this._free.lastIndexOf(index);
+    if (at >= 0) this._free.splice(at, 1);
+    if (recycled) this._free.push(index);
+    else if (this._nextId === index + 1) this._nextId = index;
+    if (journal) journal.push(() => this._recreate(id, recycled));
+  }
+
+  /** Inverse of {@link World#_uncreate}. @private */
+  _recreate(id, recycled) {
+    this._assertSlotUnused(id, entityGeneration(id), recycled);
+    this._claimSlot(id);
+    if (!recycled && this._nextId <= entityIndex(id)) this._nextId = entityIndex(id) + 1;
+    if (this._journal) this._journal.push(() => this._uncreate(id, recycled));
+  }
+
+  /** Undo destroy(): bring `id` back to life with the component records it lost. @private */
+  _revive(id, records) {
+    const gen = entityGeneration(id);
+    this._assertSlotUnused(id, gen < GEN_MASK ? gen + 1 : GEN_MASK, gen < GEN_MASK);
+    this._claimSlot(id);
+    if (this._journal) this._journal.push(() => this._kill(id));
+    for (const [Comp, rec] of records) if (Comp) this.add(id, Comp, rec);
+  }
+
+  /** Inverse of {@link World#_revive}: destroy without ref policies (cascades are journaled separately). @private */
+  _kill(id) {
+    const clearing = this._clearing;
+    this._clearing = true;
+    try { this.destroyImmediate(id); }
+    finally { this._clearing = clearing; }
+  }
+
+  /** Throw unless `id`'s slot is as a journal entry left it: `id` dead, the slot at generation
+   * `gen` and, when `free`, on the free list. A slot handed out since (by a create outside the
+   * step being replayed) must not be claimed back, or two handles would alias it. @private */
+  _assertSlotUnused(id, gen, free) {
+    const index = entityIndex(id);
+    if (this.alive.has(id) || (this._gens[index] || 0) !== gen || (free && !this._free.includes(index)))
+      throw new Error(`undo: the slot of entity ${id} was reused since the change was recorded`);
+  }
+
+  /** Mark the exact handle `id` alive again, taking its slot off the free list. @private */
+  _claimSlot(id) {
+    const index = entityIndex(id);
+    this._gens[index] = entityGeneration(id);
+    const at = this._free.lastIndexOf(index);
+    if (at >= 0) this._free.splice(at, 1);
+    if (this._nextId <= index) this._nextId = index + 1;
+    this.alive.add(id);
+    this._cacheInsertAlive(id);
+    this._edits++;
+  }
+
+  /** Restore entity bookkeeping for a set of alive handles (snapshot loading).
+   * When `table` (a snapshot's `entities` section) is provided, slot generations and the free
+   * list are restored exactly so later create() calls hand out the same ids as the source world.
+   * @param {number[]} aliveIds - Sorted alive handles.
+   * @param {{ gens?: number[], free?: number[] }|null} [table]
+   * @private
+   */
+  _restoreEntities(aliveIds, table = null) {
+    if (this._journal) this._journalEntities();
+    this._edits++;
+    this._invalidateCaches();
+    this._gens.length = 0;
+    this._free.length = 0;
+    let maxIndex = 0;
+    for (const id of aliveIds) {
+      const index = entityIndex(id);
+      if (index > maxIndex) maxIndex = index;
+      this._gens[index] = entityGeneration(id);
+      this.alive.add(id);
+    }
+    if (table && Array.isArray(table.gens)) {
+      for (let i = 1; i < table.gens.length; i++) {
+        if (this._gens[i] == null) this._gens[i] = (table.gens[i] | 0) & GEN_MASK;
+      }
+      if (table.gens.length - 1 > maxIndex) maxIndex = table.gens.length - 1;
+      if (Array.isArray(table.free)) {
+        for (const index of table.free) if (index > 0 && index <= maxIndex) this._free.push(index | 0);
+      }
+    }
+    this._nextId = maxIndex + 1;
+  }
+
+  /** Describe slot generations and the free list (serialized alongside alive ids).
+   * @returns {{ gens: number[], free: number[] }}
+   * @private
+   */
+  _entityTable() {
+    const gens = new Array(this._nextId).fill(0);
+    for (let i = 1; i < this._nextId; i++) gens[i] = this._gens[i] || 0;
+    return { gens, free: this._free.slice() };
+  }
   /** Replace world state from a JSON snapshot, preserving original entity IDs
    * so that cross-entity references embedded in component payloads remain valid.
-   * Builds a component registry automatically from previously seen components.
+   * Builds a component registry automatically from previously seen components (and their
+   * aliases); records saved at older component versions are migrated first.
    * @param {object} json - A v1 snapshot ({@link import('./serialization.js').Snapshot}).
    * @param {{ skipUnknown?: boolean }} [opts]
    * @returns {World}
@@ -277,28 +789,49 @@ export class World {
     // Build name→Comp registry from components this world already knows.
     const reg = new Map();
     for (const Comp of this._components.values()) {
-      if (Comp?.name) reg.set(Comp.name, Comp);
+      if (Comp?.name && !Comp.relation) reg.set(Comp.name, Comp);
     }
+    for (const Res of this._resourceDefs.values()) if (!reg.has(Res.name)) reg.set(Res.name, Res);
+    const rels = new Map();
+    for (const { rel } of this._rel.values()) rels.set(rel.name, rel);
+    // Former names resolve too, unless a current component already uses them.
+    for (const map of [reg, rels]) {
+      for (const C of Array.from(map.values())) for (const alias of C.aliases || []) if (!map.has(alias)) map.set(alias, C);
+    }
+    const versions = json.versions || {};
+    const upgrade = (C, name, data) => (
+      (C.version ?? 1) === (versions[name] ?? 1) ? data : migrateRecord(C, versions[name], deepClone(data))
+    );
 
     if (!opts.skipUnknown) {
       for (const name of Object.keys(json.comps)) {
         if (!reg.has(name)) throw new Error(`load: unknown component '${name}'`);
       }
+      for (const name of Object.keys(json.relations || {})) {
+        if (!rels.has(name)) throw new Error(`load: unknown relation '${name}'`);
+      }
+      for (const name of Object.keys(json.resources || {})) {
+        if (!reg.has(name)) throw new Error(`load: unknown resource '${name}'`);
+      }
     }
 
     const _apply = () => {
       // Clear existing entities.
-      for (const id of Array.from(this.alive)) this.destroy(id);
+      this._destroyAll();
 
-      // Restore original entity IDs directly.
+      // Restore original entity IDs (and slot generations) directly.
       const sourceAlive = (json.alive || _aliveFromComps(json.comps)).slice().sort((a, b) => a - b);
       for (const id of sourceAlive) {
         if (!Number.isInteger(id) || id <= 0) throw new Error(`load: invalid entity id '${id}'`);
       }
-      this._free.length = 0;
-      const maxId = sourceAlive.length ? sourceAlive[sourceAlive.length - 1] : 0;
-      this._nextId = maxId + 1;
-      for (const id of sourceAlive) this.alive.add(id);
+      this._restoreEntities(sourceAlive, json.entities);
+      if (this._journal) this._journalCalendar();
+      this.calendar.restore(json.calendar);
+      this._clearResources();
+      for (const [name, data] of Object.entries(json.resources || {})) {
+        const Res = reg.get(name);
+        if (Res) this.setResource(Res, upgrade(Res, name, data));
+      }
 
       // Apply component data.
       for (const [name, rows] of Object.entries(json.comps)) {
@@ -306,7 +839,14 @@ export class World {
         if (!Comp) continue;
         for (const [id, payload] of rows) {
           if (!this.alive.has(id)) continue;
-          this.add(id, Comp, payload);
+          this.add(id, Comp, upgrade(Comp, name, payload));
+        }
+      }
+      for (const [name, rows] of Object.entries(json.relations || {})) {
+        const R = rels.get(name);
+        if (!R) continue;
+        for (const [src, tgt, data] of rows) {
+          if (this.alive.has(src) && this.alive.has(tgt)) this.relate(src, R, tgt, upgrade(R, name, data));
         }
       }
 
@@ -319,12 +859,59 @@ export class World {
           const f = Number(json.meta.frame);
           this.frame = Number.isFinite(f) ? (f | 0) : 0;
         }
+        this._restoreRng(json.meta.rng);
+        this._restoreRngStreams(json.meta.rngStreams);
       }
       return this;
     };
 
     return this.batch?.(() => _apply()) ?? _apply();
   }
+
+  /** Move the world RNG to a saved position (snapshot `meta.rng`). Absent states and custom
+   * generators without `setState` are ignored. @private */
+  _restoreRng(state) {
+    if (!Number.isInteger(state) || typeof this.rand?.setState !== 'function') return;
+    if (this._journal) {
+      const prev = this.rand.getState();
+      this._journal.push(() => this._restoreRng(prev));
+    }
+    this.rand.setState(state);
+  }
+
+  /** ===== RNG streams ===== */
+  /** Named random stream, independent of `world.rand` and of every other stream. Its seed is derived
+   * from the world seed and the name, so the same name gives the same sequence in every run, and extra
+   * draws in one system's stream leave the others untouched. Positions are saved in snapshots.
+   * @param {string} name - e.g. a system name, or `agent:${id}` for per-entity streams
+   * @returns {ReturnType<typeof createRng>}
+   */
+  rng(name) {
+    if (typeof name !== 'string' || !name) throw new Error('rng: stream name must be a non-empty string');
+    let stream = this._rngStreams.get(name);
+    if (!stream) this._rngStreams.set(name, stream = createRng(seedFromString(`${this.seed >>> 0}:${name}`)));
+    return stream;
+  }
+
+  /** Positions of the streams used so far, by name (sorted), or undefined when none were used. @private */
+  _rngStreamStates() {
+    if (!this._rngStreams.size) return undefined;
+    const out = {};
+    for (const name of Array.from(this._rngStreams.keys()).sort()) out[name] = this._rngStreams.get(name).getState();
+    return out;
+  }
+
+  /** Replace every stream position with `states` (snapshot `meta.rngStreams`); streams missing from
+   * it start over from their seed on next use. @private */
+  _restoreRngStreams(states) {
+    if (this._journal) {
+      const prev = this._rngStreamStates();
+      this._journal.push(() => this._restoreRngStreams(prev));
+    }
+    this._rngStreams.clear();
+    if (!states || typeof states !== 'object') return;
+    for (const [name, state] of Object.entries(states)) this.rng(name).setState(state);
+  }
   /** Destroy an entity immediately or defer if inside a tick.
    * @param {number} id
    * @returns {boolean|null}
@@ -341,11 +928,97 @@ export class World {
         this.command(['destroy', id]); return null;
       }
     }
-    for (const [k, store] of this._store) { if (store.delete(id)) this._markChanged(k, id); }
-    this.alive.delete(id); this._free.push(id);
-    this._invalidateCaches();
+    if (this._refComps.size && !this._clearing) this._assertNotReferenced(id);
+    if (this._rel.size) this._dropRelations(id);
+    const observed = this._observers.size || this._queryObservers.size;
+    const lost = this._journal ? [] : null;
+    if (observed) this._dyingId = id;
+    try {
+      for (const [k, store] of this._store) {
+        const last = (observed || lost || this._keepRemoved.has(k)) && store.has(id) ? { ...store.get(id) } : null;
+        if (store.delete(id)) {
+          this._cacheRemove(k, id); this._logRemoved(k, id, last);
+          if (lost) lost.push([this._components.get(k), last]);
+          if (observed) this._notifyRemove(k, id, last);
+        }
+      }
+    } finally { this._dyingId = 0; }
+    this.alive.delete(id);
+    this._cacheRemoveAlive(id);
+    this._releaseSlot(id);
+    if (lost) this._journal.push(() => this._revive(id, lost));
+    if (this._refComps.size && !this._clearing) {
+      this._deadRefs.push(id);
+      if (!this._refBatch) this._applyRefPolicies();
+    }
     return true;
   }
+
+  /** Destroy every entity without applying ref policies (bulk replacement such as snapshot loading). @private */
+  _destroyAll() {
+    this._clearing = true;
+    try { for (const id of Array.from(this.alive)) this.destroy(id); }
+    finally { this._clearing = false; }
+  }
+
+  /** Refuse to destroy `id` while a component field with the `error` policy still references it. @private */
+  _assertNotReferenced(id) {
+    for (const Comp of this._refComps) {
+      const fields = Object.keys(Comp.refs).filter(f => Comp.refs[f] === 'error');
+      if (!fields.length) continue;
+      const store = this._store.get(Comp.key);
+      for (const holder of store.entityIds()) {
+        if (holder === id) continue;
+        const rec = store.get(holder);
+        for (const f of fields) {
+          if (rec[f] === id) throw new Error(`destroy: entity ${id} is still referenced by ${Comp.name}.${f} on entity ${holder}`);
+        }
+      }
+    }
+  }
+
+  /** Apply ref policies to every record referencing an entity destroyed since the last sweep.
+   * Cascaded destroys are collected and swept in further rounds until nothing new dies.
+   * @private
+   */
+  _applyRefPolicies() {
+    if (!this._deadRefs.length) return;
+    const prevBatch = this._refBatch;
+    this._refBatch = true;
+    try {
+      while (this._deadRefs.length) {
+        const dead = new Set(this._deadRefs);
+        this._deadRefs.length = 0;
+        for (const Comp of this._refComps) {
+          const store = this._store.get(Comp.key);
+          for (const holder of store.entityIds()) {
+            const rec = store.get(holder);
+            if (!rec) continue; // removed earlier in this sweep
+            for (const [field, policy] of Object.entries(Comp.refs)) {
+              if (!dead.has(rec[field])) continue;
+              try {
+                if (policy === 'nullify') this.mutate(holder, Comp, (r) => { r[field] = 0; });
+                else if (policy === 'removeComponent') { this.removeImmediate(holder, Comp); break; }
+                else if (policy === 'cascadeDestroy') { this.destroyImmediate(holder); break; }
+              } catch (e) { logError('[ecs] ref policy error', e); break; }
+            }
+          }
+        }
+      }
+    } finally { this._refBatch = prevBatch; }
+  }
+  /** Bump the slot generation so the destroyed handle stays dead, then recycle the slot.
+   * Slots whose generation would wrap are retired instead of recycled.
+   * @private
+   */
+  _releaseSlot(id) {
+    const index = entityIndex(id);
+    const next = entityGeneration(id) + 1;
+    this._edits++;
+    if (next > GEN_MASK) { this._gens[index] = GEN_MASK; return; }
+    this._gens[index] = next;
+    this._free.push(index);
+  }
   /** Destroy an entity immediately, bypassing intratick deferral/strict checks.
    * Use sparingly for helper-local invariants and temporary entities.
    * @param {number} id
@@ -362,7 +1035,7 @@ export class World {
       this._inTick = prev;
     }
   }
-  /** Check if an entity id is currently alive.
+  /** Check if an entity id is currently alive. Stale handles (destroyed, slot since reused) are not.
    * @param {number} id
    * @returns {boolean}
    */
@@ -375,15 +1048,22 @@ export class World {
   _mapFor(Comp) {
     const k = Comp.key;
     if (!this._store.has(k)) {
-      const store = (this.storeMode === 'soa') ? makeSoAStore(Comp) : makeMapStore();
+      let store;
+      if (this.storeMode === 'soa') store = makeSoAStore(Comp);
+      else if (this._tables) store = makeTableStore(this._tables, k);
+      else store = makeMapStore();
       this._store.set(k, store);
+      if (Comp.refs) this._refComps.add(Comp);
     }
     if (!this._components.has(k)) this._components.set(k, Comp);
     return this._store.get(k);
   }
+  /** Stamp a record as changed now. @private */
   _markChanged(ckey, id) {
-    if (!this._changed.has(ckey)) this._changed.set(ckey, new Set());
-    this._changed.get(ckey).add(id);
+    let stamps = this._changedAt.get(ckey);
+    if (!stamps) this._changedAt.set(ckey, stamps = new Map());
+    stamps.set(id, this._changeTick);
+    this._edits++;
   }
 
   _dropQueuedComponentOps(id, Comp) {
@@ -448,23 +1128,30 @@ export class World {
 
   /**
    * Add a component record to an entity (structural change).
-   * Deep-clones defaults and provided data; validates if component has a validator.
+   * Deep-clones defaults and provided data; validates if component has a schema or validator.
    * Immediate even if called inside {@link World#tick}. To queue an add for the
    * post-scheduler flush, use {@link World#addDeferred}.
    * @param {number} id
    * @param {Component} Comp
    * @param {object} [data]
-   * @returns {object} The stored record
+   * @returns {object|null} The stored record (null when a strict handler dropped an invalid one)
    */
   add(id, Comp, data) {
     if (!this.alive.has(id)) throw new Error('add: entity not alive');
     this._dropQueuedComponentOps(id, Comp);
     const rec = Object.assign({}, deepClone(Comp.defaults), deepClone(data || {}));
     assertNoFunctions(rec, Comp.name, '');
-    if (typeof Comp.validate === 'function' && !Comp.validate(rec)) throw new Error(`Validation failed for component ${Comp.name}`);
-    this._mapFor(Comp).set(id, rec);
+    if (!this._validate('add', id, Comp, rec)) return null;
+    const store = this._mapFor(Comp);
+    const had = store.has(id);
+    if (this._journal) this._journalRecord(id, Comp, had ? store.get(id) : null);
+    store.set(id, rec);
     this._markChanged(Comp.key, id);
-    this._invalidateCaches();
+    if (!had) { this._cacheInsert(Comp.key, id); this._logAdded(Comp.key, id); }
+    if (this._observers.size || this._queryObservers.size) {
+      if (had) this._notifySet(Comp.key, id);
+      else this._notifyAdd(Comp.key, id);
+    }
     return rec;
   }
 
@@ -482,7 +1169,7 @@ export class World {
     return this;
   }
 
-  /** Get a component record or null if absent.
+  /** Get a component record or null if absent (or if the id is a stale handle).
    * @param {number} id
    * @param {Component} Comp
    * @returns {object|null}
@@ -523,8 +1210,16 @@ export class World {
         this.command(['remove', id, Comp]); return null;
       }
     }
-    const ok = this._mapFor(Comp).delete(id);
-    if (ok) { this._markChanged(Comp.key, id); this._invalidateCaches(); }
+    const store = this._mapFor(Comp);
+    const observed = this._observers.size || this._queryObservers.size;
+    const keep = observed || this._journal || this._keepRemoved.has(Comp.key);
+    const last = keep && store.has(id) ? { ...store.get(id) } : null;
+    const ok = store.delete(id);
+    if (ok) {
+      this._cacheRemove(Comp.key, id); this._logRemoved(Comp.key, id, last);
+      if (this._journal) this._journal.push(() => this.add(id, Comp, last));
+      if (observed) this._notifyRemove(Comp.key, id, last);
+    }
     return ok;
   }
 
@@ -550,7 +1245,7 @@ export class World {
    * @param {number} id
    * @param {Component} Comp
    * @param {object} patch
-   * @returns {object}
+   * @returns {object|null} Null when a strict handler dropped an invalid patch.
    */
   set(id, Comp, patch) {
     const rec = this.get(id, Comp);
@@ -558,9 +1253,11 @@ export class World {
     this._dropQueuedComponentOps(id, Comp);
     const next = Object.assign({}, rec, patch);
     assertNoFunctions(next, Comp.name, '');
-    if (typeof Comp.validate === 'function' && !Comp.validate(next)) throw new Error(`Validation failed for component ${Comp.name}`);
+    if (!this._validate('set', id, Comp, next)) return null;
+    if (this._journal) this._journalRecord(id, Comp, rec);
     Object.assign(rec, patch);
     this._markChanged(Comp.key, id);
+    if (this._observers.size) this._notifySet(Comp.key, id);
     return rec;
   }
 
@@ -574,15 +1271,317 @@ export class World {
     const rec = this.get(id, Comp);
     if (!rec) throw new Error('mutate: entity lacks component');
     this._dropQueuedComponentOps(id, Comp);
+    if (this._journal) this._journalRecord(id, Comp, rec);
     fn(rec);
     assertNoFunctions(rec, Comp.name, '');
     this._markChanged(Comp.key, id);
+    if (this._observers.size) this._notifySet(Comp.key, id);
+    return rec;
+  }
+
+  /** ===== Resources ===== */
+  /** Insert or replace a world-level singleton record (market clock, config, input state, ...).
+   * Any component definition can serve as a resource type; the record is built from its defaults
+   * plus `data` and validated exactly like {@link World#add}. Immediate, even during a tick.
+   * @param {Component} Res
+   * @param {object} [data]
+   * @returns {object|null} The stored record (null when a strict handler dropped an invalid one)
+   */
+  setResource(Res, data) {
+    const rec = Object.assign({}, deepClone(Res.defaults), deepClone(data || {}));
+    assertNoFunctions(rec, Res.name, '');
+    if (!this._validate('setResource', 0, Res, rec)) return null;
+    this._resourceDefs.set(Res.key, Res);
+    if (this._journal) this._journalResource(Res.key);
+    this._resources.set(Res.key, rec);
+    this._touchResource(Res.key);
+    return rec;
+  }
+
+  /** Get a resource record or null if it was never set. @param {Component} Res @returns {object|null} */
+  resource(Res) { return this._resources.get(Res.key) || null; }
+  /** Test whether a resource is set. @param {Component} Res @returns {boolean} */
+  hasResource(Res) { return this._resources.has(Res.key); }
+
+  /** Mutate a resource record in place.
+   * @param {Component} Res
+   * @param {(rec:object)=>void} fn
+   * @returns {object}
+   */
+  mutateResource(Res, fn) {
+    const rec = this._resources.get(Res.key);
+    if (!rec) throw new Error('mutateResource: resource not set');
+    if (this._journal) this._journalResource(Res.key);
+    fn(rec);
+    assertNoFunctions(rec, Res.name, '');
+    this._touchResource(Res.key);
+    return rec;
+  }
+
+  /** Remove a resource. @param {Component} Res @returns {boolean} */
+  removeResource(Res) {
+    if (this._journal && this._resources.has(Res.key)) this._journalResource(Res.key);
+    const ok = this._resources.delete(Res.key);
+    if (ok) this._touchResource(Res.key);
+    return ok;
+  }
+
+  /** Was the resource set, mutated or removed within the caller's change window (see {@link Changed})?
+   * @param {Component} Res @returns {boolean} */
+  resourceChanged(Res) {
+    const stamp = this._resourceChangedAt.get(Res.key);
+    return stamp != null && stamp > this._changeSince();
+  }
+
+  /** Stamp a resource as changed now. @private */
+  _touchResource(key) {
+    this._resourceChangedAt.set(key, this._changeTick);
+    this._edits++;
+  }
+
+  /** Drop every resource (snapshot loads in replace mode). @private */
+  _clearResources() {
+    for (const key of this._resources.keys()) {
+      if (this._journal) this._journalResource(key);
+      this._touchResource(key);
+    }
+    this._resources.clear();
+  }
+
+  /** ===== Relations ===== */
+  /** Relate `a` to `b` (immediate, like add). Re-relating an existing pair patches its data (like set).
+   * Exclusive relations drop the source's previous pair; symmetric ones also relate b→a.
+   * @param {number} a - Source entity.
+   * @param {Relation} R
+   * @param {number} b - Target entity.
+   * @param {object} [data]
+   * @returns {object|null} The stored pair record on `a` (null when a strict handler dropped it)
+   */
+  relate(a, R, b, data) {
+    if (!this.alive.has(a) || !this.alive.has(b)) throw new Error('relate: entity not alive');
+    const rec = this._relateOne(a, R, b, data);
+    if (rec && R.symmetric && a !== b) this._relateOne(b, R, a, data);
     return rec;
   }
 
+  /** Remove the pair a→(R)→b (and b→a for symmetric relations). Deferred during tick unless strict.
+   * @param {number} a
+   * @param {Relation} R
+   * @param {number} b
+   * @returns {boolean|null}
+   */
+  unrelate(a, R, b) {
+    if (this._inTick) {
+      if (this.strict) {
+        const outcome = this._handleStrictDuringTick('unrelate', [a, R, b], () => {
+          this.command(['unrelate', a, R, b]);
+        });
+        if (outcome) return null;
+      } else {
+        this.command(['unrelate', a, R, b]); return null;
+      }
+    }
+    const ok = this._unrelateOne(a, R, b);
+    if (R.symmetric && a !== b) this._unrelateOne(b, R, a);
+    return ok;
+  }
+
+  /** Does `a` hold an `R` pair targeting `b` (or any target when `b` is {@link Any})?
+   * @param {number} a @param {Relation} R @param {number|typeof Any} b @returns {boolean}
+   */
+  hasRelation(a, R, b) { return this._holds(a, this._relTermComp(R, b)); }
+
+  /** Data record of the pair a→(R)→b, or null. @param {number} a @param {Relation} R @param {number} b @returns {object|null} */
+  getRelation(a, R, b) {
+    const state = this._rel.get(R.key);
+    return state ? this._pairData(this._store.get(state.any.key)?.get(a), b) : null;
+  }
+
+  /** Targets of `a` through `R`, ascending. @param {number} a @param {Relation} R @returns {number[]} */
+  targets(a, R) {
+    const state = this._rel.get(R.key);
+    const rec = state ? this._store.get(state.any.key)?.get(a) : null;
+    return rec ? rec.targets.slice() : [];
+  }
+
+  /** Sources relating to `b` through `R`, ascending. @param {number} b @param {Relation} R @returns {number[]} */
+  sources(b, R) {
+    const state = this._rel.get(R.key);
+    const rec = state ? this._store.get(state.incoming.key)?.get(b) : null;
+    return rec ? rec.sources.slice() : [];
+  }
+
+  /** Per-world bookkeeping for a relation (pairs by source, sources by target). @private */
+  _relState(R) {
+    if (!R?.isRelation) throw new Error('relation: expected a relation from defineRelation');
+    let state = this._rel.get(R.key);
+    if (!state) {
+      const any = Object.freeze({ ...defineComponent(`${R.name}(*)`, { targets: [], data: [] }), relation: R, target: Any });
+      const incoming = Object.freeze({ ...defineComponent(`${R.name}(sources)`, { sources: [] }), relation: R });
+      state = { rel: R, any, incoming };
+      this._rel.set(R.key, state);
+    }
+    return state;
+  }
+
+  /** Component standing for a relation term: the relation's record, narrowed to one target unless Any. @private */
+  _relTermComp(R, target) {
+    const state = this._relState(R);
+    if (target === Any) return state.any;
+    if (!Number.isInteger(target) || target <= 0) throw new Error(`Rel(${R.name}): target must be an entity id or Any`);
+    return Object.freeze({ ...state.any, target });
+  }
+
+  /** Replace Rel(...) terms (also inside Not/Changed) by the components backing them. @private */
+  _resolveRelTerms(terms) {
+    if (!terms.some(t => t?.kind === $REL || t?.Comp?.kind === $REL)) return terms;
+    return terms.map((t) => {
+      if (t?.kind === $REL) return this._relTermComp(t.Relation, t.target);
+      if (t?.Comp?.kind === $REL) return { kind: t.kind, Comp: this._relTermComp(t.Comp.Relation, t.Comp.target) };
+      return t;
+    });
+  }
+
+  /** Does `id` hold `Comp` (and, for a relation term naming a target, that pair)? @private */
+  _holds(id, Comp) {
+    if (typeof Comp.target !== 'number') return !!this._store.get(Comp.key)?.has(id);
+    return this._pairData(this._store.get(Comp.key)?.get(id), Comp.target) !== null;
+  }
+
+  /** Record a query row yields for `Comp`: pair data for relation terms naming a target. @private */
+  _termRecord(id, Comp) {
+    const rec = this.get(id, Comp);
+    return typeof Comp.target === 'number' ? this._pairData(rec, Comp.target) : rec;
+  }
+
+  /** Pair data for `target` in a relation record, or null. @private */
+  _pairData(rec, target) {
+    const i = rec ? sortedIndexOf(rec.targets, target) : -1;
+    return i < 0 ? null : rec.data[i];
+  }
+
+  /** @private */
+  _relateOne(a, R, b, data) {
+    const state = this._relState(R);
+    const prev = this._pairData(this.get(a, state.any), b);
+    const pair = Object.assign({}, prev || deepClone(R.defaults), deepClone(data || {}));
+    assertNoFunctions(pair, R.name, '');
+    const PairComp = { name: `${R.name}(${b})`, schema: R.schema, validate: R.validate };
+    if (!this._validate(prev ? 'set' : 'add', a, PairComp, pair)) return null; // dropped by a strict handler
+    if (R.exclusive) {
+      for (const t of this.targets(a, R)) if (t !== b) this._unrelateOne(a, R, t, true);
+    }
+    const rec = this.get(a, state.any);
+    if (!rec) this.add(a, state.any, { targets: [b], data: [pair] });
+    else {
+      this.mutate(a, state.any, (r) => {
+        const targets = r.targets.slice(), next = r.data.slice();
+        const i = sortedIndexOf(targets, b);
+        if (i >= 0) next[i] = pair;
+        else { sortedInsert(targets, b); next.splice(sortedIndexOf(targets, b), 0, pair); }
+        r.targets = targets; r.data = next;
+      });
+    }
+    const inc = this.get(b, state.incoming);
+    if (!inc) this.add(b, state.incoming, { sources: [a] });
+    else if (sortedIndexOf(inc.sources, a) < 0) {
+      this.mutate(b, state.incoming, (r) => { const next = r.sources.slice(); sortedInsert(next, a); r.sources = next; });
+    }
+    if (this._queryObservers.size) this._updateQueryObservers(state.any.key, a);
+    return this._pairData(this.get(a, state.any), b);
+  }
+
+  /** @private */
+  _unrelateOne(a, R, b, mirror = false) {
+    const state = this._rel.get(R.key);
+    const rec = state ? this._store.get(state.any.key)?.get(a) : null;
+    const i = rec ? sortedIndexOf(rec.targets, b) : -1;
+    if (i < 0) return false;
+    if (rec.targets.length === 1) this.removeImmediate(a, state.any);
+    else {
+      this.mutate(a, state.any, (r) => {
+        const targets = r.targets.slice(), next = r.data.slice();
+        targets.splice(i, 1); next.splice(i, 1);
+        r.targets = targets; r.data = next;
+      });
+    }
+    const inc = this._store.get(state.incoming.key)?.get(b);
+    if (inc) {
+      if (inc.sources.length <= 1) this.removeImmediate(b, state.incoming);
+      else this.mutate(b, state.incoming, (r) => { const next = r.sources.slice(); sortedRemove(next, a); r.sources = next; });
+    }
+    if (this._queryObservers.size) this._updateQueryObservers(state.any.key, a);
+    if (mirror && R.symmetric && a !== b) this._unrelateOne(b, R, a);
+    return true;
+  }
+
+  /** Entity `id` is being destroyed: drop every pair it holds or is the target of. @private */
+  _dropRelations(id) {
+    for (const state of this._rel.values()) {
+      for (const t of this.targets(id, state.rel)) this._unrelateOne(id, state.rel, t);
+      for (const src of this.sources(id, state.rel)) this._unrelateOne(src, state.rel, id);
+    }
+  }
+
+  /** Relation pairs as snapshot rows: { [relation name]: [source, target, data][] }, sorted by source then target.
+   * @param {(id:number)=>boolean} [pick]
+   * @private
+   */
+  _relationRows(pick = () => true) {
+    const out = {};
+    for (const state of this._rel.values()) {
+      const store = this._store.get(state.any.key);
+      if (!store) continue;
+      const rows = [];
+      for (const src of store.entityIds()) {
+        if (!pick(src)) continue;
+        const { targets, data } = store.get(src);
+        for (let i = 0; i < targets.length; i++) {
+          if (this.alive.has(targets[i]) && pick(targets[i])) rows.push([src, targets[i], { ...data[i] }]);
+        }
+      }
+      if (rows.length) out[state.rel.name] = rows;
+    }
+    return out;
+  }
+
+  /** ===== Columns (SoA) ===== */
+  /** Dense column view of an SoA component store, for allocation-free hot loops.
+   * Returns the same object on every call; `count` and the arrays are updated in place, but the
+   * arrays themselves are reallocated when the store grows, so re-read them after structural changes.
+   * Writes through columns bypass validation and change tracking (use markChanged if needed).
+   * @param {Component} Comp
+   * @returns {{ count:number, entities:Int32Array, fields:Record<string, ArrayLike<any>>, indexOf(id:number):number }}
+   */
+  columns(Comp) {
+    const store = this._mapFor(Comp);
+    if (!store.columns) throw new Error(`columns: component ${Comp.name} is not stored in SoA columns (use store: 'soa')`);
+    return store.columns;
+  }
+
+  /** Dense backing array for one field of an SoA component (TypedArray for typed fields).
+   * Slot `i` belongs to entity `columns(Comp).entities[i]` for `i < columns(Comp).count`.
+   * @param {Component} Comp
+   * @param {string} field
+   * @returns {ArrayLike<any>}
+   */
+  column(Comp, field) {
+    const col = this.columns(Comp).fields[field];
+    if (!col) throw new Error(`column: unknown field '${field}' on component ${Comp.name}`);
+    return col;
+  }
+
   /** ===== Queries ===== */
   _isOpts(o) { return o && typeof o === 'object' && !('key' in o) && !('kind' in o); }
 
+  /** Normalize query terms. A Removed term makes this world keep last-known copies of that component
+   * from then on, so removals don't pay for copies nobody reads. @private */
+  _querySpec(terms) {
+    const spec = normalizeTerms(this._resolveRelTerms(terms));
+    for (const c of spec.removed) this._keepRemoved.add(c.key);
+    return spec;
+  }
+
   /** Query entities by component presence/absence and change status.
    * Returns a lazy iterable of [id, ...components] tuples, augmented with run(fn) and count({cheap?:boolean}).
    * With options object, supports where/project/orderBy/offset/limit.
@@ -592,14 +1591,14 @@ export class World {
   query(...terms) {
     let opts = null;
     if (terms.length && this._isOpts(terms[terms.length - 1])) opts = terms.pop();
-    const spec = normalizeTerms(terms);
+    const spec = this._querySpec(terms);
     return this._executeQuery(spec, opts);
   }
 
   defineQuery(...terms) {
     let opts = null;
     if (terms.length && this._isOpts(terms[terms.length - 1])) opts = terms.pop();
-    const spec = normalizeTerms(terms);
+    const spec = this._querySpec(terms);
     const baseOpts = opts ? { ...opts } : null;
 
     const mergeOpts = (a, b) => {
@@ -638,44 +1637,36 @@ export class World {
    * @param {...(Component|ReturnType<typeof Not>|ReturnType<typeof Changed>)} terms
    */
   *queryGen(...terms) {
-    const spec = normalizeTerms(terms);
-    const list = this._cachedEntityList(spec, spec.cacheKey);
-    for (let i = 0; i < list.length; i++) {
-      const id = list[i];
-      if (!passesDynamicFilters(this, id, spec)) continue;
-      yield [id, ...spec.all.map(c => this.get(id, c))];
-    }
+    const spec = this._querySpec(terms);
+    yield* this._rows(spec, this._scansTables(spec) ? null : this._queryList(spec));
   }
 
   _executeQuery(spec, opts) {
-    const key = spec.cacheKey;
-    const baseList = this._cachedEntityList(spec, key);
+    // Table mode walks table columns at iteration time; other modes share a cached candidate list.
+    const baseList = this._scansTables(spec) ? null : this._queryList(spec);
+    const candidates = () => baseList ? baseList.length : this._tableCandidates(spec);
+    const where = (opts && typeof opts.where === 'function') ? opts.where : null;
+    const count = () => baseList ? countFiltered(this, baseList, spec, where) : countRows(this._rows(spec, null), where);
 
     if (!opts) {
-      const tuples = this._tuplesFromList(baseList, spec);
+      const tuples = { [Symbol.iterator]: () => this._rows(spec, baseList) };
       tuples._world = this;
       tuples.run = function(fn) { for (const row of tuples) fn(...row); return this._world; };
-      tuples.count = function(o) { return (o && o.cheap) ? baseList.length : countFiltered(this._world, baseList, spec); };
+      tuples.count = (o) => (o && o.cheap) ? candidates() : count();
       return tuples;
     }
 
-    const where = typeof opts.where === 'function' ? opts.where : null;
     const project = typeof opts.project === 'function' ? opts.project : null;
 
-    let list = baseList;
-
     if (opts.orderBy) {
       const rows = [];
-      for (let i = 0; i < list.length; i++) {
-        const id = list[i];
-        if (!passesDynamicFilters(this, id, spec)) continue;
-        const comps = spec.all.map(c => this.get(id, c));
-        if (where && !where(...comps, id)) continue;
-        rows.push({ id, comps });
+      for (const row of this._rows(spec, baseList)) {
+        const comps = row.slice(1);
+        if (where && !where(...comps, row[0])) continue;
+        rows.push({ id: row[0], comps });
       }
       rows.forEach(r => r.p = project ? project(r.id, ...r.comps) : r);
       rows.sort((A, B) => opts.orderBy(A, B));
-      list = rows.map(r => r.id);
 
       let idx = 0, start = Math.max(0, ~~(opts.offset || 0));
       const lim = (opts.limit == null) ? Infinity : Math.max(0, ~~opts.limit);
@@ -696,7 +1687,7 @@ export class World {
           };
         },
         run(fn) { for (const row of this) fn(row); return this._world; },
-        count(o) { return (o && o.cheap) ? baseList.length : rows.length; }
+        count(o) { return (o && o.cheap) ? candidates() : rows.length; }
       };
     }
 
@@ -704,49 +1695,319 @@ export class World {
     const lim = (opts.limit == null) ? Infinity : Math.max(0, ~~opts.limit);
     const iter = function* () {
       let seen = 0, used = 0;
-      for (let i = 0; i < list.length; i++) {
-        const id = list[i];
-        if (!passesDynamicFilters(this, id, spec)) continue;
-        const comps = spec.all.map(c => this.get(id, c));
-        if (where && !where(...comps, id)) continue;
+      for (const row of this._rows(spec, baseList)) {
+        if (where && !where(...row.slice(1), row[0])) continue;
         if (seen++ < start) continue;
         if (used++ >= lim) break;
-        yield project ? project(id, ...comps) : [id, ...comps];
+        yield project ? project(...row) : row;
       }
     }.bind(this);
     const tuples = { _world: this, [Symbol.iterator]: iter };
     tuples.run = function(fn) { for (const row of tuples) fn(row); return this._world; };
-    tuples.count = (o) => (o && o.cheap) ? list.length : countFiltered(this, list, spec, where);
+    tuples.count = (o) => (o && o.cheap) ? candidates() : count();
     return tuples;
   }
 
-  _tuplesFromList(list, spec) {
-    const iter = function* () {
+  /** Does this query walk table columns (table mode, positive terms, no Removed term)? @private */
+  _scansTables(spec) {
+    return !!this._tables && spec.all.length > 0 && !spec.removed.length;
+  }
+
+  /** Query rows as [id, ...records] after the dynamic filters, over `list` when given.
+   * Without a list (table mode) the rows of every covering table are read straight from its
+   * columns, table by table; tables skip whole when a Not term names one of their components.
+   * Table views are copy-on-write, so rows moving mid-loop are neither skipped nor repeated;
+   * rows of a table written since the loop began are re-read through the stores. @private */
+  *_rows(spec, list) {
+    if (list) {
       for (let i = 0; i < list.length; i++) {
         const id = list[i];
+        if (passesDynamicFilters(this, id, spec)) yield [id, ...this._rowComps(id, spec)];
+      }
+      return;
+    }
+    const { all } = spec;
+    for (const c of all) this._mapFor(c);
+    for (const { table, version, ids, cols } of this._tables.views(all.map(c => c.key), this._excludedKeys(spec))) {
+      for (let row = 0; row < ids.length; row++) {
+        const id = ids[row];
         if (!passesDynamicFilters(this, id, spec)) continue;
-        yield [id, ...spec.all.map(c => this.get(id, c))];
+        if (table.version !== version) { yield [id, ...this._rowComps(id, spec)]; continue; }
+        const out = [id];
+        for (let i = 0; i < all.length; i++) {
+          const rec = cols[i][row];
+          out.push(typeof all[i].target === 'number' ? this._pairData(rec, all[i].target) : rec);
+        }
+        yield out;
       }
-    }.bind(this);
-    return { [Symbol.iterator]: iter };
+    }
+  }
+
+  /** Keys of Not terms that rule out a whole table (plain components, not relation pairs). @private */
+  _excludedKeys(spec) {
+    return spec.none.filter(c => typeof c.target !== 'number').map(c => c.key);
+  }
+
+  /** Rows a table-mode query scans before its dynamic filters (its cheap count). @private */
+  _tableCandidates(spec) {
+    return this._tables.count(spec.all.map(c => c.key), this._excludedKeys(spec));
+  }
+
+  /** Candidate ids for a query: the cached positive set, or recent removals for Removed terms. */
+  _queryList(spec) {
+    return spec.removed.length ? this._removedList(spec) : this._cachedEntityList(spec, spec.cacheKey);
+  }
+
+  /** Ids removed from the first Removed term's component within the window (uncached, ascending). */
+  _removedList(spec) {
+    const log = this._removed.get(spec.removed[0].key);
+    if (!log) return [];
+    const since = this._changeSince();
+    const out = [];
+    for (const [id, entry] of log) {
+      if (entry.stamp <= since) continue;
+      let ok = true;
+      for (const c of spec.all) { if (!this._store.get(c.key)?.has(id)) { ok = false; break; } }
+      if (ok) out.push(id);
+    }
+    return out.sort((a, b) => a - b);
+  }
+
+  /** Records yielded for one query row: positive components, then last-known Removed records. */
+  _rowComps(id, spec) {
+    const comps = spec.all.map(c => this._termRecord(id, c));
+    for (const c of spec.removed) comps.push(this._removed.get(c.key)?.get(id)?.rec ?? null);
+    return comps;
   }
 
   _cachedEntityList(spec, key) {
-    if (this._cache.has(key)) return this._cache.get(key);
-    let result = null;
-    for (const c of spec.all) {
-      const store = this._mapFor(c);
-      const arr = store.entityIds();
-      result = result ? intersectSorted(result, arr) : arr;
-      if (!result.length) break;
+    let entry = this._cache.get(key);
+    if (!entry) {
+      let result = null;
+      if (this._tables && spec.all.length) {
+        // Table mode: concatenate rows of every table whose signature covers the query.
+        for (const c of spec.all) this._mapFor(c);
+        result = this._tables.matching(spec.all.map(c => c.key));
+      } else {
+        for (const c of spec.all) {
+          const store = this._mapFor(c);
+          const arr = store.entityIds();
+          result = result ? intersectSorted(result, arr) : arr;
+          if (!result.length) break;
+        }
+      }
+      if (spec.all.length === 0) result = Array.from(this.alive).sort((a, b) => a - b);
+      entry = { key, all: spec.all.slice(), list: result, shared: false };
+      this._cache.set(key, entry);
+      this._cacheStats.builds++;
+      if (!entry.all.length) this._cacheIndex(null, entry);
+      for (const c of entry.all) this._cacheIndex(c.key, entry);
+    }
+    // The caller may iterate this array while mutating the world; later updates copy first.
+    entry.shared = true;
+    return entry.list;
+  }
+
+  _cacheIndex(ckey, entry) {
+    let set = this._cacheByComp.get(ckey);
+    if (!set) this._cacheByComp.set(ckey, set = new Set());
+    set.add(entry);
+  }
+
+  /** Writable list for a cache entry (copy-on-write if a query still holds the current one). */
+  _cacheList(entry) {
+    this._cacheStats.updates++;
+    if (entry.shared) { entry.list = entry.list.slice(); entry.shared = false; }
+    return entry.list;
+  }
+
+  /** Component `ckey` was attached to `id`: add it to caches it now fully matches. */
+  _cacheInsert(ckey, id) {
+    const entries = this._cacheByComp.get(ckey);
+    if (!entries) return;
+    for (const entry of entries) {
+      let match = true;
+      for (const c of entry.all) { if (!this._store.get(c.key)?.has(id)) { match = false; break; } }
+      if (match && sortedIndexOf(entry.list, id) < 0) sortedInsert(this._cacheList(entry), id);
     }
-    if (spec.all.length === 0) result = Array.from(this.alive).sort((a, b) => a - b);
-    this._cache.set(key, result);
-    return result;
   }
 
+  /** Component `ckey` was detached from `id`: drop it from caches involving that component. */
+  _cacheRemove(ckey, id) {
+    const entries = this._cacheByComp.get(ckey);
+    if (!entries) return;
+    for (const entry of entries) {
+      if (sortedIndexOf(entry.list, id) >= 0) sortedRemove(this._cacheList(entry), id);
+    }
+  }
+
+  _cacheInsertAlive(id) {
+    const entries = this._cacheByComp.get(null);
+    if (entries) for (const entry of entries) sortedInsert(this._cacheList(entry), id);
+  }
+
+  _cacheRemoveAlive(id) {
+    const entries = this._cacheByComp.get(null);
+    if (!entries) return;
+    for (const entry of entries) {
+      if (sortedIndexOf(entry.list, id) >= 0) sortedRemove(this._cacheList(entry), id);
+    }
+  }
+
+  /** Drop every cached query list (bulk replacement such as snapshot loading). */
   _invalidateCaches() {
     this._cache.clear();
+    this._cacheByComp.clear();
+  }
+
+  /** ===== Change windows (Changed / Added / Removed) ===== */
+  /** Lower bound (exclusive) of the change window seen by the current caller. @private */
+  _changeSince() {
+    return this._sysCtx ? this._sysCtx.since : this._windowStart;
+  }
+
+  /** Enter a system's change window (called by the system registry around each system).
+   * @param {Function} fn
+   * @param {'tick'|'lastRun'} [mode='lastRun']
+   * @returns {object|null} previous context, to pass back to _endSystem
+   * @private
+   */
+  _beginSystem(fn, mode = 'lastRun') {
+    const prev = this._sysCtx;
+    const stamp = ++this._changeTick;
+    const lastRun = mode === 'lastRun';
+    const since = lastRun ? (this._systemRuns.get(fn) ?? this._windowStart) : this._windowStart;
+    this._sysCtx = { fn, since, stamp, lastRun };
+    return prev;
+  }
+
+  /** Leave the current system's change window. @param {object|null} prev @private */
+  _endSystem(prev) {
+    const ctx = this._sysCtx;
+    if (ctx?.lastRun) this._systemRuns.set(ctx.fn, ctx.stamp);
+    this._sysCtx = prev ?? null;
+  }
+
+  /** @private */
+  _logAdded(ckey, id) {
+    let stamps = this._addedAt.get(ckey);
+    if (!stamps) this._addedAt.set(ckey, stamps = new Map());
+    stamps.set(id, this._changeTick);
+  }
+
+  /** Record a detached component (last-known copy) and drop the record's change stamps. @private */
+  _logRemoved(ckey, id, rec) {
+    this._changedAt.get(ckey)?.delete(id);
+    this._addedAt.get(ckey)?.delete(id);
+    let log = this._removed.get(ckey);
+    if (!log) this._removed.set(ckey, log = new Map());
+    log.delete(id); // keep insertion order = removal order
+    log.set(id, { stamp: this._changeTick, rec });
+    this._edits++;
+  }
+
+  /** Was `Comp` added to `id` within the current change window (and still present)? @private */
+  _addedRecently(id, Comp) {
+    const stamp = this._addedAt.get(Comp.key)?.get(id);
+    return stamp != null && stamp > this._changeSince();
+  }
+
+  /** Was `Comp` removed from `id` within the current change window (and not re-added)? @private */
+  _removedRecently(id, Comp) {
+    const entry = this._removed.get(Comp.key)?.get(id);
+    return !!entry && entry.stamp > this._changeSince() && !this._store.get(Comp.key)?.has(id);
+  }
+
+  /** Forget removals no window can see anymore (older than every system's last run). @private */
+  _pruneChangeLog() {
+    this._dropIdleSystemRuns();
+    let floor = this._windowStart;
+    for (const stamp of this._systemRuns.values()) if (stamp < floor) floor = stamp;
+    for (const [k, log] of this._removed) {
+      for (const [id, entry] of log) if (entry.stamp <= floor) log.delete(id);
+      if (!log.size) this._removed.delete(k);
+    }
+  }
+
+  /** Forget the last run of systems that sat out a whole tick and are no longer in `world.systems`
+   * (removed, or run through an outside registry that stopped calling them); otherwise their stamp
+   * would hold the removal-log floor forever. Such a system that runs again starts a fresh window.
+   * @private */
+  _dropIdleSystemRuns() {
+    const idleSince = this._prunedAt;
+    this._prunedAt = this._windowStart;
+    let registered = null;
+    for (const [fn, stamp] of this._systemRuns) {
+      if (stamp > idleSince) continue;
+      registered ||= new Set(this.systems.phases().flatMap(phase => this.systems.ordered(phase)));
+      if (!registered.has(fn)) this._systemRuns.delete(fn);
+    }
+  }
+
+  /** Change-window state as plain data: the change counter, record and resource stamps, the
+   * removal log and each system's last run. Snapshots leave it out, so a world rebuilt from one sees
+   * every record as untouched; pairing the two (replay keyframes) reproduces Changed/Added/Removed
+   * results exactly. Components and resources go by name, systems by phase and position in
+   * `world.systems`.
+   * @returns {object}
+   * @private
+   */
+  _saveChangeState() {
+    const nameOf = (key) => this._components.get(key)?.name;
+    const stamps = (byKey) => {
+      const out = {};
+      for (const [key, ids] of byKey) if (ids.size && nameOf(key)) out[nameOf(key)] = Array.from(ids);
+      return out;
+    };
+    const removed = {};
+    for (const [key, log] of this._removed) {
+      if (nameOf(key)) removed[nameOf(key)] = Array.from(log, ([id, { stamp, rec }]) => [id, stamp, rec ? deepClone({ ...rec }) : null]);
+    }
+    const resources = {};
+    for (const [key, stamp] of this._resourceChangedAt) {
+      const Res = this._resourceDefs.get(key);
+      if (Res) resources[Res.name] = stamp;
+    }
+    const systems = [];
+    for (const phase of this.systems.phases()) {
+      this.systems.ordered(phase).forEach((fn, i) => {
+        if (this._systemRuns.has(fn)) systems.push([phase, i, this._systemRuns.get(fn)]);
+      });
+    }
+    return {
+      tick: this._changeTick, windowStart: this._windowStart,
+      changed: stamps(this._changedAt), added: stamps(this._addedAt), removed, resources, systems
+    };
+  }
+
+  /** Restore state from {@link World#_saveChangeState} (after loading the matching snapshot and
+   * registering the same systems). Unknown names and systems are skipped. @private */
+  _loadChangeState(state) {
+    const keys = new Map();
+    for (const [key, Comp] of this._components) keys.set(Comp.name, key);
+    for (const { any, incoming } of this._rel.values()) { keys.set(any.name, any.key); keys.set(incoming.name, incoming.key); }
+    const restore = (target, byName, entry) => {
+      target.clear();
+      for (const [name, rows] of Object.entries(byName || {})) {
+        const key = keys.get(name);
+        if (key) target.set(key, new Map(rows.map(entry)));
+      }
+    };
+    this._changeTick = state.tick;
+    this._windowStart = this._prunedAt = state.windowStart; // keyframes are taken after a tick's prune
+    restore(this._changedAt, state.changed, ([id, stamp]) => [id, stamp]);
+    restore(this._addedAt, state.added, ([id, stamp]) => [id, stamp]);
+    restore(this._removed, state.removed, ([id, stamp, rec]) => [id, { stamp, rec: rec && deepClone(rec) }]);
+    this._resourceChangedAt.clear();
+    for (const Res of this._resourceDefs.values()) {
+      const stamp = state.resources?.[Res.name];
+      if (stamp != null) this._resourceChangedAt.set(Res.key, stamp);
+    }
+    this._systemRuns.clear();
+    for (const [phase, i, stamp] of state.systems || []) {
+      const fn = this.systems.ordered(phase)[i];
+      if (fn) this._systemRuns.set(fn, stamp);
+    }
   }
 
   /** ===== Events ===== */
@@ -770,6 +2031,221 @@ export class World {
     return n;
   }
 
+  /** ===== Observers ===== */
+  /** Watch a component's lifecycle on every entity. Hooks fire synchronously at the point of
+   * mutation (for deferred removes/destroys that is the post-scheduler flush), in registration order:
+   * - `onAdd(id, rec, world)` when the component is attached
+   * - `onSet(id, rec, world)` after set/mutate, or an add over an existing record
+   * - `onRemove(id, lastRec, world)` when it is removed or its entity destroyed (`lastRec` is a copy)
+   * Hook errors are logged and do not interrupt the mutation. `Rel(R, Any)` watches each source's
+   * `{ targets, data }` record (added with its first pair, set as pairs change, removed with the last).
+   * @param {Component|ReturnType<typeof Rel>} Comp
+   * @param {{ onAdd?:Function, onRemove?:Function, onSet?:Function }} hooks
+   * @returns {()=>void} unsubscribe
+   */
+  observe(Comp, hooks = {}) {
+    const [C] = this._resolveRelTerms([Comp]);
+    if (!C?.key) throw new Error('observe: expected a component');
+    if (typeof C.target === 'number') throw new Error('observe: a source keeps all its pairs in one record; observe Rel(R, Any)');
+    const obs = { onAdd: hooks.onAdd, onRemove: hooks.onRemove, onSet: hooks.onSet };
+    this._mapFor(C);
+    let list = this._observers.get(C.key);
+    if (!list) this._observers.set(C.key, list = []);
+    list.push(obs);
+    return () => {
+      const cur = this._observers.get(C.key);
+      const i = cur ? cur.indexOf(obs) : -1;
+      if (i < 0) return;
+      cur.splice(i, 1);
+      if (!cur.length) this._observers.delete(C.key);
+    };
+  }
+
+  /** Watch entities entering and leaving a query's match set (component, Not and Rel terms).
+   * `onEnter(id, world)` fires when a structural change makes an entity match, `onExit(id, world)`
+   * when it stops matching (including destruction). Pass `existing: true` to get onEnter for the
+   * entities matching at registration time.
+   * @param {...any} args - Terms followed by `{ onEnter?, onExit?, existing? }`.
+   * @returns {()=>void} unsubscribe
+   */
+  observeQuery(...args) {
+    const hooks = (args.length && this._isOpts(args[args.length - 1])) ? args.pop() : {};
+    const spec = normalizeTerms(this._resolveRelTerms(args));
+    if (spec.changed.length || spec.added.length || spec.removed.length) throw new Error('observeQuery: Changed/Added/Removed terms are not supported');
+    if (!spec.all.length) throw new Error('observeQuery: at least one component term is required');
+    const qo = { all: spec.all, none: spec.none, onEnter: hooks.onEnter, onExit: hooks.onExit, ids: new Set() };
+    for (const id of this._cachedEntityList(spec, spec.cacheKey)) {
+      if (!this._observedMatch(qo, id)) continue;
+      qo.ids.add(id);
+      if (hooks.existing) this._callHook(qo.onEnter, id);
+    }
+    const keys = [...new Set([...qo.all, ...qo.none].map(c => c.key))];
+    for (const k of keys) {
+      let list = this._queryObservers.get(k);
+      if (!list) this._queryObservers.set(k, list = []);
+      list.push(qo);
+    }
+    return () => {
+      for (const k of keys) {
+        const cur = this._queryObservers.get(k);
+        const i = cur ? cur.indexOf(qo) : -1;
+        if (i < 0) continue;
+        cur.splice(i, 1);
+        if (!cur.length) this._queryObservers.delete(k);
+      }
+    };
+  }
+
+  /** @private */
+  _observedMatch(qo, id) {
+    if (id === this._dyingId || !this.alive.has(id)) return false;
+    for (const c of qo.all) if (!this._holds(id, c)) return false;
+    for (const c of qo.none) if (this._holds(id, c)) return false;
+    return true;
+  }
+
+  /** Re-evaluate query observers touching component `ckey` for entity `id`. @private */
+  _updateQueryObservers(ckey, id) {
+    const list = this._queryObservers.get(ckey);
+    if (!list) return;
+    for (const qo of list.slice()) {
+      const match = this._observedMatch(qo, id);
+      if (match === qo.ids.has(id)) continue;
+      if (match) { qo.ids.add(id); this._callHook(qo.onEnter, id); }
+      else { qo.ids.delete(id); this._callHook(qo.onExit, id); }
+    }
+  }
+
+  /** @private */
+  _notifyAdd(ckey, id) {
+    const list = this._observers.get(ckey);
+    if (list) for (const o of list.slice()) this._callHook(o.onAdd, id, this._store.get(ckey).get(id));
+    this._updateQueryObservers(ckey, id);
+  }
+
+  /** @private */
+  _notifySet(ckey, id) {
+    const list = this._observers.get(ckey);
+    if (list) for (const o of list.slice()) this._callHook(o.onSet, id, this._store.get(ckey).get(id));
+  }
+
+  /** @private */
+  _notifyRemove(ckey, id, last) {
+    const list = this._observers.get(ckey);
+    if (list) for (const o of list.slice()) this._callHook(o.onRemove, id, last);
+    this._updateQueryObservers(ckey, id);
+  }
+
+  /** @private */
+  _callHook(fn, id, ...rest) {
+    if (typeof fn !== 'function') return;
+    try { fn(id, ...rest, this); }
+    catch (e) { logError('[ecs] observer error', e); }
+  }
+
+  /** ===== Transactions ===== */
+  /** Run `fn(world)` all-or-nothing: if it throws, every add/set/mutate/remove/create/destroy it made
+   * (including relation, resource and calendar changes, cascades and queued deferred ops) is rolled
+   * back in reverse order and the error is rethrown. Transactions nest; an inner rollback only
+   * undoes the inner part. `fn` must be synchronous. Emitted events cannot be taken back, and the
+   * undo runs through the regular mutation paths, so observers and change tracking see it.
+   * @template T
+   * @param {(world:World)=>T} fn
+   * @returns {T}
+   */
+  transaction(fn) {
+    if (typeof fn !== 'function') throw new Error('transaction: fn must be a function');
+    const outer = this._journal;
+    const journal = outer || [];
+    const mark = journal.length;
+    const cmds = this._cmd.slice();
+    const deadRefs = this._deadRefs.length;
+    this._journal = journal;
+    try {
+      const out = fn(this);
+      if (out && typeof out.then === 'function') throw new Error('transaction: fn must be synchronous');
+      return out;
+    } catch (e) {
+      this._rollback(journal, mark);
+      this._cmd.length = 0;
+      this._cmd.push(...cmds);
+      this._deadRefs.length = Math.min(deadRefs, this._deadRefs.length);
+      throw e;
+    } finally {
+      this._journal = outer;
+    }
+  }
+
+  /** Apply a group of mutations as one unit: a {@link World#transaction} whose destroys have their
+   * referential-integrity policies swept once at the end. Snapshot loads run inside a batch, so a
+   * load that fails halfway leaves the world as it was.
+   * @template T
+   * @param {(world:World)=>T} fn
+   * @returns {T}
+   */
+  batch(fn) {
+    return this.transaction(() => {
+      const prev = this._refBatch;
+      this._refBatch = true;
+      let out;
+      try { out = fn(this); } finally { this._refBatch = prev; }
+      if (!prev) this._applyRefPolicies();
+      return out;
+    });
+  }
+
+  /** Run undo closures above `mark` in reverse order, with journaling off. @private */
+  _rollback(journal, mark) {
+    const prev = this._journal;
+    this._journal = null;
+    try {
+      while (journal.length > mark) {
+        const undo = journal.pop();
+        try { undo(); } catch (e) { logError('[ecs] rollback error', e); }
+      }
+    } finally { this._journal = prev; }
+  }
+
+  /** Journal the current state of a component record (null: the component is absent). @private */
+  _journalRecord(id, Comp, rec) {
+    if (!rec) { this._journal.push(() => this.removeImmediate(id, Comp)); return; }
+    const prior = deepClone({ ...rec });
+    this._journal.push(() => this.add(id, Comp, prior));
+  }
+
+  /** @private */
+  _journalResource(key) {
+    const had = this._resources.has(key);
+    const prior = had ? deepClone(this._resources.get(key)) : null;
+    this._journal.push(() => {
+      if (this._journal) this._journalResource(key);
+      if (had) this._resources.set(key, prior);
+      else this._resources.delete(key);
+      this._touchResource(key);
+    });
+  }
+
+  /** @private */
+  _journalCalendar() {
+    const state = this.calendar._saveState();
+    this._journal.push(() => {
+      if (this._journal) this._journalCalendar();
+      this.calendar._loadState(state);
+    });
+  }
+
+  /** Journal the entity allocator and alive set (bulk restores such as snapshot loads). @private */
+  _journalEntities() {
+    const saved = { gens: this._gens.slice(), free: this._free.slice(), nextId: this._nextId, alive: Array.from(this.alive) };
+    this._journal.push(() => {
+      if (this._journal) this._journalEntities();
+      this._invalidateCaches();
+      this.alive.clear();
+      for (const id of saved.alive) this.alive.add(id);
+      this._gens = saved.gens.slice(); this._free = saved.free.slice(); this._nextId = saved.nextId;
+    });
+  }
+
   /** ===== Deferral ===== */
   /** Queue a deferred operation or function to run outside of tick context. @param {any} opOrFn */
   command(opOrFn) { this._cmd.push(opOrFn); return this; }
@@ -777,11 +2253,14 @@ export class World {
   /** Return a snapshot of pending deferred operations. Useful for debugging. */
   pendingOps() { return this._cmd.slice(); }
 
-  /** Install a strict-mode handler invoked when structural mutations occur mid-tick in strict worlds.
-   * Handler receives a context object ({ op, args, world, error, defer }).
-   * Call ctx.defer() or return 'defer' to queue the operation despite strict mode.
-   * Return 'ignore' (or false) to swallow the mutation. Throw to propagate custom errors.
-   * @param {(ctx:{ op:string, args:readonly any[], world:World, error:Error, defer:()=>void })=>('defer'|'ignore'|false|void)} fn
+  /** Install a strict-mode handler invoked when structural mutations occur mid-tick in strict worlds,
+   * and whenever a strict world is about to write an invalid record.
+   * Handler receives a context object ({ kind, op, args, world, error, defer }); validation contexts
+   * (`kind: 'validation'`) also carry `issues`, `entity` and `component`.
+   * Call ctx.defer() or return 'defer' to queue a structural operation despite strict mode.
+   * Return 'ignore' (or false) to swallow the mutation or invalid write. Throw to propagate custom errors.
+   * @param {(ctx:{ kind:'structural'|'validation', op:string, args:readonly any[], world:World, error:Error, defer:()=>void,
+   *   issues?:import('./schema.js').ValidationIssue[], entity?:number|null, component?:Component })=>('defer'|'ignore'|false|void)} fn
    * @returns {this}
    */
   onStrictError(fn) {
@@ -795,6 +2274,7 @@ export class World {
     if (typeof this._strictHandler === 'function') {
       let deferred = false;
       const ctx = {
+        kind: 'structural',
         op,
         args: Object.freeze([...args]),
         world: this,
@@ -815,6 +2295,86 @@ export class World {
     }
     throw error;
   }
+
+  /** Validate a record about to be written. Throws a descriptive error carrying `issues`; in strict
+   * worlds with a handler, the handler sees it first and may return 'ignore' (or false) to drop the
+   * write, in which case this returns false. @private */
+  _validate(op, id, Comp, rec) {
+    if (!Comp.schema && typeof Comp.validate !== 'function') return true;
+    const issues = validateRecord(Comp, rec);
+    if (!issues.length) return true;
+    const resource = op === 'setResource';
+    const where = resource ? `resource ${Comp.name} (${op})` : `component ${Comp.name} on entity ${id} (${op})`;
+    const error = new Error(`Validation failed for ${where}: ${issues.map(i => i.message).join('; ')}`);
+    error.issues = issues;
+    error.op = op;
+    error.component = Comp.name;
+    if (!resource) error.entity = id;
+    if (this.strict && typeof this._strictHandler === 'function') {
+      const ctx = {
+        kind: 'validation',
+        op,
+        args: Object.freeze(resource ? [Comp, rec] : [id, Comp, rec]),
+        world: this,
+        error,
+        issues,
+        entity: resource ? null : id,
+        component: Comp,
+        defer: () => {}
+      };
+      try {
+        const res = this._strictHandler(ctx);
+        if (res === 'ignore' || res === false) return false;
+      } catch (handlerErr) {
+        logError('[ecs] strict handler error', handlerErr);
+      }
+    }
+    throw error;
+  }
+
+  /** Re-check every stored component and resource record against its schema and validator.
+   * Catches drift from {@link World#mutate}, loaded snapshots or validators tightened after the fact.
+   * Never throws; an empty result means everything is valid.
+   * @returns {Array<{ entity?:number, resource?:string, component?:string, issues:import('./schema.js').ValidationIssue[] }>}
+   */
+  validateAll() {
+    const out = [];
+    const rows = [];
+    for (const [key, store] of this._store) {
+      const Comp = this._components.get(key);
+      if (!Comp || (!Comp.schema && typeof Comp.validate !== 'function')) continue;
+      for (const id of store.entityIds()) {
+        const issues = this._safeValidate(Comp, store.get(id));
+        if (issues.length) rows.push({ entity: id, component: Comp.name, issues });
+      }
+    }
+    for (const { rel: R, any } of this._rel.values()) {
+      const store = this._store.get(any.key);
+      if (!store || (!R.schema && typeof R.validate !== 'function')) continue;
+      for (const id of store.entityIds()) {
+        const { targets, data } = store.get(id);
+        for (let i = 0; i < targets.length; i++) {
+          const issues = this._safeValidate(R, data[i]);
+          if (issues.length) rows.push({ entity: id, component: `${R.name}(${targets[i]})`, issues });
+        }
+      }
+    }
+    rows.sort((x, y) => x.entity - y.entity || (x.component < y.component ? -1 : x.component > y.component ? 1 : 0));
+    out.push(...rows);
+    for (const [key, rec] of this._resources) {
+      const Res = this._resourceDefs.get(key);
+      if (!Res || (!Res.schema && typeof Res.validate !== 'function')) continue;
+      const issues = this._safeValidate(Res, rec);
+      if (issues.length) out.push({ resource: Res.name, issues });
+    }
+    return out;
+  }
+
+  /** @private */
+  _safeValidate(Comp, rec) {
+    try { return validateRecord(Comp, rec); } catch (e) { return [{ path: '', message: `validate threw: ${e?.message ?? e}` }]; }
+  }
+
   _applyOp(op) {
     try {
       if (typeof op === 'function') return op();
@@ -824,14 +2384,27 @@ export class World {
       if (t === 'remove')  return this.remove(op[1], op[2]);
       if (t === 'set')     return this.set(op[1], op[2], op[3]);
       if (t === 'mutate')  return this.mutate(op[1], op[2], op[3]);
+      if (t === 'unrelate') return this.unrelate(op[1], op[2], op[3]);
     } catch (e) { logError('applyOp error', e); }
   }
 
   /** ===== Diagnostics ===== */
   /** Mark a component as changed (diagnostics/testing). @param {number} id @param {Component} Comp */
   markChanged(id, Comp) { this._markChanged(Comp.key, id); }
-  /** Has the entity's component changed since last tick? @param {number} id @param {Component} Comp @returns {boolean} */
-  changed(id, Comp) { const s = this._changed.get(Comp.key); return !!(s && s.has(id)); }
+  /** Has the entity's component been added, changed or removed within the caller's change window?
+   * @param {number} id @param {Component} Comp @returns {boolean} */
+  changed(id, Comp) {
+    const stamp = this._changedAt.get(Comp.key)?.get(id);
+    return (stamp != null && stamp > this._changeSince()) || this._removedRecently(id, Comp);
+  }
+  /** Stable digest of alive ids, component/relation/resource data, pending events, RNG position,
+   * time and step. Equal state gives equal hashes across runs and store modes. Needs `determinism.js`
+   * to be loaded (it installs the hasher; index.js does this).
+   * @param {{ include?: string[], exclude?: string[], bits?: 32|64 }} [opts] @returns {string} hex digest */
+  hash(opts) {
+    if (!worldHasher) throw new Error("hash: no hasher installed; import './determinism.js' (or index.js)");
+    return worldHasher(this, opts);
+  }
   /** Enable or disable debug mode. @param {boolean} [on=true] @returns {this} */
   enableDebug(on = true) {
     this._debug = !!on;
@@ -853,7 +2426,9 @@ export class WorldBuilder {
 
   useSoA() { this._opts.store = 'soa'; return this; }
   useMap() { this._opts.store = 'map'; return this; }
+  useTables() { this._opts.store = 'table'; return this; }
   withSeed(seed) { this._opts.seed = seed >>> 0; return this; }
+  withSystems(registry) { this._opts.systems = registry; return this; }
   enableStrict(on = true) { this._opts.strict = !!on; return this; }
   enableDebug(on = true) { this._opts.debug = !!on; return this; }
   withOptions(opts = {}) { Object.assign(this._opts, opts || {}); return this; }
@@ -905,14 +2480,27 @@ export class WorldBuilder {
 
 export function Component(name) {
   if (typeof name !== 'string' || !name) throw new Error('Component builder requires a non-empty name');
-  const state = { name, defaults: {}, validate: null, tag: false };
+  const state = { name, defaults: {}, validate: null, schema: null, types: null, refs: null, version: null, migrate: null, aliases: null, tag: false };
   const builder = {
     defaults(obj = {}) { state.defaults = { ...(obj || {}) }; return builder; },
     validate(fn) { if (typeof fn !== 'function') throw new Error('Component.validate expects a function'); state.validate = fn; return builder; },
+    schema(map = {}) { state.schema = { ...(map || {}) }; return builder; },
+    types(map = {}) { state.types = { ...(map || {}) }; return builder; },
+    refs(map = {}) { state.refs = { ...(map || {}) }; return builder; },
+    version(n, migrate) { state.version = n; if (migrate) state.migrate = migrate; return builder; },
+    migrate(fn) { if (typeof fn !== 'function') throw new Error('Component.migrate expects a function'); state.migrate = fn; return builder; },
+    aliases(...names) { state.aliases = names.flat(); return builder; },
     taggable() { state.tag = true; return builder.build(); },
     tag() { return builder.taggable(); },
     build() {
-      const opts = state.validate ? { validate: state.validate } : undefined;
+      const opts = {};
+      if (state.validate) opts.validate = state.validate;
+      if (state.schema) opts.schema = state.schema;
+      if (state.types) opts.types = state.types;
+      if (state.refs) opts.refs = state.refs;
+      if (state.version != null) opts.version = state.version;
+      if (state.migrate) opts.migrate = state.migrate;
+      if (state.aliases) opts.aliases = state.aliases;
       if (state.tag) {
         const tagComp = defineTag(state.name);
         return tagComp;
@@ -926,28 +2514,48 @@ export function Component(name) {
 
 /** ===== Query helpers ===== */
 function normalizeTerms(terms) {
-  const all = [], none = [], changed = [];
+  const all = [], none = [], changed = [], added = [], removed = [];
   for (const t of terms) {
     if (!t) continue;
     if (t.kind === $NOT) none.push(t.Comp);
     else if (t.kind === $CHANGED) changed.push(t.Comp);
+    else if (t.kind === $ADDED) added.push(t.Comp);
+    else if (t.kind === $REMOVED) removed.push(t.Comp);
     else all.push(t);
   }
-  const cacheKey = all.map(c => c.key.description || 'c').sort().join('|') || '*';
-  return { all, none, changed, cacheKey };
+  const cacheKey = all.map(c => _compCacheId(c.key)).sort((a, b) => a - b).join('|') || '*';
+  const pairs = all.filter(c => typeof c.target === 'number'); // Rel(R, target): cached by R, filtered per row
+  return { all, none, changed, added, removed, pairs, cacheKey };
+}
+/** Stable numeric id per component key, so distinct components with equal names never share a cache. */
+const _compCacheIds = new Map();
+function _compCacheId(key) {
+  let n = _compCacheIds.get(key);
+  if (n == null) _compCacheIds.set(key, n = _compCacheIds.size + 1);
+  return n;
 }
 function passesDynamicFilters(world, id, spec) {
-  for (const c of spec.none)    if (world.has(id, c)) return false;
+  for (const c of spec.pairs)   if (!world._holds(id, c)) return false;
+  for (const c of spec.none)    if (world._holds(id, c)) return false;
   for (const c of spec.changed) if (!world.changed(id, c)) return false;
+  for (const c of spec.added)   if (!world._addedRecently(id, c)) return false;
+  for (let i = 1; i < spec.removed.length; i++) if (!world._removedRecently(id, spec.removed[i])) return false;
+  if (spec.removed.length && world._store.get(spec.removed[0].key)?.has(id)) return false;
   return true;
 }
+/** Count query rows (as yielded by `_rows`) that pass `where`. */
+function countRows(rows, where) {
+  let c = 0;
+  for (const row of rows) if (!where || where(...row.slice(1), row[0])) c++;
+  return c;
+}
 function countFiltered(world, list, spec, where = null) {
   let c = 0;
   for (let i = 0; i < list.length; i++) {
     const id = list[i];
     if (!passesDynamicFilters(world, id, spec)) continue;
     if (where) {
-      const comps = spec.all.map(k => world.get(id, k));
+      const comps = world._rowComps(id, spec);
       if (!where(...comps, id)) continue;
     }
     c++;
@@ -969,19 +2577,54 @@ function makeMapStore() {
   };
 }
 
+/** Struct-of-arrays store: one densely packed column per field plus a sparse entity-index -> slot map.
+ * Fields declared in Comp.types use growable TypedArrays; other fields use plain arrays.
+ * Removal swaps the last row into the hole so columns stay contiguous.
+ */
 function makeSoAStore(Comp) {
-  const fields = Object.keys(Comp.defaults || {});
-  const arrays = Object.fromEntries(fields.map(f => [f, []]));
-  const present = new Set();
+  const defaults = Comp.defaults || {};
+  const types = Comp.types || {};
+  const fields = Object.keys(defaults);
+  const typed = Object.create(null);
+  for (const f of fields) typed[f] = types[f] || null;
+
+  let capacity = 0;
+  let count = 0;
+  let entities = new Int32Array(0);
+  let sparse = new Int32Array(0); // entity index -> slot + 1 (0 = absent)
+  const cols = Object.create(null);
+  for (const f of fields) cols[f] = typed[f] ? new FIELD_ARRAYS[typed[f]](0) : [];
+  const columns = { count: 0, entities, fields: cols, indexOf: slotOf };
   const views = new Map();
+
+  function grow(min) {
+    const next = Math.max(8, capacity * 2, min);
+    entities = _growTyped(entities, next);
+    for (const f of fields) if (typed[f]) cols[f] = _growTyped(cols[f], next);
+    capacity = next;
+    columns.entities = entities;
+  }
+  function slotOf(id) {
+    const i = entityIndex(id);
+    const s = (i < sparse.length) ? sparse[i] - 1 : -1;
+    return (s >= 0 && entities[s] === id) ? s : -1;
+  }
+  function read(f, s) {
+    const v = cols[f][s];
+    if (typed[f] === 'bool') return v !== 0;
+    return typed[f] ? v : (v ?? defaults[f]);
+  }
+  function write(f, s, v) {
+    cols[f][s] = (typed[f] === 'bool') ? (v ? 1 : 0) : v;
+  }
   function view(id) {
     if (views.has(id)) return views.get(id);
     const obj = {};
     for (const f of fields) {
       Object.defineProperty(obj, f, {
         enumerable: true,
-        get() { return arrays[f][id] ?? Comp.defaults[f]; },
-        set(v) { arrays[f][id] = v; }
+        get() { const s = slotOf(id); return s < 0 ? undefined : read(f, s); },
+        set(v) { const s = slotOf(id); if (s >= 0) write(f, s, v); }
       });
     }
     views.set(id, obj);
@@ -989,16 +2632,214 @@ function makeSoAStore(Comp) {
   }
   const fast = undefined;
   return {
-    set(id, rec) { present.add(id); for (const f of fields) arrays[f][id] = (rec[f] ?? Comp.defaults[f]); },
-    get(id) { return present.has(id) ? view(id) : undefined; },
-    has(id) { return present.has(id); },
-    delete(id) { const had = present.delete(id); views.delete(id); return had; },
-    entityIds() { const arr = Array.from(present.values()); arr.sort((a, b) => a - b); return arr; },
+    set(id, rec) {
+      let s = slotOf(id);
+      if (s < 0) {
+        if (count === capacity) grow(count + 1);
+        s = count++;
+        entities[s] = id;
+        const i = entityIndex(id);
+        if (i >= sparse.length) sparse = _growTyped(sparse, Math.max(i + 1, sparse.length * 2));
+        sparse[i] = s + 1;
+        columns.count = count;
+      }
+      for (const f of fields) write(f, s, rec[f] ?? defaults[f]);
+    },
+    get(id) { return slotOf(id) >= 0 ? view(id) : undefined; },
+    has(id) { return slotOf(id) >= 0; },
+    delete(id) {
+      const s = slotOf(id);
+      if (s < 0) return false;
+      const last = count - 1;
+      if (s !== last) {
+        const moved = entities[last];
+        for (const f of fields) cols[f][s] = cols[f][last];
+        entities[s] = moved;
+        sparse[entityIndex(moved)] = s + 1;
+      }
+      for (const f of fields) if (!typed[f]) cols[f][last] = undefined;
+      sparse[entityIndex(id)] = 0;
+      count = last;
+      columns.count = count;
+      views.delete(id);
+      return true;
+    },
+    entityIds() { const arr = Array.from(entities.subarray(0, count)); arr.sort((a, b) => a - b); return arr; },
+    columns,
     fast
   };
 }
 
+/** Archetype tables shared by every component store of a 'table' world.
+ * Each table holds the entities whose component signature is exactly `keys`, with one record
+ * column per component. Adding/removing a component moves the entity's row (records keep their
+ * identity) to the table for the new signature; rows are swap-removed so tables stay dense.
+ */
+function makeTableStorage() {
+  const tables = new Map(); // Map<signatureKey, table>
+  const where = new Map();  // Map<id, { table, row }>
+  const root = newTable('', []); // component-less entities; never stored, only its edges are used
+
+  function sigKey(keys) { return keys.map(_compCacheId).sort((a, b) => a - b).join('|'); }
+  function newTable(sig, keys) {
+    // `version` counts writes and `shared` marks columns a running query still reads (copy-on-write).
+    return { sig, keys: new Set(keys), ids: [], cols: new Map(keys.map(k => [k, []])),
+      version: 0, shared: false, edges: { add: new Map(), remove: new Map() } };
+  }
+  function tableFor(keys) {
+    const sig = sigKey(keys);
+    let table = tables.get(sig);
+    if (!table) tables.set(sig, table = newTable(sig, keys));
+    return table;
+  }
+  /** Table reached from `table` by adding or removing `key` (cached, so moves skip the signature lookup). */
+  function neighbour(table, key, adding) {
+    const edges = adding ? table.edges.add : table.edges.remove;
+    let next = edges.get(key);
+    if (next === undefined) {
+      const keys = Array.from(table.keys);
+      if (adding) keys.push(key); else keys.splice(keys.indexOf(key), 1);
+      next = keys.length ? tableFor(keys) : null;
+      edges.set(key, next);
+    }
+    return next;
+  }
+  function touch(table) {
+    table.version++;
+    if (table.shared) {
+      table.ids = table.ids.slice();
+      for (const [k, col] of table.cols) table.cols.set(k, col.slice());
+      table.shared = false;
+    }
+  }
+  function removeRow(table, row) {
+    touch(table);
+    const last = table.ids.length - 1;
+    if (row !== last) {
+      const moved = table.ids[last];
+      table.ids[row] = moved;
+      for (const col of table.cols.values()) col[row] = col[last];
+      where.get(moved).row = row;
+    }
+    table.ids.pop();
+    for (const col of table.cols.values()) col.pop();
+  }
+  /** Move `id` into table `to` (null: no components left), copying its records column by column. */
+  function move(id, loc, to, addKey, addRec) {
+    if (to) {
+      touch(to);
+      for (const [k, col] of to.cols) col.push(k === addKey ? addRec : loc.table.cols.get(k)[loc.row]);
+      to.ids.push(id);
+    }
+    if (loc) removeRow(loc.table, loc.row);
+    if (!to) where.delete(id);
+    else if (loc) { loc.table = to; loc.row = to.ids.length - 1; }
+    else where.set(id, { table: to, row: to.ids.length - 1 });
+  }
+  function covers(table, keys) {
+    for (const k of keys) if (!table.keys.has(k)) return false;
+    return true;
+  }
+  function selecting(keys, without) {
+    const out = [];
+    for (const table of tables.values()) {
+      if (!table.ids.length || !covers(table, keys)) continue;
+      let excluded = false;
+      for (const k of without) { if (table.keys.has(k)) { excluded = true; break; } }
+      if (!excluded) out.push(table);
+    }
+    return out;
+  }
+
+  return {
+    tables,
+    get(id, key) {
+      const loc = where.get(id);
+      return (loc && loc.table.keys.has(key)) ? loc.table.cols.get(key)[loc.row] : undefined;
+    },
+    has(id, key) {
+      const loc = where.get(id);
+      return !!(loc && loc.table.keys.has(key));
+    },
+    set(id, key, rec) {
+      const loc = where.get(id);
+      if (loc && loc.table.keys.has(key)) { loc.table.cols.get(key)[loc.row] = rec; return; } // row stays put
+      move(id, loc, neighbour(loc ? loc.table : root, key, true), key, rec);
+    },
+    delete(id, key) {
+      const loc = where.get(id);
+      if (!loc || !loc.table.keys.has(key)) return false;
+      move(id, loc, neighbour(loc.table, key, false), null, undefined);
+      return true;
+    },
+    /** Sorted ids of entities whose table signature includes every key. */
+    matching(keys) {
+      const out = [];
+      for (const table of tables.values()) {
+        if (covers(table, keys)) for (let i = 0; i < table.ids.length; i++) out.push(table.ids[i]);
+      }
+      out.sort((a, b) => a - b);
+      return out;
+    },
+    /** Frozen views of the non-empty tables holding every key in `keys` and none in `without`:
+     * `{ table, version, ids, cols }` with `cols` in `keys` order. Later writes copy the table first,
+     * so a view stays stable while its rows are iterated; `table.version !== version` flags rows
+     * that may have moved since. */
+    views(keys, without) {
+      return selecting(keys, without).map((table) => {
+        table.shared = true;
+        return { table, version: table.version, ids: table.ids, cols: keys.map(k => table.cols.get(k)) };
+      });
+    },
+    /** Number of rows `views(keys, without)` would cover. */
+    count(keys, without) {
+      let n = 0;
+      for (const table of selecting(keys, without)) n += table.ids.length;
+      return n;
+    }
+  };
+}
+
+/** Per-component facade over the shared table storage (same interface as the other stores). */
+function makeTableStore(storage, key) {
+  return {
+    set(id, rec) { storage.set(id, key, rec); },
+    get(id) { return storage.get(id, key); },
+    has(id) { return storage.has(id, key); },
+    delete(id) { return storage.delete(id, key); },
+    entityIds() { return storage.matching([key]); },
+    fast: undefined
+  };
+}
+
+/** Copy a TypedArray into a larger one of the same kind. */
+function _growTyped(arr, size) {
+  const next = new arr.constructor(size);
+  next.set(arr);
+  return next;
+}
+
 /** Reject function values anywhere in component data (components must be pure serializable data). */
+/** Issues from a `validate` result: falsy is a bare rejection; a message, an issue object
+ * (`{ path?, expected?, actual?, message? }`) or an array of them describe failures
+ * (an empty array passes); any other truthy value passes, as before. */
+function validatorIssues(result) {
+  if (Array.isArray(result)) return result.map(toIssue);
+  if (typeof result === 'string') return [toIssue(result)];
+  if (result && typeof result === 'object' && ('message' in result || 'path' in result)) return [toIssue(result)];
+  return result ? [] : [{ path: '', message: 'rejected by validate' }];
+}
+
+function toIssue(x) {
+  if (typeof x === 'string' || x == null || typeof x !== 'object') return { path: '', message: String(x) };
+  const issue = { path: x.path != null ? String(x.path) : '' };
+  if ('expected' in x) issue.expected = x.expected;
+  if ('actual' in x) issue.actual = x.actual;
+  issue.message = x.message != null ? String(x.message)
+    : `${issue.path || 'record'} must be ${issue.expected ?? 'valid'}${'actual' in issue ? ` (got ${JSON.stringify(issue.actual) ?? String(issue.actual)})` : ''}`;
+  return issue;
+}
+
 function assertNoFunctions(obj, compName, path) {
   if (typeof obj === 'function') {
     throw new TypeError(
@@ -1076,6 +2917,13 @@ function _aliveFromComps(comps) {
   return Array.from(s);
 }
 
+/** Validate a schedule() delay (finite, non-negative). */
+function _delay(d) {
+  const n = Number(d);
+  if (!Number.isFinite(n) || n < 0) throw new Error(`schedule: delay must be a finite number >= 0 (got ${d})`);
+  return n;
+}
+
 function _registryToMap(registry, context = 'registry') {
   if (!registry) throw new Error(`${context}: registry required`);
   if (registry instanceof Map) return registry;
@@ -1084,6 +2932,34 @@ function _registryToMap(registry, context = 'registry') {
   return map;
 }
 
+/** Binary search in an ascending id list; returns the index or -1. */
+function sortedIndexOf(arr, v) {
+  let lo = 0, hi = arr.length - 1;
+  while (lo <= hi) {
+    const mid = (lo + hi) >>> 1;
+    const x = arr[mid];
+    if (x === v) return mid;
+    if (x < v) lo = mid + 1; else hi = mid - 1;
+  }
+  return -1;
+}
+
+/** Insert into an ascending id list, keeping it sorted (no-op if present). */
+function sortedInsert(arr, v) {
+  let lo = 0, hi = arr.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >>> 1;
+    if (arr[mid] < v) lo = mid + 1; else hi = mid;
+  }
+  if (arr[lo] !== v) arr.splice(lo, 0, v);
+}
+
+/** Remove from an ascending id list if present. */
+function sortedRemove(arr, v) {
+  const i = sortedIndexOf(arr, v);
+  if (i >= 0) arr.splice(i, 1);
+}
+
 /** Sorted intersection helper. */
 function intersectSorted(a, b) {
   let i = 0, j = 0; const out = [];
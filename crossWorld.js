@@ -8,6 +8,8 @@
  * Helpful when passing entity handles between systems spanning multiple worlds.
  */
 
+import { entityGeneration, entityIndex } from './core.js';
+
 /**
  * @typedef {import('./core.js').World} World
  */
@@ -17,10 +19,13 @@
  * @property {World} world - Source world of the entity.
  * @property {number} id - Entity id (redundant with entityId for compatibility).
  * @property {number} entityId - Entity id (legacy name).
+ * @property {number} generation - Slot generation encoded in the id when the reference was taken.
  */
 
 /**
  * Create a stable cross-world reference to an entity id.
+ * Entity ids are generational handles, so the reference goes stale once the entity is
+ * destroyed even if its slot is later reused by another entity.
  * @param {World} world
  * @param {number} id
  * @returns {CrossWorldRef}
@@ -28,7 +33,7 @@
 export function createCrossWorldReference(world, id){
   const eid = id|0;
   // store both keys for compatibility with any existing callers
-  return { world, id: eid, entityId: eid };
+  return { world, id: eid, entityId: eid, generation: entityGeneration(eid) };
 }
 
 /** @private */
@@ -38,6 +43,11 @@ function _aliveHas(world, id){
   return !!world.alive?.has?.(id);
 }
 
+/** Generation the world currently holds for a slot, or null when the world does not track slots. @private */
+function _slotGeneration(world, index){
+  return Array.isArray(world._gens) ? (world._gens[index] || 0) : null;
+}
+
 /**
  * Validate that a cross-world reference points to a currently alive entity.
  * @param {Partial<CrossWorldRef>} ref
@@ -45,7 +55,13 @@ function _aliveHas(world, id){
  */
 export function isCrossWorldReferenceValid(ref){
   const id = ref?.id ?? ref?.entityId;
-  return !!(ref && ref.world && typeof id === 'number' && _aliveHas(ref.world, id));
+  if (!ref || !ref.world || typeof id !== 'number') return false;
+  if (typeof ref.generation === 'number') {
+    // The slot may have been recycled since the reference was taken.
+    const current = _slotGeneration(ref.world, entityIndex(id));
+    if (current != null && ref.generation !== current) return false;
+  }
+  return _aliveHas(ref.world, id);
 }
 
 // Return the raw entity id if valid, otherwise 0 (falsy sentinel).
@@ -0,0 +1,362 @@
+// ecs/determinism.js
+// Stable world-state digests and side-by-side desync detection.
+/**
+ * @module ecs/determinism
+ * `hashWorld` folds alive ids, the entity table (slot generations and free list), component records
+ * (canonical key order), relations, resources, pending calendar events, the world RNG and stream
+ * positions, time and step into a 32- or 64-bit digest that is identical across runs, store modes and
+ * engines for identical state. Fields declared in a component's `types` are hashed as their SoA column
+ * holds them (f32 rounded to float32, i32/u8/entity truncated, bool as a boolean), so a map or table
+ * world hashes like an SoA one whose typed columns store the same values. `DeterminismChecker` ticks
+ * two worlds built from the same seed or snapshot in lockstep and reports the first tick, entity,
+ * component and field where they diverge.
+ *
+ * Usage:
+ *   world.hash();                                   // '9c1f0a2b4d6e8f10' (64-bit hex)
+ *   world.hash({ bits: 32, exclude: ['Sprite'] });  // '1a2b3c4d'
+ *
+ *   const checker = new DeterminismChecker({ seed: 7, setup: (w) => w.setScheduler(mySystems) });
+ *   const report = checker.run(500);                // null when both runs stayed identical
+ */
+
+import { World, setWorldHasher } from './core.js';
+
+/**
+ * @typedef {import('./core.js').Component} Component
+ * @typedef {import('./serialization.js').Snapshot} Snapshot
+ * @typedef {import('./serialization.js').Registry} Registry
+ */
+
+/**
+ * @typedef {object} HashOptions
+ * @property {string[]|Set<string>|string} [include] - Only these component/resource names.
+ * @property {string[]|Set<string>|string} [exclude] - Skip these component/resource names.
+ * @property {32|64} [bits=64]
+ */
+
+/**
+ * @typedef {object} Divergence
+ * @property {number} tick - 1-based tick of the run at which the worlds diverged (0: before the first tick).
+ * @property {number} step - `world.step` of the first world at that point.
+ * @property {'time'|'step'|'rng'|'alive'|'entities'|'component'|'relation'|'resource'|'calendar'} kind
+ * @property {number} [entity]
+ * @property {string} [component] - Component, relation or resource name.
+ * @property {string} [field] - Dotted path inside the record ('' for the whole record).
+ * @property {any} a - Value in the first world.
+ * @property {any} b - Value in the second world.
+ * @property {string} hashA
+ * @property {string} hashB
+ */
+
+/**
+ * Stable digest of a world's simulation state.
+ * @param {World} world
+ * @param {HashOptions} [opts]
+ * @returns {string} Lower-case hex digest (8 chars for 32 bits, 16 for 64).
+ */
+export function hashWorld(world, opts = {}) {
+  const bits = opts.bits ?? 64;
+  if (bits !== 32 && bits !== 64) throw new Error('hash: bits must be 32 or 64');
+  const h = new Hasher();
+  const pick = _namePicker(opts);
+
+  h.str('time'); h.num(+world.time || 0);
+  h.str('step'); h.num(world.step | 0);
+  h.str('rng'); h.value(_rngState(world));
+
+  h.str('alive');
+  const alive = Array.from(world.alive).sort((a, b) => a - b);
+  h.int(alive.length);
+  for (const id of alive) h.int(id);
+  const slots = world._entityTable();
+  h.str('entities'); h.value(slots.gens); h.value(slots.free);
+
+  for (const { name, rows } of _componentRows(world, pick)) {
+    h.str('c'); h.str(name); h.int(rows.length);
+    for (const [id, rec] of rows) { h.int(id); h.value(rec); }
+  }
+  for (const [name, rows] of _relationRows(world, pick)) { h.str('rel'); h.str(name); h.value(rows); }
+  for (const [name, rec] of _resourceRows(world, pick)) { h.str('r'); h.str(name); h.value(rec); }
+
+  const events = world.calendar ? world.calendar.pending() : [];
+  h.str('calendar'); h.int(events.length);
+  for (const ev of events) h.value(ev);
+
+  return bits === 32 ? _hex(h.digest32()) : _hex(h.digest32()) + _hex(h.digest32b());
+}
+
+setWorldHasher(hashWorld); // backs world.hash()
+
+/**
+ * Find the first difference between two worlds, in a fixed order: time, step, RNG, alive ids,
+ * entity table, components (by name, then entity id, then field), relations, resources, calendar. Returns null when equal.
+ * @param {World} a
+ * @param {World} b
+ * @param {HashOptions} [opts] - Only `include`/`exclude` are used.
+ * @returns {{ kind:string, entity?:number, component?:string, field?:string, a:any, b:any }|null}
+ */
+export function diffWorlds(a, b, opts = {}) {
+  if ((+a.time || 0) !== (+b.time || 0)) return { kind: 'time', a: a.time, b: b.time };
+  if ((a.step | 0) !== (b.step | 0)) return { kind: 'step', a: a.step, b: b.step };
+  const ra = _rngState(a), rb = _rngState(b);
+  if (!_equal(ra, rb)) return { kind: 'rng', a: ra, b: rb };
+
+  for (const id of _sortedUnion(a.alive, b.alive)) {
+    const inA = a.alive.has(id), inB = b.alive.has(id);
+    if (inA !== inB) return { kind: 'alive', entity: id, a: inA, b: inB };
+  }
+  const slotsA = a._entityTable(), slotsB = b._entityTable();
+  if (!_equal(slotsA, slotsB)) return { kind: 'entities', a: slotsA, b: slotsB };
+
+  const pick = _namePicker(opts);
+  const compsA = new Map(_componentRows(a, pick).map(({ name, rows }) => [name, new Map(rows)]));
+  const compsB = new Map(_componentRows(b, pick).map(({ name, rows }) => [name, new Map(rows)]));
+  for (const name of Array.from(new Set([...compsA.keys(), ...compsB.keys()])).sort()) {
+    const rowsA = compsA.get(name) || new Map(), rowsB = compsB.get(name) || new Map();
+    for (const id of _sortedUnion(rowsA, rowsB)) {
+      const d = _fieldDiff(rowsA.get(id), rowsB.get(id), '');
+      if (d) return { kind: 'component', entity: id, component: name, ...d };
+    }
+  }
+
+  const relA = new Map(_relationRows(a, pick)), relB = new Map(_relationRows(b, pick));
+  for (const name of Array.from(new Set([...relA.keys(), ...relB.keys()])).sort()) {
+    const rowsA = relA.get(name) || [], rowsB = relB.get(name) || [];
+    for (let i = 0; i < Math.max(rowsA.length, rowsB.length); i++) {
+      const d = _fieldDiff(rowsA[i], rowsB[i], '');
+      if (d) return { kind: 'relation', entity: (rowsA[i] || rowsB[i])[0], component: name, a: rowsA[i] ?? null, b: rowsB[i] ?? null };
+    }
+  }
+
+  const resA = new Map(_resourceRows(a, pick)), resB = new Map(_resourceRows(b, pick));
+  for (const name of Array.from(new Set([...resA.keys(), ...resB.keys()])).sort()) {
+    const d = _fieldDiff(resA.get(name), resB.get(name), '');
+    if (d) return { kind: 'resource', component: name, ...d };
+  }
+
+  const evA = a.calendar ? a.calendar.pending() : [], evB = b.calendar ? b.calendar.pending() : [];
+  for (let i = 0; i < Math.max(evA.length, evB.length); i++) {
+    if (!_equal(evA[i], evB[i])) return { kind: 'calendar', a: evA[i] ?? null, b: evB[i] ?? null };
+  }
+  return null;
+}
+
+/**
+ * Runs two worlds built the same way in lockstep and reports the first divergence.
+ * Worlds come from `create()` if given, else `World.fromSnapshot(snapshot, registry)`, else
+ * `new World({ seed })`; `setup(world, index)` then installs systems and the scheduler on each.
+ */
+export class DeterminismChecker {
+  /**
+   * @param {{ create?: () => World, snapshot?: Snapshot, registry?: Registry, seed?: number,
+   *   World?: typeof World, setup?: (world: World, index: 0|1) => void } & HashOptions} opts
+   */
+  constructor(opts = {}) {
+    const WorldCtor = opts.World || World;
+    const make = opts.create
+      || (opts.snapshot ? () => WorldCtor.fromSnapshot(opts.snapshot, opts.registry) : () => new WorldCtor({ seed: opts.seed ?? 0 }));
+    if (!opts.create && opts.snapshot && !opts.registry) throw new Error('DeterminismChecker: registry required with snapshot');
+    this.hashOptions = { include: opts.include, exclude: opts.exclude, bits: opts.bits };
+    /** @type {World} */
+    this.a = make();
+    /** @type {World} */
+    this.b = make();
+    if (this.a === this.b) throw new Error('DeterminismChecker: create() must return a new world each call');
+    if (typeof opts.setup === 'function') { opts.setup(this.a, 0); opts.setup(this.b, 1); }
+    /** Ticks run so far. */
+    this.ticks = 0;
+    /** First divergence found (checking stops there). @type {Divergence|null} */
+    this.divergence = null;
+  }
+
+  /** Compare the two worlds now. @returns {Divergence|null} */
+  check() {
+    if (this.divergence) return this.divergence;
+    const hashA = hashWorld(this.a, this.hashOptions), hashB = hashWorld(this.b, this.hashOptions);
+    if (hashA === hashB) return null;
+    const diff = diffWorlds(this.a, this.b, this.hashOptions) || { kind: 'component', a: undefined, b: undefined };
+    this.divergence = { tick: this.ticks, step: this.a.step, ...diff, hashA, hashB };
+    return this.divergence;
+  }
+
+  /** Tick both worlds once and compare. @param {number} [dt=1] @returns {Divergence|null} */
+  step(dt = 1) {
+    if (this.divergence) return this.divergence;
+    this.a.tick(dt);
+    this.b.tick(dt);
+    this.ticks++;
+    return this.check();
+  }
+
+  /** Compare, then tick up to `ticks` times, stopping at the first divergence.
+   * @param {number} ticks @param {number} [dt=1] @returns {Divergence|null}
+   */
+  run(ticks, dt = 1) {
+    if (this.check()) return this.divergence;
+    for (let i = 0; i < ticks; i++) if (this.step(dt)) break;
+    return this.divergence;
+  }
+}
+
+/* helpers */
+
+/** Two-lane murmur3-style word hasher (each lane finalized with fmix32). @private */
+class Hasher {
+  constructor() {
+    this.h1 = 0x9747b28c;
+    this.h2 = 0x3c6ef372;
+    this.n = 0;
+  }
+
+  int(x) {
+    x |= 0;
+    let k = Math.imul(x, 0xcc9e2d51); k = (k << 15) | (k >>> 17); k = Math.imul(k, 0x1b873593);
+    this.h1 ^= k; this.h1 = (this.h1 << 13) | (this.h1 >>> 19); this.h1 = (Math.imul(this.h1, 5) + 0xe6546b64) | 0;
+    let j = Math.imul(x, 0x85ebca6b); j = (j << 17) | (j >>> 15); j = Math.imul(j, 0xc2b2ae35);
+    this.h2 ^= j; this.h2 = (this.h2 << 11) | (this.h2 >>> 21); this.h2 = (Math.imul(this.h2, 9) + 0x7f4a7c15) | 0;
+    this.n++;
+  }
+
+  num(x) {
+    if (Number.isInteger(x) && x >= -0x80000000 && x <= 0x7fffffff) { this.int(0x11); this.int(x); return; }
+    _f64[0] = Number.isNaN(x) ? NaN : x;
+    this.int(0x12); this.int(_u32[0]); this.int(_u32[1]);
+  }
+
+  str(s) {
+    this.int(0x13); this.int(s.length);
+    for (let i = 0; i < s.length; i += 2) this.int(s.charCodeAt(i) | (i + 1 < s.length ? s.charCodeAt(i + 1) << 16 : 0));
+  }
+
+  value(v) {
+    if (v === undefined) return this.int(0x01);
+    if (v === null) return this.int(0x02);
+    switch (typeof v) {
+      case 'number': return this.num(v);
+      case 'string': return this.str(v);
+      case 'boolean': return this.int(v ? 0x03 : 0x04);
+      case 'bigint': this.int(0x14); return this.str(v.toString());
+    }
+    if (Array.isArray(v) || ArrayBuffer.isView(v)) {
+      this.int(0x15); this.int(v.length);
+      for (let i = 0; i < v.length; i++) this.value(v[i]);
+      return;
+    }
+    if (v instanceof Map) return this.value(Object.fromEntries(v));
+    if (v instanceof Set) return this.value(Array.from(v));
+    const keys = Object.keys(v).sort();
+    this.int(0x16); this.int(keys.length);
+    for (const k of keys) { this.str(k); this.value(v[k]); }
+  }
+
+  digest32() { return _fmix32(this.h1 ^ this.n); }
+  digest32b() { return _fmix32(this.h2 ^ Math.imul(this.n, 0x9e3779b1)); }
+}
+
+const _f64 = new Float64Array(1);
+const _u32 = new Uint32Array(_f64.buffer);
+
+/** @private */
+function _fmix32(h) {
+  h ^= h >>> 16; h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13; h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return h >>> 0;
+}
+/** @private */
+function _hex(x) { return (x >>> 0).toString(16).padStart(8, '0'); }
+/** @private */
+function _toSet(v) { if (!v) return null; if (v instanceof Set) return v; return new Set(Array.isArray(v) ? v : [v]); }
+/** @private */
+function _namePicker(opts) {
+  const include = _toSet(opts.include), exclude = _toSet(opts.exclude);
+  return (name) => (!include || include.has(name)) && !(exclude && exclude.has(name));
+}
+/** World RNG position (null when the generator does not expose one), plus named stream positions. @private */
+function _rngState(world) {
+  const main = typeof world.rand?.getState === 'function' ? world.rand.getState() : null;
+  const streams = world._rngStreamStates?.();
+  return streams ? { main, streams } : main;
+}
+
+/** Alive component rows grouped by component name, names and ids ascending. @private */
+function _componentRows(world, pick) {
+  const out = [];
+  for (const [ckey, store] of world._store) {
+    const Comp = world._components.get(ckey) || store._comp;
+    if (Comp?.relation) continue; // pair storage, hashed per relation below
+    const name = Comp?.name;
+    if (!name || !pick(name)) continue;
+    const ids = (store.entityIds ? Array.from(store.entityIds()) : Array.from(world.alive).filter((id) => store.has(id)))
+      .filter((id) => world.alive.has(id))
+      .sort((x, y) => x - y);
+    if (!ids.length) continue;
+    out.push({ name, rows: ids.map((id) => [id, _canonicalRecord(Comp, store.get(id))]) });
+  }
+  return out.sort((x, y) => (x.name < y.name ? -1 : x.name > y.name ? 1 : 0));
+}
+
+/** Copy of a record with each typed field as its SoA column would hold it. @private */
+function _canonicalRecord(Comp, rec) {
+  const out = { ...rec };
+  const types = Comp?.types;
+  if (types) for (const f in types) if (f in out) out[f] = _asStored(types[f], out[f]);
+  return out;
+}
+
+/** One-element arrays per field type: writing and reading back applies the column's conversion. @private */
+const _cells = { f32: new Float32Array(1), f64: new Float64Array(1), i32: new Int32Array(1), u8: new Uint8Array(1), entity: new Int32Array(1) };
+
+/** @private */
+function _asStored(type, v) {
+  if (type === 'bool') return !!v;
+  const cell = _cells[type];
+  if (!cell) return v;
+  cell[0] = v;
+  return cell[0];
+}
+
+/** Relation rows [source, target, data] by relation name, names ascending. @private */
+function _relationRows(world, pick) {
+  return Object.entries(world._relationRows()).filter(([name]) => pick(name)).sort((x, y) => (x[0] < y[0] ? -1 : 1));
+}
+
+/** @private */
+function _resourceRows(world, pick) {
+  const out = [];
+  for (const [rkey, rec] of world._resources || []) {
+    const name = world._resourceDefs.get(rkey)?.name;
+    if (name && pick(name)) out.push([name, rec]);
+  }
+  return out.sort((x, y) => (x[0] < y[0] ? -1 : x[0] > y[0] ? 1 : 0));
+}
+
+/** @private */
+function _sortedUnion(a, b) {
+  const ids = new Set(a instanceof Map ? a.keys() : a);
+  for (const id of (b instanceof Map ? b.keys() : b)) ids.add(id);
+  return Array.from(ids).sort((x, y) => x - y);
+}
+
+/** Canonical equality: same digest contribution. @private */
+function _equal(x, y) {
+  const hx = new Hasher(), hy = new Hasher();
+  hx.value(x); hy.value(y);
+  return hx.digest32() === hy.digest32() && hx.digest32b() === hy.digest32b();
+}
+
+/** First differing field path between two records (plain data). @private */
+function _fieldDiff(x, y, path) {
+  if (_equal(x, y)) return null;
+  const bothObjects = x && y && typeof x === 'object' && typeof y === 'object'
+    && Array.isArray(x) === Array.isArray(y) && !ArrayBuffer.isView(x) && !ArrayBuffer.isView(y);
+  if (!bothObjects) return { field: path, a: x, b: y };
+  const keys = Array.from(new Set([...Object.keys(x), ...Object.keys(y)]));
+  if (!Array.isArray(x)) keys.sort();
+  else keys.sort((p, q) => p - q);
+  for (const k of keys) {
+    const d = _fieldDiff(x[k], y[k], path ? `${path}.${k}` : k);
+    if (d) return d;
+  }
+  return { field: path, a: x, b: y };
+}
@@ -1,5 +1,5 @@
 // deno-lint-ignore-file no-explicit-any ban-types -- JS-first API surface keeps permissive d.ts for ergonomics
-export type StoreMode = 'map' | 'soa';
+export type StoreMode = 'map' | 'soa' | 'table';
 
 export type FrameRequestCallback = (timestamp: number) => void;
 
@@ -8,31 +8,141 @@ export interface WorldOptions {
   store?: StoreMode;
   strict?: boolean;
   debug?: boolean;
+  systems?: SystemRegistry;
   onTick?: (duration: number, world: World) => void;
 }
 
+export type FieldType = 'f32' | 'f64' | 'i32' | 'u8' | 'bool' | 'entity';
+export const FIELD_TYPES: readonly FieldType[];
+export type RefPolicy = 'nullify' | 'cascadeDestroy' | 'removeComponent' | 'error';
+export const REF_POLICIES: readonly RefPolicy[];
+
 export interface Component<T = any> {
   key: symbol;
   name: string;
   defaults: Readonly<T>;
-  validate?(value: T): boolean;
+  validate?(value: T): ValidatorResult;
+  types?: Readonly<Partial<Record<keyof T & string, FieldType>>>;
+  refs?: Readonly<Partial<Record<keyof T & string, RefPolicy>>>;
+  schema?: Readonly<ComponentSchema>;
+  version?: number;
+  migrate?: ComponentMigration;
+  aliases?: readonly string[];
   isTag?: boolean;
 }
 
+export type ComponentMigration = (fromVersion: number, record: any) => any;
+
+export interface ValidationIssue {
+  path: string;
+  expected?: any;
+  actual?: any;
+  message: string;
+}
+
+export type ValidatorResult = boolean | string | Partial<ValidationIssue> | (string | Partial<ValidationIssue>)[] | null | undefined | void;
+
+export type SchemaType = 'number' | 'integer' | 'string' | 'boolean' | 'entity' | 'array' | 'object' | 'any';
+export const SCHEMA_TYPES: readonly SchemaType[];
+
+export interface FieldSpec {
+  type?: SchemaType;
+  optional?: boolean;
+  nullable?: boolean;
+  min?: number;
+  max?: number;
+  enum?: readonly any[];
+  items?: FieldSpec | string;
+  fields?: Record<string, FieldSpec | string>;
+}
+
+export type ComponentSchema = Record<string, FieldSpec | string>;
+
+export function normalizeSchema(where: string, schema: ComponentSchema): Readonly<Record<string, FieldSpec>>;
+export function checkSchema(schema: Readonly<Record<string, FieldSpec>>, record: any): ValidationIssue[];
+export function toJSONSchema(component: Component<any> | Relation<any>): Record<string, any>;
+export function snapshotJSONSchema(components: Map<string, Component<any> | Relation<any>> | (Component<any> | Relation<any>)[], options?: { title?: string }): Record<string, any>;
+export function toTypeDeclarations(components: Map<string, Component<any> | Relation<any>> | (Component<any> | Relation<any>)[], options?: { header?: string }): string;
+
+export interface SoAColumns {
+  count: number;
+  entities: Int32Array;
+  fields: Record<string, ArrayLike<any>>;
+  indexOf(id: number): number;
+}
+
 export type ComponentTerm<T extends Component<any> = Component<any>> =
   | T
+  | RelationTerm
   | ReturnType<typeof Not>
-  | ReturnType<typeof Changed>;
+  | ReturnType<typeof Changed>
+  | ReturnType<typeof Added>
+  | ReturnType<typeof Removed>;
+
+export interface Relation<T = any> {
+  key: symbol;
+  name: string;
+  isRelation: true;
+  exclusive: boolean;
+  symmetric: boolean;
+  defaults: Readonly<T>;
+  validate?(value: T): ValidatorResult;
+  schema?: Readonly<ComponentSchema>;
+  version?: number;
+  migrate?: ComponentMigration;
+  aliases?: readonly string[];
+}
+
+export interface RelationTerm {
+  kind: symbol;
+  Relation: Relation<any>;
+  target: number | typeof Any;
+}
+
+export function defineRelation<T extends Record<string, any> = Record<string, never>>(name: string, options?: {
+  exclusive?: boolean;
+  symmetric?: boolean;
+  defaults?: T;
+  validate?(value: T): ValidatorResult;
+  schema?: ComponentSchema;
+  version?: number;
+  migrate?: ComponentMigration;
+  aliases?: string[];
+}): Relation<T>;
+export const Any: unique symbol;
+export function Rel(relation: Relation<any>, target: number | typeof Any): RelationTerm;
 
 export function defineComponent<T extends Record<string, any>>(name: string, defaults: T, options?: {
-  validate?(value: T): boolean;
+  validate?(value: T): ValidatorResult;
+  types?: Partial<Record<keyof T & string, FieldType>>;
+  refs?: Partial<Record<keyof T & string, RefPolicy>>;
+  schema?: ComponentSchema;
+  version?: number;
+  migrate?: ComponentMigration;
+  aliases?: string[];
 }): Component<T>;
 
+export function validateRecord(component: Component<any> | Relation<any>, record: any): ValidationIssue[];
+export function setWorldHasher(fn: ((world: World, options?: HashOptions) => string) | null): void;
+export function migrateRecord(component: Component<any> | Relation<any>, fromVersion: number | undefined, record: any): any;
+
+export const ENTITY_INDEX_BITS: number;
+export const ENTITY_GENERATION_BITS: number;
+export function entityIndex(id: number): number;
+export function entityGeneration(id: number): number;
+export function makeEntityId(index: number, generation: number): number;
+
 export function defineTag(name: string): Component<Record<string, never>> & { isTag: true };
 
 export interface ComponentBuilder<T extends Record<string, any>> {
   defaults(values: Partial<T>): this;
-  validate(fn: (value: T) => boolean): this;
+  validate(fn: (value: T) => ValidatorResult): this;
+  schema(map: ComponentSchema): this;
+  types(map: Partial<Record<keyof T & string, FieldType>>): this;
+  refs(map: Partial<Record<keyof T & string, RefPolicy>>): this;
+  version(version: number, migrate?: ComponentMigration): this;
+  migrate(fn: ComponentMigration): this;
+  aliases(...names: (string | string[])[]): this;
   taggable(): Component<T> & { isTag: true };
   tag(): Component<Record<string, never>> & { isTag: true };
   build(): Component<T>;
@@ -56,11 +166,22 @@ export interface QueryHandle<T = any> {
 }
 
 export interface StrictContext {
+  kind: 'structural' | 'validation';
   op: string;
   args: any[];
   world: World;
   error: Error;
   defer(): void;
+  issues?: ValidationIssue[];
+  entity?: number | null;
+  component?: Component<any>;
+}
+
+export interface ValidationReport {
+  entity?: number;
+  component?: string;
+  resource?: string;
+  issues: ValidationIssue[];
 }
 
 export type StrictHandler = (context: StrictContext) => 'ignore' | 'defer' | void;
@@ -73,6 +194,9 @@ export interface WorldDebug {
   enable(on?: boolean): this;
   inspect(entity: number): { id: number; alive: boolean; components: Record<string, any>; removed: string[] };
   forget(entity: number): this;
+  inspectResources(): { resources: Record<string, any>; removed: string[] };
+  queryCaches(): { entries: number; builds: number; updates: number };
+  history: History | null;
 }
 
 export class World {
@@ -81,16 +205,24 @@ export class World {
 
   debug: WorldDebug;
   scheduler: ((world: World, dt: number) => void) | null;
+  systems: SystemRegistry;
   seed: number;
-  rand: () => number;
+  rand: (() => number) & { getState?(): number; setState?(state: number): void };
+  rng(name: string): Rng;
   strict: boolean;
   time: number;
   step: number;
 
   setScheduler(fn: (world: World, dt: number) => void): this;
-  system(fn: (world: World, dt: number) => void, phase?: string, opts?: { before?: Function[]; after?: Function[] }): this;
+  system(fn: (world: World, dt: number) => void, phase?: string, opts?: { before?: Function[]; after?: Function[]; since?: ChangeWindow; transactional?: boolean }): this;
   tick(dt: number): void;
 
+  calendar: EventCalendar;
+  schedule(when: number | { at?: number; delay?: number }, event: string, payload?: any, opts?: { entity?: number }): EventHandle;
+  cancelEvent(handleOrId: EventHandle | number): boolean;
+  nextEventTime(): number | null;
+  advanceToNextEvent(): number | null;
+
   create(): number;
   destroy(id: number): boolean | null;
   destroyImmediate(id: number): boolean;
@@ -106,15 +238,48 @@ export class World {
   remove(id: number, component: Component<any>): boolean | null;
   removeImmediate(id: number, component: Component<any>): boolean;
 
+  setResource<T>(resource: Component<T>, values?: Partial<T>): T;
+  resource<T>(resource: Component<T>): T | null;
+  hasResource(resource: Component<any>): boolean;
+  mutateResource<T>(resource: Component<T>, fn: (value: T) => void): T;
+  removeResource(resource: Component<any>): boolean;
+  resourceChanged(resource: Component<any>): boolean;
+
+  relate<T>(a: number, relation: Relation<T>, b: number, data?: Partial<T>): T;
+  unrelate(a: number, relation: Relation<any>, b: number): boolean | null;
+  hasRelation(a: number, relation: Relation<any>, b: number | typeof Any): boolean;
+  getRelation<T>(a: number, relation: Relation<T>, b: number): T | null;
+  targets(a: number, relation: Relation<any>): number[];
+  sources(b: number, relation: Relation<any>): number[];
+
+  columns(component: Component<any>): SoAColumns;
+  column(component: Component<any>, field: string): ArrayLike<any>;
+
   query<T extends any[]>(...terms: [...ComponentTerm[], object?]): QueryResult<T>;
   defineQuery<T extends any[]>(...terms: [...ComponentTerm[], object?]): QueryHandle<T>;
 
+  observe<T>(component: Component<T> | RelationTerm, hooks: {
+    onAdd?(id: number, record: T, world: World): void;
+    onSet?(id: number, record: T, world: World): void;
+    onRemove?(id: number, last: T, world: World): void;
+  }): EventDisposer;
+  observeQuery(...args: [...ComponentTerm[], {
+    onEnter?(id: number, world: World): void;
+    onExit?(id: number, world: World): void;
+    existing?: boolean;
+  }]): EventDisposer;
+
+  transaction<T>(fn: (world: World) => T): T;
+  batch<T>(fn: (world: World) => T): T;
+
   command(op: any): this;
   pendingOps(): any[];
 
   onStrictError(handler: StrictHandler): this;
+  validateAll(): ValidationReport[];
 
   markChanged(id: number, component: Component<any>): void;
+  hash(options?: HashOptions): string;
   changed(id: number, component: Component<any>): boolean;
 
   enableDebug(on?: boolean): this;
@@ -135,22 +300,26 @@ export class WorldBuilder {
   constructor(options?: WorldOptions);
   useSoA(): this;
   useMap(): this;
+  useTables(): this;
   withSeed(seed: number): this;
+  withSystems(registry: SystemRegistry): this;
   enableStrict(on?: boolean): this;
   enableDebug(on?: boolean): this;
   withOptions(options: WorldOptions): this;
   withScheduler(...steps: (string | ((world: World, dt: number) => void))[]): this;
   withSchedulerFn(fn: (world: World, dt: number) => void): this;
   withPhases(...phases: string[]): this;
-  system(fn: (world: World, dt: number) => void, phase?: string, opts?: { before?: Function[]; after?: Function[] }): this;
+  system(fn: (world: World, dt: number) => void, phase?: string, opts?: { before?: Function[]; after?: Function[]; since?: ChangeWindow; transactional?: boolean }): this;
   install(installer: (world: World) => void): this;
   onStrictError(handler: StrictHandler): this;
   useScripts(options?: { phase?: string; autoPhase?: boolean }): this;
   build(): World;
 }
 
-export const Not: <T extends Component<any>>(component: T) => { kind: symbol; Comp: T };
-export const Changed: <T extends Component<any>>(component: T) => { kind: symbol; Comp: T };
+export const Not: <T extends Component<any> | RelationTerm>(component: T) => { kind: symbol; Comp: T };
+export const Changed: <T extends Component<any> | RelationTerm>(component: T) => { kind: symbol; Comp: T };
+export const Added: <T extends Component<any> | RelationTerm>(component: T) => { kind: symbol; Comp: T };
+export const Removed: <T extends Component<any> | RelationTerm>(component: T) => { kind: symbol; Comp: T };
 
 export function composeScheduler(...steps: (string | ((world: World, dt: number) => void))[]): (world: World, dt: number) => void;
 
@@ -188,9 +357,71 @@ export interface ArchetypeBuilder {
 
 export function Archetype(name: string): ArchetypeBuilder;
 
+export type SystemFn = (world: World, dt: number) => void;
+
+export type ChangeWindow = 'tick' | 'lastRun';
+
+export interface SystemRecord {
+  system: SystemFn;
+  before: Set<Function>;
+  after: Set<Function>;
+  since: ChangeWindow;
+  transactional: boolean;
+}
+
+export class SystemRegistry {
+  constructor(options?: { parent?: SystemRegistry | null });
+  parent: SystemRegistry | null;
+  register(system: SystemFn, phase: string, opts?: { before?: SystemFn[]; after?: SystemFn[]; since?: ChangeWindow; transactional?: boolean }): SystemRecord;
+  setOrder(phase: string, systems: SystemFn[]): void;
+  records(phase: string): SystemRecord[];
+  ordered(phase: string): SystemFn[];
+  run(phase: string, world: World, dt: number): void;
+  list(phase: string): SystemFn[];
+  phases(): string[];
+  clearPhase(phase: string): this;
+  clear(): this;
+  phase(name: string): SystemsPhaseBuilder;
+  visualizeGraph(options?: { phase?: string | string[]; phases?: string[] }): string;
+}
+
+export interface ScheduledEvent {
+  id: number;
+  time: number;
+  event: string;
+  payload: any;
+  entity: number | null;
+}
+
+export interface EventHandle {
+  readonly id: number;
+  readonly time: number;
+  readonly event: string;
+  readonly entity: number | null;
+  cancel(): boolean;
+}
+
+export class EventCalendar {
+  constructor();
+  readonly size: number;
+  current: ScheduledEvent | null;
+  add(time: number, event: string, payload?: any, entity?: number | null): EventHandle;
+  cancel(handleOrId: EventHandle | number): boolean;
+  peekTime(): number | null;
+  popDue(time: number): ScheduledEvent | null;
+  pending(): ScheduledEvent[];
+  clear(): void;
+  restore(data: { nextId?: number; events?: ScheduledEvent[] } | null | undefined, mapEntity?: ((entity: number) => number | null) | null): void;
+}
+
+export const defaultRegistry: SystemRegistry;
+export function createSystemRegistry(options?: { parent?: SystemRegistry | null }): SystemRegistry;
+
 export function registerSystem(system: (world: World, dt: number) => void, phase: string, opts?: {
   before?: ((world: World, dt: number) => void)[];
   after?: ((world: World, dt: number) => void)[];
+  since?: ChangeWindow;
+  transactional?: boolean;
 }): { system: (world: World, dt: number) => void; before: Set<Function>; after: Set<Function> };
 
 export function getOrderedSystems(phase: string): ((world: World, dt: number) => void)[];
@@ -203,23 +434,25 @@ export function visualizeGraph(options?: { phase?: string }): string;
 export interface SystemsStepConfig {
   before(...systems: ((world: World, dt: number) => void)[]): SystemsStepConfig;
   after(...systems: ((world: World, dt: number) => void)[]): SystemsStepConfig;
-  add(system: (world: World, dt: number) => void, opts?: { before?: Function[]; after?: Function[] }): SystemsStepConfig;
+  since(mode: ChangeWindow): SystemsStepConfig;
+  transactional(on?: boolean): SystemsStepConfig;
+  add(system: (world: World, dt: number) => void, opts?: { before?: Function[]; after?: Function[]; since?: ChangeWindow; transactional?: boolean }): SystemsStepConfig;
   list(): ((world: World, dt: number) => void)[];
   clear(): SystemsPhaseBuilder;
   order(...systems: ((world: World, dt: number) => void)[]): SystemsPhaseBuilder;
 }
 
 export interface SystemsPhaseBuilder {
-  add(system: (world: World, dt: number) => void, opts?: { before?: Function[]; after?: Function[] }): SystemsStepConfig;
+  add(system: (world: World, dt: number) => void, opts?: { before?: Function[]; after?: Function[]; since?: ChangeWindow; transactional?: boolean }): SystemsStepConfig;
   clear(): SystemsPhaseBuilder;
   list(): ((world: World, dt: number) => void)[];
   order(...systems: ((world: World, dt: number) => void)[]): SystemsPhaseBuilder;
 }
 
 export const Systems: {
-  phase(name: string): SystemsPhaseBuilder;
+  phase(name: string, registry?: SystemRegistry): SystemsPhaseBuilder;
   clear(): typeof Systems;
-  list(name: string): ((world: World, dt: number) => void)[];
+  list(name: string, registry?: SystemRegistry): ((world: World, dt: number) => void)[];
   visualizeGraph(options?: { phase?: string }): string;
 };
 
@@ -266,10 +499,253 @@ export interface TreeFacade {
 
 export function Tree(world: World): TreeFacade;
 
+export interface HistoryStep {
+  label: string;
+  ops: number;
+}
+
+export interface History {
+  begin(label?: string): void;
+  commit(): boolean;
+  cancel(): void;
+  record<T>(label: string, fn: (world: World) => T): T;
+  undo(): string | null;
+  redo(): string | null;
+  canUndo(): boolean;
+  canRedo(): boolean;
+  steps(): { undo: HistoryStep[]; redo: HistoryStep[]; open: string | null };
+  clear(): void;
+}
+
+export function createHistory(world: World, options?: { depth?: number }): History;
+
+export interface SnapshotDelta {
+  v: 1;
+  delta: true;
+  from?: number;
+  to?: number;
+  meta: Record<string, any>;
+  created: number[];
+  destroyed: number[];
+  comps: Record<string, { added?: [number, any][]; removed?: number[]; changed?: [number, Record<string, any>][] }>;
+  relations?: Record<string, { added?: [number, number, any][]; removed?: [number, number][] }>;
+  resources?: { set?: Record<string, any>; removed?: string[] };
+  calendar?: any;
+  entities?: { length: number; gens: [number, number][]; free: number[] };
+}
+
+export function diffSnapshots(a: any, b: any): SnapshotDelta;
+export interface DeltaBaseline {
+  step: number;
+  snapshot: any;
+}
+export function serializeDelta(world: World, baseline?: DeltaBaseline | any, options?: Record<string, any>): { delta: SnapshotDelta; baseline: DeltaBaseline };
+export function applyDelta(world: World, delta: SnapshotDelta, registry: any, options?: { skipUnknown?: boolean }): World;
+
+export type SnapshotChunk =
+  | { kind: 'header'; v: 1; meta: Record<string, any>; entities?: { gens: number[]; free: number[] }; comps: string[]; relations: string[]; resources: string[] }
+  | { kind: 'alive'; ids: number[] }
+  | { kind: 'resources'; resources: Record<string, any>; versions?: Record<string, number> }
+  | { kind: 'calendar'; calendar: any }
+  | { kind: 'comp'; name: string; version?: number; rows: [number, any][] }
+  | { kind: 'relation'; name: string; version?: number; rows: [number, number, any][] }
+  | { kind: 'end'; entities: number; rows: number };
+
+type ChunkSource<T> = AsyncIterable<T> | Iterable<T>;
+
+export function serializeWorldStream(world: World, options?: Record<string, any> & { chunkSize?: number }): AsyncGenerator<SnapshotChunk>;
+export function collectSnapshot(chunks: ChunkSource<SnapshotChunk>): Promise<any>;
+export function applySnapshotStream(world: World, chunks: ChunkSource<SnapshotChunk>, registry: any, options?: { mode?: 'replace' | 'append'; skipUnknown?: boolean; remapId?: (oldId: number) => number }): Promise<World>;
+export function deserializeWorldStream(chunks: ChunkSource<SnapshotChunk>, registry: any, options?: { World?: new (opts: any) => World; seed?: number; store?: string; skipUnknown?: boolean }): Promise<World>;
+export function snapshotToNDJSON(chunks: ChunkSource<SnapshotChunk>): AsyncGenerator<string>;
+export function parseNDJSON(source: ChunkSource<string | Uint8Array>): AsyncGenerator<SnapshotChunk>;
+
+export const BINARY_SNAPSHOT_VERSION: number;
+export function encodeSnapshot(snapshot: any): Uint8Array;
+export function decodeSnapshot(bytes: Uint8Array | ArrayBuffer): any;
+export function serializeWorldBinary(world: World, options?: Record<string, any>): Uint8Array;
+
+export interface RngState {
+  state: number | number[];
+  spare: number | null;
+}
+
+export type RngAlgorithm = 'mulberry32' | 'xoshiro128ss' | 'pcg32';
+
+export interface Rng {
+  seed: number;
+  algorithm: RngAlgorithm;
+  next: () => number;
+  float(a?: number, b?: number): number;
+  int(a: number, b: number): number;
+  choice<T>(arr: readonly T[]): T | undefined;
+  shuffle<T>(arr: readonly T[]): T[];
+  shuffleInPlace<T>(arr: T[]): T[];
+  normal(mean?: number, std?: number): number;
+  exponential(rate?: number): number;
+  poisson(lambda: number): number;
+  binomial(n: number, p: number): number;
+  gamma(shape: number, scale?: number): number;
+  beta(a: number, b: number): number;
+  logNormal(mu?: number, sigma?: number): number;
+  weightedChoice<T>(items: readonly T[], weights: readonly number[]): T | undefined;
+  sample<T>(arr: readonly T[], k: number): T[];
+  getState(): RngState;
+  setState(state: RngState | number | number[]): void;
+  jump?(): void;
+  split?(): Rng;
+}
+
+export type RandomSource = () => number;
+
+export interface StatefulGenerator<S> extends RandomSource {
+  getState(): S;
+  setState(state: S): void;
+}
+
+export interface SplittableGenerator<S> extends StatefulGenerator<S> {
+  jump(): void;
+  split(): SplittableGenerator<S>;
+}
+
+export function mulberry32(seed: number): StatefulGenerator<number>;
+export function xoshiro128ss(seed: number | number[]): SplittableGenerator<number[]>;
+export function pcg32(seed: number | bigint, stream?: number | bigint): SplittableGenerator<number[]> & { advance(delta: number | bigint): void };
+export function createRng(seed: number, options?: { algorithm?: RngAlgorithm }): Rng;
+export function seedFromString(str: string): number;
+
+export function rngExponential(rng: RandomSource, rate?: number): number;
+export function rngPoisson(rng: RandomSource, lambda: number): number;
+export function rngBinomial(rng: RandomSource, n: number, p: number): number;
+export function rngGamma(rng: RandomSource, shape: number, scale?: number): number;
+export function rngBeta(rng: RandomSource, a: number, b: number): number;
+export function rngLogNormal(rng: RandomSource, mu?: number, sigma?: number): number;
+export function createAliasSampler(weights: readonly number[]): (rng: RandomSource) => number;
+export function rngWeightedChoice<T>(rng: RandomSource, items: readonly T[], weights: readonly number[]): T | undefined;
+export function rngSample<T>(rng: RandomSource, arr: readonly T[], k: number): T[];
+
+export interface HashOptions {
+  include?: string[] | Set<string> | string;
+  exclude?: string[] | Set<string> | string;
+  bits?: 32 | 64;
+}
+
+export type DivergenceKind = 'time' | 'step' | 'rng' | 'alive' | 'entities' | 'component' | 'relation' | 'resource' | 'calendar';
+
+export interface WorldDiff {
+  kind: DivergenceKind;
+  entity?: number;
+  component?: string;
+  field?: string;
+  a: any;
+  b: any;
+}
+
+export interface Divergence extends WorldDiff {
+  tick: number;
+  step: number;
+  hashA: string;
+  hashB: string;
+}
+
+export function hashWorld(world: World, options?: HashOptions): string;
+export function diffWorlds(a: World, b: World, options?: HashOptions): WorldDiff | null;
+
+export interface DeterminismCheckerOptions extends HashOptions {
+  create?: () => World;
+  snapshot?: any;
+  registry?: any;
+  seed?: number;
+  World?: typeof World;
+  setup?: (world: World, index: 0 | 1) => void;
+}
+
+export class DeterminismChecker {
+  constructor(options?: DeterminismCheckerOptions);
+  readonly a: World;
+  readonly b: World;
+  hashOptions: HashOptions;
+  ticks: number;
+  divergence: Divergence | null;
+  check(): Divergence | null;
+  step(dt?: number): Divergence | null;
+  run(ticks: number, dt?: number): Divergence | null;
+}
+
+export interface Keyframe {
+  at: number;
+  step: number;
+  time: number;
+  nextEventId: number;
+  hash: string;
+  snapshot: any;
+  changes?: Record<string, any>;
+}
+
+export type ReplayEntry =
+  | { type: 'tick'; dt: number; time: number }
+  | { type: 'event'; event: string; payload: any }
+  | { type: 'command'; name: string; payload: any };
+
+export interface Recording {
+  v: 1;
+  seed: number;
+  keyframes: Keyframe[];
+  log: ReplayEntry[];
+}
+
+export type ReplayCommands = Record<string, (world: World, payload: any) => any>;
+
+export class Recorder {
+  constructor(world: World, options?: { keyframeEvery?: number; commands?: ReplayCommands });
+  readonly world: World;
+  keyframeEvery: number;
+  commands: ReplayCommands;
+  recording: Recording | null;
+  readonly active: boolean;
+  start(): this;
+  stop(): Recording;
+  keyframe(): boolean;
+  command(name: string, payload?: any): any;
+}
+
+export class Replayer {
+  constructor(recording: Recording, options: {
+    registry: any;
+    setup?: (world: World) => void;
+    World?: typeof World;
+    commands?: ReplayCommands;
+    verify?: boolean;
+  });
+  readonly world: World;
+  readonly recording: Recording;
+  commands: ReplayCommands;
+  verify: boolean;
+  paused: boolean;
+  cursor: number;
+  readonly lastStep: number;
+  readonly step: number;
+  readonly firstStep: number;
+  readonly done: boolean;
+  stepForward(): boolean;
+  play(ticks?: number): number;
+  pause(): void;
+  seek(step: number): this;
+}
+
 export const PHASE_SCRIPTS: string;
 export const ScriptRef: Component<{ id: string; args: any }>;
 export const ScriptMeta: Component<{ lastError: string; invoked: number; version: number }>;
 
+export interface ScriptContext {
+  rand: World['rand'];
+  rng(name?: string): ReturnType<World['rng']>;
+  emit(event: string, payload?: any): void;
+  resource<T>(resource: Component<T>): T | null;
+}
+
+export function scriptContext(world: World, entity: number): ScriptContext;
+
 export interface ScriptsAPI {
   register(id: string, factory: (world: World, entity: number, args: any) => Record<string, Function>): void;
   clear(): void;
@@ -0,0 +1,178 @@
+// ecs/history.js
+// Undo/redo for world edits, built on the world's mutation journal.
+/**
+ * @module ecs/history
+ * Named, bounded undo/redo steps for interactive editing. While a step is open the world journals
+ * the inverse of every add/set/mutate/remove/create/destroy (and therefore hierarchy attach/detach,
+ * relations and resources) exactly like {@link module:ecs/core~World#transaction} does. Undoing a
+ * step replays those inverses in reverse order, which journals the redo at the same time.
+ *
+ * Usage:
+ *   const history = createHistory(world, { depth: 50 });
+ *   history.begin('drag');
+ *   world.set(id, Position, { x: 10 });
+ *   history.commit();
+ *   history.undo();   // → 'drag'
+ *   history.redo();   // → 'drag'
+ */
+
+/**
+ * @typedef {import('./core.js').World} World
+ */
+
+/**
+ * @typedef {object} HistoryStep
+ * @property {string} label
+ * @property {number} ops - Number of journaled operations in the step.
+ */
+
+/**
+ * @typedef {object} History
+ * @property {(label?: string) => void} begin
+ * @property {() => boolean} commit
+ * @property {() => void} cancel
+ * @property {<T>(label: string, fn: (world: World) => T) => T} record
+ * @property {() => string|null} undo
+ * @property {() => string|null} redo
+ * @property {() => boolean} canUndo
+ * @property {() => boolean} canRedo
+ * @property {() => { undo: HistoryStep[], redo: HistoryStep[], open: string|null }} steps
+ * @property {() => void} clear
+ */
+
+/**
+ * Create an undo/redo history bound to a world. The history is also exposed as `world.debug.history`.
+ * @param {World} world
+ * @param {{ depth?: number }} [opts] - `depth`: committed steps kept for undo (oldest dropped first; default 100).
+ * @returns {History}
+ */
+export function createHistory(world, opts = {}) {
+  const depth = opts.depth ?? 100;
+  if (!Number.isInteger(depth) || depth <= 0) throw new Error('createHistory: depth must be a positive integer');
+  const done = [];   // committed steps, oldest first: { label, entries }
+  const undone = []; // undone steps, most recently undone last
+  let open = null;   // { label, entries } while recording
+  let edits = world._edits; // world._edits after our last step; anything beyond was edited outside the history
+
+  /** Start recording a named step. Steps do not nest and cannot start inside a transaction or tick. */
+  function begin(label = 'edit') {
+    if (open) throw new Error(`history.begin: step '${open.label}' is still open`);
+    _dropStaleRedo();
+    if (world._inTick) throw new Error('history.begin: cannot be called during tick');
+    if (world._journal) throw new Error('history.begin: a transaction is open');
+    open = { label: String(label), entries: [] };
+    world._journal = open.entries;
+  }
+
+  /** Close the open step. Empty steps are dropped. Committing clears the redo stack.
+   * @returns {boolean} true if a step was recorded
+   */
+  function commit() {
+    if (!open) throw new Error('history.commit: no open step');
+    const step = _close();
+    if (!step.entries.length) return false;
+    done.push(step);
+    if (done.length > depth) done.splice(0, done.length - depth);
+    undone.length = 0;
+    edits = world._edits;
+    return true;
+  }
+
+  /** Close the open step and roll its changes back. */
+  function cancel() {
+    if (!open) throw new Error('history.cancel: no open step');
+    const step = _close();
+    world._rollback(step.entries, 0);
+    edits = world._edits;
+  }
+
+  /** Run `fn` as one step: committed on return, canceled (and rethrown) on throw. */
+  function record(label, fn) {
+    begin(label);
+    let out;
+    try { out = fn(world); } catch (e) { cancel(); throw e; }
+    commit();
+    return out;
+  }
+
+  /** Undo the latest committed step. @returns {string|null} its label, or null if there was none */
+  function undo() {
+    _assertIdle('undo');
+    const step = done.pop();
+    if (!step) return null;
+    undone.push({ label: step.label, entries: _replay(step, 'undo') });
+    return step.label;
+  }
+
+  /** Redo the latest undone step. @returns {string|null} its label, or null if there was none */
+  function redo() {
+    _assertIdle('redo');
+    const step = undone.pop();
+    if (!step) return null;
+    done.push({ label: step.label, entries: _replay(step, 'redo') });
+    return step.label;
+  }
+
+  function canUndo() { return done.length > 0; }
+  function canRedo() { _dropStaleRedo(); return undone.length > 0; }
+
+  /** Labels and sizes of the undo stack (oldest first) and redo stack (next redo first). */
+  function steps() {
+    _dropStaleRedo();
+    const view = ({ label, entries }) => ({ label, ops: entries.length });
+    return { undo: done.map(view), redo: undone.map(view).reverse(), open: open ? open.label : null };
+  }
+
+  /** Forget every step (e.g. after loading a snapshot). An open step is canceled. */
+  function clear() {
+    if (open) cancel();
+    done.length = 0;
+    undone.length = 0;
+    edits = world._edits;
+  }
+
+  function _close() {
+    const step = open;
+    open = null;
+    if (world._journal === step.entries) world._journal = null;
+    return step;
+  }
+
+  function _assertIdle(op) {
+    if (open) throw new Error(`history.${op}: commit or cancel step '${open.label}' first`);
+    if (world._inTick) throw new Error(`history.${op}: cannot be called during tick`);
+    if (world._journal) throw new Error(`history.${op}: a transaction is open`);
+    _dropStaleRedo();
+  }
+
+  // Any edit made outside a step (including ticks) is a new branch: redoing over it could clobber
+  // it or claim back entity slots it reused.
+  function _dropStaleRedo() {
+    if (world._edits !== edits) undone.length = 0;
+  }
+
+  // Run inverse operations newest first while journaling their own inverses (the opposite step).
+  // A step that no longer applies (say its entity's slot was reused since) is rolled back whole and
+  // the history is dropped, since the remaining steps were recorded against the same state.
+  function _replay(step, op) {
+    const { entries } = step;
+    const journal = [];
+    const prev = world._journal;
+    world._journal = journal;
+    try {
+      for (let i = entries.length - 1; i >= 0; i--) entries[i]();
+    } catch (e) {
+      world._rollback(journal, 0);
+      done.length = 0;
+      undone.length = 0;
+      edits = world._edits;
+      throw new Error(`history.${op}: step '${step.label}' no longer applies (${e?.message ?? e}); history cleared`);
+    } finally { world._journal = prev; }
+    edits = world._edits;
+    return journal;
+  }
+
+  const history = { begin, commit, cancel, record, undo, redo, canUndo, canRedo, steps, clear };
+  if (world.debug) world.debug.history = history;
+  return history;
+}
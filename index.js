@@ -2,9 +2,15 @@
 // Convenience barrel exports for the library
 
 export * from './core.js';
+export * from './schema.js';
 export * from './systems.js';
+export * from './calendar.js';
 export * from './hierarchy.js';
 export * from './serialization.js';
+export * from './binarySnapshot.js';
+export * from './history.js';
+export * from './determinism.js';
+export * from './replay.js';
 export * from './crossWorld.js';
 export * from './archetype.js';
 export * from './rng.js';
@@ -0,0 +1,291 @@
+// ecs/replay.js
+// Record a session's inputs and re-run it tick for tick.
+/**
+ * @module ecs/replay
+ * A `Recorder` captures everything that drives a world from the outside: the starting snapshot
+ * and seed, every tick (`tick(dt)` and `advanceToNextEvent()`), events emitted between ticks and
+ * named commands. Systems, listeners and scheduled events are re-run, not recorded, so a
+ * deterministic simulation reproduces itself exactly. Periodic keyframes (snapshot, which carries the RNG
+ * position, plus hash) let a `Replayer` seek without re-running the whole session and detect desyncs on the way.
+ *
+ * Usage:
+ *   const recorder = new Recorder(world, { keyframeEvery: 100, commands: { spawn } }).start();
+ *   world.emit('order', { side: 'buy' });        // recorded (outside a tick)
+ *   recorder.command('spawn', { kind: 'agent' }); // runs spawn(world, payload) and records it
+ *   world.tick(1);
+ *   const recording = recorder.stop();            // plain JSON-compatible data
+ *
+ *   const replay = new Replayer(recording, { registry, commands: { spawn }, setup: installGame });
+ *   replay.seek(250);        // nearest keyframe, then fast-forward
+ *   replay.stepForward();    // single step
+ *   replay.play();           // until the end or replay.pause()
+ */
+
+import { World } from './core.js';
+import { serializeWorld } from './serialization.js';
+import './determinism.js'; // installs world.hash(), used for keyframes
+
+/**
+ * @typedef {import('./serialization.js').Snapshot} Snapshot
+ * @typedef {import('./serialization.js').Registry} Registry
+ */
+
+/**
+ * @typedef {object} Keyframe
+ * @property {number} at - Log position the keyframe precedes.
+ * @property {number} step - `world.step` at capture.
+ * @property {number} time - `world.time` at capture.
+ * @property {number} nextEventId - Calendar sequence number (snapshots omit it when nothing is pending).
+ * @property {string} hash - `world.hash()` at capture.
+ * @property {Snapshot} snapshot
+ * @property {object} [changes] - Change-window state (stamps, removal log, systems' last runs), so
+ *   `Changed`/`Added`/`Removed` terms see after a seek exactly what they saw while recording.
+ */
+
+/**
+ * @typedef {{ type: 'tick', dt: number, time: number }
+ *   | { type: 'event', event: string, payload: any }
+ *   | { type: 'command', name: string, payload: any }} ReplayEntry
+ */
+
+/**
+ * @typedef {object} Recording
+ * @property {1} v
+ * @property {number} seed
+ * @property {Keyframe[]} keyframes - Ordered by `at`; the first one is the starting state.
+ * @property {ReplayEntry[]} log
+ */
+
+/** Copy recorded payloads so later mutation by the caller cannot rewrite history. @private */
+function _clone(x) {
+  if (!x || typeof x !== 'object' || typeof structuredClone !== 'function') return x;
+  try { return structuredClone(x); } catch { return x; }
+}
+
+/** @private */
+function _keyframe(world, at) {
+  return {
+    at,
+    step: world.step,
+    time: world.time,
+    nextEventId: world.calendar._nextId,
+    hash: world.hash(),
+    snapshot: serializeWorld(world),
+    changes: world._saveChangeState()
+  };
+}
+
+/** Records ticks, external events and commands applied to one world. */
+export class Recorder {
+  /**
+   * @param {World} world
+   * @param {{ keyframeEvery?: number, commands?: Record<string, (world: World, payload: any) => any> }} [opts]
+   *   `keyframeEvery`: ticks between automatic keyframes (0 = only the starting one).
+   */
+  constructor(world, opts = {}) {
+    const every = opts.keyframeEvery ?? 0;
+    if (!Number.isInteger(every) || every < 0) throw new Error('Recorder: keyframeEvery must be a non-negative integer');
+    this.world = world;
+    this.keyframeEvery = every;
+    this.commands = opts.commands || {};
+    /** @type {Recording|null} */
+    this.recording = null;
+    this._restore = null;
+    this._inCommand = false;
+  }
+
+  /** True between start() and stop(). */
+  get active() { return !!this._restore; }
+
+  /** Capture the starting keyframe and begin recording. @returns {this} */
+  start() {
+    const world = this.world;
+    if (this._restore) throw new Error('Recorder.start: already recording');
+    if (world._inTick) throw new Error('Recorder.start: cannot be called during tick');
+    this.recording = { v: 1, seed: world.seed >>> 0, keyframes: [_keyframe(world, 0)], log: [] };
+    const log = this.recording.log;
+    const own = { _runTick: Object.hasOwn(world, '_runTick') ? world._runTick : undefined, emit: Object.hasOwn(world, 'emit') ? world.emit : undefined };
+    const runTick = world._runTick, emit = world.emit;
+    const start = world.step;
+
+    world._runTick = (dt, time) => {
+      log.push({ type: 'tick', dt, time });
+      runTick.call(world, dt, time);
+      if (this.keyframeEvery && (world.step - start) % this.keyframeEvery === 0) this.keyframe();
+    };
+    world.emit = (event, payload) => {
+      if (!world._inTick && !this._inCommand) log.push({ type: 'event', event, payload: _clone(payload) });
+      return emit.call(world, event, payload);
+    };
+    this._restore = () => {
+      for (const k of ['_runTick', 'emit']) {
+        if (own[k] === undefined) delete world[k];
+        else world[k] = own[k];
+      }
+    };
+    return this;
+  }
+
+  /** Stop recording and return the recording. @returns {Recording} */
+  stop() {
+    if (!this._restore) throw new Error('Recorder.stop: not recording');
+    this._restore();
+    this._restore = null;
+    return this.recording;
+  }
+
+  /** Capture a keyframe now (between ticks). Returns false when one already exists at this point. @returns {boolean} */
+  keyframe() {
+    if (!this._restore) throw new Error('Recorder.keyframe: not recording');
+    if (this.world._inTick) throw new Error('Recorder.keyframe: cannot be called during tick');
+    const { keyframes, log } = this.recording;
+    if (keyframes[keyframes.length - 1].at === log.length) return false;
+    keyframes.push(_keyframe(this.world, log.length));
+    return true;
+  }
+
+  /** Run a named command against the world and record it. Outside ticks only.
+   * Events the command emits are not recorded separately; replaying the command re-emits them.
+   * @param {string} name @param {any} [payload] @returns {any} the command's return value
+   */
+  command(name, payload) {
+    if (!this._restore) throw new Error('Recorder.command: not recording');
+    if (this.world._inTick) throw new Error('Recorder.command: cannot be called during tick');
+    const fn = this.commands[name];
+    if (typeof fn !== 'function') throw new Error(`Recorder.command: unknown command '${name}'`);
+    this.recording.log.push({ type: 'command', name, payload: _clone(payload) });
+    this._inCommand = true;
+    try { return fn(this.world, _clone(payload)); }
+    finally { this._inCommand = false; }
+  }
+}
+
+/** Rebuilds a recorded world and re-steps it: seek, play, pause and single-step. */
+export class Replayer {
+  /**
+   * @param {Recording} recording
+   * @param {{ registry: Registry, setup?: (world: World) => void, World?: typeof World,
+   *   commands?: Record<string, (world: World, payload: any) => any>, verify?: boolean }} opts
+   *   `setup` installs the scheduler, systems and listeners (not entities) once. With `verify`
+   *   (default true) the world hash is checked against every keyframe passed while stepping.
+   */
+  constructor(recording, opts = {}) {
+    if (!recording || recording.v !== 1 || !Array.isArray(recording.log) || !recording.keyframes?.length)
+      throw new Error('Replayer: invalid recording');
+    if (!opts.registry) throw new Error('Replayer: registry required');
+    this.recording = recording;
+    this.commands = opts.commands || {};
+    this.verify = opts.verify !== false;
+    this.paused = false;
+    /** Log position of the next entry to apply. */
+    this.cursor = 0;
+    this._byAt = new Map(recording.keyframes.map((kf) => [kf.at, kf]));
+    this.lastStep = recording.keyframes[0].step + recording.log.filter((e) => e.type === 'tick').length;
+
+    const WorldCtor = opts.World || World;
+    const first = recording.keyframes[0];
+    /** @type {World} */
+    this.world = WorldCtor.fromSnapshot(first.snapshot, opts.registry, { seed: recording.seed });
+    if (typeof opts.setup === 'function') opts.setup(this.world);
+    this._restore(first); // after setup: change windows are matched to the registered systems
+  }
+
+  /** Current `world.step`. */
+  get step() { return this.world.step; }
+  /** First step of the recording. */
+  get firstStep() { return this.recording.keyframes[0].step; }
+  /** True once every recorded entry has been applied. */
+  get done() { return this.cursor >= this.recording.log.length; }
+
+  /** Apply recorded inputs up to and including the next tick.
+   * @returns {boolean} false when no tick was left to run
+   */
+  stepForward() {
+    const { log } = this.recording;
+    while (this.cursor < log.length) {
+      const entry = log[this.cursor++];
+      this._apply(entry);
+      if (entry.type === 'tick') {
+        this._check();
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /** Step until the end, `ticks` steps, or until `pause()` is called (e.g. from a listener or system).
+   * @param {number} [ticks=Infinity] @returns {number} ticks run
+   */
+  play(ticks = Infinity) {
+    this.paused = false;
+    let n = 0;
+    while (!this.paused && n < ticks && this.stepForward()) n++;
+    return n;
+  }
+
+  /** Stop a running `play()` after the current tick. */
+  pause() { this.paused = true; }
+
+  /** Move to the state right after the tick that produced `step` (inputs that followed it are
+   * still pending). Restores the nearest keyframe at or before `step` unless the current position
+   * is closer, then fast-forwards.
+   * @param {number} step @returns {this}
+   */
+  seek(step) {
+    if (!Number.isInteger(step) || step < this.firstStep || step > this.lastStep)
+      throw new Error(`seek: step ${step} is outside the recording (${this.firstStep}..${this.lastStep})`);
+    const { log } = this.recording;
+    let kf = null;
+    for (const k of this.recording.keyframes) {
+      // A keyframe taken after inputs that followed its tick only helps for later steps.
+      if (k.step < step || (k.step === step && (k.at === 0 || log[k.at - 1].type === 'tick'))) kf = k;
+    }
+    const here = this.world.step;
+    if (here > step || (here === step && this._pendingBefore()) || kf.step > here) {
+      this.world.load(kf.snapshot);
+      this._restore(kf);
+      this.cursor = kf.at;
+    }
+    while (this.world.step < step && this.stepForward());
+    return this;
+  }
+
+  /** Has the cursor moved past inputs that follow the current step's tick? @private */
+  _pendingBefore() {
+    const prev = this.recording.log[this.cursor - 1];
+    return !!prev && prev.type !== 'tick';
+  }
+
+  /** @private */
+  _restore(kf) {
+    const world = this.world;
+    // Time and the RNG position come back with the snapshot; the step counter does not.
+    world.step = kf.step;
+    world.calendar._nextId = kf.nextEventId;
+    if (kf.changes) world._loadChangeState(kf.changes);
+  }
+
+  /** @private */
+  _apply(entry) {
+    const world = this.world;
+    switch (entry.type) {
+      case 'tick': world._runTick(entry.dt, entry.time); return;
+      case 'event': world.emit(entry.event, _clone(entry.payload)); return;
+      case 'command': {
+        const fn = this.commands[entry.name];
+        if (typeof fn !== 'function') throw new Error(`replay: unknown command '${entry.name}'`);
+        fn(world, _clone(entry.payload));
+        return;
+      }
+      default: throw new Error(`replay: unknown entry type '${entry.type}'`);
+    }
+  }
+
+  /** @private */
+  _check() {
+    const kf = this.verify ? this._byAt.get(this.cursor) : null;
+    if (!kf) return;
+    const hash = this.world.hash();
+    if (hash !== kf.hash) throw new Error(`replay: desync at step ${this.world.step} (hash ${hash}, recorded ${kf.hash})`);
+  }
+}
@@ -1,36 +1,224 @@
 // ecs-js/rng.js
 // Deterministic RNG utilities built around mulberry32
 // Exports:
-// - mulberry32(seed): () => float [0,1)
-// - createRng(seed): object with bound helpers (next, float, int, choice, shuffle, shuffleInPlace, normal)
+// - mulberry32(seed): () => float [0,1), with getState()/setState() for save/restore
+// - xoshiro128ss(seed), pcg32(seed, stream): alternative generators with the same contract plus jump()/split()
+// - createRng(seed, { algorithm }): object with bound helpers (next, float, int, choice, shuffle, shuffleInPlace,
+//   normal, distributions, getState, setState, and jump/split when the generator has them)
 // - seedFromString(str): 32-bit FNV-1a hash for stable seeding
 // - Helper fns operating on a generator: rngFloat, rngInt, rngChoice, rngShuffle, rngShuffleInPlace
+// - Distributions on a generator: rngExponential, rngPoisson, rngBinomial, rngGamma, rngBeta, rngLogNormal,
+//   rngWeightedChoice / createAliasSampler (alias method), rngSample (without replacement)
 
 /**
  * Create a mulberry32 PRNG from a 32-bit integer seed.
+ * The whole generator state is one 32-bit integer: `getState()` reads it and `setState(s)` rewinds
+ * or fast-forwards to it, so a saved state continues the exact same sequence.
  * @param {number} seed - 32-bit integer seed
- * @returns {() => number} A function returning floats in [0,1)
+ * @returns {(() => number) & { getState: () => number, setState: (state: number) => void }} A function returning floats in [0,1)
  */
 export function mulberry32(seed) {
   let t = seed >>> 0;
-  return function () {
+  const gen = function () {
     t += 0x6D2B79F5;
     let r = Math.imul(t ^ (t >>> 15), 1 | t);
     r ^= r + Math.imul(r ^ (r >>> 7), r | 61);
     return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
   };
+  gen.getState = () => t >>> 0;
+  gen.setState = (state) => {
+    if (!Number.isInteger(state)) throw new Error('mulberry32.setState: state must be an integer');
+    t = state >>> 0;
+  };
+  return gen;
+}
+
+/** SplitMix32 step, used to expand a 32-bit seed into multi-word generator state. @private */
+function _splitmix32(x) {
+  x = (x + 0x9E3779B9) | 0;
+  let z = x;
+  z = Math.imul(z ^ (z >>> 16), 0x85EBCA6B);
+  z = Math.imul(z ^ (z >>> 13), 0xC2B2AE35);
+  return [x, (z ^ (z >>> 16)) >>> 0];
+}
+
+/** @private */
+function _u32Array(state, n, who) {
+  if (!Array.isArray(state) || state.length !== n || !state.every(Number.isInteger))
+    throw new Error(`${who}.setState: expected ${n} integers`);
+  return state.map((v) => v >>> 0);
 }
 
+const XOSHIRO_JUMP = [0x8764000B, 0xF542D2D3, 0x6FA035C3, 0x77F2DB5B];
+
+/**
+ * Create a xoshiro128** PRNG (128-bit state, period 2^128 - 1).
+ * A number seed is expanded with SplitMix32; an array of four 32-bit words is used as the state
+ * directly (not all zero). `jump()` advances 2^64 draws; `split()` returns a copy at the current
+ * position and jumps this generator, so the two sequences do not overlap for 2^64 draws.
+ * @param {number|number[]} seed
+ * @returns {(() => number) & { getState: () => number[], setState: (state: number[]) => void, jump: () => void, split: () => ReturnType<typeof xoshiro128ss> }}
+ */
+export function xoshiro128ss(seed) {
+  let s0, s1, s2, s3;
+  if (Array.isArray(seed)) [s0, s1, s2, s3] = _u32Array(seed, 4, 'xoshiro128ss');
+  else {
+    let x = seed >>> 0;
+    [x, s0] = _splitmix32(x); [x, s1] = _splitmix32(x); [x, s2] = _splitmix32(x); [x, s3] = _splitmix32(x);
+  }
+  if (!(s0 | s1 | s2 | s3)) throw new Error('xoshiro128ss: state must not be all zero');
+
+  const next32 = () => {
+    const r = s1 * 5;
+    const out = (Math.imul((r << 7) | (r >>> 25), 9)) >>> 0;
+    const t = s1 << 9;
+    s2 ^= s0; s3 ^= s1; s1 ^= s2; s0 ^= s3;
+    s2 ^= t;
+    s3 = (s3 << 11) | (s3 >>> 21);
+    return out;
+  };
+  const gen = () => next32() / 4294967296;
+  gen.getState = () => [s0 >>> 0, s1 >>> 0, s2 >>> 0, s3 >>> 0];
+  gen.setState = (state) => { [s0, s1, s2, s3] = _u32Array(state, 4, 'xoshiro128ss'); };
+  gen.jump = () => {
+    let j0 = 0, j1 = 0, j2 = 0, j3 = 0;
+    for (const word of XOSHIRO_JUMP) {
+      for (let b = 0; b < 32; b++) {
+        if (word & (1 << b)) { j0 ^= s0; j1 ^= s1; j2 ^= s2; j3 ^= s3; }
+        next32();
+      }
+    }
+    s0 = j0; s1 = j1; s2 = j2; s3 = j3;
+  };
+  gen.split = () => {
+    const child = xoshiro128ss(gen.getState());
+    gen.jump();
+    return child;
+  };
+  return gen;
+}
+
+// 64-bit unsigned arithmetic on [hi, lo] pairs of 32-bit words (PCG32 state).
+const PCG_MULT_HI = 0x5851F42D, PCG_MULT_LO = 0x4C957F2D; // 6364136223846793005
+
+/** (ah:al * bh:bl) mod 2^64. @private */
+function _mul64(ah, al, bh, bl) {
+  const a0 = al & 0xFFFF, a1 = al >>> 16, b0 = bl & 0xFFFF, b1 = bl >>> 16;
+  const p00 = a0 * b0, p01 = a0 * b1, p10 = a1 * b0, p11 = a1 * b1;
+  const mid = (p00 >>> 16) + (p01 & 0xFFFF) + (p10 & 0xFFFF);
+  const lo = (((mid & 0xFFFF) << 16) | (p00 & 0xFFFF)) >>> 0;
+  const hi = (p11 + (p01 >>> 16) + (p10 >>> 16) + Math.floor(mid / 65536) + Math.imul(ah, bl) + Math.imul(al, bh)) >>> 0;
+  return [hi, lo];
+}
+/** (ah:al + bh:bl) mod 2^64. @private */
+function _add64(ah, al, bh, bl) {
+  const lo = al + bl;
+  return [(ah + bh + (lo > 0xFFFFFFFF ? 1 : 0)) >>> 0, lo >>> 0];
+}
+/** Split a non-negative integer (number up to 2^53, or bigint) into [hi, lo] words. @private */
+function _words64(v, who) {
+  if (typeof v === 'bigint') {
+    const m = BigInt.asUintN(64, v);
+    return [Number(m >> 32n) >>> 0, Number(m & 0xFFFFFFFFn) >>> 0];
+  }
+  if (!Number.isInteger(v) || v < 0) throw new Error(`${who}: expected a non-negative integer or bigint`);
+  return [Math.floor(v / 4294967296) >>> 0, v >>> 0];
+}
+
+/**
+ * Create a PCG32 (XSH RR 64/32) PRNG: 64-bit LCG state, 32-bit output, period 2^64 per stream.
+ * `seed` and `stream` are 64-bit values (numbers up to 2^53 or bigints); with the same pair the
+ * output matches the reference `pcg32_srandom_r(seed, stream)`. Different streams are independent
+ * sequences. `advance(delta)` skips `delta` draws in O(log delta), `jump()` skips 2^48 draws and
+ * `split()` returns a generator on a new stream drawn from this one.
+ * @param {number|bigint} seed
+ * @param {number|bigint} [stream=0]
+ * @returns {(() => number) & { getState: () => number[], setState: (state: number[]) => void, advance: (delta: number|bigint) => void, jump: () => void, split: () => ReturnType<typeof pcg32> }}
+ */
+export function pcg32(seed, stream = 0) {
+  let [incHi, incLo] = _words64(stream, 'pcg32 stream');
+  incHi = ((incHi << 1) | (incLo >>> 31)) >>> 0;
+  incLo = ((incLo << 1) | 1) >>> 0;
+  let hi = 0, lo = 0;
+
+  const step = () => {
+    [hi, lo] = _mul64(hi, lo, PCG_MULT_HI, PCG_MULT_LO);
+    [hi, lo] = _add64(hi, lo, incHi, incLo);
+  };
+  const next32 = () => {
+    const oh = hi, ol = lo;
+    step();
+    const xh = oh ^ (oh >>> 18), xl = ol ^ ((ol >>> 18) | (oh << 14));
+    const xs = ((xl >>> 27) | (xh << 5)) >>> 0;
+    const rot = oh >>> 27;
+    return ((xs >>> rot) | (xs << ((32 - rot) & 31))) >>> 0;
+  };
+
+  step();
+  const [sh, sl] = _words64(seed, 'pcg32 seed');
+  [hi, lo] = _add64(hi, lo, sh, sl);
+  step();
+
+  const gen = () => next32() / 4294967296;
+  gen.getState = () => [hi, lo, incHi, incLo];
+  gen.setState = (state) => {
+    const [a, b, c, d] = _u32Array(state, 4, 'pcg32');
+    if (!(d & 1)) throw new Error('pcg32.setState: increment must be odd');
+    hi = a; lo = b; incHi = c; incLo = d;
+  };
+  gen.advance = (delta) => {
+    // Brown's LCG jump-ahead: compose the affine step with itself by squaring.
+    let [dh, dl] = _words64(delta, 'pcg32.advance');
+    let mh = PCG_MULT_HI, ml = PCG_MULT_LO, ch = incHi, cl = incLo;
+    let accMh = 0, accMl = 1, accCh = 0, accCl = 0;
+    while (dh || dl) {
+      if (dl & 1) {
+        [accMh, accMl] = _mul64(accMh, accMl, mh, ml);
+        [accCh, accCl] = _add64(..._mul64(accCh, accCl, mh, ml), ch, cl);
+      }
+      const [m1h, m1l] = _add64(mh, ml, 0, 1);
+      [ch, cl] = _mul64(m1h, m1l, ch, cl);
+      [mh, ml] = _mul64(mh, ml, mh, ml);
+      dl = ((dl >>> 1) | (dh << 31)) >>> 0;
+      dh >>>= 1;
+    }
+    [hi, lo] = _add64(..._mul64(accMh, accMl, hi, lo), accCh, accCl);
+  };
+  gen.jump = () => gen.advance(2 ** 48);
+  gen.split = () => pcg32(BigInt(next32()) << 32n | BigInt(next32()), BigInt(next32()) << 32n | BigInt(next32()));
+  return gen;
+}
+
+const ALGORITHMS = { mulberry32, xoshiro128ss, pcg32 };
+
+/**
+ * @typedef {object} RngState
+ * @property {number|number[]} state - Generator position (a number for mulberry32, words otherwise).
+ * @property {number|null} spare - Cached second normal() deviate, if any.
+ */
+
 /**
  * Convenience: create an RNG object with common helpers bound.
- * Includes a Box–Muller normal() with internal spare caching.
+ * Includes a Box–Muller normal() with internal spare caching, and the distribution helpers below.
+ * `getState()` / `setState()` save and restore the position (including the cached deviate).
+ * `algorithm` picks the generator ('mulberry32' by default, 'xoshiro128ss' or 'pcg32'); the last
+ * two also get `jump()` and `split()` (which returns a new RNG object).
  * @param {number} seed
+ * @param {{ algorithm?: 'mulberry32'|'xoshiro128ss'|'pcg32' }} [opts]
  */
-export function createRng(seed) {
-  const gen = mulberry32(seed >>> 0);
+export function createRng(seed, opts = {}) {
+  const algorithm = opts.algorithm || 'mulberry32';
+  const make = ALGORITHMS[algorithm];
+  if (!make) throw new Error(`createRng: unknown algorithm '${algorithm}'`);
+  return _withHelpers(make(seed >>> 0), seed >>> 0, algorithm);
+}
+
+/** @private */
+function _withHelpers(gen, seed, algorithm) {
   let spare = null; // cached normal deviate
-  return {
-    seed: seed >>> 0,
+  const rng = {
+    seed,
+    algorithm,
     // core
     next: gen,
     // helpers
@@ -39,6 +227,24 @@ export function createRng(seed) {
     choice: (arr) => rngChoice(gen, arr),
     shuffle: (arr) => rngShuffle(gen, arr),
     shuffleInPlace: (arr) => rngShuffleInPlace(gen, arr),
+    // distributions
+    exponential: (rate) => rngExponential(gen, rate),
+    poisson: (lambda) => rngPoisson(gen, lambda),
+    binomial: (n, p) => rngBinomial(gen, n, p),
+    gamma: (shape, scale) => rngGamma(gen, shape, scale),
+    beta: (a, b) => rngBeta(gen, a, b),
+    logNormal: (mu, sigma) => rngLogNormal(gen, mu, sigma),
+    weightedChoice: (items, weights) => rngWeightedChoice(gen, items, weights),
+    sample: (arr, k) => rngSample(gen, arr, k),
+    /** @returns {RngState} plain data, safe to JSON.stringify */
+    getState: () => ({ state: gen.getState(), spare }),
+    /** @param {RngState|number|number[]} s - A value from getState() (a bare generator state clears the cached deviate). */
+    setState(s) {
+      if (typeof s === 'number' || Array.isArray(s)) { gen.setState(s); spare = null; return; }
+      if (!s || typeof s !== 'object') throw new Error('rng.setState: expected a state from getState()');
+      gen.setState(s.state);
+      spare = (typeof s.spare === 'number') ? s.spare : null;
+    },
     /**
      * Normal (Gaussian) deviate using Box–Muller transform.
      * Deterministic given seed and call order.
@@ -59,6 +265,9 @@ export function createRng(seed) {
       return mean + std * z0;
     }
   };
+  if (typeof gen.jump === 'function') rng.jump = () => gen.jump();
+  if (typeof gen.split === 'function') rng.split = () => _withHelpers(gen.split(), seed, algorithm);
+  return rng;
 }
 
 /**
@@ -114,6 +323,176 @@ export function rngShuffleInPlace(rng, array) {
   return array;
 }
 
+// ===== Distributions (same `() => number` generator contract) =====
+
+/** Standard normal deviate (Box–Muller, no caching so the helper stays stateless). @private */
+function _gauss(rng) {
+  let u = 0;
+  do { u = rng(); } while (u === 0);
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * rng());
+}
+
+/** ln Γ(x) for x > 0 (Lanczos, g = 7). @private */
+function _logGamma(x) {
+  if (x < 0.5) return Math.log(Math.PI / Math.sin(Math.PI * x)) - _logGamma(1 - x);
+  const c = [0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+    -176.61502916214059, 12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7];
+  x -= 1;
+  let a = c[0];
+  const t = x + 7.5;
+  for (let i = 1; i < 9; i++) a += c[i] / (x + i);
+  return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(a);
+}
+
+/** Exponential deviate with the given rate (mean 1/rate). @param {() => number} rng @param {number} [rate=1] */
+export function rngExponential(rng, rate = 1) {
+  if (!(rate > 0)) throw new Error('rngExponential: rate must be > 0');
+  return -Math.log(1 - rng()) / rate;
+}
+
+/** Poisson count with mean `lambda`: multiplication method below 30, Hörmann's PTRS above.
+ * @param {() => number} rng @param {number} lambda @returns {number} */
+export function rngPoisson(rng, lambda) {
+  if (!(lambda >= 0) || !Number.isFinite(lambda)) throw new Error('rngPoisson: lambda must be a finite number >= 0');
+  if (lambda === 0) return 0;
+  if (lambda < 30) {
+    const limit = Math.exp(-lambda);
+    let k = 0, p = rng();
+    while (p > limit) { k++; p *= rng(); }
+    return k;
+  }
+  const slam = Math.sqrt(lambda), loglam = Math.log(lambda);
+  const b = 0.931 + 2.53 * slam, a = -0.059 + 0.02483 * b;
+  const invalpha = 1.1239 + 1.1328 / (b - 3.4), vr = 0.9277 - 3.6224 / (b - 2);
+  for (;;) {
+    const u = rng() - 0.5, v = rng();
+    const us = 0.5 - Math.abs(u);
+    const k = Math.floor((2 * a / us + b) * u + lambda + 0.43);
+    if (us >= 0.07 && v <= vr) return k;
+    if (k < 0 || (us < 0.013 && v > us)) continue;
+    if (Math.log(v) + Math.log(invalpha) - Math.log(a / (us * us) + b) <= -lambda + k * loglam - _logGamma(k + 1)) return k;
+  }
+}
+
+/** Binomial count of successes in `n` trials with probability `p`: inversion when n·min(p,1-p) < 10,
+ * Hörmann's BTRS otherwise. @param {() => number} rng @param {number} n @param {number} p @returns {number} */
+export function rngBinomial(rng, n, p) {
+  if (!Number.isInteger(n) || n < 0) throw new Error('rngBinomial: n must be a non-negative integer');
+  if (!(p >= 0 && p <= 1)) throw new Error('rngBinomial: p must be in [0, 1]');
+  if (p > 0.5) return n - rngBinomial(rng, n, 1 - p);
+  if (n === 0 || p === 0) return 0;
+  const q = 1 - p;
+  if (n * p < 10) {
+    const s = p / q, a = (n + 1) * s;
+    let r = Math.pow(q, n), u = rng(), x = 0;
+    while (u > r && x < n) { u -= r; x++; r *= (a / x - s); }
+    return x;
+  }
+  const spq = Math.sqrt(n * p * q);
+  const b = 1.15 + 2.53 * spq, a = -0.0873 + 0.0248 * b + 0.01 * p, c = n * p + 0.5;
+  const alpha = (2.83 + 5.1 / b) * spq, vr = 0.92 - 4.2 / b, lpq = Math.log(p / q);
+  const m = Math.floor((n + 1) * p), h = _logGamma(m + 1) + _logGamma(n - m + 1);
+  for (;;) {
+    const u = rng() - 0.5;
+    let v = rng();
+    const us = 0.5 - Math.abs(u);
+    const k = Math.floor((2 * a / us + b) * u + c);
+    if (k < 0 || k > n) continue;
+    if (us >= 0.07 && v <= vr) return k;
+    v = Math.log(v * alpha / (a / (us * us) + b));
+    if (v <= h - _logGamma(k + 1) - _logGamma(n - k + 1) + (k - m) * lpq) return k;
+  }
+}
+
+/** Gamma deviate (Marsaglia–Tsang; shape < 1 via the U^(1/shape) boost). Mean shape·scale.
+ * @param {() => number} rng @param {number} shape @param {number} [scale=1] @returns {number} */
+export function rngGamma(rng, shape, scale = 1) {
+  if (!(shape > 0) || !(scale > 0)) throw new Error('rngGamma: shape and scale must be > 0');
+  if (shape < 1) {
+    let u = 0;
+    do { u = rng(); } while (u === 0);
+    return rngGamma(rng, shape + 1, scale) * Math.pow(u, 1 / shape);
+  }
+  const d = shape - 1 / 3, c = 1 / Math.sqrt(9 * d);
+  for (;;) {
+    let x, v;
+    do { x = _gauss(rng); v = 1 + c * x; } while (v <= 0);
+    v = v * v * v;
+    const u = rng();
+    if (u < 1 - 0.0331 * x * x * x * x) return d * v * scale;
+    if (u > 0 && Math.log(u) < 0.5 * x * x + d * (1 - v + Math.log(v))) return d * v * scale;
+  }
+}
+
+/** Beta deviate in [0, 1] from two gamma draws. @param {() => number} rng @param {number} a @param {number} b */
+export function rngBeta(rng, a, b) {
+  if (!(a > 0) || !(b > 0)) throw new Error('rngBeta: a and b must be > 0');
+  const x = rngGamma(rng, a), y = rngGamma(rng, b);
+  return x / (x + y);
+}
+
+/** Log-normal deviate: exp(mu + sigma·Z). @param {() => number} rng @param {number} [mu=0] @param {number} [sigma=1] */
+export function rngLogNormal(rng, mu = 0, sigma = 1) {
+  if (!(sigma >= 0)) throw new Error('rngLogNormal: sigma must be >= 0');
+  return Math.exp(mu + sigma * _gauss(rng));
+}
+
+/**
+ * Build an O(1) weighted index sampler (Walker/Vose alias method). Setup is O(n); use it when
+ * drawing many times from the same weights.
+ * @param {number[]} weights - Non-negative, finite, not all zero.
+ * @returns {(rng: () => number) => number} draws an index with probability weights[i] / sum
+ */
+export function createAliasSampler(weights) {
+  const n = weights?.length | 0;
+  let sum = 0;
+  for (let i = 0; i < n; i++) {
+    const w = weights[i];
+    if (!(w >= 0) || !Number.isFinite(w)) throw new Error('createAliasSampler: weights must be finite and >= 0');
+    sum += w;
+  }
+  if (!(sum > 0)) throw new Error('createAliasSampler: need at least one positive weight');
+  const prob = new Float64Array(n), alias = new Uint32Array(n);
+  const scaled = Array.from(weights, (w) => w * n / sum);
+  const small = [], large = [];
+  for (let i = n - 1; i >= 0; i--) (scaled[i] < 1 ? small : large).push(i);
+  while (small.length && large.length) {
+    const s = small.pop(), l = large.pop();
+    prob[s] = scaled[s];
+    alias[s] = l;
+    scaled[l] = (scaled[l] + scaled[s]) - 1;
+    (scaled[l] < 1 ? small : large).push(l);
+  }
+  for (const i of large) prob[i] = 1;
+  for (const i of small) prob[i] = 1; // numerical leftovers
+  return (rng) => {
+    const i = Math.floor(rng() * n);
+    return rng() < prob[i] ? i : alias[i];
+  };
+}
+
+/** Pick one item with probability proportional to its weight (alias method; builds the table each call).
+ * @template T @param {() => number} rng @param {T[]} items @param {number[]} weights @returns {T|undefined} */
+export function rngWeightedChoice(rng, items, weights) {
+  if (!items || items.length === 0) return undefined;
+  if (!weights || weights.length !== items.length) throw new Error('rngWeightedChoice: weights must match items');
+  return items[createAliasSampler(weights)(rng)];
+}
+
+/** `k` distinct items in random order (partial Fisher–Yates on a copy; `arr` is not modified).
+ * @template T @param {() => number} rng @param {T[]} arr @param {number} k @returns {T[]} */
+export function rngSample(rng, arr, k) {
+  if (!Number.isInteger(k) || k < 0) throw new Error('rngSample: k must be a non-negative integer');
+  const out = arr.slice();
+  const n = Math.min(k, out.length);
+  for (let i = 0; i < n; i++) {
+    const j = i + Math.floor(rng() * (out.length - i));
+    const tmp = out[i]; out[i] = out[j]; out[j] = tmp;
+  }
+  out.length = n;
+  return out;
+}
+
 /** Tiny self-test helper (returns true when basic invariants hold). */
 export function rngSelfTest() {
   const s = 123456789;
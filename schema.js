@@ -0,0 +1,399 @@
+// ecs/schema.js
+// Declarative field schemas: validation, JSON Schema and TypeScript declarations.
+/**
+ * @module ecs/schema
+ * A component may declare `schema`, a map of field name to field spec. `add`, `set` and
+ * `setResource` check records against it (before any `validate` predicate) and name the failing
+ * field in the error. The generators turn component definitions into JSON Schema (one record, or a
+ * whole snapshot file) and `.d.ts` declarations; components without a schema are described from
+ * their defaults.
+ *
+ * Field specs are a type name, optionally suffixed with `?` for optional fields, or an object:
+ *   { type, optional?, nullable?, min?, max?, enum?, items?, fields? }
+ * Types: 'number', 'integer', 'string', 'boolean', 'entity' (an id, 0 = none), 'array' (with
+ * `items`), 'object' (with `fields`) and 'any'. `{ enum: [...] }` alone takes its type from the values.
+ *
+ * Usage:
+ *   const Unit = defineComponent('Unit', { hp: 10, side: 'red', target: 0 }, {
+ *     schema: { hp: { type: 'integer', min: 0 }, side: { enum: ['red', 'blue'] }, target: 'entity', tag: 'string?' }
+ *   });
+ *   world.add(e, Unit, { hp: -1 });   // Error: Validation failed for component Unit on entity 1 (add): hp must be >= 0 (got -1)
+ *   snapshotJSONSchema([Unit, Pos]);  // JSON Schema for serializeWorld output
+ *   toTypeDeclarations([Unit, Pos]);  // 'export interface Unit { hp: number; ... }'
+ */
+
+/**
+ * @typedef {import('./core.js').Component} Component
+ * @typedef {import('./serialization.js').Registry} Registry
+ */
+
+/**
+ * @typedef {'number'|'integer'|'string'|'boolean'|'entity'|'array'|'object'|'any'} SchemaType
+ */
+
+/**
+ * @typedef {object} FieldSpec
+ * @property {SchemaType} type
+ * @property {boolean} [optional] - The field may be absent.
+ * @property {boolean} [nullable] - The field may be null.
+ * @property {number} [min] - Lower bound (numbers).
+ * @property {number} [max] - Upper bound (numbers).
+ * @property {ReadonlyArray<any>} [enum] - Allowed values.
+ * @property {FieldSpec} [items] - Element spec ('array').
+ * @property {Readonly<Record<string, FieldSpec>>} [fields] - Nested field specs ('object').
+ */
+
+/**
+ * @typedef {object} ValidationIssue
+ * @property {string} path - Field path such as `stats.str` or `points[1]` ('' for the whole record).
+ * @property {string} [expected] - What the field should be, e.g. `>= 0` or `an integer`.
+ * @property {any} [actual] - The offending value.
+ * @property {string} message - Readable description including the path.
+ */
+
+/** Field types accepted in a schema. */
+export const SCHEMA_TYPES = Object.freeze(['number', 'integer', 'string', 'boolean', 'entity', 'array', 'object', 'any']);
+
+const JSON_SCHEMA_DIALECT = 'https://json-schema.org/draft/2020-12/schema';
+
+/** Validate and freeze a `schema` option (field name → spec or shorthand).
+ * @param {string} where - Prefix for error messages, e.g. `defineComponent(Unit)`.
+ * @param {Record<string, FieldSpec|string>} schema
+ * @returns {Readonly<Record<string, FieldSpec>>}
+ */
+export function normalizeSchema(where, schema) {
+  if (!schema || typeof schema !== 'object' || Array.isArray(schema)) throw new Error(`${where}: schema must be an object`);
+  const out = {};
+  for (const [field, spec] of Object.entries(schema)) out[field] = _normalizeSpec(where, field, spec);
+  return Object.freeze(out);
+}
+
+/** Problems with `rec` under `schema` (empty when it conforms).
+ * @param {Readonly<Record<string, FieldSpec>>} schema
+ * @param {object} rec
+ * @returns {ValidationIssue[]}
+ */
+export function checkSchema(schema, rec) {
+  const issues = [];
+  _checkFields(schema, rec, '', issues);
+  return issues;
+}
+
+/** JSON Schema (draft 2020-12) for one component's records.
+ * @param {Component} Comp
+ * @returns {object}
+ */
+export function toJSONSchema(Comp) {
+  return { $schema: JSON_SCHEMA_DIALECT, ..._recordJSONSchema(Comp) };
+}
+
+/** JSON Schema (draft 2020-12) describing snapshot files that hold these components, relations
+ * and resources (any registered component may appear as a resource). Former names (`aliases`)
+ * are accepted too.
+ * @param {Registry|Component[]} components
+ * @param {{ title?: string }} [opts]
+ * @returns {object}
+ */
+export function snapshotJSONSchema(components, opts = {}) {
+  const defs = {}, comps = {}, relations = {}, versions = {};
+  for (const [name, C] of _entries(components)) {
+    if (!defs[C.name]) defs[C.name] = _recordJSONSchema(C);
+    const ref = { $ref: `#/$defs/${_pointer(C.name)}` };
+    if (C.isRelation) relations[name] = { type: 'array', items: _tuple([_ID, _ID, ref]) };
+    else comps[name] = { type: 'array', items: _tuple([_ID, ref]) };
+    if (C.version != null) versions[name] = { type: 'integer', minimum: 1, maximum: C.version };
+  }
+  const resources = Object.fromEntries(Object.keys(comps).map((name) => [name, comps[name].items.prefixItems[1]]));
+  return {
+    $schema: JSON_SCHEMA_DIALECT,
+    title: opts.title || 'ecs-js snapshot',
+    type: 'object',
+    required: ['v', 'comps'],
+    properties: {
+      v: { const: 1 },
+      meta: {
+        type: 'object',
+        properties: { seed: { type: 'integer' }, frame: { type: 'integer' }, time: { type: 'number' }, store: { type: 'string' }, note: { type: 'string' } }
+      },
+      comps: { type: 'object', properties: comps, additionalProperties: false },
+      alive: { type: 'array', items: _ID },
+      resources: { type: 'object', properties: resources, additionalProperties: false },
+      entities: {
+        type: 'object',
+        properties: { gens: { type: 'array', items: { type: 'integer', minimum: 0 } }, free: { type: 'array', items: { type: 'integer', minimum: 1 } } }
+      },
+      calendar: {
+        type: 'object',
+        properties: {
+          nextId: { type: 'integer', minimum: 1 },
+          events: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['id', 'time', 'event'],
+              properties: { id: { type: 'integer', minimum: 1 }, time: { type: 'number' }, event: { type: 'string' }, payload: {}, entity: _ID }
+            }
+          }
+        }
+      },
+      relations: { type: 'object', properties: relations, additionalProperties: false },
+      versions: { type: 'object', properties: versions, additionalProperties: false }
+    },
+    $defs: defs
+  };
+}
+
+/** TypeScript declarations for component (and relation data) records: one interface per
+ * definition, plus `ComponentRecords` / `RelationRecords` maps from name to record type.
+ * @param {Registry|Component[]} components
+ * @param {{ header?: string }} [opts] - `header` replaces the leading comment line.
+ * @returns {string}
+ */
+export function toTypeDeclarations(components, opts = {}) {
+  const lines = [opts.header ?? '// Generated from ecs-js component definitions.'];
+  const names = new Map(); // Comp -> interface name
+  const used = new Set();
+  const comps = [], rels = [];
+  for (const [, C] of _entries(components)) {
+    if (names.has(C)) continue;
+    let id = _identifier(C.name);
+    for (let n = 2; used.has(id); n++) id = `${_identifier(C.name)}${n}`;
+    used.add(id);
+    names.set(C, id);
+    (C.isRelation ? rels : comps).push(C);
+    lines.push('', `export interface ${id} ${_tsFields(_fieldsOf(C), '')}`);
+  }
+  for (const [title, list] of [['ComponentRecords', comps], ['RelationRecords', rels]]) {
+    if (!list.length) continue;
+    lines.push('', `export interface ${title} {`);
+    for (const C of list) lines.push(`  ${_tsKey(C.name)}: ${names.get(C)};`);
+    lines.push('}');
+  }
+  return lines.join('\n') + '\n';
+}
+
+/* helpers */
+
+const _ID = Object.freeze({ type: 'integer', minimum: 1 });
+
+/** @private */
+function _normalizeSpec(where, path, spec) {
+  if (typeof spec === 'string') {
+    const optional = spec.endsWith('?');
+    spec = { type: optional ? spec.slice(0, -1) : spec, optional };
+  }
+  if (!spec || typeof spec !== 'object' || Array.isArray(spec)) throw new Error(`${where}: schema field '${path}' must be a type name or spec object`);
+  const out = {};
+  let type = spec.type;
+  if (spec.enum != null) {
+    if (!Array.isArray(spec.enum) || !spec.enum.length) throw new Error(`${where}: schema field '${path}' enum must be a non-empty array`);
+    out.enum = Object.freeze(spec.enum.slice());
+    type ??= _enumType(spec.enum);
+  }
+  if (!SCHEMA_TYPES.includes(type)) throw new Error(`${where}: schema field '${path}' has unknown type '${type}'`);
+  out.type = type;
+  if (spec.optional) out.optional = true;
+  if (spec.nullable) out.nullable = true;
+  for (const bound of ['min', 'max']) {
+    if (spec[bound] == null) continue;
+    if (type !== 'number' && type !== 'integer') throw new Error(`${where}: schema field '${path}' ${bound} needs a numeric type`);
+    if (typeof spec[bound] !== 'number' || Number.isNaN(spec[bound])) throw new Error(`${where}: schema field '${path}' ${bound} must be a number`);
+    out[bound] = spec[bound];
+  }
+  if (type === 'array' && spec.items != null) out.items = _normalizeSpec(where, `${path}[]`, spec.items);
+  if (type === 'object' && spec.fields != null) {
+    if (typeof spec.fields !== 'object' || Array.isArray(spec.fields)) throw new Error(`${where}: schema field '${path}' fields must be an object`);
+    const fields = {};
+    for (const [k, v] of Object.entries(spec.fields)) fields[k] = _normalizeSpec(where, `${path}.${k}`, v);
+    out.fields = Object.freeze(fields);
+  }
+  return Object.freeze(out);
+}
+
+/** @private */
+function _enumType(values) {
+  if (values.every((v) => typeof v === 'string')) return 'string';
+  if (values.every((v) => Number.isInteger(v))) return 'integer';
+  if (values.every((v) => typeof v === 'number')) return 'number';
+  if (values.every((v) => typeof v === 'boolean')) return 'boolean';
+  return 'any';
+}
+
+/** @private */
+function _checkFields(fields, rec, prefix, issues) {
+  for (const [name, spec] of Object.entries(fields)) {
+    const path = prefix ? `${prefix}.${name}` : name;
+    const present = Object.prototype.hasOwnProperty.call(rec, name) && rec[name] !== undefined;
+    if (!present) {
+      if (!spec.optional) issues.push({ path, expected: 'present', actual: undefined, message: `${path} is required` });
+      continue;
+    }
+    _checkValue(spec, rec[name], path, issues);
+  }
+}
+
+/** @private */
+function _checkValue(spec, v, path, issues) {
+  const fail = (expected, message = `${path} must be ${expected} (got ${_show(v)})`) => { issues.push({ path, expected, actual: v, message }); };
+  if (v === null) {
+    if (!spec.nullable) fail('not null', `${path} must not be null`);
+    return;
+  }
+  if (spec.enum) {
+    if (!spec.enum.includes(v)) fail(`one of ${spec.enum.map(_show).join(', ')}`);
+    return;
+  }
+  switch (spec.type) {
+    case 'number':
+      if (typeof v !== 'number' || Number.isNaN(v)) { fail('a number'); return; }
+      break;
+    case 'integer':
+      if (!Number.isInteger(v)) { fail('an integer'); return; }
+      break;
+    case 'entity':
+      if (!Number.isInteger(v) || v < 0) fail('an entity id');
+      return;
+    case 'string':
+      if (typeof v !== 'string') fail('a string');
+      return;
+    case 'boolean':
+      if (typeof v !== 'boolean') fail('a boolean');
+      return;
+    case 'array':
+      if (!Array.isArray(v)) { fail('an array'); return; }
+      if (spec.items) for (let i = 0; i < v.length; i++) _checkValue(spec.items, v[i], `${path}[${i}]`, issues);
+      return;
+    case 'object':
+      if (typeof v !== 'object' || Array.isArray(v)) { fail('an object'); return; }
+      if (spec.fields) _checkFields(spec.fields, v, path, issues);
+      return;
+    default:
+      return;
+  }
+  if (spec.min != null && v < spec.min) fail(`>= ${spec.min}`);
+  if (spec.max != null && v > spec.max) fail(`<= ${spec.max}`);
+}
+
+/** @private */
+function _show(v) {
+  if (typeof v === 'string') return JSON.stringify(v);
+  if (Array.isArray(v)) return 'an array';
+  if (v && typeof v === 'object') return 'an object';
+  return String(v);
+}
+
+/** Field specs from the schema, or inferred from defaults; schema-less fields in defaults are kept. @private */
+function _fieldsOf(C) {
+  const fields = {};
+  for (const [k, v] of Object.entries(C.defaults || {})) fields[k] = _inferSpec(v);
+  return Object.assign(fields, C.schema || {});
+}
+
+/** @private */
+function _inferSpec(v) {
+  if (v === null) return { type: 'any', nullable: true };
+  if (typeof v === 'number') return { type: 'number' };
+  if (typeof v === 'string' || typeof v === 'boolean') return { type: typeof v };
+  if (Array.isArray(v)) return { type: 'array' };
+  if (typeof v === 'object') {
+    const fields = {};
+    for (const [k, x] of Object.entries(v)) fields[k] = _inferSpec(x);
+    return { type: 'object', fields };
+  }
+  return { type: 'any' };
+}
+
+/** @private */
+function _recordJSONSchema(C) {
+  const out = _jsonObject(_fieldsOf(C));
+  return { title: C.name, ...out };
+}
+
+/** @private */
+function _jsonObject(fields) {
+  const properties = {}, required = [];
+  for (const [k, spec] of Object.entries(fields)) {
+    properties[k] = _jsonSpec(spec);
+    if (!spec.optional) required.push(k);
+  }
+  const out = { type: 'object', properties };
+  if (required.length) out.required = required;
+  return out;
+}
+
+/** @private */
+function _jsonSpec(spec) {
+  let out;
+  if (spec.enum) out = { enum: spec.enum.slice() };
+  else {
+    switch (spec.type) {
+      case 'entity': out = { type: 'integer', minimum: 0 }; break;
+      case 'array': out = { type: 'array' }; if (spec.items) out.items = _jsonSpec(spec.items); break;
+      case 'object': out = spec.fields ? _jsonObject(spec.fields) : { type: 'object' }; break;
+      case 'any': out = {}; break;
+      default: out = { type: spec.type };
+    }
+    if (spec.min != null) out.minimum = spec.min;
+    if (spec.max != null) out.maximum = spec.max;
+  }
+  return spec.nullable ? { anyOf: [out, { type: 'null' }] } : out;
+}
+
+/** @private */
+function _tuple(items) { return { type: 'array', prefixItems: items, minItems: items.length, maxItems: items.length }; }
+
+/** @private */
+function _pointer(name) { return name.replace(/~/g, '~0').replace(/\//g, '~1'); }
+
+/** @private */
+function _tsFields(fields, indent) {
+  const keys = Object.keys(fields);
+  if (!keys.length) return '{}';
+  const inner = keys.map((k) => `${indent}  ${_tsKey(k)}${fields[k].optional ? '?' : ''}: ${_tsType(fields[k], `${indent}  `)};`);
+  return `{\n${inner.join('\n')}\n${indent}}`;
+}
+
+/** @private */
+function _tsType(spec, indent) {
+  let t;
+  if (spec.enum) t = spec.enum.map((v) => JSON.stringify(v) ?? 'undefined').join(' | ');
+  else {
+    switch (spec.type) {
+      case 'number': case 'integer': case 'entity': t = 'number'; break;
+      case 'string': case 'boolean': t = spec.type; break;
+      case 'array': {
+        const item = spec.items ? _tsType(spec.items, indent) : 'any';
+        t = /[|&]/.test(item) && !item.startsWith('{') ? `(${item})[]` : `${item}[]`;
+        break;
+      }
+      case 'object': t = spec.fields ? _tsFields(spec.fields, indent) : 'Record<string, any>'; break;
+      default: t = 'any';
+    }
+  }
+  return spec.nullable && t !== 'any' ? `${t} | null` : t;
+}
+
+/** @private */
+function _tsKey(k) { return /^[A-Za-z_$][\w$]*$/.test(k) ? k : JSON.stringify(k); }
+
+/** PascalCase identifier for an interface name. @private */
+function _identifier(name) {
+  const id = String(name).replace(/[^A-Za-z0-9_$]+(.)?/g, (_, c) => (c ? c.toUpperCase() : '')).replace(/^[a-z]/, (c) => c.toUpperCase());
+  return /^[A-Za-z_$]/.test(id) ? id : `_${id}`;
+}
+
+/** [name, definition] pairs from a registry or a list (lists add the definitions' aliases). @private */
+function _entries(components) {
+  if (components instanceof Map) return Array.from(components.entries());
+  if (Array.isArray(components)) {
+    const out = [];
+    for (const C of components.flat()) {
+      if (!C?.key) continue;
+      out.push([C.name, C]);
+      for (const alias of C.aliases || []) out.push([alias, C]);
+    }
+    return out;
+  }
+  if (components && typeof components === 'object') return Object.entries(components);
+  throw new Error('schema: expected a registry or an array of components');
+}
@@ -4,7 +4,7 @@
 
 // FILE: ecs/scripts.js
 import { defineComponent, Changed } from './core.js';
-import { registerSystem, Systems } from './systems.js';
+import { defaultRegistry } from './systems.js';
 
 /** Built-in phase name used by default script systems. */
 export const PHASE_SCRIPTS = 'scripts';
@@ -32,17 +32,26 @@ const _registry = new Map();          // id -> factory(world, eid, args) => hand
 const _handlersByEntity = new Map();  // eid -> { [hookName]: function }
 
 function _sanitizeHandlers(h) { const o = {}; for (const k in (h || {})) if (typeof h[k] === 'function') o[k] = h[k]; return o; }
-function _ctx(world, _id) { return { rand: world.rand, emit: (ev, p) => world.emit(ev, p) }; }
+/**
+ * Context object passed to script handlers as their last argument. Shared by the built-in tick
+ * system, scriptsPhasesExtra.js and adapters/scriptRouter.js so every hook sees the same fields.
+ * @param {any} world
+ * @param {number} id - Entity running the script.
+ * @returns {{ rand:any, rng:(name?:string)=>any, emit:(ev:string, payload?:any)=>void, resource:(Res:any)=>object|null }}
+ */
+export function scriptContext(world, id) {
+    return { rand: world.rand, rng: (name = `entity:${id}`) => world.rng(name), emit: (ev, p) => world.emit(ev, p), resource: (Res) => world.resource(Res) };
+}
 function _noteErr(world, id, e) { const msg = (e && e.stack) ? e.stack : String(e); world.has(id, ScriptMeta) ? world.set(id, ScriptMeta, { lastError: msg }) : world.add(id, ScriptMeta, { lastError: msg }); }
 function _bump(world, id) { if (world.has(id, ScriptMeta)) world.mutate(id, ScriptMeta, m => { m.invoked++; }); }
 
-function _ensureScriptPhase(phase) {
-    const systems = Systems.list(phase);
+function _ensureScriptPhase(phase, registry = defaultRegistry) {
+    const systems = registry.list(phase);
     if (!systems.includes(ScriptAttachSystem)) {
-        registerSystem(ScriptAttachSystem, phase, { before: [ScriptTickSystem] });
+        registry.register(ScriptAttachSystem, phase, { before: [ScriptTickSystem] });
     }
     if (!systems.includes(ScriptTickSystem)) {
-        registerSystem(ScriptTickSystem, phase);
+        registry.register(ScriptTickSystem, phase);
     }
 }
 
@@ -142,7 +151,7 @@ function ScriptTickSystem(world, dt) {
         const h = _handlersByEntity.get(id);
         const fn = h && h.onTick;
         if (typeof fn === 'function') {
-            try { fn(world, id, dt, _ctx(world, id)); _bump(world, id); }
+            try { fn(world, id, dt, scriptContext(world, id)); _bump(world, id); }
             catch (e) { _noteErr(world, id, e); }
         }
     }
@@ -154,7 +163,7 @@ _ensureScriptPhase(PHASE_SCRIPTS);
 // Public convenience API — attaches a scripting facet onto world instances
 export function installScriptsAPI(world, options = {}) {
     const phase = options.phase || PHASE_SCRIPTS;
-    _ensureScriptPhase(phase);
+    _ensureScriptPhase(phase, world.systems || defaultRegistry);
     world.scripts = {
         /** Register a script factory under a string id. */
         register(id, factory) { _registry.set(String(id), factory); },
@@ -8,8 +8,8 @@
 //
 // FILE: ecs/scriptsPhasesExtra.js
 import { defineComponent } from './core.js';
-import { registerSystem } from './systems.js';
-import { ScriptRef, ScriptMeta } from './scripts.js';
+import { defaultRegistry } from './systems.js';
+import { ScriptRef, ScriptMeta, scriptContext } from './scripts.js';
 
 
 // Optional per-entity override: which phase should this script's tick run in?
@@ -19,7 +19,8 @@ export const ScriptPhase = defineComponent('ScriptPhase', { tick: 'scripts' }, {
 
 
 // Register an additional tick phase that calls a named hook (default 'onTick').
-export function addScriptTickPhase(phaseName, hookName = 'onTick') {
+// Pass a world's registry (world.systems) to keep the phase private to that world.
+export function addScriptTickPhase(phaseName, hookName = 'onTick', registry = defaultRegistry) {
     function ScriptTickAtPhase(world, dt) {
         for (const [eid] of world.query(ScriptRef)) {
             // If entity declares a ScriptPhase, only run when it matches this phase
@@ -28,7 +29,7 @@ export function addScriptTickPhase(phaseName, hookName = 'onTick') {
             const h = world.scripts?.handlersOf?.(eid);
             const fn = h && h[hookName];
             if (typeof fn === 'function') {
-                try { fn(world, eid, dt, { rand: world.rand, emit: (e, p) => world.emit(e, p) }); }
+                try { fn(world, eid, dt, scriptContext(world, eid)); }
                 catch (e) {
                     const msg = (e && e.stack) ? e.stack : String(e);
                     world.has(eid, ScriptMeta)
@@ -38,7 +39,7 @@ export function addScriptTickPhase(phaseName, hookName = 'onTick') {
             }
         }
     }
-    registerSystem(ScriptTickAtPhase, phaseName);
+    registry.register(ScriptTickAtPhase, phaseName);
 }
 
 /*
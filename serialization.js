@@ -3,9 +3,12 @@
 /**
  * @module ecs/serialization
  * Serialize and restore World state as plain JSON snapshots. Flexible include/exclude,
- * registry-based component resolution, and append/replace application modes.
+ * registry-based component resolution, append/replace application modes, deltas between states,
+ * and chunked streams (NDJSON-ready) for worlds too large to hold as one snapshot object.
  */
 
+import { migrateRecord } from './core.js';
+
 /**
  * @typedef {import('./core.js').World} World
  * @typedef {import('./core.js').Component} Component
@@ -16,6 +19,8 @@
  * @property {number} seed
  * @property {number} frame
  * @property {number} time
+ * @property {number} [rng] - World RNG position (`world.rand.getState()`); absent in older snapshots.
+ * @property {Record<string, import('./rng.js').RngState>} [rngStreams] - Positions of the `world.rng(name)` streams used so far.
  * @property {string} store - Store mode (e.g., 'map' | 'soa').
  * @property {string} [note]
  */
@@ -26,6 +31,23 @@
  * @property {SnapshotMeta} meta
  * @property {Record<string, Array<[number, object]>>} comps - Map of component name to rows [id, record].
  * @property {number[]} alive - Alive entity ids (optional if derivable from comps).
+ * @property {SnapshotEntities} [entities] - Slot generations and free list (absent in older snapshots).
+ * @property {SnapshotCalendar} [calendar] - Pending scheduled events (absent when none are pending).
+ * @property {Record<string, Array<[number, number, object]>>} [relations] - Map of relation name to rows [source, target, data].
+ * @property {Record<string, object>} [resources] - Map of resource name to record (absent when none are set).
+ * @property {Record<string, number>} [versions] - Declared `version` per component, relation and resource name (absent ones are 1).
+ */
+
+/**
+ * @typedef {object} SnapshotCalendar
+ * @property {number} nextId - Next scheduling sequence number.
+ * @property {Array<{ id:number, time:number, event:string, payload?:any, entity?:number }>} events - Pending events in dispatch order.
+ */
+
+/**
+ * @typedef {object} SnapshotEntities
+ * @property {number[]} gens - Current generation per slot index (index 0 unused).
+ * @property {number[]} free - Recycled slot indices in free-list order.
  */
 
 /**
@@ -33,13 +55,28 @@
  */
 
 /** Build a name->Component registry from components or arrays of components.
- * Later used for deserialization to map names to constructors.
- * @param {...(Component|Component[]) } comps
+ * Later used for deserialization to map names to constructors. Relations (from defineRelation)
+ * may be listed too so snapshot relation pairs can be restored. Plain `{ oldName: Comp }` objects
+ * add aliases for renamed components, as do the components' own `aliases`; a current name always
+ * wins over an alias.
+ * @param {...(Component|Component[]|Record<string, Component>) } comps
  * @returns {Map<string, Component>}
  */
 export function makeRegistry(...comps) {
   const reg = new Map();
-  for (const c of comps.flat()) if (c && c.key && typeof c.name === 'string') reg.set(c.name, c);
+  const aliases = [];
+  for (const c of comps.flat()) {
+    if (c && c.key && typeof c.name === 'string') {
+      reg.set(c.name, c);
+      for (const alias of c.aliases || []) aliases.push([alias, c]);
+    } else if (c && typeof c === 'object') {
+      for (const [alias, target] of Object.entries(c)) {
+        if (!target?.key) throw new Error(`makeRegistry: alias '${alias}' must map to a component`);
+        aliases.push([alias, target]);
+      }
+    }
+  }
+  for (const [alias, c] of aliases) if (!reg.has(alias)) reg.set(alias, c);
   return reg;
 }
 
@@ -53,13 +90,16 @@ export function serializeWorld(world, opts = {}) {
   const include = _normalizeInclude(opts.include);
   const exclude = new Set(opts.exclude || []);
   const comps = {};
+  const versions = {};
   const alive = Array.from(world.alive).sort((a, b) => a - b).filter(pickEntity);
 
   for (const [ckey, store] of world._store) {
+    if (world._components?.get(ckey)?.relation) continue; // pair storage, serialized under `relations`
     const name = _guessCompName(world, ckey, store);
     if (!name) continue;
     if (include && !include.has(name)) continue;
     if (exclude.has(name)) continue;
+    const version = (world._components?.get(ckey) || store._comp)?.version;
 
     const rows = [];
     const ids = store.entityIds ? store.entityIds() : alive;
@@ -70,17 +110,29 @@ export function serializeWorld(world, opts = {}) {
       if (!rec) continue;
       rows.push([id, _clonePlain(rec)]);
     }
-    if (rows.length) comps[name] = rows;
+    if (rows.length) {
+      comps[name] = rows;
+      if (version != null) versions[name] = version;
+    }
   }
 
-  const meta = {
-    seed: world.seed >>> 0,
-    frame: world.frame | 0,
-    time: +world.time || 0,
-    store: world.storeMode || (_guessStore(world) || 'map'),
-    note: opts.note || undefined
-  };
-  return { v: 1, meta, comps, alive };
+  const out = { v: 1, meta: _snapshotMeta(world, opts.note), comps, alive };
+  const resources = _serializeResources(world, include, exclude);
+  if (resources) {
+    out.resources = resources;
+    for (const Res of world._resourceDefs.values()) if (Res.version != null && Object.hasOwn(resources, Res.name)) versions[Res.name] = Res.version;
+  }
+  if (typeof world._entityTable === 'function') out.entities = world._entityTable();
+  const calendar = _serializeCalendar(world, opts.pickEntity ? pickEntity : null);
+  if (calendar) out.calendar = calendar;
+  if (world._rel?.size) {
+    const relations = world._relationRows(pickEntity);
+    for (const rows of Object.values(relations)) for (const row of rows) row[2] = _clonePlain(row[2]);
+    if (Object.keys(relations).length) out.relations = relations;
+    for (const { rel } of world._rel.values()) if (rel.version != null && relations[rel.name]) versions[rel.name] = rel.version;
+  }
+  if (Object.keys(versions).length) out.versions = versions;
+  return out;
 }
 
 /** Serialize a subset of entities.
@@ -114,6 +166,11 @@ export function deserializeWorld(data, registry, opts = {}) {
 }
 
 /** Apply a snapshot to an existing world.
+ * Resources are replaced (replace mode) or overwritten one by one (append mode).
+ * Unless ids are preserved (replace mode without `remapId`), snapshot entities get new ids: `remapId`
+ * may map one onto an alive entity of this world, otherwise a fresh entity is created. Component
+ * fields declared as entity references (`refs`) are rewritten to the new ids. Records saved at
+ * an older component version (`versions`) are migrated first; names resolve through registry aliases.
  * @param {World} world
  * @param {Snapshot} data
  * @param {Registry} registry
@@ -127,6 +184,8 @@ export function applySnapshot(world, data, registry, opts = {}) {
   const mode = opts.mode || 'replace'; // 'replace' | 'append'
   const mapNameToComp = _normalizeRegistry(registry);
   const remap = opts.remapId || null;
+  const versions = data.versions || {};
+  const upgrade = (C, name, rec) => migrateRecord(C, versions[name], rec);
 
   // Validate unknown components before mutating the world to avoid partial application.
   if (!opts.skipUnknown) {
@@ -135,72 +194,733 @@ export function applySnapshot(world, data, registry, opts = {}) {
         throw new Error(`applySnapshot: unknown component '${name}'`);
       }
     }
+    for (const name of Object.keys(data.relations || {})) {
+      if (!mapNameToComp.get(name)?.isRelation) {
+        throw new Error(`applySnapshot: unknown relation '${name}'`);
+      }
+    }
+    for (const name of Object.keys(data.resources || {})) {
+      if (!mapNameToComp.has(name)) {
+        throw new Error(`applySnapshot: unknown resource '${name}'`);
+      }
+    }
   }
 
   return world.batch?.(() => _apply()) ?? _apply();
 
   function _apply() {
-    if (mode === 'replace') {
-      for (const id of Array.from(world.alive)) world.destroy(id);
-    }
+    if (mode === 'replace') world._destroyAll();
     const idMap = new Map();
     const sourceAlive = (data.alive || _collectAliveFromComps(data)).slice().sort((a, b) => a - b);
     for (const id of sourceAlive) {
       if (!Number.isInteger(id) || id <= 0) throw new Error(`applySnapshot: invalid entity id '${id}'`);
     }
-    if (mode === 'replace' && !remap) {
+    const sameIds = (mode === 'replace' && !remap);
+    if (sameIds) {
       // Restore original entity IDs directly. This preserves cross-entity
       // references stored inside component payloads without needing to walk
-      // every payload and remap embedded IDs.
-      world._free.length = 0;
-      const maxId = sourceAlive.length ? sourceAlive[sourceAlive.length - 1] : 0;
-      world._nextId = maxId + 1;
-      for (const oldId of sourceAlive) {
-        world.alive.add(oldId);
-        idMap.set(oldId, oldId);
-      }
+      // every payload and remap embedded IDs. Slot generations come along so
+      // stale ids held in payloads stay dead after the load.
+      world._restoreEntities(sourceAlive, data.entities);
+      for (const oldId of sourceAlive) idMap.set(oldId, oldId);
     } else {
       for (const oldId of sourceAlive) {
         let newId;
         if (remap) {
           const mapped = Number(remap(oldId));
-          newId = (Number.isInteger(mapped) && mapped > 0) ? mapped : world.create();
+          newId = (Number.isInteger(mapped) && mapped > 0 && world.alive.has(mapped)) ? mapped : world.create();
         } else {
           newId = world.create();
         }
         idMap.set(oldId, newId);
       }
     }
+    if (mode === 'replace') world._clearResources?.();
+    for (const [name, rec] of Object.entries(data.resources || {})) {
+      const Res = mapNameToComp.get(name);
+      if (Res) world.setResource(Res, upgrade(Res, name, _clonePlain(rec)));
+    }
+    if (world.calendar) {
+      if (world._journal) world._journalCalendar();
+      const mapEntity = (id) => idMap.get(id) ?? null;
+      if (mode === 'replace') world.calendar.restore(data.calendar, mapEntity);
+      else {
+        for (const ev of data.calendar?.events || []) {
+          const entity = (ev.entity != null) ? mapEntity(ev.entity) : null;
+          if (ev.entity != null && entity == null) continue;
+          world.calendar.add(ev.time, ev.event, _clonePlain(ev.payload), entity);
+        }
+      }
+    }
     for (const [name, rows] of Object.entries(data.comps || {})) {
       const Comp = mapNameToComp.get(name);
       if (!Comp) { if (!opts.skipUnknown) throw new Error(`applySnapshot: unknown component '${name}'`); continue; }
+      const remapRefs = (Comp.refs && !sameIds) ? Object.keys(Comp.refs) : null;
       for (const [oldId, payload] of rows) {
         const id = idMap.get(oldId);
         if (!id) continue;
-        world.add(id, Comp, _clonePlain(payload));
+        const rec = upgrade(Comp, name, _clonePlain(payload));
+        // Entity-reference fields follow their targets; refs to entities outside the snapshot become 0.
+        if (remapRefs) for (const f of remapRefs) if (rec[f]) rec[f] = idMap.get(rec[f]) ?? 0;
+        world.add(id, Comp, rec);
       }
     }
-    if (data.meta && typeof data.meta === 'object') {
-      if (Object.prototype.hasOwnProperty.call(data.meta, 'time')) {
-        const t = Number(data.meta.time);
-        world.time = Number.isFinite(t) ? t : 0;
-      }
-      if (Object.prototype.hasOwnProperty.call(data.meta, 'frame')) {
-        const f = Number(data.meta.frame);
-        world.frame = Number.isFinite(f) ? (f | 0) : 0;
+    for (const [name, rows] of Object.entries(data.relations || {})) {
+      const R = mapNameToComp.get(name);
+      if (!R?.isRelation) continue;
+      for (const [src, tgt, payload] of rows) {
+        const a = idMap.get(src), b = idMap.get(tgt);
+        if (a && b) world.relate(a, R, b, upgrade(R, name, _clonePlain(payload)));
       }
     }
+    // Appending (e.g. prefabs) must not rewind the RNG of the receiving world.
+    _applyMeta(world, data.meta, mode === 'replace');
     return world;
   }
 }
 
+/**
+ * @typedef {object} ComponentDelta
+ * @property {Array<[number, object]>} [added] - Records attached (or replaced wholesale) on these entities.
+ * @property {number[]} [removed] - Entities that lost the component (destroyed entities are not listed).
+ * @property {Array<[number, object]>} [changed] - Changed fields only, per entity.
+ */
+
+/**
+ * @typedef {object} RelationDelta
+ * @property {Array<[number, number, object]>} [added] - New pairs, or pairs whose data changed.
+ * @property {Array<[number, number]>} [removed]
+ */
+
+/**
+ * @typedef {object} SnapshotDelta
+ * @property {1} v - Version marker.
+ * @property {true} delta
+ * @property {number} [from] - `world.step` of the baseline handle (serializeDelta only).
+ * @property {number} [to] - `world.step` when the delta was taken (serializeDelta only).
+ * @property {SnapshotMeta} meta - Target meta; time, frame and RNG positions are applied.
+ * @property {number[]} created - Entity ids alive in the target only, ascending.
+ * @property {number[]} destroyed - Entity ids alive in the baseline only, ascending.
+ * @property {Record<string, ComponentDelta>} comps
+ * @property {Record<string, RelationDelta>} [relations]
+ * @property {{ set?: Record<string, object>, removed?: string[] }} [resources]
+ * @property {SnapshotCalendar|null} [calendar] - Replacement calendar, present only when it changed.
+ * @property {{ length: number, gens: Array<[number, number]>, free: number[] }} [entities] - Changed slot generations and the new free list.
+ */
+
+const _EMPTY_SNAPSHOT = Object.freeze({ v: 1, meta: {}, comps: {}, alive: [] });
+
+/** Describe how to turn snapshot `a` into snapshot `b`.
+ * Applying the result to a world holding `a` ({@link applyDelta}) leaves it serializing to `b`
+ * (up to row order). Records are compared field by field, so only changed fields travel.
+ * @param {Snapshot} a - Baseline.
+ * @param {Snapshot} b - Target.
+ * @returns {SnapshotDelta}
+ */
+export function diffSnapshots(a, b) {
+  _assertSnapshot(a);
+  _assertSnapshot(b);
+  const aliveA = new Set(a.alive || _collectAliveFromComps(a));
+  const aliveB = new Set(b.alive || _collectAliveFromComps(b));
+  const out = {
+    v: 1,
+    delta: true,
+    meta: _clonePlain(b.meta || {}),
+    created: [...aliveB].filter((id) => !aliveA.has(id)).sort((x, y) => x - y),
+    destroyed: [...aliveA].filter((id) => !aliveB.has(id)).sort((x, y) => x - y),
+    comps: {}
+  };
+
+  for (const name of new Set([...Object.keys(a.comps), ...Object.keys(b.comps)])) {
+    const before = new Map(a.comps[name] || []);
+    const entry = {};
+    for (const [id, rec] of b.comps[name] || []) {
+      const prev = before.get(id);
+      before.delete(id);
+      if (!prev) { (entry.added ||= []).push([id, _clonePlain(rec)]); continue; }
+      const patch = _patch(prev, rec);
+      if (patch === null) (entry.added ||= []).push([id, _clonePlain(rec)]);
+      else if (patch) (entry.changed ||= []).push([id, patch]);
+    }
+    for (const id of before.keys()) if (aliveB.has(id)) (entry.removed ||= []).push(id);
+    if (Object.keys(entry).length) out.comps[name] = entry;
+  }
+
+  const relations = {};
+  for (const name of new Set([...Object.keys(a.relations || {}), ...Object.keys(b.relations || {})])) {
+    const before = new Map((a.relations?.[name] || []).map(([src, tgt, data]) => [`${src}:${tgt}`, data]));
+    const entry = {};
+    for (const [src, tgt, data] of b.relations?.[name] || []) {
+      const key = `${src}:${tgt}`;
+      const had = before.has(key);
+      const prev = before.get(key);
+      before.delete(key);
+      if (!had || !_samePlain(prev, data)) (entry.added ||= []).push([src, tgt, _clonePlain(data)]);
+    }
+    for (const key of before.keys()) {
+      const [src, tgt] = key.split(':').map(Number);
+      if (aliveB.has(src) && aliveB.has(tgt)) (entry.removed ||= []).push([src, tgt]);
+    }
+    if (Object.keys(entry).length) relations[name] = entry;
+  }
+  if (Object.keys(relations).length) out.relations = relations;
+
+  const resA = a.resources || {}, resB = b.resources || {};
+  const resources = {};
+  for (const [name, rec] of Object.entries(resB)) {
+    if (!Object.hasOwn(resA, name) || !_samePlain(resA[name], rec)) (resources.set ||= {})[name] = _clonePlain(rec);
+  }
+  for (const name of Object.keys(resA)) if (!Object.hasOwn(resB, name)) (resources.removed ||= []).push(name);
+  if (Object.keys(resources).length) out.resources = resources;
+
+  if (!_samePlain(a.calendar ?? null, b.calendar ?? null)) out.calendar = _clonePlain(b.calendar ?? null);
+
+  if (b.entities) {
+    const gensA = a.entities?.gens || [], gensB = b.entities.gens || [];
+    const gens = [];
+    for (let i = 1; i < gensB.length; i++) if ((gensB[i] | 0) !== (gensA[i] | 0)) gens.push([i, gensB[i]]);
+    const free = b.entities.free || [];
+    if (gens.length || gensA.length !== gensB.length || !_samePlain(a.entities?.free || [], free))
+      out.entities = { length: gensB.length, gens, free: free.slice() };
+  }
+  return out;
+}
+
+/**
+ * @typedef {object} DeltaBaseline
+ * @property {number} step - `world.step` the snapshot was taken at.
+ * @property {Snapshot} snapshot
+ */
+
+/** Serialize what changed in `world` since `baseline`.
+ * The caller owns the baseline: pass the `baseline` handle a previous call returned (or any
+ * {@link serializeWorld} snapshot of this world) and keep the new one for the next call, one per
+ * receiver if they lag differently. Without a baseline the delta starts from an empty world (a full
+ * state to seed receivers with).
+ * @param {World} world
+ * @param {DeltaBaseline|Snapshot|null} [baseline]
+ * @param {Parameters<typeof serializeWorld>[1]} [opts]
+ * @returns {{ delta: SnapshotDelta, baseline: DeltaBaseline }}
+ */
+export function serializeDelta(world, baseline = null, opts = {}) {
+  const handle = baseline && 'snapshot' in baseline;
+  const base = handle ? baseline.snapshot : (baseline || _EMPTY_SNAPSHOT);
+  const snapshot = serializeWorld(world, opts);
+  const delta = diffSnapshots(base, snapshot);
+  if (handle) delta.from = baseline.step;
+  delta.to = world.step;
+  return { delta, baseline: { step: world.step, snapshot } };
+}
+
+/** Apply a delta to a world holding the delta's baseline state.
+ * Runs as one batch: if anything fails (unknown names, an id that is already taken) the world is
+ * left untouched. Entity ids are kept as-is, like a replace-mode {@link applySnapshot}.
+ * @param {World} world
+ * @param {SnapshotDelta} delta
+ * @param {Registry} registry
+ * @param {{ skipUnknown?: boolean }} [opts]
+ * @returns {World}
+ */
+export function applyDelta(world, delta, registry, opts = {}) {
+  if (world?._inTick) throw new Error('applyDelta: cannot be called during tick');
+  if (!delta || typeof delta !== 'object' || delta.v !== 1 || delta.delta !== true || !delta.comps || typeof delta.comps !== 'object')
+    throw new Error('applyDelta: invalid delta format');
+  const mapNameToComp = _normalizeRegistry(registry);
+
+  if (!opts.skipUnknown) {
+    for (const name of Object.keys(delta.comps)) {
+      if (!mapNameToComp.has(name)) throw new Error(`applyDelta: unknown component '${name}'`);
+    }
+    for (const name of Object.keys(delta.relations || {})) {
+      if (!mapNameToComp.get(name)?.isRelation) throw new Error(`applyDelta: unknown relation '${name}'`);
+    }
+    for (const name of [...Object.keys(delta.resources?.set || {}), ...(delta.resources?.removed || [])]) {
+      if (!mapNameToComp.has(name)) throw new Error(`applyDelta: unknown resource '${name}'`);
+    }
+  }
+
+  return world.batch?.(() => _apply()) ?? _apply();
+
+  function _apply() {
+    const alive = (id) => world.alive.has(id);
+    for (const [name, { removed = [] }] of Object.entries(delta.relations || {})) {
+      const R = mapNameToComp.get(name);
+      if (R?.isRelation) for (const [src, tgt] of removed) if (alive(src)) world.unrelate(src, R, tgt);
+    }
+    for (const [name, { removed = [] }] of Object.entries(delta.comps)) {
+      const Comp = mapNameToComp.get(name);
+      if (Comp) for (const id of removed) if (alive(id)) world.removeImmediate(id, Comp);
+    }
+    // The target state already reflects any ref policies, so destroys skip them (as loads do).
+    for (const id of delta.destroyed || []) if (alive(id)) world._kill(id);
+    for (const id of delta.created || []) {
+      if (!Number.isInteger(id) || id <= 0) throw new Error(`applyDelta: invalid entity id '${id}'`);
+      if (alive(id)) throw new Error(`applyDelta: entity ${id} already alive`);
+      world._claimSlot(id);
+    }
+    if (delta.entities) {
+      const table = world._entityTable();
+      table.gens.length = delta.entities.length;
+      table.gens.fill(0, world._nextId);
+      for (const [index, gen] of delta.entities.gens) table.gens[index] = gen;
+      table.free = delta.entities.free;
+      world._restoreEntities(Array.from(world.alive).sort((x, y) => x - y), table);
+    }
+
+    for (const [name, { added = [], changed = [] }] of Object.entries(delta.comps)) {
+      const Comp = mapNameToComp.get(name);
+      if (!Comp) continue;
+      for (const [id, rec] of added) world.add(id, Comp, _clonePlain(rec));
+      for (const [id, patch] of changed) world.set(id, Comp, _clonePlain(patch));
+    }
+    for (const [name, { added = [] }] of Object.entries(delta.relations || {})) {
+      const R = mapNameToComp.get(name);
+      if (R?.isRelation) for (const [src, tgt, data] of added) world.relate(src, R, tgt, _clonePlain(data));
+    }
+    for (const name of delta.resources?.removed || []) {
+      const Res = mapNameToComp.get(name);
+      if (Res) world.removeResource(Res);
+    }
+    for (const [name, rec] of Object.entries(delta.resources?.set || {})) {
+      const Res = mapNameToComp.get(name);
+      if (Res) world.setResource(Res, _clonePlain(rec));
+    }
+    if (delta.calendar !== undefined && world.calendar) {
+      if (world._journal) world._journalCalendar();
+      world.calendar.restore(delta.calendar);
+    }
+
+    _applyMeta(world, delta.meta, true);
+    return world;
+  }
+}
+
+/**
+ * @typedef {object} SnapshotChunk
+ * @property {'header'|'alive'|'resources'|'calendar'|'comp'|'relation'|'end'} kind
+ * One piece of a streamed snapshot. In stream order:
+ * - `header`: `{ v: 1, meta, entities?, comps, relations, resources }`, the last three listing the
+ *   names that follow so unknown ones are rejected before the world is touched.
+ * - `alive`: `{ ids }`, ascending alive entity ids, at most `chunkSize` per chunk.
+ * - `resources`: `{ resources, versions? }` (absent when none are set).
+ * - `calendar`: `{ calendar }` (absent when no events are pending).
+ * - `comp`: `{ name, version?, rows }` with `[id, record]` rows; `relation`: `{ name, version?, rows }` with `[source, target, data]` rows.
+ * - `end`: `{ entities, rows }` counts, so truncated streams are detected.
+ */
+
+/** Serialize the world as an async stream of chunks instead of one snapshot object.
+ * Records are cloned one chunk at a time, so only ids and the chunk in flight are held; pair the
+ * stream with {@link snapshotToNDJSON} to write a file or pipe it through a `CompressionStream`.
+ * The world must not change until the stream is drained: ticking it in between throws.
+ * {@link collectSnapshot} turns the stream back into the snapshot `serializeWorld` would return.
+ * @param {World} world
+ * @param {Parameters<typeof serializeWorld>[1] & { chunkSize?: number }} [opts] - `chunkSize`: ids or rows per chunk (default 1024).
+ * @returns {AsyncGenerator<SnapshotChunk>}
+ */
+export async function* serializeWorldStream(world, opts = {}) {
+  if (world?._inTick) throw new Error('serializeWorldStream: cannot be called during tick');
+  const size = opts.chunkSize ?? 1024;
+  if (!Number.isInteger(size) || size < 1) throw new Error('serializeWorldStream: chunkSize must be a positive integer');
+  const pickEntity = opts.pickEntity || (() => true);
+  const include = _normalizeInclude(opts.include);
+  const exclude = new Set(opts.exclude || []);
+  const step = world.step;
+  const settled = () => {
+    if (world._inTick || world.step !== step) throw new Error('serializeWorldStream: world ticked while streaming');
+  };
+  const alive = Array.from(world.alive).sort((a, b) => a - b).filter(pickEntity);
+  const picked = id => world.alive.has(id) && pickEntity(id);
+
+  const comps = [];
+  for (const [ckey, store] of world._store) {
+    const Comp = world._components?.get(ckey) || store._comp;
+    if (Comp?.relation) continue;
+    const name = _guessCompName(world, ckey, store);
+    if (!name || (include && !include.has(name)) || exclude.has(name)) continue;
+    const ids = store.entityIds();
+    if (ids.some(picked)) comps.push({ name, version: Comp?.version, store, ids });
+  }
+  const relations = [];
+  for (const state of world._rel?.values() || []) {
+    const pairs = [];
+    for (const src of world._store.get(state.any.key)?.entityIds() || []) {
+      if (!pickEntity(src)) continue;
+      for (const tgt of world.targets(src, state.rel)) if (picked(tgt)) pairs.push([src, tgt]);
+    }
+    if (!pairs.length) continue;
+    relations.push({ state, pairs });
+  }
+  const resources = _serializeResources(world, include, exclude);
+
+  const header = {
+    kind: 'header',
+    v: 1,
+    meta: _snapshotMeta(world, opts.note),
+    comps: comps.map(c => c.name),
+    relations: relations.map(r => r.state.rel.name),
+    resources: resources ? Object.keys(resources) : []
+  };
+  if (typeof world._entityTable === 'function') header.entities = world._entityTable();
+  yield header;
+
+  settled();
+  for (let i = 0; i < alive.length; i += size) {
+    yield { kind: 'alive', ids: alive.slice(i, i + size) };
+    settled();
+  }
+  if (resources) {
+    const versions = {};
+    for (const Res of world._resourceDefs.values()) if (Res.version != null && Object.hasOwn(resources, Res.name)) versions[Res.name] = Res.version;
+    yield Object.keys(versions).length ? { kind: 'resources', resources, versions } : { kind: 'resources', resources };
+    settled();
+  }
+  const calendar = _serializeCalendar(world, opts.pickEntity ? pickEntity : null);
+  if (calendar) {
+    yield { kind: 'calendar', calendar };
+    settled();
+  }
+
+  let total = 0;
+  for (const { name, version, store, ids } of comps) {
+    let rows = [];
+    for (const id of ids) {
+      if (!picked(id)) continue;
+      const rec = store.get(id);
+      if (!rec) continue;
+      rows.push([id, _clonePlain(rec)]);
+      if (rows.length === size) {
+        yield _rowChunk('comp', name, version, rows);
+        settled();
+        total += rows.length;
+        rows = [];
+      }
+    }
+    if (rows.length) {
+      yield _rowChunk('comp', name, version, rows);
+      settled();
+      total += rows.length;
+    }
+  }
+  for (const { state, pairs } of relations) {
+    for (let i = 0; i < pairs.length; i += size) {
+      const rows = [];
+      for (const [src, tgt] of pairs.slice(i, i + size)) {
+        const rec = world.getRelation(src, state.rel, tgt);
+        if (rec) rows.push([src, tgt, _clonePlain({ ...rec })]);
+      }
+      if (!rows.length) continue;
+      yield _rowChunk('relation', state.rel.name, state.rel.version, rows);
+      settled();
+      total += rows.length;
+    }
+  }
+  yield { kind: 'end', entities: alive.length, rows: total };
+}
+
+/** Gather a chunk stream into one snapshot (the object {@link serializeWorld} would have returned).
+ * @param {AsyncIterable<SnapshotChunk>|Iterable<SnapshotChunk>} chunks
+ * @returns {Promise<Snapshot>}
+ */
+export async function collectSnapshot(chunks) {
+  let out = null;
+  const versions = {};
+  for await (const chunk of chunks) {
+    if (!out) {
+      _assertHeader(chunk, 'collectSnapshot');
+      out = { v: 1, meta: chunk.meta, comps: {}, alive: [] };
+      if (chunk.entities) out.entities = chunk.entities;
+      continue;
+    }
+    switch (chunk?.kind) {
+      case 'alive': for (const id of chunk.ids) out.alive.push(id); break;
+      case 'resources': out.resources = chunk.resources; Object.assign(versions, chunk.versions); break;
+      case 'calendar': out.calendar = chunk.calendar; break;
+      case 'comp':
+      case 'relation': {
+        const section = chunk.kind === 'comp' ? out.comps : (out.relations ||= {});
+        const rows = (section[chunk.name] ||= []);
+        for (const row of chunk.rows) rows.push(row);
+        if (chunk.version != null) versions[chunk.name] = chunk.version;
+        break;
+      }
+      case 'end':
+        if (Object.keys(versions).length) out.versions = versions;
+        return out;
+      default: throw new Error(`collectSnapshot: unknown chunk kind '${chunk?.kind}'`);
+    }
+  }
+  throw new Error(out ? 'collectSnapshot: stream ended before its end chunk' : 'collectSnapshot: empty stream');
+}
+
+/** Apply a chunk stream to an existing world, one chunk at a time; the streaming twin of
+ * {@link applySnapshot} (same modes, registry aliases, id remapping and migrations).
+ * Unknown names are rejected from the header before the world is touched, but a stream that
+ * fails later (truncated input, invalid records) leaves the world partially loaded: load into a
+ * fresh world with {@link deserializeWorldStream} when that matters. Time, frame and RNG positions
+ * are restored once the end chunk arrives.
+ * Ticking the world while the load is suspended between chunks throws.
+ * @param {World} world
+ * @param {AsyncIterable<SnapshotChunk>|Iterable<SnapshotChunk>} chunks
+ * @param {Registry} registry
+ * @param {{ mode?: 'replace'|'append', skipUnknown?: boolean, remapId?:(oldId:number)=>number }} [opts]
+ * @returns {Promise<World>}
+ */
+export async function applySnapshotStream(world, chunks, registry, opts = {}) {
+  if (world?._inTick) throw new Error('applySnapshotStream: cannot be called during tick');
+  const mode = opts.mode || 'replace';
+  const mapNameToComp = _normalizeRegistry(registry);
+  const remap = opts.remapId || null;
+  const sameIds = (mode === 'replace' && !remap);
+  const idMap = new Map();
+  let header = null;
+  let pendingAlive = []; // sameIds: ids wait until the first data chunk to restore slots in one go
+  let settled = false;
+  const counts = { entities: 0, rows: 0 };
+  const step = world.step;
+
+  const settleEntities = () => {
+    if (settled) return;
+    settled = true;
+    if (!sameIds) return;
+    world._restoreEntities(pendingAlive, header.entities);
+    for (const id of pendingAlive) idMap.set(id, id);
+    pendingAlive = null;
+  };
+
+  for await (const chunk of chunks) {
+    if (world.step !== step) throw new Error('applySnapshotStream: world ticked while loading');
+    if (!header) {
+      _assertHeader(chunk, 'applySnapshotStream');
+      header = chunk;
+      if (!opts.skipUnknown) {
+        for (const name of chunk.comps || []) {
+          if (!mapNameToComp.has(name)) throw new Error(`applySnapshotStream: unknown component '${name}'`);
+        }
+        for (const name of chunk.relations || []) {
+          if (!mapNameToComp.get(name)?.isRelation) throw new Error(`applySnapshotStream: unknown relation '${name}'`);
+        }
+        for (const name of chunk.resources || []) {
+          if (!mapNameToComp.has(name)) throw new Error(`applySnapshotStream: unknown resource '${name}'`);
+        }
+      }
+      if (mode === 'replace') {
+        world._destroyAll();
+        world._clearResources?.();
+        world.calendar?.restore(null);
+      }
+      continue;
+    }
+    switch (chunk?.kind) {
+      case 'alive': {
+        if (settled) throw new Error('applySnapshotStream: alive chunk after data chunks');
+        for (const id of chunk.ids) {
+          if (!Number.isInteger(id) || id <= 0) throw new Error(`applySnapshotStream: invalid entity id '${id}'`);
+          if (sameIds) { pendingAlive.push(id); continue; }
+          let newId;
+          if (remap) {
+            const mapped = Number(remap(id));
+            newId = (Number.isInteger(mapped) && mapped > 0 && world.alive.has(mapped)) ? mapped : world.create();
+          } else {
+            newId = world.create();
+          }
+          idMap.set(id, newId);
+        }
+        counts.entities += chunk.ids.length;
+        break;
+      }
+      case 'resources': {
+        settleEntities();
+        for (const [name, rec] of Object.entries(chunk.resources || {})) {
+          const Res = mapNameToComp.get(name);
+          if (Res) world.setResource(Res, migrateRecord(Res, chunk.versions?.[name], _clonePlain(rec)));
+        }
+        break;
+      }
+      case 'calendar': {
+        settleEntities();
+        if (!world.calendar) break;
+        const mapEntity = (id) => idMap.get(id) ?? null;
+        if (mode === 'replace') world.calendar.restore(chunk.calendar, mapEntity);
+        else {
+          for (const ev of chunk.calendar?.events || []) {
+            const entity = (ev.entity != null) ? mapEntity(ev.entity) : null;
+            if (ev.entity != null && entity == null) continue;
+            world.calendar.add(ev.time, ev.event, _clonePlain(ev.payload), entity);
+          }
+        }
+        break;
+      }
+      case 'comp': {
+        settleEntities();
+        counts.rows += chunk.rows.length;
+        const Comp = mapNameToComp.get(chunk.name);
+        if (!Comp) { if (!opts.skipUnknown) throw new Error(`applySnapshotStream: unknown component '${chunk.name}'`); break; }
+        const remapRefs = (Comp.refs && !sameIds) ? Object.keys(Comp.refs) : null;
+        for (const [oldId, payload] of chunk.rows) {
+          const id = idMap.get(oldId);
+          if (!id) continue;
+          const rec = migrateRecord(Comp, chunk.version, _clonePlain(payload));
+          if (remapRefs) for (const f of remapRefs) if (rec[f]) rec[f] = idMap.get(rec[f]) ?? 0;
+          world.add(id, Comp, rec);
+        }
+        break;
+      }
+      case 'relation': {
+        settleEntities();
+        counts.rows += chunk.rows.length;
+        const R = mapNameToComp.get(chunk.name);
+        if (!R?.isRelation) { if (!opts.skipUnknown) throw new Error(`applySnapshotStream: unknown relation '${chunk.name}'`); break; }
+        for (const [src, tgt, payload] of chunk.rows) {
+          const a = idMap.get(src), b = idMap.get(tgt);
+          if (a && b) world.relate(a, R, b, migrateRecord(R, chunk.version, _clonePlain(payload)));
+        }
+        break;
+      }
+      case 'end': {
+        settleEntities();
+        if (chunk.entities !== counts.entities || chunk.rows !== counts.rows) {
+          throw new Error(`applySnapshotStream: stream lost chunks (expected ${chunk.entities} entities and ${chunk.rows} rows, got ${counts.entities} and ${counts.rows})`);
+        }
+        _applyMeta(world, header.meta, mode === 'replace');
+        return world;
+      }
+      default: throw new Error(`applySnapshotStream: unknown chunk kind '${chunk?.kind}'`);
+    }
+  }
+  throw new Error(header ? 'applySnapshotStream: stream ended before its end chunk' : 'applySnapshotStream: empty stream');
+}
+
+/** Construct a new World from a chunk stream; the world is only returned once the whole stream applied.
+ * @param {AsyncIterable<SnapshotChunk>|Iterable<SnapshotChunk>} chunks
+ * @param {Registry} registry
+ * @param {{ World?: new (opts:any)=>World, seed?:number, store?:string, skipUnknown?:boolean }} [opts]
+ * @returns {Promise<World>}
+ */
+export async function deserializeWorldStream(chunks, registry, opts = {}) {
+  const it = (chunks[Symbol.asyncIterator] || chunks[Symbol.iterator]).call(chunks);
+  const first = await it.next();
+  if (first.done) throw new Error('deserializeWorldStream: empty stream');
+  _assertHeader(first.value, 'deserializeWorldStream');
+  const meta = first.value.meta || {};
+  const WorldCtor = opts.World || (globalThis.World);
+  if (!WorldCtor) throw new Error('deserializeWorldStream: supply opts.World or expose World globally');
+  const seed = (opts.seed != null) ? (opts.seed >>> 0) : (meta.seed >>> 0);
+  const world = new WorldCtor({ seed, store: opts.store || meta.store || undefined });
+  async function* rest() {
+    yield first.value;
+    for (let next = await it.next(); !next.done; next = await it.next()) yield next.value;
+  }
+  return applySnapshotStream(world, rest(), registry, opts);
+}
+
+/** Encode a chunk stream as NDJSON: one JSON document per line.
+ * As with `JSON.stringify` snapshots, NaN and ±Infinity become null and -0 becomes 0.
+ * @example
+ * const lines = ReadableStream.from(snapshotToNDJSON(serializeWorldStream(world)));
+ * await lines.pipeThrough(new TextEncoderStream()).pipeThrough(new CompressionStream('gzip')).pipeTo(file.writable);
+ * @param {AsyncIterable<SnapshotChunk>|Iterable<SnapshotChunk>} chunks
+ * @returns {AsyncGenerator<string>}
+ */
+export async function* snapshotToNDJSON(chunks) {
+  for await (const chunk of chunks) yield JSON.stringify(chunk) + '\n';
+}
+
+/** Parse NDJSON text (strings or UTF-8 byte chunks split anywhere, e.g. a decompressed file stream)
+ * back into snapshot chunks. Blank lines are skipped.
+ * @param {AsyncIterable<string|Uint8Array>|Iterable<string|Uint8Array>} source
+ * @returns {AsyncGenerator<SnapshotChunk>}
+ */
+export async function* parseNDJSON(source) {
+  const decoder = new TextDecoder();
+  let buffered = '';
+  let line = 0;
+  const parse = (text) => {
+    line++;
+    if (!text.trim()) return undefined;
+    try { return JSON.parse(text); } catch (e) { throw new Error(`parseNDJSON: invalid JSON on line ${line}: ${e.message}`); }
+  };
+  for await (const piece of source) {
+    buffered += typeof piece === 'string' ? piece : decoder.decode(piece, { stream: true });
+    let start = 0;
+    for (let nl = buffered.indexOf('\n'); nl >= 0; nl = buffered.indexOf('\n', start)) {
+      const value = parse(buffered.slice(start, nl));
+      start = nl + 1;
+      if (value !== undefined) yield value;
+    }
+    buffered = buffered.slice(start);
+  }
+  buffered += decoder.decode();
+  const value = parse(buffered);
+  if (value !== undefined) yield value;
+}
+
 /* helpers */
+/** Pending calendar events as plain data; with `pickEntity` only events owned by picked entities are kept.
+ * @private
+ */
+function _serializeCalendar(world, pickEntity) {
+  const cal = world.calendar;
+  if (!cal || !cal.size) return null;
+  const events = [];
+  for (const { id, time, event, payload, entity } of cal.pending()) {
+    if (entity != null ? (!world.alive.has(entity) || (pickEntity && !pickEntity(entity))) : pickEntity) continue;
+    const row = { id, time, event };
+    if (payload !== undefined) row.payload = _clonePlain(payload);
+    if (entity != null) row.entity = entity;
+    events.push(row);
+  }
+  return events.length ? { nextId: cal._nextId, events } : null;
+}
+/** Resource records by name, honouring the same include/exclude filters as components. @private */
+function _serializeResources(world, include, exclude) {
+  if (!world._resources?.size) return null;
+  const out = {};
+  for (const [rkey, rec] of world._resources) {
+    const name = world._resourceDefs.get(rkey)?.name;
+    if (!name || (include && !include.has(name)) || exclude.has(name)) continue;
+    out[name] = _clonePlain(rec);
+  }
+  return Object.keys(out).length ? out : null;
+}
+/** @private */
+function _rowChunk(kind, name, version, rows) { return version != null ? { kind, name, version, rows } : { kind, name, rows }; }
+/** @private */
+function _assertHeader(chunk, where) { if (chunk?.kind !== 'header' || chunk.v !== 1) throw new Error(`${where}: stream must start with a v1 header chunk`); }
+/** Restore time and frame, and (unless appending) the RNG positions, from snapshot meta. @private */
+function _applyMeta(world, meta, restoreRng) {
+  if (!meta || typeof meta !== 'object') return;
+  if (Object.hasOwn(meta, 'time')) { const t = Number(meta.time); world.time = Number.isFinite(t) ? t : 0; }
+  if (Object.hasOwn(meta, 'frame')) { const f = Number(meta.frame); world.frame = Number.isFinite(f) ? (f | 0) : 0; }
+  if (restoreRng) {
+    world._restoreRng?.(meta.rng);
+    world._restoreRngStreams?.(meta.rngStreams);
+  }
+}
 /** @private */
 function _normalizeInclude(val) { if (!val) return null; if (val instanceof Set) return val; return new Set(Array.isArray(val) ? val : [val]); }
 /** @private */
 function _assertSnapshot(d) { if (!d || typeof d !== 'object' || d.v !== 1 || !d.comps || typeof d.comps !== 'object') throw new Error('snapshot: invalid format'); }
 /** @private */
 function _normalizeRegistry(reg) { if (!reg) throw new Error('registry required'); if (reg instanceof Map) return reg; const m = new Map(); for (const [k, v] of Object.entries(reg)) m.set(k, v); return m; }
+/** Changed fields of `b` relative to `a`: `undefined` when equal, null when fields were dropped (replace the record). @private */
+function _patch(a, b) {
+  let patch;
+  for (const k of Object.keys(a)) if (!Object.hasOwn(b, k)) return null;
+  for (const k of Object.keys(b)) {
+    if (!Object.hasOwn(a, k) || !_samePlain(a[k], b[k])) (patch ||= {})[k] = _clonePlain(b[k]);
+  }
+  return patch;
+}
+/** Structural equality for snapshot data (NaN equals NaN, -0 differs from 0). @private */
+function _samePlain(a, b) {
+  if (Object.is(a, b)) return true;
+  if (!a || !b || typeof a !== 'object' || typeof b !== 'object') return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+  const ka = Object.keys(a), kb = Object.keys(b);
+  if (ka.length !== kb.length) return false;
+  for (const k of ka) if (!Object.hasOwn(b, k) || !_samePlain(a[k], b[k])) return false;
+  return true;
+}
 /** @private */
 function _clonePlain(x) {
   if (typeof structuredClone === 'function') {
@@ -221,5 +941,21 @@ function _guessCompName(_world, ckey, store) { if (store?._comp?.name) return st
 function _lookupCompByName(world, name) { for (const [ck, s] of world._store) { const n = _guessCompName(world, ck, s); if (n === name && s._comp) return s._comp; } return null; }
 /** @private */
 function _collectAliveFromComps(data) { const s = new Set(); for (const rows of Object.values(data.comps || {})) for (const [id] of rows) s.add(id); return Array.from(s); }
+/** Snapshot meta; `rngStreams` is only present once a named stream was used. @private */
+function _snapshotMeta(world, note) {
+  const meta = {
+    seed: world.seed >>> 0,
+    frame: world.frame | 0,
+    time: +world.time || 0,
+    rng: _rngState(world),
+    store: world.storeMode || (_guessStore(world) || 'map'),
+    note: note || undefined
+  };
+  const streams = world._rngStreamStates?.();
+  if (streams) meta.rngStreams = streams;
+  return meta;
+}
+/** @private */
+function _rngState(world) { return typeof world.rand?.getState === 'function' ? world.rand.getState() : undefined; }
 /** @private */
 function _guessStore(world) { return world.storeMode || 'map'; }
@@ -11,8 +11,15 @@
  * @typedef {(world: import('./core.js').World, dt:number)=>void} SystemFn
  */
 
-const _systems = Object.create(null);      // { phase: [ { system, before:Set, after:Set } ] }
-const _explicitOrder = Object.create(null); // { phase: [fn, fn, ...] }
+/**
+ * Change window a system's `Changed`/`Added`/`Removed` query terms see:
+ * - `'lastRun'`: changes since this system last ran, its own writes excluded (default).
+ *   A system's first run sees the current tick.
+ * - `'tick'`: changes since the start of the current tick
+ * @typedef {'tick'|'lastRun'} ChangeWindow
+ */
+const CHANGE_WINDOWS = ['tick', 'lastRun'];
+
 const globalConsole = (typeof console !== 'undefined') ? console : null;
 const logError = (globalConsole && typeof globalConsole.error === 'function') ? globalConsole.error.bind(globalConsole) : () => {};
 
@@ -20,38 +27,153 @@ function escapeLabel(label) {
   return String(label).replace(/"/g, '\\"');
 }
 
-/** Register a system for a client-defined phase.
- * @param {SystemFn} system
- * @param {string} phase
- * @param {{before?: SystemFn[], after?: SystemFn[]}} [opts]
+/**
+ * Phase-keyed system table with dependency hints and explicit orders.
+ * Each {@link module:ecs/core~World} owns one (`world.systems`) whose parent is the
+ * {@link defaultRegistry}, so systems registered through the module-level helpers still run
+ * in every world while `world.system(...)` registrations stay private to that world.
+ * A registry created without a parent is fully isolated.
  */
-export function registerSystem(system, phase, opts = {}) {
-  if (typeof system !== 'function') throw new Error('registerSystem: system must be a function');
-  if (typeof phase !== 'string' || !phase) throw new Error('registerSystem: phase must be a non-empty string');
-  const rec = { system, before: new Set(opts.before || []), after: new Set(opts.after || []) };
-  (_systems[phase] ||= []).push(rec);
-  return rec;
+export class SystemRegistry {
+  /** @param {{ parent?: SystemRegistry|null }} [opts] */
+  constructor(opts = {}) {
+    this.parent = opts.parent || null;
+    this._systems = Object.create(null);      // { phase: [ { system, before:Set, after:Set } ] }
+    this._explicitOrder = Object.create(null); // { phase: [fn, fn, ...] }
+  }
+
+  /** Register a system for a client-defined phase.
+   * @param {SystemFn} system
+   * @param {string} phase
+   * `transactional: true` runs the system inside `world.transaction`, so a throw rolls back its writes.
+   * @param {{before?: SystemFn[], after?: SystemFn[], since?: ChangeWindow, transactional?: boolean}} [opts]
+   */
+  register(system, phase, opts = {}) {
+    if (typeof system !== 'function') throw new Error('registerSystem: system must be a function');
+    if (typeof phase !== 'string' || !phase) throw new Error('registerSystem: phase must be a non-empty string');
+    const since = opts.since ?? 'lastRun';
+    if (!CHANGE_WINDOWS.includes(since)) throw new Error(`registerSystem: since must be one of ${CHANGE_WINDOWS.join(', ')}`);
+    const rec = { system, before: new Set(opts.before || []), after: new Set(opts.after || []), since, transactional: !!opts.transactional };
+    (this._systems[phase] ||= []).push(rec);
+    return rec;
+  }
+
+  /** Override execution order for a phase explicitly.
+   * @param {string} phase
+   * @param {SystemFn[]} systemList
+   */
+  setOrder(phase, systemList) {
+    if (typeof phase !== 'string' || !phase) throw new Error('setSystemOrder: phase must be a non-empty string');
+    if (!Array.isArray(systemList)) throw new Error('setSystemOrder: systemList must be an array of functions');
+    this._explicitOrder[phase] = systemList;
+  }
+
+  /** Registration records visible for a phase: inherited records first, then own ones.
+   * A system registered in both places is only kept once (own record wins).
+   * @param {string} phase
+   */
+  records(phase) {
+    const own = this._systems[phase] || [];
+    const inherited = this.parent ? this.parent.records(phase) : [];
+    if (!inherited.length) return own;
+    if (!own.length) return inherited;
+    const mine = new Set(own.map(r => r.system));
+    return [...inherited.filter(r => !mine.has(r.system)), ...own];
+  }
+
+  /** Resolve the ordered list of system functions for a phase.
+   * An explicit order wins; otherwise performs a simple topological sort based on
+   * before/after relations among the visible systems.
+   * @param {string} phase
+   * @returns {SystemFn[]}
+   */
+  ordered(phase) {
+    if (this._explicitOrder[phase]) return this._explicitOrder[phase];
+    if (this.parent && !this._systems[phase]?.length) return this.parent.ordered(phase);
+    return _topoSort(this.records(phase));
+  }
+
+  /** Execute all systems visible under a phase.
+   * @param {string} phase
+   * @param {import('./core.js').World} world
+   * @param {number} dt
+   */
+  run(phase, world, dt) {
+    const list = this.ordered(phase);
+    const recs = new Map(this.records(phase).map(r => [r.system, r]));
+    for (let i = 0; i < list.length; i++) {
+      const fn = list[i];
+      const rec = recs.get(fn);
+      // The world tracks each system's change window (Changed/Added/Removed terms) around the call.
+      const prev = world?._beginSystem?.(fn, rec?.since);
+      try {
+        if (rec?.transactional && typeof world?.transaction === 'function') world.transaction(() => fn(world, dt));
+        else fn(world, dt);
+      }
+      catch (e) { logError(`[systems] error in phase "${phase}"`, e); }
+      finally { world?._endSystem?.(prev); }
+    }
+  }
+
+  /** Systems registered directly on this registry for a phase (inherited ones excluded).
+   * @param {string} phase
+   * @returns {SystemFn[]}
+   */
+  list(phase) {
+    return (this._systems[phase] || []).map(({ system }) => system);
+  }
+
+  /** Phase names known to this registry or its parents. @returns {string[]} */
+  phases() {
+    const out = this.parent ? this.parent.phases() : [];
+    for (const k of Object.keys(this._systems)) if (!out.includes(k)) out.push(k);
+    return out;
+  }
+
+  /** Drop own systems and explicit order for one phase. @param {string} phase */
+  clearPhase(phase) {
+    delete this._systems[phase];
+    delete this._explicitOrder[phase];
+    return this;
+  }
+
+  /** Drop all own systems and explicit orders (parents are untouched). */
+  clear() {
+    for (const k of Object.keys(this._systems)) delete this._systems[k];
+    for (const k of Object.keys(this._explicitOrder)) delete this._explicitOrder[k];
+    return this;
+  }
+
+  /** Fluent phase builder bound to this registry. @param {string} name */
+  phase(name) {
+    return new PhaseBuilder(name, this);
+  }
+
+  /** DOT graph of this registry's phases. @param {{ phase?: string|string[], phases?: string[] }} [options] */
+  visualizeGraph(options = {}) {
+    return _visualizePhases(this, _phaseList(this, options));
+  }
 }
 
-/** Override execution order for a phase explicitly.
- * @param {string} phase
- * @param {SystemFn[]} systemList
+/** Process-wide registry used by the module-level helpers below and inherited by every world. */
+export const defaultRegistry = new SystemRegistry();
+
+/** Create a registry. Without a `parent` it is isolated from the default registry.
+ * @param {{ parent?: SystemRegistry|null }} [opts]
+ * @returns {SystemRegistry}
  */
-export function setSystemOrder(phase, systemList) {
-  if (typeof phase !== 'string' || !phase) throw new Error('setSystemOrder: phase must be a non-empty string');
-  if (!Array.isArray(systemList)) throw new Error('setSystemOrder: systemList must be an array of functions');
-  _explicitOrder[phase] = systemList;
+export function createSystemRegistry(opts = {}) {
+  return new SystemRegistry(opts);
 }
 
-/** Resolve the ordered list of system functions for a phase.
- * If explicit order is provided, returns it; otherwise, performs a simple
- * topological sort based on before/after relations among registered systems.
- * @param {string} phase
- * @returns {SystemFn[]}
- */
-export function getOrderedSystems(phase) {
-  if (_explicitOrder[phase]) return _explicitOrder[phase];
-  const nodes = _systems[phase] || [];
+/** @private */
+function _registryOf(world) {
+  const reg = world?.systems;
+  return (reg instanceof SystemRegistry) ? reg : defaultRegistry;
+}
+
+/** @private */
+function _topoSort(nodes) {
   // Build a graph: edge A->B means A must run before B
   const graph = new Map(); // fn -> Set<fn>
   nodes.forEach(({ system }) => graph.set(system, new Set()));
@@ -71,18 +193,41 @@ export function getOrderedSystems(phase) {
   return out.reverse();
 }
 
-/** Execute all systems registered under a phase.
+/** Register a system for a client-defined phase in the default registry.
+ * @param {SystemFn} system
+ * @param {string} phase
+ * @param {{before?: SystemFn[], after?: SystemFn[]}} [opts]
+ */
+export function registerSystem(system, phase, opts = {}) {
+  return defaultRegistry.register(system, phase, opts);
+}
+
+/** Override execution order for a phase explicitly (default registry).
+ * @param {string} phase
+ * @param {SystemFn[]} systemList
+ */
+export function setSystemOrder(phase, systemList) {
+  defaultRegistry.setOrder(phase, systemList);
+}
+
+/** Resolve the ordered list of system functions for a phase in the default registry.
+ * If explicit order is provided, returns it; otherwise, performs a simple
+ * topological sort based on before/after relations among registered systems.
+ * @param {string} phase
+ * @returns {SystemFn[]}
+ */
+export function getOrderedSystems(phase) {
+  return defaultRegistry.ordered(phase);
+}
+
+/** Execute all systems registered under a phase, using the world's own registry
+ * (which inherits the default registry) when it has one.
  * @param {string} phase
  * @param {import('./core.js').World} world
  * @param {number} dt
  */
 export function runSystems(phase, world, dt) {
-  const list = getOrderedSystems(phase);
-  for (let i = 0; i < list.length; i++) {
-    const fn = list[i];
-    try { fn(world, dt); }
-    catch (e) { logError(`[systems] error in phase "${phase}"`, e); }
-  }
+  _registryOf(world).run(phase, world, dt);
 }
 
 /** Utility: run multiple phases with no repetition boilerplate.
@@ -95,6 +240,7 @@ export function runPhases(phases, world, dt) {
 }
 
 /** DRY helper: compose a scheduler from phases and/or custom functions.
+ * Phase steps run against the ticking world's registry (`world.systems`).
  * Usage:
  *   world.setScheduler(composeScheduler('intents','resolve','effects','cleanup'));
  *   world.setScheduler(composeScheduler('resolve', (w,dt)=>{ // custom
@@ -113,13 +259,12 @@ export function composeScheduler(...steps) {
   return (world, dt) => { for (const f of norm) f(world, dt); };
 }
 
-/** Testing/hot-reload helper: clear all registered systems and explicit orders. */
+/** Testing/hot-reload helper: clear all systems and explicit orders in the default registry. */
 export function clearSystems() {
-  for (const k of Object.keys(_systems)) delete _systems[k];
-  for (const k of Object.keys(_explicitOrder)) delete _explicitOrder[k];
+  defaultRegistry.clear();
 }
 
-function _visualizePhases(phases) {
+function _visualizePhases(registry, phases) {
   const lines = ['digraph Systems {', '  rankdir=TB;'];
   const edges = [];
   const seenEdges = new Set(); // `${from}::${to}::${label}::${JSON.stringify(attrs)}`
@@ -136,7 +281,7 @@ function _visualizePhases(phases) {
   }
 
   for (const phase of phases) {
-    const ordered = getOrderedSystems(phase);
+    const ordered = registry.ordered(phase);
     if (!ordered.length) continue;
     const clusterId = `cluster_${phase}`;
     lines.push(`  subgraph "${escapeLabel(clusterId)}" {`);
@@ -159,7 +304,7 @@ function _visualizePhases(phases) {
   }
 
   for (const phase of phases) {
-    const nodes = _systems[phase] || [];
+    const nodes = registry.records(phase);
     nodes.forEach(({ system, before, after }) => {
       const fromId = nodeIds.get(system);
       if (!fromId) return;
@@ -175,7 +320,7 @@ function _visualizePhases(phases) {
       }
     });
 
-    const ordered = getOrderedSystems(phase);
+    const ordered = registry.ordered(phase);
     for (let i = 0; i < ordered.length - 1; i++) {
       const a = nodeIds.get(ordered[i]);
       const b = nodeIds.get(ordered[i + 1]);
@@ -204,40 +349,43 @@ function _visualizePhases(phases) {
   return lines.join('\n');
 }
 
-export function visualizeGraph(options = {}) {
+/** @private */
+function _phaseList(registry, options) {
   const { phase, phases } = options || {};
-  let phaseList;
-  if (Array.isArray(phase)) phaseList = phase;
-  else if (phase) phaseList = [phase];
-  else if (Array.isArray(phases)) phaseList = phases;
-  else phaseList = Object.keys(_systems);
-  return _visualizePhases(phaseList);
+  if (Array.isArray(phase)) return phase;
+  if (phase) return [phase];
+  if (Array.isArray(phases)) return phases;
+  return registry.phases();
+}
+
+export function visualizeGraph(options = {}) {
+  return defaultRegistry.visualizeGraph(options);
 }
 
 class PhaseBuilder {
-  constructor(phase) {
+  constructor(phase, registry = defaultRegistry) {
     if (typeof phase !== 'string' || !phase) throw new Error('Systems.phase: phase must be a non-empty string');
     this.phase = phase;
+    this.registry = registry;
   }
 
   add(system, opts = {}) {
-    const rec = registerSystem(system, this.phase, opts);
+    const rec = this.registry.register(system, this.phase, opts);
     return new StepConfig(this, rec);
   }
 
   clear() {
-    delete _systems[this.phase];
-    delete _explicitOrder[this.phase];
+    this.registry.clearPhase(this.phase);
     return this;
   }
 
   list() {
-    return (_systems[this.phase] || []).map(({ system }) => system);
+    return this.registry.list(this.phase);
   }
 
   order(...systems) {
     const flat = systems.flat();
-    setSystemOrder(this.phase, flat);
+    this.registry.setOrder(this.phase, flat);
     return this;
   }
 }
@@ -258,6 +406,19 @@ class StepConfig {
     return this;
   }
 
+  /** Set the system's change window. @param {ChangeWindow} mode */
+  since(mode) {
+    if (!CHANGE_WINDOWS.includes(mode)) throw new Error(`Systems.since: expected one of ${CHANGE_WINDOWS.join(', ')}`);
+    this._record.since = mode;
+    return this;
+  }
+
+  /** Run the system inside `world.transaction` (a throw rolls back its writes). @param {boolean} [on=true] */
+  transactional(on = true) {
+    this._record.transactional = !!on;
+    return this;
+  }
+
   add(system, opts = {}) {
     return this._phase.add(system, opts);
   }
@@ -282,17 +443,19 @@ class StepConfig {
   }
 }
 
-/** Fluent registry interface for ergonomic system wiring. */
+/** Fluent registry interface for ergonomic system wiring.
+ * Defaults to the process-wide registry; pass a world's registry (`world.systems`) to target one world.
+ */
 export const Systems = {
-  phase(name) {
-    return new PhaseBuilder(name);
+  phase(name, registry = defaultRegistry) {
+    return new PhaseBuilder(name, registry);
   },
   clear() {
     clearSystems();
     return this;
   },
-  list(name) {
-    return this.phase(name).list();
+  list(name, registry = defaultRegistry) {
+    return this.phase(name, registry).list();
   },
   visualizeGraph(options = {}) {
     return visualizeGraph(options);
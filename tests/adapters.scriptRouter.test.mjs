@@ -2,7 +2,7 @@ import { assert, test } from './testlib.js';
 
 import { World } from '../core.js';
 import { makeScriptRouter } from '../adapters/scriptRouter.js';
-import { ScriptMeta } from '../scripts.js';
+import { ScriptMeta, scriptContext } from '../scripts.js';
 
 test('script router dispatches events to matching handlers with context', (t) => {
   const world = World.create()
@@ -13,10 +13,12 @@ test('script router dispatches events to matching handlers with context', (t) =>
   t.after(() => world.scripts.clear());
 
   const hits = [];
+  let seen = null;
 
   world.script('listener', () => ({
     damage(_world, eid, payload, ctx) {
       hits.push({ eid, amount: payload.amount, rand: typeof ctx.rand === 'function' });
+      seen = ctx;
       ctx.emit('logged', { eid, amount: payload.amount });
     }
   }));
@@ -37,6 +39,8 @@ test('script router dispatches events to matching handlers with context', (t) =>
 
   assert.deepEqual(hits, [{ eid, amount: 3, rand: true }]);
   assert.deepEqual(logs, [{ eid, amount: 3 }]);
+  assert.deepEqual(Object.keys(seen), Object.keys(scriptContext(world, eid)), 'same ctx as tick handlers');
+  assert.equal(seen.rng(), world.rng(`entity:${eid}`));
 });
 
 test('script router records handler errors on ScriptMeta', (t) => {
@@ -25,3 +25,16 @@ test('cross-world references invalidate when hierarchy nodes are destroyed', ()
   assert.equal(isCrossWorldReferenceValid(strayRef), false);
   assert.equal(resolveCrossWorldReference({ world: null, id: child }), 0);
 });
+
+test('cross-world references do not follow a recycled slot', () => {
+  const world = new World();
+  const id = world.create();
+  const ref = createCrossWorldReference(world, id);
+  world.destroy(id);
+  const reused = world.create();
+
+  assert.ok(reused !== id, 'slot reuse yields a new handle');
+  assert.equal(isCrossWorldReferenceValid(ref), false);
+  assert.equal(resolveCrossWorldReference(ref), 0);
+  assert.equal(isCrossWorldReferenceValid({ ...ref, id: reused, entityId: reused }), false, 'generation mismatch is rejected');
+});
@@ -0,0 +1,153 @@
+import { assert, test } from './testlib.js';
+
+import { World, defineComponent, defineRelation, setWorldHasher } from '../core.js';
+import { hashWorld, diffWorlds, DeterminismChecker } from '../determinism.js';
+import { serializeWorld, makeRegistry } from '../serialization.js';
+
+const Pos = defineComponent('DetPos', { x: 0, y: 0 });
+const Tag = defineComponent('DetTag', { name: '' });
+const Sprite = defineComponent('DetSprite', { frame: 0 });
+const Likes = defineRelation('DetLikes');
+const Wind = defineComponent('DetWind', { speed: 0 });
+
+function build(store, order = 'xy') {
+  const world = new World({ store, seed: 3 });
+  const a = world.create(), b = world.create();
+  world.add(a, Pos, order === 'xy' ? { x: 1.5, y: -0 } : { y: 0, x: 1.5 });
+  world.add(b, Tag, { name: 'b' });
+  world.add(b, Sprite, { frame: 2 });
+  world.relate(a, Likes, b);
+  world.setResource(Wind, { speed: 4 });
+  world.schedule(5, 'gust', { speed: 9 });
+  return world;
+}
+
+test('hash is stable across store modes and record key order', () => {
+  const ref = build('map').hash();
+  assert.equal(ref.length, 16);
+  assert.match(ref, /^[0-9a-f]+$/);
+  assert.equal(build('soa').hash(), ref);
+  assert.equal(build('table').hash(), ref);
+  assert.equal(build('map', 'yx').hash(), ref);
+  assert.equal(build('map').hash({ bits: 32 }).length, 8);
+  assert.throws(() => build('map').hash({ bits: 16 }), Error, 'bits must be 32 or 64');
+});
+
+test('hash covers data, ids, time, step and RNG position', () => {
+  const base = build('map').hash();
+  const moved = build('map');
+  moved.set(1, Pos, { x: 1.5000001 });
+  assert.ok(moved.hash() !== base);
+  const extra = build('map');
+  extra.create();
+  assert.ok(extra.hash() !== base);
+  const rolled = build('map');
+  rolled.rand();
+  assert.ok(rolled.hash() !== base, 'RNG draws change the hash');
+  const ticked = build('map');
+  ticked.setScheduler(() => {});
+  ticked.tick(1);
+  assert.ok(ticked.hash() !== base);
+  const unrelated = build('map');
+  unrelated.unrelate(1, Likes, 2);
+  assert.ok(unrelated.hash() !== base);
+});
+
+test('typed fields hash as their SoA column stores them', () => {
+  const Body = defineComponent('DetBody', { x: 0, hp: 0, awake: false, note: 0 }, { types: { x: 'f32', hp: 'u8', awake: 'bool' } });
+  const fill = (store) => {
+    const world = new World({ store, seed: 3 });
+    world.add(world.create(), Body, { x: 0.1, hp: 300, awake: 1, note: 0.1 });
+    return world;
+  };
+  const ref = fill('soa').hash();
+  assert.equal(fill('map').hash(), ref, 'f32/u8/bool fields match the quantized SoA columns');
+  assert.equal(fill('table').hash(), ref);
+  assert.equal(diffWorlds(fill('map'), fill('soa')), null);
+  const other = fill('map');
+  other.set(1, Body, { note: Math.fround(0.1) });
+  assert.ok(other.hash() !== ref, 'untyped numbers keep full precision');
+});
+
+test('hash covers the entity table (generations and free list)', () => {
+  const a = build('map'), b = build('map');
+  b.destroy(b.create());
+  assert.deepEqual([...a.alive].sort(), [...b.alive].sort());
+  assert.ok(a.hash() !== b.hash(), 'a recycled slot changes which ids create() returns next');
+  assert.equal(diffWorlds(a, b).kind, 'entities');
+  const c = build('map');
+  c.destroy(c.create());
+  assert.equal(c.hash(), b.hash());
+});
+
+test('include and exclude filter components and resources by name', () => {
+  const a = build('map'), b = build('map');
+  b.set(2, Sprite, { frame: 7 });
+  b.setResource(Wind, { speed: 5 });
+  assert.ok(a.hash() !== b.hash());
+  assert.equal(a.hash({ exclude: ['DetSprite', 'DetWind'] }), b.hash({ exclude: ['DetSprite', 'DetWind'] }));
+  assert.equal(a.hash({ include: ['DetPos'] }), hashWorld(b, { include: 'DetPos' }));
+  assert.ok(a.hash({ include: ['DetSprite'] }) !== b.hash({ include: ['DetSprite'] }));
+});
+
+test('diffWorlds reports the first entity and field', () => {
+  const a = build('map'), b = build('soa');
+  assert.equal(diffWorlds(a, b), null);
+  b.mutate(1, Pos, (p) => { p.x = 2; });
+  assert.deepEqual(diffWorlds(a, b), { kind: 'component', entity: 1, component: 'DetPos', field: 'x', a: 1.5, b: 2 });
+  b.remove(2, Tag);
+  assert.deepEqual(diffWorlds(a, b, { exclude: ['DetPos'] }), { kind: 'component', entity: 2, component: 'DetTag', field: '', a: { name: 'b' }, b: undefined });
+});
+
+test('DeterminismChecker finds the tick, entity and field of a desync', () => {
+  let calls = 0;
+  const setup = (world) => {
+    const e = world.create();
+    world.add(e, Pos);
+    world.setScheduler((w) => {
+      for (const [id, p] of w.query(Pos)) {
+        w.set(id, Pos, { x: p.x + w.rand(), y: w.step === 4 ? calls++ : p.y });
+      }
+    });
+  };
+  const checker = new DeterminismChecker({ seed: 11, setup });
+  const report = checker.run(10);
+  assert.equal(report.tick, 4);
+  assert.equal(report.step, 4);
+  assert.deepEqual([report.kind, report.entity, report.component, report.field], ['component', 1, 'DetPos', 'y']);
+  assert.deepEqual([report.a, report.b], [0, 1]);
+  assert.ok(report.hashA !== report.hashB);
+  assert.equal(checker.step(), report, 'checking stops at the first divergence');
+
+  const clean = new DeterminismChecker({ seed: 11, setup: (w) => { w.create(); w.setScheduler((x) => { x.rand(); }); } });
+  assert.equal(clean.run(20), null);
+  assert.equal(clean.ticks, 20);
+});
+
+test('DeterminismChecker starts from a snapshot and flags RNG drift', () => {
+  const source = build('map');
+  const snapshot = serializeWorld(source);
+  const registry = makeRegistry(Pos, Tag, Sprite, Likes, Wind);
+  const checker = new DeterminismChecker({
+    snapshot, registry,
+    setup: (world, index) => world.setScheduler((w) => { if (index === 1 && w.step === 2) w.rand(); })
+  });
+  const report = checker.run(5);
+  assert.equal(report.tick, 2);
+  assert.equal(report.kind, 'rng');
+  assert.throws(() => new DeterminismChecker({ snapshot }), Error, 'registry required');
+});
+
+test('world.hash() delegates to the installed hasher', () => {
+  const world = new World({ seed: 3 });
+  assert.equal(world.hash({ bits: 32 }), hashWorld(world, { bits: 32 }));
+  try {
+    setWorldHasher(null);
+    assert.throws(() => world.hash(), Error, "import './determinism.js'");
+    setWorldHasher((w, opts) => `custom:${w.seed}:${opts?.bits}`);
+    assert.equal(world.hash({ bits: 32 }), 'custom:3:32');
+  } finally {
+    setWorldHasher(hashWorld);
+  }
+  assert.throws(() => setWorldHasher('x'), Error, 'expected a function or null');
+});
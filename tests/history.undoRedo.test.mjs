@@ -0,0 +1,144 @@
+import { assert, test } from './testlib.js';
+
+import { World, defineComponent, defineRelation } from '../core.js';
+import { createHistory } from '../history.js';
+import { attach, detach, children, getParent } from '../hierarchy.js';
+import { serializeWorld } from '../serialization.js';
+
+const Pos = defineComponent('HistPos', { x: 0, y: 0 });
+const Label = defineComponent('HistLabel', { text: '' });
+const Near = defineRelation('HistNear');
+
+const dump = (world) => JSON.stringify(serializeWorld(world));
+
+for (const store of ['map', 'soa']) {
+  test(`undo and redo add, set, mutate, remove and destroy (${store})`, () => {
+    const world = new World({ store });
+    const history = createHistory(world);
+    const a = world.create();
+    world.add(a, Pos, { x: 1 });
+    const s0 = dump(world);
+
+    history.begin('drag');
+    world.set(a, Pos, { x: 5 });
+    world.mutate(a, Pos, (p) => { p.y = 2; });
+    const b = world.create();
+    world.add(b, Label, { text: 'new' });
+    assert.equal(history.commit(), true);
+    const s1 = dump(world);
+
+    history.record('cleanup', (w) => { w.remove(a, Pos); w.destroy(b); });
+    const s2 = dump(world);
+
+    assert.equal(history.undo(), 'cleanup');
+    assert.equal(dump(world), s1);
+    assert.equal(history.undo(), 'drag');
+    assert.equal(dump(world), s0);
+    assert.equal(history.undo(), null);
+
+    assert.equal(history.redo(), 'drag');
+    assert.equal(dump(world), s1);
+    assert.equal(world.get(b, Label).text, 'new', 'redo recreates the same entity id');
+    assert.equal(history.redo(), 'cleanup');
+    assert.equal(dump(world), s2);
+    assert.equal(history.redo(), null);
+  });
+}
+
+test('hierarchy attach/detach and relations undo cleanly', () => {
+  const world = new World();
+  const history = createHistory(world);
+  const [root, c1, c2] = [world.create(), world.create(), world.create()];
+  attach(world, c1, root);
+  const before = dump(world);
+
+  history.record('restructure', (w) => {
+    attach(w, c2, root);
+    detach(w, c1);
+    w.relate(c2, Near, root);
+  });
+  assert.deepEqual([...children(world, root)], [c2]);
+
+  history.undo();
+  assert.equal(dump(world), before);
+  assert.deepEqual([...children(world, root)], [c1]);
+  assert.equal(getParent(world, c2), 0);
+
+  history.redo();
+  assert.deepEqual([...children(world, root)], [c2]);
+  assert.ok(world.hasRelation(c2, Near, root));
+
+  history.record('delete root', (w) => w.destroy(root));
+  assert.equal(world.hasRelation(c2, Near, root), false);
+  history.undo();
+  assert.ok(world.hasRelation(c2, Near, root), 'relation pairs targeting a destroyed entity come back');
+  history.redo();
+  assert.equal(world.isAlive(root), false);
+});
+
+test('depth bounds the undo stack and new commits clear redo', () => {
+  const world = new World();
+  const history = createHistory(world, { depth: 2 });
+  const e = world.create();
+  world.add(e, Pos);
+  for (const x of [1, 2, 3]) history.record(`x=${x}`, (w) => w.set(e, Pos, { x }));
+  assert.deepEqual(history.steps().undo.map((s) => s.label), ['x=2', 'x=3']);
+
+  history.undo();
+  assert.ok(history.canRedo());
+  history.record('x=9', (w) => w.set(e, Pos, { x: 9 }));
+  assert.equal(history.canRedo(), false);
+  history.undo(); history.undo();
+  assert.equal(history.canUndo(), false);
+  assert.equal(world.get(e, Pos).x, 1, 'the oldest step fell off the stack');
+});
+
+test('cancel rolls back the open step; misuse is rejected', () => {
+  const world = new World();
+  const history = createHistory(world);
+  const e = world.create();
+  history.begin('typing');
+  world.add(e, Label, { text: 'draft' });
+  assert.throws(() => history.undo(), Error, "commit or cancel step 'typing' first");
+  assert.throws(() => history.begin('again'), Error, 'still open');
+  history.cancel();
+  assert.equal(world.has(e, Label), false);
+  assert.equal(history.canUndo(), false);
+
+  history.begin('noop');
+  assert.equal(history.commit(), false, 'empty steps are dropped');
+  assert.throws(() => history.commit(), Error, 'no open step');
+  assert.throws(() => world.transaction(() => history.begin('x')), Error, 'a transaction is open');
+  assert.throws(() => history.record('boom', () => { throw new Error('boom'); }), Error, 'boom');
+  assert.equal(world.debug.history, history);
+  assert.deepEqual(history.steps(), { undo: [], redo: [], open: null });
+});
+
+for (const store of ['map', 'soa']) {
+  test(`undo/redo never alias a slot reused outside the history (${store})`, () => {
+    const world = new World({ store });
+    const history = createHistory(world);
+    const a = world.create();
+    world.add(a, Pos, { x: 1 });
+
+    let b = 0;
+    history.record('spawn', (w) => { b = w.create(); w.add(b, Label, { text: 'b' }); });
+    history.undo();
+    const reused = world.create();
+    world.add(reused, Pos, { x: 7 });
+    assert.equal(reused, b, 'the slot and generation come back to the free pool');
+    assert.equal(history.canRedo(), false, 'edits outside a step drop the redo stack');
+    assert.equal(history.redo(), null);
+    assert.equal(world.has(reused, Label), false);
+
+    history.record('delete a', (w) => w.destroy(a));
+    const c = world.create();
+    world.add(c, Pos, { x: 9 });
+    const before = dump(world);
+    assert.throws(() => history.undo(), Error, "history.undo: step 'delete a' no longer applies");
+    assert.equal(world.isAlive(a), false, 'the destroyed handle stays dead');
+    assert.equal(world.get(c, Pos).x, 9);
+    assert.equal(dump(world), before);
+    assert.deepEqual(history.steps(), { undo: [], redo: [], open: null });
+  });
+}
@@ -0,0 +1,129 @@
+import { assert, test } from './testlib.js';
+
+import { World, defineComponent, Added, Changed } from '../core.js';
+import { composeScheduler } from '../systems.js';
+import { Recorder, Replayer } from '../replay.js';
+import { makeRegistry } from '../serialization.js';
+
+const Agent = defineComponent('RepAgent', { cash: 0, side: '' });
+const Market = defineComponent('RepMarket', { price: 100 });
+const registry = makeRegistry(Agent, Market);
+
+// Systems, listeners and scheduled events are re-run on replay; only outside inputs are recorded.
+function setup(world) {
+  world.setScheduler((w) => {
+    w.mutateResource(Market, (m) => { m.price += w.rand() - 0.5; });
+    for (const [id, a] of w.query(Agent)) w.set(id, Agent, { ...a, cash: a.cash + Math.round(w.rand() * 10) });
+    if (w.step % 7 === 0) w.schedule(2, 'audit');
+  });
+  world.on('order', ({ side }) => { world.add(world.create(), Agent, { side }); });
+  world.on('audit', () => { world.mutateResource(Market, (m) => { m.price = Math.floor(m.price); }); });
+}
+const commands = { bonus: (w, { cash }) => { for (const [id, a] of w.query(Agent)) w.set(id, Agent, { ...a, cash: a.cash + cash }); } };
+
+function session() {
+  const world = new World({ seed: 99 });
+  setup(world);
+  world.setResource(Market);
+  world.add(world.create(), Agent, { side: 'sell' });
+  const recorder = new Recorder(world, { keyframeEvery: 10, commands }).start();
+  const hashes = [world.hash()];
+  for (let i = 1; i <= 30; i++) {
+    if (i % 4 === 0) world.emit('order', { side: i % 8 ? 'buy' : 'sell' });
+    if (i === 12) recorder.command('bonus', { cash: 50 });
+    if (i === 25) world.advanceToNextEvent();
+    else world.tick(0.5);
+    hashes.push(world.hash());
+  }
+  return { world, recorder, recording: recorder.stop(), hashes };
+}
+
+test('recorder captures ticks, external events, commands and keyframes', () => {
+  const { world, recording } = session();
+  const types = recording.log.map((e) => e.type);
+  assert.equal(types.filter((t) => t === 'tick').length, 30);
+  assert.equal(types.filter((t) => t === 'event').length, 7, 'scheduled audit events are not recorded');
+  assert.equal(types.filter((t) => t === 'command').length, 1);
+  assert.deepEqual(recording.keyframes.map((k) => k.step), [0, 10, 20, 30]);
+  assert.ok(!Object.hasOwn(world, 'emit') && !Object.hasOwn(world, '_runTick'), 'stop() unwraps the world');
+});
+
+test('replayer reproduces every step and seeks both ways', () => {
+  const { recording, hashes } = session();
+  const replay = new Replayer(JSON.parse(JSON.stringify(recording)), { registry, setup, commands });
+  assert.equal(replay.world.hash(), hashes[0]);
+  assert.equal(replay.stepForward(), true);
+  assert.equal(replay.step, 1);
+  assert.equal(replay.world.hash(), hashes[1]);
+
+  for (const step of [17, 5, 26, 26, 20, 30, 0]) {
+    replay.seek(step);
+    assert.equal(replay.step, step);
+    assert.equal(replay.world.hash(), hashes[step], `state at step ${step}`);
+  }
+  assert.equal(replay.play(), 30);
+  assert.ok(replay.done);
+  assert.equal(replay.world.hash(), hashes[30]);
+  assert.equal(replay.stepForward(), false);
+  assert.throws(() => replay.seek(31), Error, 'outside the recording (0..30)');
+});
+
+test('play stops on pause and resumes', () => {
+  const { recording, hashes } = session();
+  const replay = new Replayer(recording, {
+    registry, commands,
+    setup: (w) => { setup(w); w.on('audit', () => replay.pause()); }
+  });
+  assert.equal(replay.play(), 11, 'the first audit fires during tick 11');
+  assert.ok(replay.paused);
+  assert.equal(replay.play(3), 3);
+  assert.equal(replay.world.hash(), hashes[14]);
+});
+
+test('desyncs and unknown commands are reported', () => {
+  const { recording } = session();
+  const drifting = new Replayer(recording, {
+    registry, commands,
+    setup: (w) => { setup(w); w.on('order', () => { w.rand(); }); }
+  });
+  assert.throws(() => drifting.play(), Error, 'replay: desync at step 10');
+  assert.throws(() => new Replayer(recording, { registry, setup }).play(), Error, "unknown command 'bonus'");
+  const loose = new Replayer(recording, { registry, commands, verify: false, setup: (w) => { setup(w); w.on('order', () => { w.rand(); }); } });
+  assert.equal(loose.play(), 30);
+  assert.throws(() => new Recorder(new World()).command('x'), Error, 'not recording');
+});
+
+test('keyframes carry change windows, so Added/Changed systems replay in sync', () => {
+  const Tagged = defineComponent('RepTagged', { n: 0 });
+  const reg = makeRegistry(Agent, Market, Tagged);
+  function install(world) {
+    world.system((w) => { for (const [id] of w.query(Added(Agent))) w.add(id, Tagged, { n: w.step }); }, 'sim');
+    world.system((w) => {
+      for (const [id, a] of w.query(Agent, Changed(Agent))) if (w.rand() < 0.5) w.set(id, Agent, { cash: a.cash + 1 });
+    }, 'sim');
+    world.system((w) => { for (const [id, t] of w.query(Tagged, Changed(Tagged))) w.set(id, Tagged, { n: t.n + 1 }); }, 'sim', { since: 'tick' });
+    world.setScheduler(composeScheduler('sim'));
+  }
+  const world = new World({ seed: 5 });
+  install(world);
+  world.add(world.create(), Agent);
+  world.tick(1);
+  world.add(world.create(), Agent);
+  const spawn = { spawn: (w, cash) => w.add(w.create(), Agent, { cash }) };
+  const recorder = new Recorder(world, { keyframeEvery: 3, commands: spawn }).start();
+  const hashes = [world.hash()];
+  for (let i = 1; i <= 9; i++) {
+    if (i % 2) recorder.command('spawn', i);
+    world.tick(1);
+    hashes.push(world.hash());
+  }
+  const recording = JSON.parse(JSON.stringify(recorder.stop()));
+
+  const replay = new Replayer(recording, { registry: reg, setup: install, commands: spawn });
+  assert.equal(replay.play(), 9);
+  assert.equal(replay.world.hash(), hashes[9]);
+  for (const step of [5, 8, 3, 10]) {
+    replay.seek(step);
+    assert.equal(replay.world.hash(), hashes[step - replay.firstStep], `state at step ${step}`);
+  }
+});
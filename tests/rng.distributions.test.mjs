@@ -0,0 +1,108 @@
+import { assert, test } from './testlib.js';
+
+import {
+  xoshiro128ss, pcg32, createRng, createAliasSampler,
+  rngPoisson, rngBinomial, rngGamma, rngSample, rngWeightedChoice
+} from '../rng.js';
+
+const u32 = (gen, n) => Array.from({ length: n }, () => gen() * 2 ** 32);
+const stats = (fn, n = 20000) => {
+  let s = 0, s2 = 0;
+  for (let i = 0; i < n; i++) { const v = fn(); s += v; s2 += v * v; }
+  return { mean: s / n, variance: s2 / n - (s / n) ** 2 };
+};
+const near = (actual, expected, tol, label) =>
+  assert.ok(Math.abs(actual - expected) <= tol, `${label}: ${actual} not within ${tol} of ${expected}`);
+
+test('xoshiro128** and PCG32 match their reference outputs', () => {
+  assert.deepEqual(u32(xoshiro128ss([1, 2, 3, 4]), 3), [11520, 0, 5927040]);
+  assert.deepEqual(u32(pcg32(42n, 54n), 6), [0xa15c02b7, 0x7b47f409, 0xba1d3330, 0x83d2f293, 0xbfa4784b, 0xcbed606e]);
+  assert.deepEqual(u32(pcg32(42, 54), 2), [0xa15c02b7, 0x7b47f409], 'numbers and bigints seed alike');
+  assert.throws(() => xoshiro128ss([0, 0, 0, 0]), Error, 'must not be all zero');
+});
+
+test('state, advance, jump and split are deterministic', () => {
+  for (const make of [() => xoshiro128ss(9), () => pcg32(9, 3)]) {
+    const a = make();
+    u32(a, 5);
+    const saved = JSON.parse(JSON.stringify(a.getState()));
+    const expected = u32(a, 5);
+    const b = make();
+    b.setState(saved);
+    assert.deepEqual(u32(b, 5), expected);
+
+    const c = make(), d = make();
+    const child = c.split();
+    d.split();
+    const fromParent = u32(c, 3);
+    assert.deepEqual(fromParent, u32(d, 3), 'split moves the parent deterministically');
+    assert.ok(u32(child, 3).join() !== fromParent.join(), 'child and parent continue on different sequences');
+  }
+  const stepped = pcg32(1, 1), skipped = pcg32(1, 1);
+  u32(stepped, 1000);
+  skipped.advance(1000);
+  assert.deepEqual(skipped.getState(), stepped.getState());
+  const jumped = pcg32(1, 1);
+  jumped.jump();
+  skipped.setState(pcg32(1, 1).getState());
+  skipped.advance(2n ** 48n);
+  assert.deepEqual(jumped.getState(), skipped.getState());
+});
+
+test('distributions have the expected mean and variance', () => {
+  const rng = createRng(2024, { algorithm: 'xoshiro128ss' });
+  const check = (label, fn, mean, variance, tol = 0.05) => {
+    const s = stats(fn);
+    near(s.mean, mean, Math.max(tol, Math.abs(mean) * tol), `${label} mean`);
+    near(s.variance, variance, Math.max(tol, variance * 0.1), `${label} variance`);
+  };
+  check('exponential', () => rng.exponential(4), 0.25, 0.0625);
+  check('poisson small', () => rng.poisson(3), 3, 3);
+  check('poisson large', () => rng.poisson(80), 80, 80);
+  check('binomial small', () => rng.binomial(20, 0.9), 18, 1.8);
+  check('binomial large', () => rng.binomial(1000, 0.3), 300, 210);
+  check('gamma', () => rng.gamma(5, 2), 10, 20);
+  check('gamma shape < 1', () => rng.gamma(0.5), 0.5, 0.5);
+  check('beta', () => rng.beta(2, 3), 0.4, 0.04, 0.01);
+  check('log-normal', () => rng.logNormal(0, 0.5), Math.exp(0.125), (Math.exp(0.25) - 1) * Math.exp(0.25));
+  assert.throws(() => rngPoisson(Math.random, -1), Error, 'lambda');
+  assert.throws(() => rngBinomial(Math.random, 2.5, 0.5), Error, 'n must be');
+  assert.throws(() => rngGamma(Math.random, 0), Error, 'must be > 0');
+});
+
+test('alias sampling and sampling without replacement', () => {
+  const rng = createRng(5, { algorithm: 'pcg32' });
+  const counts = [0, 0, 0, 0];
+  const pick = createAliasSampler([1, 0, 3, 6]);
+  for (let i = 0; i < 20000; i++) counts[pick(rng.next)]++;
+  assert.equal(counts[1], 0, 'zero weights are never drawn');
+  near(counts[0] / 20000, 0.1, 0.01, 'weight 1');
+  near(counts[3] / 20000, 0.6, 0.015, 'weight 6');
+  assert.equal(rng.weightedChoice(['only'], [2]), 'only');
+  assert.throws(() => rngWeightedChoice(rng.next, ['a', 'b'], [1]), Error, 'weights must match');
+  assert.throws(() => createAliasSampler([0, 0]), Error, 'positive weight');
+
+  const deck = Array.from({ length: 52 }, (_, i) => i);
+  const hand = rng.sample(deck, 5);
+  assert.equal(new Set(hand).size, 5);
+  assert.equal(deck.length, 52, 'input untouched');
+  assert.equal(rngSample(rng.next, [1, 2], 5).length, 2);
+});
+
+test('createRng exposes algorithms, jump and split', () => {
+  const rng = createRng(3, { algorithm: 'pcg32' });
+  assert.equal(rng.algorithm, 'pcg32');
+  const child = rng.split();
+  assert.equal(typeof child.poisson, 'function');
+  const saved = rng.getState();
+  const next = rng.float();
+  rng.setState(saved);
+  assert.equal(rng.float(), next);
+  rng.jump();
+  assert.equal(createRng(3).jump, undefined, 'mulberry32 has no jump');
+  assert.throws(() => createRng(1, { algorithm: 'lcg' }), Error, "unknown algorithm 'lcg'");
+  for (const algorithm of ['mulberry32', 'xoshiro128ss', 'pcg32']) {
+    const r = createRng(11, { algorithm });
+    for (let i = 0; i < 1000; i++) { const v = r.next(); assert.ok(v >= 0 && v < 1); }
+  }
+});
@@ -0,0 +1,81 @@
+import { assert, test } from './testlib.js';
+
+import { World, defineComponent } from '../core.js';
+import { mulberry32, createRng } from '../rng.js';
+import { serializeWorld, applySnapshot, deserializeWorld, makeRegistry } from '../serialization.js';
+
+const Coin = defineComponent('RngCoin', { heads: false });
+const registry = makeRegistry(Coin);
+const draws = (fn, n = 5) => Array.from({ length: n }, () => fn());
+
+test('mulberry32 state round-trips', () => {
+  const gen = mulberry32(42);
+  draws(gen, 3);
+  const saved = gen.getState();
+  const expected = draws(gen);
+  gen.setState(saved);
+  assert.deepEqual(draws(gen), expected);
+  const other = mulberry32(7);
+  other.setState(saved);
+  assert.deepEqual(draws(other), expected, 'state alone determines the sequence');
+  assert.throws(() => gen.setState(1.5), Error, 'state must be an integer');
+});
+
+test('createRng state includes the cached normal deviate', () => {
+  const rng = createRng(3);
+  rng.normal();
+  const saved = JSON.parse(JSON.stringify(rng.getState()));
+  assert.ok(saved.spare !== null);
+  const expected = [rng.normal(), rng.normal(), rng.int(1, 6), rng.float()];
+  const copy = createRng(99);
+  copy.setState(saved);
+  assert.deepEqual([copy.normal(), copy.normal(), copy.int(1, 6), copy.float()], expected);
+  copy.setState(saved.state);
+  assert.equal(copy.getState().spare, null);
+  assert.throws(() => copy.setState(null), Error, 'expected a state');
+});
+
+function flipping(seed) {
+  const world = new World({ seed });
+  world.setScheduler((w) => { w.add(w.create(), Coin, { heads: w.rand() < 0.5 }); });
+  return world;
+}
+
+test('snapshots carry the world RNG position', () => {
+  const world = flipping(5);
+  for (let i = 0; i < 4; i++) world.tick(1);
+  const snap = JSON.parse(JSON.stringify(serializeWorld(world)));
+  assert.equal(snap.meta.rng, world.rand.getState());
+  const expected = draws(world.rand);
+
+  assert.deepEqual(draws(World.fromSnapshot(snap, registry).rand), expected);
+  assert.deepEqual(draws(deserializeWorld(snap, registry, { World }).rand), expected);
+  const loaded = flipping(5);
+  loaded.tick(1); // registers RngCoin and moves the RNG
+  loaded.load(snap);
+  assert.deepEqual(draws(loaded.rand), expected);
+  const replaced = flipping(1);
+  applySnapshot(replaced, snap, registry);
+  assert.deepEqual(draws(replaced.rand), expected);
+});
+
+test('append mode and older snapshots leave the RNG alone', () => {
+  const snap = serializeWorld(flipping(5));
+  const target = flipping(8);
+  const before = target.rand.getState();
+  applySnapshot(target, snap, registry, { mode: 'append' });
+  assert.equal(target.rand.getState(), before);
+
+  delete snap.meta.rng;
+  assert.deepEqual(draws(World.fromSnapshot(snap, registry).rand), draws(mulberry32(5)), 'falls back to the seed');
+});
+
+test('a rolled-back load restores the previous RNG position', () => {
+  const world = flipping(5);
+  world.tick(1);
+  const snap = serializeWorld(world);
+  world.tick(1);
+  const before = world.rand.getState();
+  assert.throws(() => world.transaction((w) => { w.load(snap); throw new Error('abort'); }), Error, 'abort');
+  assert.equal(world.rand.getState(), before);
+});
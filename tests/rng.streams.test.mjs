@@ -0,0 +1,77 @@
+import { assert, test } from './testlib.js';
+
+import { World, defineComponent } from '../core.js';
+import { composeScheduler } from '../systems.js';
+import { installScriptsAPI, ScriptRef, PHASE_SCRIPTS } from '../scripts.js';
+import { serializeWorld, applySnapshot, makeRegistry } from '../serialization.js';
+import '../determinism.js'; // installs world.hash()
+
+const Loot = defineComponent('StreamLoot', { roll: 0 });
+const draws = (rng, n = 4) => Array.from({ length: n }, () => rng.float());
+
+// Two systems with their own streams; `extra` adds draws to the first one only.
+function run(extra) {
+  const world = new World({ seed: 12 });
+  const out = { weather: [], loot: [] };
+  world.setScheduler((w) => {
+    const weather = w.rng('weather');
+    out.weather.push(weather.int(0, 100));
+    if (extra) { weather.float(); w.rand(); }
+    out.loot.push(w.rng('loot').int(0, 100));
+  });
+  for (let i = 0; i < 10; i++) world.tick(1);
+  return out;
+}
+
+test('streams are deterministic and independent of each other', () => {
+  const base = run(false), tweaked = run(true);
+  assert.deepEqual(run(false), base, 'same seed, same sequences');
+  assert.deepEqual(tweaked.loot, base.loot, 'extra draws elsewhere do not shift the loot stream');
+  assert.ok(JSON.stringify(tweaked.weather) !== JSON.stringify(base.weather));
+
+  const world = new World({ seed: 12 });
+  assert.equal(world.rng('loot'), world.rng('loot'), 'one stream object per name');
+  assert.ok(draws(world.rng('a'))[0] !== draws(world.rng('b'))[0]);
+  assert.ok(draws(new World({ seed: 13 }).rng('a'))[0] !== draws(new World({ seed: 12 }).rng('a'))[0]);
+  const before = world.rand.getState();
+  world.rng('loot').normal();
+  assert.equal(world.rand.getState(), before, 'world.rand is untouched');
+  assert.throws(() => world.rng(''), Error, 'stream name must be a non-empty string');
+});
+
+test('stream positions round-trip through snapshots', () => {
+  const world = new World({ seed: 4 });
+  world.rng('loot').normal(); // leaves a cached deviate behind
+  draws(world.rng(`agent:${world.create()}`));
+  const snap = JSON.parse(JSON.stringify(serializeWorld(world)));
+  assert.deepEqual(Object.keys(snap.meta.rngStreams), ['agent:1', 'loot']);
+  const expected = [world.rng('loot').normal(), ...draws(world.rng('agent:1')), ...draws(world.rng('fresh'))];
+
+  const copy = World.fromSnapshot(snap, makeRegistry(Loot));
+  assert.deepEqual([copy.rng('loot').normal(), ...draws(copy.rng('agent:1')), ...draws(copy.rng('fresh'))], expected);
+  assert.equal(copy.hash(), world.hash());
+
+  const used = new World({ seed: 4 });
+  draws(used.rng('fresh'));
+  applySnapshot(used, snap, makeRegistry(Loot));
+  assert.deepEqual(draws(used.rng('fresh')), expected.slice(5), 'streams missing from the snapshot start over');
+  assert.equal(serializeWorld(new World()).meta.rngStreams, undefined);
+});
+
+test('scripts draw from their entity stream through ctx.rng', () => {
+  const world = installScriptsAPI(new World({ seed: 8 }));
+  world.scripts.clear();
+  world.setScheduler(composeScheduler(PHASE_SCRIPTS));
+  world.scripts.register('looter', () => ({
+    onTick(w, id, _dt, ctx) { w.add(id, Loot, { roll: ctx.rng().int(1, 20) + ctx.rng('shared').int(0, 0) }); }
+  }));
+  const a = world.create(), b = world.create();
+  world.add(a, ScriptRef, { id: 'looter' });
+  world.add(b, ScriptRef, { id: 'looter' });
+  world.tick(1);
+
+  const mirror = new World({ seed: 8 });
+  assert.equal(world.get(a, Loot).roll, mirror.rng(`entity:${a}`).int(1, 20));
+  assert.equal(world.get(b, Loot).roll, mirror.rng(`entity:${b}`).int(1, 20));
+  assert.ok(world.rng('shared').getState().state !== mirror.rng('shared').getState().state);
+});
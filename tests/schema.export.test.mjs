@@ -0,0 +1,77 @@
+import { assert, test } from './testlib.js';
+
+import { World, Component, defineComponent, defineRelation } from '../core.js';
+import { checkSchema, toJSONSchema, snapshotJSONSchema, toTypeDeclarations } from '../schema.js';
+import { makeRegistry, serializeWorld } from '../serialization.js';
+
+const Unit = defineComponent('SchUnit', { hp: 10, side: 'red', target: 0, stats: { str: 1 } }, {
+  schema: {
+    hp: { type: 'integer', min: 0, max: 100 },
+    side: { enum: ['red', 'blue'] },
+    target: 'entity',
+    nick: 'string?',
+    stats: { type: 'object', fields: { str: 'number', dex: { type: 'number', optional: true, nullable: true } } }
+  }
+});
+const Path = Component('sch-path').defaults({ points: [] }).schema({ points: { type: 'array', items: { type: 'array', items: 'number' } } }).build();
+const Loose = defineComponent('SchLoose', { x: 0, label: '', on: false, extra: null });
+const Trust = defineRelation('SchTrust', { defaults: { level: 0 }, schema: { level: { type: 'number', min: 0, max: 1 } }, version: 2, aliases: ['SchLikes'] });
+
+test('records are checked against the schema with field-level messages', () => {
+  const world = new World();
+  const e = world.create();
+  world.add(e, Unit, { nick: 'ace' });
+  assert.throws(() => world.add(e, Unit, { hp: -1 }), Error, 'Validation failed for component SchUnit on entity 1 (add): hp must be >= 0 (got -1)');
+  assert.throws(() => world.set(e, Unit, { side: 'green' }), Error, 'side must be one of "red", "blue" (got "green")');
+  assert.throws(() => world.set(e, Unit, { stats: { str: 'x' } }), Error, 'stats.str must be a number (got "x")');
+  assert.throws(() => world.add(e, Path, { points: [[1, 2], [3, 'y']] }), Error, 'points[1][1] must be a number');
+  assert.throws(() => world.setResource(Unit, { target: 1.5 }), Error, 'Validation failed for resource SchUnit (setResource): target must be an entity id');
+  assert.throws(() => world.relate(e, Trust, e, { level: 2 }), Error, 'level must be <= 1 (got 2)');
+  assert.deepEqual(world.get(e, Unit).nick, 'ace', 'failed writes leave the record alone');
+
+  const messages = rec => checkSchema(Unit.schema, rec).map(i => i.message);
+  assert.deepEqual(messages({ hp: 1.5, side: 'red', target: 0, nick: null, stats: { str: 1, dex: null } }),
+    ['hp must be an integer (got 1.5)', 'nick must not be null']);
+  assert.deepEqual(messages({}), ['hp is required', 'side is required', 'target is required', 'stats is required']);
+  assert.throws(() => defineComponent('SchBad', {}, { schema: { a: 'float' } }), Error, "schema field 'a' has unknown type 'float'");
+  assert.throws(() => defineComponent('SchBad', {}, { schema: { a: { type: 'string', min: 1 } } }), Error, 'min needs a numeric type');
+});
+
+test('toJSONSchema describes records, inferring fields without a schema', () => {
+  const unit = toJSONSchema(Unit);
+  assert.equal(unit.$schema, 'https://json-schema.org/draft/2020-12/schema');
+  assert.deepEqual(unit.required, ['hp', 'side', 'target', 'stats']);
+  assert.deepEqual(unit.properties.hp, { type: 'integer', minimum: 0, maximum: 100 });
+  assert.deepEqual(unit.properties.side, { enum: ['red', 'blue'] });
+  assert.deepEqual(unit.properties.stats.properties.dex, { anyOf: [{ type: 'number' }, { type: 'null' }] });
+  assert.deepEqual(toJSONSchema(Loose).properties, { x: { type: 'number' }, label: { type: 'string' }, on: { type: 'boolean' }, extra: { anyOf: [{}, { type: 'null' }] } });
+});
+
+test('snapshotJSONSchema covers the sections serializeWorld writes', () => {
+  const schema = snapshotJSONSchema(makeRegistry(Unit, Path, Trust));
+  const { comps, relations, resources, versions } = schema.properties;
+  assert.deepEqual(Object.keys(comps.properties), ['SchUnit', 'sch-path']);
+  assert.deepEqual(comps.properties.SchUnit.items.prefixItems[1], { $ref: '#/$defs/SchUnit' });
+  assert.deepEqual(Object.keys(relations.properties), ['SchTrust', 'SchLikes'], 'aliases are accepted');
+  assert.deepEqual(resources.properties['sch-path'], { $ref: '#/$defs/sch-path' });
+  assert.deepEqual(versions.properties.SchTrust, { type: 'integer', minimum: 1, maximum: 2 });
+  assert.deepEqual(Object.keys(schema.$defs), ['SchUnit', 'sch-path', 'SchTrust']);
+
+  const world = new World();
+  const e = world.create();
+  world.add(e, Unit);
+  world.relate(e, Trust, e, { level: 0.5 });
+  const snapshot = serializeWorld(world);
+  for (const key of Object.keys(snapshot)) assert.ok(key in schema.properties, `schema knows '${key}'`);
+});
+
+test('toTypeDeclarations emits one interface per definition', () => {
+  const dts = toTypeDeclarations([Unit, Path, Loose, Trust]);
+  assert.match(dts, /export interface SchUnit \{\n {2}hp: number;\n {2}side: "red" \| "blue";\n {2}target: number;\n {2}stats: \{\n {4}str: number;\n {4}dex\?: number \| null;\n {2}\};\n {2}nick\?: string;\n\}/);
+  assert.match(dts, /export interface SchPath \{\n {2}points: number\[\]\[\];\n\}/);
+  assert.match(dts, /export interface SchLoose \{\n {2}x: number;\n {2}label: string;\n {2}on: boolean;\n {2}extra: any;\n\}/);
+  assert.match(dts, /export interface ComponentRecords \{\n {2}SchUnit: SchUnit;\n {2}"sch-path": SchPath;\n {2}SchLoose: SchLoose;\n\}/);
+  assert.match(dts, /export interface RelationRecords \{\n {2}SchTrust: SchTrust;\n\}/);
+  assert.ok(dts.startsWith('// Generated from ecs-js component definitions.\n'));
+  assert.ok(toTypeDeclarations([Unit], { header: '// custom' }).startsWith('// custom\n'));
+});
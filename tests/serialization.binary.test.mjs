@@ -0,0 +1,84 @@
+import { assert, test } from './testlib.js';
+
+import { World, defineComponent, defineRelation } from '../core.js';
+import { encodeSnapshot, decodeSnapshot, serializeWorldBinary, BINARY_SNAPSHOT_VERSION } from '../binarySnapshot.js';
+import { serializeWorld, makeRegistry, applySnapshot } from '../serialization.js';
+import '../determinism.js'; // installs world.hash()
+
+const Pos = defineComponent('BinPos', { x: 0, y: 0 });
+const Unit = defineComponent('BinUnit', { name: '', hp: 0, alive: true, tags: [], note: null });
+const Owns = defineRelation('BinOwns');
+const Weather = defineComponent('BinWeather', { wind: 0, label: '' });
+const registry = makeRegistry(Pos, Unit, Owns, Weather);
+
+function build(store) {
+  const world = new World({ store, seed: 21 });
+  const ids = [];
+  for (let i = 0; i < 20; i++) {
+    const e = world.create();
+    ids.push(e);
+    world.add(e, Pos, { x: i * 0.25, y: i % 3 ? -i : -0 });
+    if (i % 2) world.add(e, Unit, { name: `u${i % 4}`, hp: 100 - i, alive: i % 3 !== 0, tags: ['a', { deep: [i, NaN] }], note: i % 5 ? null : 'five' });
+  }
+  world.destroy(ids[4]);
+  world.relate(ids[1], Owns, ids[3], { since: 2 });
+  world.relate(ids[7], Owns, ids[2]);
+  world.setResource(Weather, { wind: 3.5, label: 'gusty' });
+  world.schedule(4, 'storm', { power: 2 });
+  world.rand();
+  return world;
+}
+
+test('binary snapshots decode to the same object as serializeWorld', () => {
+  for (const store of ['map', 'soa', 'table']) {
+    const world = build(store);
+    const snapshot = serializeWorld(world, { note: 'bin' });
+    const bytes = encodeSnapshot(snapshot);
+    assert.ok(bytes instanceof Uint8Array);
+    assert.equal(String.fromCharCode(...bytes.subarray(0, 4)), 'ECSB');
+    assert.equal(bytes[4], BINARY_SNAPSHOT_VERSION);
+    const decoded = decodeSnapshot(bytes);
+    assert.equal(JSON.stringify(decoded), JSON.stringify(snapshot), `${store} store`);
+    assert.ok(Object.is(decoded.comps.BinPos[0][1].y, -0), '-0 survives');
+    assert.ok(Number.isNaN(decoded.comps.BinUnit[0][1].tags[1].deep[1]), 'NaN survives');
+    assert.equal(decodeSnapshot(bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.length)).meta.note, 'bin');
+  }
+});
+
+test('binary snapshots restore through fromSnapshot and applySnapshot', () => {
+  const world = build('soa');
+  const bytes = serializeWorldBinary(world);
+  const copy = World.fromSnapshot(decodeSnapshot(bytes), registry, { store: 'map' });
+  assert.equal(copy.hash(), world.hash());
+  assert.equal(copy.rand(), world.rand(), 'RNG position is carried in meta');
+
+  const target = new World();
+  applySnapshot(target, decodeSnapshot(serializeWorldBinary(world)), registry);
+  assert.equal(target.hash(), world.hash());
+});
+
+test('records with missing or mixed fields fall back to tagged columns', () => {
+  const snapshot = {
+    v: 1, meta: { seed: 1, frame: 0, time: 0 },
+    comps: { Loose: [[1, { a: 1 }], [5, { a: 1.5, b: 'x' }], [2, { a: 'str', b: false }]] },
+    alive: [1, 2, 5]
+  };
+  const decoded = decodeSnapshot(encodeSnapshot(snapshot));
+  assert.deepEqual(decoded.comps.Loose, snapshot.comps.Loose);
+  assert.ok(!('b' in decoded.comps.Loose[0][1]), 'absent fields stay absent');
+  assert.equal(decodeSnapshot(encodeSnapshot({ ...snapshot, custom: { k: [1] } })).custom.k[0], 1);
+});
+
+test('malformed input is rejected', () => {
+  assert.throws(() => encodeSnapshot({ v: 2, comps: {} }), Error, 'invalid snapshot format');
+  assert.throws(() => encodeSnapshot({ v: 1, comps: { X: [[1, { f: () => 0 }]] } }), Error, 'unsupported value');
+  const bytes = serializeWorldBinary(build('map'));
+  assert.throws(() => decodeSnapshot(new TextEncoder().encode('{"v":1}')), Error, 'not a binary snapshot');
+  const future = bytes.slice();
+  future[4] = BINARY_SNAPSHOT_VERSION + 1;
+  assert.throws(() => decodeSnapshot(future), Error, `unsupported version ${BINARY_SNAPSHOT_VERSION + 1}`);
+  assert.throws(() => decodeSnapshot(bytes.subarray(0, bytes.length - 3)), Error, 'decodeSnapshot:');
+  const padded = new Uint8Array(bytes.length + 1);
+  padded.set(bytes);
+  assert.throws(() => decodeSnapshot(padded), Error, 'trailing bytes');
+});
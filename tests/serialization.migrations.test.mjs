@@ -0,0 +1,98 @@
+import { assert, test } from './testlib.js';
+
+import { World, Component, defineComponent, defineRelation, migrateRecord } from '../core.js';
+import { serializeWorld, makeRegistry, applySnapshot } from '../serialization.js';
+
+// Version 1 of the game saved positions as `Pos { x, y }`.
+const PosV1 = defineComponent('Pos', { x: 0, y: 0 });
+const FollowsV1 = defineRelation('MigFollows', { defaults: { dist: 0 } });
+const ConfigV1 = defineComponent('MigConfig', { speed: 1 });
+
+// Version 3 renamed it to `Position { px, py, pz }`: 1→2 renamed the fields, 2→3 added `pz`.
+const Position = defineComponent('Position3', { px: 0, py: 0, pz: 0 }, {
+  version: 3,
+  aliases: ['Pos'],
+  migrate(from, rec) {
+    if (from === 1) return { px: rec.x, py: rec.y };
+    rec.pz = -1; // in place is fine too
+  }
+});
+const Follows = defineRelation('MigFollows', { defaults: { meters: 0 }, version: 2, migrate: (_from, d) => ({ meters: d.dist * 1000 }) });
+const Config = Component('MigConfig').defaults({ speed: 1, unit: 'm/s' }).version(2, (_from, r) => ({ ...r, unit: 'km/h' })).build();
+
+function oldSave() {
+  const world = new World({ seed: 5 });
+  const a = world.create(), b = world.create();
+  world.add(a, PosV1, { x: 1, y: 2 });
+  world.add(b, PosV1, { x: 3, y: 4 });
+  world.relate(a, FollowsV1, b, { dist: 0.5 });
+  world.setResource(ConfigV1, { speed: 7 });
+  return { snapshot: JSON.parse(JSON.stringify(serializeWorld(world))), a, b };
+}
+
+test('snapshots record declared versions only', () => {
+  const { snapshot } = oldSave();
+  assert.ok(!('versions' in snapshot), 'unversioned components add nothing');
+  const world = new World();
+  world.add(world.create(), Position);
+  world.setResource(Config);
+  world.relate(1, Follows, 1);
+  assert.deepEqual(serializeWorld(world).versions, { Position3: 3, MigConfig: 2, MigFollows: 2 });
+  assert.deepEqual(serializeWorld(world, { exclude: ['MigConfig'] }).versions, { Position3: 3, MigFollows: 2 });
+});
+
+test('applySnapshot migrates old records through renames', () => {
+  const { snapshot, a, b } = oldSave();
+  assert.throws(() => applySnapshot(new World(), snapshot, makeRegistry(Follows, Config)), Error, "unknown component 'Pos'");
+
+  for (const registry of [makeRegistry(Position, Follows, Config), makeRegistry(Follows, Config, { Pos: Position })]) {
+    const world = applySnapshot(new World(), snapshot, registry);
+    assert.deepEqual(world.get(a, Position), { px: 1, py: 2, pz: -1 });
+    assert.deepEqual(world.get(b, Position), { px: 3, py: 4, pz: -1 });
+    assert.deepEqual(world.getRelation(a, Follows, b), { meters: 500 });
+    assert.deepEqual(world.resource(Config), { speed: 7, unit: 'km/h' });
+    assert.deepEqual(serializeWorld(world).versions, { Position3: 3, MigFollows: 2, MigConfig: 2 });
+  }
+  assert.deepEqual(snapshot.comps.Pos[0][1], { x: 1, y: 2 }, 'the snapshot itself is not modified');
+  assert.equal(makeRegistry(Position, { Position3: PosV1 }).get('Position3'), Position, 'current names win over aliases');
+  assert.throws(() => makeRegistry({ Pos: 'Position3' }), Error, "alias 'Pos' must map to a component");
+});
+
+test('World.load resolves aliases and migrates', () => {
+  const { snapshot, a, b } = oldSave();
+  const world = new World();
+  const tmp = world.create();
+  world.add(tmp, Position);
+  world.relate(tmp, Follows, tmp);
+  world.setResource(Config);
+  world.load(snapshot);
+  assert.deepEqual(world.get(a, Position), { px: 1, py: 2, pz: -1 });
+  assert.deepEqual(world.getRelation(a, Follows, b), { meters: 500 });
+  assert.deepEqual(world.resource(Config), { speed: 7, unit: 'km/h' });
+
+  const current = serializeWorld(world);
+  const again = new World();
+  again.add(again.create(), Position);
+  again.relate(1, Follows, 1);
+  again.setResource(Config);
+  again.load(current);
+  assert.deepEqual(again.get(a, Position), { px: 1, py: 2, pz: -1 }, 'current-version records load unchanged');
+});
+
+test('incompatible versions are rejected without touching the world', () => {
+  const world = new World();
+  const id = world.create();
+  world.add(id, Position, { px: 9 });
+  const before = serializeWorld(world);
+
+  const newer = { ...before, versions: { Position3: 4 } };
+  assert.throws(() => world.load(newer), Error, 'saved version 4 is newer than version 3');
+  assert.throws(() => applySnapshot(world, newer, makeRegistry(Position)), Error, 'saved version 4 is newer');
+  assert.deepEqual(serializeWorld(world), before);
+
+  const Fixed = defineComponent('MigFixed', { v: 0 }, { version: 2 });
+  assert.throws(() => migrateRecord(Fixed, 1, { v: 1 }), Error, 'migrate(MigFixed): no migration from version 1');
+  assert.deepEqual(migrateRecord(Fixed, 2, { v: 1 }), { v: 1 });
+  assert.throws(() => defineComponent('MigBad', {}, { version: 0 }), Error, 'version must be a positive integer');
+  assert.throws(() => defineComponent('MigBad', {}, { aliases: 'Old' }), Error, 'aliases must be an array of names');
+});
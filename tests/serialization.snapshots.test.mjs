@@ -1,15 +1,19 @@
 // Run with: `deno test --allow-read tests/serialization.snapshots.test.mjs`
 import { assert, test } from './testlib.js';
 
-import { World, defineComponent, defineTag } from '../core.js';
+import { World, defineComponent, defineTag, defineRelation } from '../core.js';
 import {
   serializeWorld,
   serializeEntities,
   serializeEntity,
   deserializeWorld,
   applySnapshot,
-  makeRegistry
+  makeRegistry,
+  diffSnapshots,
+  serializeDelta,
+  applyDelta
 } from '../serialization.js';
+import '../determinism.js'; // installs world.hash()
 
 const Position = defineComponent('Position', { x: 0, y: 0 });
 const Velocity = defineComponent('Velocity', { dx: 0, dy: 0 });
@@ -61,6 +65,7 @@ test('serializeWorld produces deterministic alive/meta data and respects filters
     seed: world.seed >>> 0,
     frame: world.frame,
     time: world.time,
+    rng: world.rand.getState(),
     store: world.storeMode,
     note: 'baseline'
   });
@@ -354,3 +359,112 @@ test('deserialize and apply snapshots rebuild worlds with registry/append/remap
   const totalExpected = 2 + (snapshot.alive.length - 1);
   assert.equal(appendWorld.alive.size, totalExpected);
 });
+
+const Follows = defineRelation('Follows');
+const Clock = defineComponent('Clock', { tick: 0 });
+const deltaRegistry = makeRegistry(Position, Velocity, Health, Label, Marker, Owner, Follows, Clock);
+
+// Snapshot rows follow store order, which removal and re-adding may shuffle; compare them by id.
+function canonical(snapshot) {
+  const rows = (group) => Object.fromEntries(Object.entries(group || {}).map(([k, r]) => [k, r.slice().sort((x, y) => x[0] - y[0] || x[1] - y[1])]));
+  return { ...snapshot, comps: rows(snapshot.comps), relations: rows(snapshot.relations) };
+}
+
+function churn(world, ids, round) {
+  const [a, b, c] = ids;
+  world.set(a, Position, { x: round });
+  if (round === 1) {
+    world.destroy(c);
+    const d = world.create();
+    ids.push(d);
+    world.add(d, Health, { value: 3 });
+    world.relate(a, Follows, b, { since: 1 });
+    world.setResource(Clock, { tick: 1 });
+  } else {
+    world.remove(a, Velocity);
+    world.add(b, Velocity, { dx: 2, dy: 2 });
+    world.unrelate(a, Follows, b);
+    world.relate(b, Follows, ids[3]);
+    world.mutateResource(Clock, (r) => { r.tick++; });
+    world.schedule(2, 'alarm', { level: round });
+    world.rand();
+  }
+  world.time += 1;
+}
+
+test('applyDelta(a, diffSnapshots(a, b)) reproduces b', () => {
+  for (const store of ['map', 'soa', 'table']) {
+    const { world, ids } = setupWorld();
+    const a = serializeWorld(world);
+    churn(world, ids, 1);
+    churn(world, ids, 2);
+    const b = serializeWorld(world);
+
+    const delta = diffSnapshots(a, b);
+    assert.deepEqual(delta.created, [ids[3]]);
+    assert.deepEqual(delta.destroyed, [ids[2]]);
+    assert.deepEqual(delta.comps.Position.changed, [[ids[0], { x: 2 }]], 'only changed fields travel');
+    assert.deepEqual(delta.comps.Velocity, { added: [[ids[1], { dx: 2, dy: 2 }]], removed: [ids[0]] });
+    assert.ok(!('Health' in delta.comps) || !delta.comps.Health.removed, 'components of destroyed entities are implied');
+
+    const target = World.fromSnapshot(a, deltaRegistry, { store });
+    applyDelta(target, JSON.parse(JSON.stringify(delta)), deltaRegistry);
+    assert.deepEqual(canonical(serializeWorld(target)), canonical({ ...b, meta: { ...b.meta, store } }), `${store} store`);
+    assert.equal(target.hash(), world.hash());
+    assert.equal(target.create(), world.create(), 'entity table follows the delta');
+  }
+  const { world } = setupWorld();
+  const same = serializeWorld(world);
+  assert.deepEqual(diffSnapshots(same, serializeWorld(world)), { v: 1, delta: true, meta: same.meta, created: [], destroyed: [], comps: {} });
+});
+
+test('serializeDelta diffs against the baseline the caller passes and seeds receivers from empty', () => {
+  const { world, ids } = setupWorld();
+  world.setScheduler(() => {});
+  const receiver = new World({ seed: world.seed });
+  const seed = serializeDelta(world);
+  assert.ok(!('from' in seed.delta));
+  applyDelta(receiver, seed.delta, deltaRegistry);
+  assert.equal(receiver.hash(), world.hash(), 'full delta from an empty world');
+
+  const lagging = World.fromSnapshot(serializeWorld(world), deltaRegistry);
+  const start = seed.baseline;
+  let baseline = start;
+  for (const round of [1, 2]) {
+    churn(world, ids, round);
+    world.tick(0);
+    const next = serializeDelta(world, baseline);
+    assert.deepEqual([next.delta.from, next.delta.to], [world.step - 1, world.step]);
+    assert.deepEqual(next.baseline, { step: world.step, snapshot: serializeWorld(world) });
+    applyDelta(receiver, next.delta, deltaRegistry);
+    assert.equal(receiver.time, world.time);
+    assert.deepEqual(canonical(serializeWorld(receiver)), canonical(serializeWorld(world)));
+    baseline = next.baseline;
+  }
+  applyDelta(lagging, serializeDelta(world, start).delta, deltaRegistry);
+  assert.deepEqual(canonical(serializeWorld(lagging)), canonical(serializeWorld(world)), 'skipping steps by diffing against an older baseline');
+
+  const { from, ...viaHandle } = serializeDelta(world, start).delta;
+  assert.equal(from, start.step);
+  assert.deepEqual(serializeDelta(world, start.snapshot).delta, viaHandle, 'plain snapshots work too, without `from`');
+  assert.throws(() => serializeDelta(world, { v: 2 }), Error, 'snapshot: invalid format');
+});
+
+test('applyDelta validates before mutating and rolls back on failure', () => {
+  const { world, ids } = setupWorld();
+  const a = serializeWorld(world);
+  churn(world, ids, 1);
+  const delta = diffSnapshots(a, serializeWorld(world));
+
+  const target = World.fromSnapshot(a, deltaRegistry);
+  const before = target.hash();
+  assert.throws(() => applyDelta(target, delta, makeRegistry(Position)), Error, "applyDelta: unknown component 'Health'");
+  assert.throws(() => applyDelta(target, { ...delta, created: [ids[0]] }, deltaRegistry), Error, `entity ${ids[0]} already alive`);
+  assert.equal(target.hash(), before, 'a failed delta leaves the world untouched');
+  assert.throws(() => applyDelta(target, a, deltaRegistry), Error, 'invalid delta format');
+
+  let err = null;
+  target.setScheduler((w) => { try { applyDelta(w, delta, deltaRegistry); } catch (e) { err = e; } });
+  target.tick(0);
+  assert.match(err?.message, /applyDelta: cannot be called during tick/);
+});
@@ -0,0 +1,139 @@
+import { assert, test } from './testlib.js';
+
+import { World, defineComponent, defineRelation } from '../core.js';
+import {
+  serializeWorld, serializeEntities, makeRegistry, serializeWorldStream, collectSnapshot,
+  applySnapshotStream, deserializeWorldStream, snapshotToNDJSON, parseNDJSON
+} from '../serialization.js';
+import '../determinism.js'; // installs world.hash()
+
+const Pos = defineComponent('StrPos', { x: 0, y: 0 });
+const Label = defineComponent('StrLabel', { text: '' }, { version: 2, migrate: (_from, r) => ({ text: r.name }) });
+const Aim = defineComponent('StrAim', { target: 0 }, { refs: { target: 'nullify' } });
+const Sees = defineRelation('StrSees', { defaults: { range: 1 } });
+const Clock = defineComponent('StrClock', { t: 0 });
+const registry = makeRegistry(Pos, Label, Aim, Sees, Clock);
+
+function build(store) {
+  const world = new World({ store, seed: 8 });
+  const ids = [];
+  for (let i = 0; i < 11; i++) {
+    const e = world.create();
+    ids.push(e);
+    world.add(e, Pos, { x: i, y: -i });
+    if (i % 3 === 0) world.add(e, Label, { text: `ünit ${i} ✓` });
+    if (i > 0) world.add(e, Aim, { target: ids[i - 1] });
+  }
+  world.destroy(ids[9]);
+  for (let i = 1; i < 8; i++) world.relate(ids[i], Sees, ids[(i * 3) % 8], { range: i });
+  world.setResource(Clock, { t: 42 });
+  world.schedule(3, 'wake', { n: 1 }, ids[2]);
+  world.rand();
+  return world;
+}
+
+async function drain(iterable) {
+  const out = [];
+  for await (const x of iterable) out.push(x);
+  return out;
+}
+
+test('collected streams equal serializeWorld snapshots', async () => {
+  for (const store of ['map', 'soa', 'table']) {
+    const world = build(store);
+    assert.deepEqual(await collectSnapshot(serializeWorldStream(world, { chunkSize: 3, note: 'n' })), serializeWorld(world, { note: 'n' }), store);
+    const some = [1, 2, 4];
+    const picked = await collectSnapshot(serializeWorldStream(world, { pickEntity: id => some.includes(id), exclude: ['StrAim'] }));
+    assert.deepEqual(picked, serializeEntities(world, some, { exclude: ['StrAim'] }), `${store} subset`);
+  }
+
+  const chunks = await drain(serializeWorldStream(build('map'), { chunkSize: 4 }));
+  assert.deepEqual(chunks.map(c => c.kind).join(' '),
+    'header alive alive alive resources calendar comp comp comp comp comp comp comp relation relation end');
+  assert.deepEqual(chunks[0].comps, ['StrPos', 'StrLabel', 'StrAim']);
+  assert.deepEqual(chunks.filter(c => c.kind === 'comp').map(c => c.rows.length), [4, 4, 2, 3, 4, 4, 1]);
+  assert.equal(chunks.find(c => c.name === 'StrLabel').version, 2);
+  assert.deepEqual(chunks.at(-1), { kind: 'end', entities: 10, rows: 29 });
+});
+
+test('NDJSON byte streams restore an identical world', async () => {
+  const world = build('soa');
+  const text = (await drain(snapshotToNDJSON(serializeWorldStream(world, { chunkSize: 2 })))).join('');
+  assert.equal(text.split('\n').length - 1, 25, 'one line per chunk');
+  const bytes = new TextEncoder().encode(text);
+  const pieces = [];
+  for (let i = 0; i < bytes.length; i += 7) pieces.push(bytes.subarray(i, i + 7)); // splits lines and multi-byte characters
+
+  const copy = await deserializeWorldStream(parseNDJSON(pieces), registry, { World, store: 'map' });
+  assert.equal(copy.hash(), world.hash());
+  assert.equal(copy.rand(), world.rand(), 'RNG position is restored');
+  assert.equal(copy.calendar.size, 1);
+
+  if (typeof CompressionStream === 'function' && typeof ReadableStream.from === 'function') {
+    const gz = ReadableStream.from(snapshotToNDJSON(serializeWorldStream(world)))
+      .pipeThrough(new TextEncoderStream())
+      .pipeThrough(new CompressionStream('gzip'));
+    const packed = new Uint8Array(await new Response(gz).arrayBuffer());
+    assert.ok(packed.length < bytes.length);
+    const unpacked = new Blob([packed]).stream().pipeThrough(new DecompressionStream('gzip'));
+    const again = await deserializeWorldStream(parseNDJSON(unpacked), registry, { World });
+    assert.equal(again.hash(), world.hash());
+  }
+});
+
+test('applySnapshotStream appends with new ids, remapped refs and migrations', async () => {
+  const source = new World();
+  const a = source.create(), b = source.create();
+  source.add(a, Aim, { target: b });
+  source.add(b, Aim, { target: 99 });
+  const old = await drain(serializeWorldStream(source));
+  old.splice(2, 0, { kind: 'comp', name: 'StrLabel', rows: [[a, { name: 'legacy' }]] });
+  old[0].comps.push('StrLabel');
+  old.at(-1).rows++;
+
+  const target = new World();
+  target.add(target.create(), Pos);
+  await applySnapshotStream(target, old, registry, { mode: 'append' });
+  assert.deepEqual(target.get(2, Aim), { target: 3 });
+  assert.deepEqual(target.get(3, Aim), { target: 0 }, 'refs outside the stream become 0');
+  assert.deepEqual(target.get(2, Label), { text: 'legacy' }, 'unversioned rows are migrated');
+  assert.ok(target.has(1, Pos), 'existing entities stay');
+});
+
+test('bad streams are rejected', async () => {
+  const world = build('map');
+  const chunks = await drain(serializeWorldStream(world, { chunkSize: 3 }));
+
+  const target = build('map');
+  const before = target.hash();
+  let err = null;
+  try { await applySnapshotStream(target, chunks, makeRegistry(Pos, Sees)); } catch (e) { err = e; }
+  assert.match(err?.message ?? '', /unknown component 'StrLabel'/);
+  assert.equal(target.hash(), before, 'unknown names are caught before the world is touched');
+
+  const rejects = async (fn, text) => {
+    let error = null;
+    try { await fn(); } catch (e) { error = e; }
+    assert.ok(error && error.message.includes(text), `expected '${text}', got ${error?.message}`);
+  };
+  await rejects(() => applySnapshotStream(new World(), chunks.slice(0, -1), registry), 'stream ended before its end chunk');
+  await rejects(() => applySnapshotStream(new World(), chunks.filter((_, i) => i !== 8), registry), 'stream lost chunks');
+  await rejects(() => applySnapshotStream(new World(), chunks.slice(1), registry), 'stream must start with a v1 header chunk');
+  await rejects(() => collectSnapshot([]), 'collectSnapshot: empty stream');
+  await rejects(() => drain(parseNDJSON(['{"kind":"header"}\n', '{oops\n'])), 'invalid JSON on line 2');
+  await rejects(() => drain(serializeWorldStream(world, { chunkSize: 0 })), 'chunkSize must be a positive integer');
+
+  const stream = serializeWorldStream(world, { chunkSize: 3 });
+  await stream.next();
+  world.setScheduler(() => {});
+  world.tick(1);
+  await rejects(() => stream.next(), 'world ticked while streaming');
+
+  async function* ticking() {
+    for (const chunk of chunks) {
+      yield chunk;
+      if (chunk.kind === 'alive') world.tick(1); // runs while the loader is suspended
+    }
+  }
+  await rejects(() => applySnapshotStream(world, ticking(), registry), 'world ticked while loading');
+});
@@ -0,0 +1,75 @@
+import { assert, test } from './testlib.js';
+
+import { World } from '../core.js';
+import {
+  clearSystems,
+  composeScheduler,
+  createSystemRegistry,
+  defaultRegistry,
+  registerSystem,
+  Systems
+} from '../systems.js';
+
+test('world.system registrations stay private to their world', () => {
+  const calls = [];
+  const client = new World();
+  const server = new World();
+  client.system(() => calls.push('client'), 'update');
+  server.system(() => calls.push('server'), 'update');
+  client.setScheduler(composeScheduler('update'));
+  server.setScheduler(composeScheduler('update'));
+
+  client.tick(1);
+  assert.deepEqual(calls, ['client']);
+  server.tick(1);
+  assert.deepEqual(calls, ['client', 'server']);
+  assert.deepEqual(defaultRegistry.list('update'), [], 'default registry is untouched');
+});
+
+test('globally registered systems still run in every world, ordered with local ones', (t) => {
+  t.after(() => clearSystems());
+  const calls = [];
+  const global = () => calls.push('global');
+  const local = () => calls.push('local');
+  registerSystem(global, 'step', { after: [local] });
+
+  const world = new World();
+  world.system(local, 'step');
+  world.setScheduler(composeScheduler('step'));
+  world.tick(1);
+
+  assert.deepEqual(calls, ['local', 'global']);
+  assert.deepEqual(world.systems.ordered('step'), [local, global]);
+  assert.deepEqual(world.systems.list('step'), [local], 'list() only reports own systems');
+});
+
+test('worlds built with an isolated registry ignore the globals', (t) => {
+  t.after(() => clearSystems());
+  const calls = [];
+  registerSystem(() => calls.push('global'), 'step');
+
+  const world = World.create()
+    .withSystems(createSystemRegistry())
+    .system(() => calls.push('own'), 'step')
+    .withScheduler('step')
+    .build();
+  world.tick(1);
+
+  assert.deepEqual(calls, ['own']);
+});
+
+test('Systems.phase can target a world registry', () => {
+  const order = [];
+  const a = () => order.push('a');
+  const b = () => order.push('b');
+  const world = new World();
+
+  Systems.phase('render', world.systems).add(a).add(b).order(b, a);
+  world.setScheduler(composeScheduler('render'));
+  world.tick(0);
+
+  assert.deepEqual(order, ['b', 'a']);
+  assert.deepEqual(Systems.list('render'), []);
+  assert.deepEqual(Systems.list('render', world.systems), [a, b]);
+  assert.match(world.systems.visualizeGraph({ phase: 'render' }), /"render_0" \[label="b"\]/);
+});
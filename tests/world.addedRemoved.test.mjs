@@ -0,0 +1,151 @@
+import { assert, test } from './testlib.js';
+
+import { World, defineComponent, Added, Removed, Changed, Not } from '../core.js';
+import { Systems } from '../systems.js';
+
+const Hp = defineComponent('ArHp', { hp: 10 });
+const Tag = defineComponent('ArTag', { v: 0 });
+
+const ids = (q) => Array.from(q, ([id]) => id);
+
+test('Added matches new components, not sets, and clears after the tick', () => {
+  const world = new World();
+  world.setScheduler(() => {});
+  const a = world.create(), b = world.create();
+  world.add(a, Hp);
+  world.tick(1);
+  world.add(b, Hp);
+  world.set(a, Hp, { hp: 5 });
+  assert.deepEqual(ids(world.query(Hp, Added(Hp))), [b]);
+  assert.deepEqual(ids(world.query(Hp, Changed(Hp))), [a, b], 'Changed still lumps adds and sets');
+  world.tick(1);
+  assert.deepEqual(ids(world.query(Hp, Added(Hp))), []);
+});
+
+for (const store of ['map', 'soa', 'table']) {
+  test(`Removed yields the last-known record, even for destroyed entities (${store})`, () => {
+    const world = new World({ store });
+    const removedHp = world.defineQuery(Removed(Hp)); // keeps last-known Hp copies from here on
+    const a = world.create(), b = world.create(), c = world.create();
+    world.add(a, Hp, { hp: 1 });
+    world.add(b, Hp, { hp: 2 });
+    world.add(c, Hp, { hp: 3 });
+    world.add(c, Tag);
+    world.remove(a, Hp);
+    world.destroy(b);
+    world.remove(c, Hp);
+    assert.deepEqual(Array.from(world.query(Removed(Hp))), [[a, { hp: 1 }], [b, { hp: 2 }], [c, { hp: 3 }]]);
+    assert.deepEqual(Array.from(world.query(Tag, Removed(Hp))), [[c, { v: 0 }, { hp: 3 }]]);
+    assert.equal(world.query(Removed(Hp)).count(), 3);
+    assert.deepEqual(Array.from(removedHp()), Array.from(world.query(Removed(Hp))));
+    world.add(c, Hp);
+    assert.deepEqual(ids(world.query(Removed(Hp))), [a, b], 're-added components no longer count as removed');
+    world.remove(c, Tag);
+    assert.deepEqual(Array.from(world.query(Removed(Tag))), [[c, null]], 'no copy before the first Removed(Tag) query');
+    world.add(a, Tag, { v: 7 });
+    world.remove(a, Tag);
+    assert.deepEqual(Array.from(world.query(Removed(Tag))), [[a, { v: 7 }], [c, null]]);
+  });
+}
+
+test('deferred removals in a tick are visible to the next tick', () => {
+  const world = new World();
+  const e = world.create();
+  world.add(e, Hp, { hp: 4 });
+  const seen = [];
+  let step = 0;
+  world.setScheduler((w) => {
+    seen.push(Array.from(w.query(Removed(Hp))));
+    if (step++ === 0) w.destroy(e);
+  });
+  world.tick(1);
+  world.tick(1);
+  world.tick(1);
+  assert.deepEqual(seen, [[], [[e, { hp: 4 }]], []]);
+});
+
+test('systems see every add since they last ran unless registered with since: tick', () => {
+  const world = new World();
+  const writer = (w) => { const e = w.create(); w.add(e, Hp, { hp: w.step }); };
+  const seen = { lastRun: [], tick: [] };
+  const slowLastRun = (w) => seen.lastRun.push(Array.from(w.query(Hp, Added(Hp)), ([, h]) => h.hp));
+  const slowTick = (w) => seen.tick.push(Array.from(w.query(Hp, Added(Hp)), ([, h]) => h.hp));
+  Systems.phase('every', world.systems).add(writer);
+  Systems.phase('slow', world.systems).add(slowLastRun);
+  Systems.phase('slow', world.systems).add(slowTick).since('tick');
+  // 'slow' only runs every 3rd tick, before the writer.
+  world.setScheduler((w, dt) => {
+    if (w.step % 3 === 0) w.systems.run('slow', w, dt);
+    w.systems.run('every', w, dt);
+  });
+
+  for (let i = 0; i < 9; i++) world.tick(1);
+  // First run: the current tick's window. Later runs: everything since the previous run.
+  assert.deepEqual(seen.lastRun, [[], [3, 4, 5], [6, 7, 8]]);
+  assert.deepEqual(seen.tick, [[], [], []]);
+});
+
+test('a system dropped from the registry stops holding removals', () => {
+  const world = new World();
+  const seen = [];
+  const watcher = (w) => seen.push(ids(w.query(Removed(Hp))));
+  world.system(watcher, 'watch');
+  world.setScheduler((w, dt) => w.systems.run('watch', w, dt));
+  const es = Array.from({ length: 4 }, () => { const e = world.create(); world.add(e, Hp); return e; });
+  world.tick(1);
+
+  world.systems.clearPhase('watch');
+  for (const e of es.slice(0, 3)) { world.remove(e, Hp); world.tick(1); }
+  world.tick(1);
+
+  // Registered again, it starts a fresh window instead of replaying removals it never ran for.
+  world.system(watcher, 'watch');
+  world.remove(es[3], Hp);
+  world.tick(1);
+  assert.deepEqual(seen, [[], [es[3]]]);
+});
+
+test('a system does not see its own writes', () => {
+  const world = new World();
+  const counts = [];
+  world.system((w) => {
+    counts.push(w.query(Added(Tag)).count());
+    const e = w.create();
+    w.add(e, Tag);
+  }, 'update');
+  world.setScheduler((w, dt) => w.systems.run('update', w, dt));
+  world.tick(1);
+  world.tick(1);
+  assert.deepEqual(counts, [0, 0]);
+  assert.throws(() => world.systems.register(() => {}, 'update', { since: 'forever' }), Error, 'since must be one of');
+});
+
+test('Removed combines with Not and other Removed terms', () => {
+  const world = new World();
+  const a = world.create(), b = world.create();
+  for (const id of [a, b]) { world.add(id, Hp); world.add(id, Tag); }
+  world.remove(a, Hp); world.remove(a, Tag);
+  world.remove(b, Hp);
+  assert.deepEqual(ids(world.query(Removed(Hp), Removed(Tag))), [a]);
+  assert.deepEqual(ids(world.query(Removed(Hp), Not(Tag))), [a]);
+});
+
+test('Changed is evaluated per system from record change ticks', () => {
+  const world = new World();
+  const e = world.create();
+  world.add(e, Hp);
+  const seen = [];
+  const reader = (w) => seen.push([w.step, w.changed(e, Hp), w.query(Hp, Changed(Hp)).count()]);
+  world.system(reader, 'read');
+  world.system((w) => { if (w.step === 2) w.mutate(e, Hp, (h) => { h.hp--; }); }, 'write');
+  // The reader runs before the writer and only every other tick.
+  world.setScheduler((w, dt) => {
+    if (w.step % 2 === 1) w.systems.run('read', w, dt);
+    w.systems.run('write', w, dt);
+  });
+  for (let i = 0; i < 5; i++) world.tick(1);
+  assert.deepEqual(seen, [[1, true, 1], [3, true, 1], [5, false, 0]]);
+  assert.equal(world.changed(e, Hp), false, 'outside systems the window is the current tick');
+  world.remove(e, Hp);
+  assert.equal(world.changed(e, Hp), true, 'removals count as changes');
+});
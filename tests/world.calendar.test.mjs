@@ -0,0 +1,158 @@
+import { assert, test } from './testlib.js';
+
+import { World, defineComponent } from '../core.js';
+import { serializeWorld, applySnapshot, makeRegistry } from '../serialization.js';
+
+const Queue = defineComponent('CalQueue', { len: 0 });
+
+function makeWorld() {
+  const world = new World({ seed: 1 });
+  world.setScheduler(() => {});
+  return world;
+}
+
+test('events fire in time order, ties broken by scheduling order', () => {
+  const world = makeWorld();
+  const seen = [];
+  for (const name of ['a', 'b', 'c', 'd']) world.on(name, (p, w) => seen.push([name, w.time, p]));
+
+  world.schedule(5, 'b', 1);
+  world.schedule({ at: 2 }, 'a', 2);
+  world.schedule(5, 'c', 3);
+  world.schedule({ delay: 5 }, 'd', 4);
+
+  assert.equal(world.nextEventTime(), 2);
+  assert.equal(world.advanceToNextEvent(), 2);
+  assert.deepEqual(seen, [['a', 2, 2]]);
+  assert.equal(world.advanceToNextEvent(), 3);
+  assert.deepEqual(seen.slice(1), [['b', 5, 1], ['c', 5, 3], ['d', 5, 4]]);
+  assert.equal(world.time, 5);
+  assert.equal(world.step, 2);
+  assert.equal(world.advanceToNextEvent(), null, 'empty calendar');
+});
+
+test('advanceToNextEvent runs the scheduler after dispatching', () => {
+  const world = new World();
+  const order = [];
+  world.setScheduler((w, dt) => order.push(['sys', w.time, dt]));
+  world.on('ping', (_p, w) => order.push(['ping', w.time]));
+  world.schedule(3, 'ping');
+  world.advanceToNextEvent();
+  assert.deepEqual(order, [['ping', 3], ['sys', 3, 3]]);
+});
+
+test('plain ticks dispatch everything due by the new time', () => {
+  const world = makeWorld();
+  const seen = [];
+  world.on('e', (p) => seen.push(p));
+  world.schedule(0.5, 'e', 'half');
+  world.schedule(1, 'e', 'one');
+  world.schedule(1.5, 'e', 'later');
+  world.tick(1);
+  assert.deepEqual(seen, ['half', 'one']);
+  assert.equal(world.calendar.size, 1);
+});
+
+test('handles cancel pending events', () => {
+  const world = makeWorld();
+  const seen = [];
+  world.on('e', (p) => seen.push(p));
+  const h1 = world.schedule(1, 'e', 1);
+  const h2 = world.schedule(1, 'e', 2);
+  assert.equal(h1.cancel(), true);
+  assert.equal(h1.cancel(), false, 'second cancel is a no-op');
+  assert.equal(world.cancelEvent(h2.id), true);
+  assert.equal(world.nextEventTime(), null);
+  world.tick(1);
+  assert.deepEqual(seen, []);
+});
+
+test('entity-bound events are dropped once the entity is destroyed', () => {
+  const world = makeWorld();
+  const a = world.create();
+  const b = world.create();
+  const seen = [];
+  world.on('e', () => seen.push(world.calendar.current.entity));
+  world.schedule(1, 'e', null, { entity: a });
+  world.schedule(1, 'e', null, { entity: b });
+  world.destroy(a);
+  world.create(); // recycles a's slot under a new generation
+  world.advanceToNextEvent();
+  assert.deepEqual(seen, [b]);
+  assert.throws(() => world.schedule(1, 'e', null, { entity: a }), Error, 'entity not alive');
+});
+
+test('listeners can chain follow-up events, including zero-delay ones', () => {
+  const world = makeWorld();
+  const seen = [];
+  world.on('arrive', (n, w) => {
+    seen.push(['arrive', w.time, n]);
+    w.schedule(0, 'serve', n);
+    if (n < 3) w.schedule(2, 'arrive', n + 1);
+  });
+  world.on('serve', (n, w) => seen.push(['serve', w.time, n]));
+  world.schedule(1, 'arrive', 1);
+  while (world.advanceToNextEvent() != null) { /* drain */ }
+  assert.deepEqual(seen, [
+    ['arrive', 1, 1], ['serve', 1, 1],
+    ['arrive', 3, 2], ['serve', 3, 2],
+    ['arrive', 5, 3], ['serve', 5, 3]
+  ]);
+});
+
+test('schedule validates times and event names', () => {
+  const world = makeWorld();
+  world.tick(10);
+  assert.throws(() => world.schedule(-1, 'e'), Error, 'delay');
+  assert.throws(() => world.schedule({ at: 5 }, 'e'), Error, 'in the past');
+  assert.throws(() => world.schedule(1, ''), Error, 'event');
+  assert.throws(() => world.schedule('soon', 'e'), Error, 'expected a delay');
+});
+
+test('pending events round-trip through snapshots in order', () => {
+  const world = makeWorld();
+  const shop = world.create();
+  world.add(shop, Queue, { len: 2 });
+  world.schedule(4, 'restock', { qty: 3 }, { entity: shop });
+  world.schedule(4, 'close', null);
+  world.schedule(2, 'open', { door: 1 });
+  world.cancelEvent(world.schedule(3, 'never'));
+  world.tick(1);
+
+  const snap = serializeWorld(world);
+  assert.equal(snap.calendar.events.length, 3);
+  assert.deepEqual(snap.calendar.events.map(e => e.event), ['open', 'restock', 'close']);
+
+  const fresh = World.fromSnapshot(JSON.parse(JSON.stringify(snap)), makeRegistry(Queue));
+  fresh.setScheduler(() => {});
+  const replay = [];
+  for (const name of ['open', 'restock', 'close']) fresh.on(name, (p, w) => replay.push([name, w.time, p, w.calendar.current.entity]));
+  while (fresh.advanceToNextEvent() != null) { /* drain */ }
+  assert.deepEqual(replay, [
+    ['open', 2, { door: 1 }, null],
+    ['restock', 4, { qty: 3 }, shop],
+    ['close', 4, null, null]
+  ]);
+  assert.equal(fresh.schedule(1, 'x').id, world.schedule(1, 'x').id, 'sequence numbers continue identically');
+});
+
+test('append mode remaps event owners and replace mode clears old events', () => {
+  const src = makeWorld();
+  const e = src.create();
+  src.add(e, Queue, { len: 1 });
+  src.schedule(2, 'restock', null, { entity: e });
+  const snap = serializeWorld(src);
+  const reg = makeRegistry(Queue);
+
+  const dst = makeWorld();
+  dst.create();
+  dst.schedule(1, 'local');
+  applySnapshot(dst, snap, reg, { mode: 'append' });
+  const events = dst.calendar.pending();
+  assert.deepEqual(events.map(ev => ev.event), ['local', 'restock']);
+  const owner = events[1].entity;
+  assert.ok(owner !== e && dst.has(owner, Queue), 'owner remapped to the appended entity');
+
+  applySnapshot(dst, serializeWorld(makeWorld()), reg);
+  assert.equal(dst.calendar.size, 0);
+});
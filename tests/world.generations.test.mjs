@@ -0,0 +1,73 @@
+import { assert, test } from './testlib.js';
+
+import { World, defineComponent, entityIndex, entityGeneration, makeEntityId } from '../core.js';
+import { serializeWorld, applySnapshot, makeRegistry } from '../serialization.js';
+
+const Target = defineComponent('GenTarget', { targetId: 0 });
+const Health = defineComponent('GenHealth', { hp: 10 });
+
+test('recycled slots get a new generation so stale ids stay dead', () => {
+  const world = new World();
+  const a = world.create();
+  world.add(a, Health, { hp: 3 });
+  world.destroy(a);
+
+  const b = world.create();
+  world.add(b, Health, { hp: 9 });
+
+  assert.equal(entityIndex(b), entityIndex(a), 'slot should be reused');
+  assert.equal(entityGeneration(b), entityGeneration(a) + 1);
+  assert.ok(b !== a);
+  assert.equal(world.isAlive(a), false);
+  assert.equal(world.isAlive(b), true);
+  assert.equal(world.get(a, Health), null, 'stale handle must not read the new occupant');
+  assert.equal(world.has(a, Health), false);
+  assert.throws(() => world.add(a, Health), Error, 'add: entity not alive');
+});
+
+test('first-generation ids are plain slot indices', () => {
+  const world = new World();
+  assert.deepEqual([world.create(), world.create(), world.create()], [1, 2, 3]);
+  assert.equal(makeEntityId(5, 0), 5);
+  const id = makeEntityId(7, 3);
+  assert.equal(entityIndex(id), 7);
+  assert.equal(entityGeneration(id), 3);
+  assert.ok(id > 0 && (id | 0) === id, 'handles remain positive int32');
+});
+
+test('stale references held in payloads never alias the new occupant', () => {
+  const world = new World();
+  const victim = world.create();
+  const hunter = world.create();
+  world.add(hunter, Target, { targetId: victim });
+  world.destroy(victim);
+  const newcomer = world.create();
+
+  const { targetId } = world.get(hunter, Target);
+  assert.equal(world.isAlive(targetId), false);
+  assert.ok(targetId !== newcomer);
+});
+
+test('snapshots preserve generations and the free list', () => {
+  const world = new World();
+  const ids = [world.create(), world.create(), world.create()];
+  world.add(ids[0], Target, { targetId: ids[1] });
+  world.destroy(ids[1]);
+  const reborn = world.create();
+  world.destroy(ids[2]);
+
+  const snap = serializeWorld(world);
+  assert.deepEqual(snap.entities.free, [entityIndex(ids[2])]);
+
+  const restored = new World();
+  applySnapshot(restored, snap, makeRegistry(Target));
+  assert.equal(restored.isAlive(reborn), true);
+  assert.equal(restored.isAlive(ids[1]), false, 'stale id in payload stays dead after load');
+
+  // Both worlds hand out the same next id.
+  assert.equal(restored.create(), world.create());
+
+  const loaded = World.fromSnapshot(snap, makeRegistry(Target));
+  assert.equal(loaded.isAlive(reborn), true);
+  assert.equal(entityGeneration(loaded.create()), entityGeneration(ids[2]) + 1);
+});
@@ -0,0 +1,91 @@
+import { assert, test } from './testlib.js';
+
+import { World, defineComponent, defineTag, Not } from '../core.js';
+
+const Pos = defineComponent('ObsPos', { x: 0 });
+const Frozen = defineTag('ObsFrozen');
+
+for (const store of ['map', 'soa', 'table']) {
+  test(`observe distinguishes add, set and remove (${store})`, () => {
+    const world = new World({ store });
+    const log = [];
+    world.observe(Pos, {
+      onAdd: (id, rec) => log.push(['add', id, rec.x]),
+      onSet: (id, rec) => log.push(['set', id, rec.x]),
+      onRemove: (id, last) => log.push(['remove', id, last.x])
+    });
+    const a = world.create(), b = world.create();
+    world.add(a, Pos, { x: 1 });
+    world.set(a, Pos, { x: 2 });
+    world.mutate(a, Pos, (p) => { p.x = 3; });
+    world.add(a, Pos, { x: 4 });
+    world.add(b, Pos, { x: 9 });
+    world.remove(a, Pos);
+    world.destroy(b);
+    assert.deepEqual(log, [
+      ['add', a, 1], ['set', a, 2], ['set', a, 3], ['set', a, 4],
+      ['add', b, 9], ['remove', a, 4], ['remove', b, 9]
+    ]);
+  });
+}
+
+test('removal hooks fire at the flush for deferred mutations', () => {
+  const world = new World();
+  const e = world.create();
+  world.add(e, Pos, { x: 5 });
+  const log = [];
+  world.observe(Pos, { onRemove: (id, last, w) => log.push([id, last.x, w.isAlive(id)]) });
+  let during = null;
+  world.setScheduler((w) => { w.destroy(e); during = log.length; });
+  world.tick(1);
+  assert.equal(during, 0);
+  assert.deepEqual(log, [[e, 5, true]], 'entity is still alive while its components detach');
+});
+
+test('observe returns an unsubscribe and isolates hook errors', () => {
+  const world = new World();
+  const seen = [];
+  const off = world.observe(Pos, { onAdd: () => { throw new Error('boom'); } });
+  world.observe(Pos, { onAdd: (id) => seen.push(id) });
+  const e = world.create();
+  world.add(e, Pos);
+  off();
+  world.remove(e, Pos);
+  world.add(e, Pos);
+  assert.deepEqual(seen, [e, e]);
+});
+
+test('observeQuery reports enter and exit including Not terms', () => {
+  const world = new World();
+  const log = [];
+  const pre = world.create();
+  world.add(pre, Pos);
+  world.observeQuery(Pos, Not(Frozen), {
+    onEnter: (id) => log.push(['enter', id]),
+    onExit: (id) => log.push(['exit', id]),
+    existing: true
+  });
+  const e = world.create();
+  world.add(e, Pos);
+  world.set(e, Pos, { x: 1 });
+  world.add(e, Frozen);
+  world.remove(e, Frozen);
+  world.destroy(e);
+  assert.deepEqual(log, [['enter', pre], ['enter', e], ['exit', e], ['enter', e], ['exit', e]]);
+});
+
+test('destroying an entity never makes it enter a query on the way out', () => {
+  const world = new World();
+  const log = [];
+  const e = world.create();
+  world.add(e, Frozen);
+  world.add(e, Pos);
+  world.observeQuery(Pos, Not(Frozen), { onEnter: (id) => log.push(['enter', id]), onExit: (id) => log.push(['exit', id]) });
+  world.destroy(e);
+  assert.deepEqual(log, []);
+});
+
+test('observeQuery validates its terms', () => {
+  const world = new World();
+  assert.throws(() => world.observeQuery(Not(Pos), {}), Error, 'at least one component term');
+});
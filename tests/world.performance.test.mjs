@@ -1,6 +1,8 @@
 import { assert, test } from './testlib.js';
 import { World, defineComponent, defineTag, Not } from '../core.js';
 import { attach, destroySubtree, children } from '../hierarchy.js';
+import { serializeWorld } from '../serialization.js';
+import { encodeSnapshot, decodeSnapshot } from '../binarySnapshot.js';
 
 const Position = defineComponent('PerfPos', { x: 0, y: 0 });
 const Velocity = defineComponent('PerfVel', { dx: 0, dy: 0 });
@@ -132,3 +134,90 @@ test('entity id reuse after bulk destroy', () => {
   assert.equal(world.alive.size, 1000);
   assert.equal(world._nextId, nextIdAfterCreate, '_nextId should not grow when reusing ids');
 });
+
+test('SoA column iteration: 10,000 typed entities without per-record views', () => {
+  const Pos = defineComponent('PerfColPos', { x: 0, y: 0 }, { types: { x: 'f32', y: 'f32' } });
+  const Vel = defineComponent('PerfColVel', { dx: 0, dy: 0 }, { types: { dx: 'f32', dy: 'f32' } });
+  const world = new World({ store: 'soa' });
+  for (let i = 0; i < 10000; i++) {
+    const e = world.create();
+    world.add(e, Pos, { x: i, y: 0 });
+    world.add(e, Vel, { dx: 1, dy: 2 });
+  }
+
+  const pos = world.columns(Pos);
+  const vel = world.columns(Vel);
+  const x = world.column(Pos, 'x'), y = world.column(Pos, 'y');
+  const dx = world.column(Vel, 'dx'), dy = world.column(Vel, 'dy');
+  for (let i = 0; i < pos.count; i++) {
+    const j = vel.indexOf(pos.entities[i]);
+    x[i] += dx[j];
+    y[i] += dy[j];
+  }
+
+  let sum = 0;
+  for (let i = 0; i < pos.count; i++) sum += y[i];
+  assert.equal(sum, 20000);
+});
+
+test('query caches are patched in place under churn, never rebuilt', () => {
+  const Comps = Array.from({ length: 8 }, (_, i) => defineComponent(`PerfChurn${i}`, { v: 0 }));
+  const Churn = defineComponent('PerfChurnHot', { v: 0 });
+
+  const world = new World();
+  const ids = [];
+  for (let i = 0; i < 5000; i++) {
+    const e = world.create();
+    for (let c = 0; c < Comps.length; c++) if ((i + c) % 3) world.add(e, Comps[c], { v: i });
+    ids.push(e);
+  }
+  // 40 distinct queries, only some of which involve the churned component.
+  const queries = [];
+  for (let q = 0; q < 40; q++) {
+    const terms = [Comps[q % 8], Comps[(q * 3 + 1) % 8]];
+    if (q % 4 === 0) terms.push(Churn);
+    queries.push(terms);
+  }
+  const recount = (terms) => ids.filter(e => terms.every(C => world.has(e, C))).length;
+
+  for (const terms of queries) world.query(...terms).count({ cheap: true });
+  const warm = world.debug.queryCaches();
+
+  for (let step = 0; step < 200; step++) {
+    const e = ids[(step * 37) % ids.length];
+    if (world.has(e, Churn)) world.remove(e, Churn); else world.add(e, Churn);
+    const counts = queries.map(terms => world.query(...terms).count({ cheap: true }));
+    if (step % 20 === 0) assert.deepEqual(counts, queries.map(recount), 'incremental caches must match full recomputation');
+  }
+
+  const after = world.debug.queryCaches();
+  assert.equal(after.builds, warm.builds, 'churn must not rebuild any cached list');
+  assert.ok(after.updates > warm.updates, 'churn patches the lists that involve the churned component');
+  assert.ok(after.updates - warm.updates <= 200 * 10, 'each add/remove edits at most the 10 Churn queries');
+});
+
+test('benchmark: binary snapshot vs. JSON snapshot', () => {
+  const Body = defineComponent('PerfBinBody', { x: 0, y: 0, mass: 1 });
+  const Agent = defineComponent('PerfBinAgent', { kind: '', energy: 0, awake: true });
+  const world = new World({ store: 'soa' });
+  for (let i = 0; i < 20000; i++) {
+    const e = world.create();
+    world.add(e, Body, { x: i * 0.5, y: -i * 0.25, mass: 1 + (i % 7) });
+    if (i % 2) world.add(e, Agent, { kind: i % 3 ? 'prey' : 'hunter', energy: i % 100, awake: i % 5 !== 0 });
+  }
+  const snapshot = serializeWorld(world);
+
+  const t0 = performance.now();
+  const json = JSON.stringify(snapshot);
+  const fromJson = JSON.parse(json);
+  const jsonMs = performance.now() - t0;
+
+  const t1 = performance.now();
+  const bytes = encodeSnapshot(snapshot);
+  const fromBinary = decodeSnapshot(bytes);
+  const binaryMs = performance.now() - t1;
+
+  assert.equal(JSON.stringify(fromBinary), JSON.stringify(fromJson), 'both paths must round-trip the same data');
+  assert.ok(bytes.length * 3 < json.length,
+    `binary (${bytes.length} bytes, ${binaryMs.toFixed(1)}ms) should be well under JSON (${json.length} bytes, ${jsonMs.toFixed(1)}ms)`);
+});
@@ -204,3 +204,53 @@ test('defineQuery handle returns consistent results across ticks', () => {
   assert.deepEqual(ids1, [e1, e2].sort((a, b) => a - b));
   assert.deepEqual(ids2, ids1, 'handle should return same results across ticks');
 });
+
+// ---- Incremental caches ----
+
+test('cached queries track adds, removes and destroys incrementally', () => {
+  const world = new World();
+  const a = world.create(); world.add(a, Position); world.add(a, Velocity);
+  const b = world.create(); world.add(b, Position);
+  const ids = (...terms) => [...world.query(...terms)].map(r => r[0]);
+
+  assert.deepEqual(ids(Position, Velocity), [a]);
+  assert.deepEqual(ids(Position), [a, b]);
+  assert.deepEqual(ids(), [a, b]);
+
+  world.add(b, Velocity);
+  const c = world.create(); world.add(c, Velocity);
+  assert.deepEqual(ids(Position, Velocity), [a, b]);
+  assert.deepEqual(ids(Velocity), [a, b, c]);
+  assert.deepEqual(ids(), [a, b, c]);
+
+  world.remove(a, Velocity);
+  world.destroy(b);
+  assert.deepEqual(ids(Position, Velocity), []);
+  assert.deepEqual(ids(Position), [a]);
+  assert.deepEqual(ids(Velocity), [c]);
+  assert.deepEqual(ids(), [a, c]);
+});
+
+test('iterating a cached query is unaffected by adds made during iteration', () => {
+  const world = new World();
+  for (let i = 0; i < 5; i++) world.add(world.create(), Position, { x: i });
+
+  let visited = 0;
+  for (const [, pos] of world.query(Position)) {
+    visited++;
+    world.add(world.create(), Position, { x: pos.x + 100 });
+  }
+  assert.equal(visited, 5, 'membership is snapshotted when iteration starts');
+  assert.equal(world.query(Position).count(), 10);
+});
+
+test('distinct components sharing a name do not share a query cache', () => {
+  const A = defineComponent('QSameName', { v: 0 });
+  const B = defineComponent('QSameName', { v: 0 });
+  const world = new World();
+  const e1 = world.create(); world.add(e1, A);
+  const e2 = world.create(); world.add(e2, B);
+
+  assert.deepEqual([...world.query(A)].map(r => r[0]), [e1]);
+  assert.deepEqual([...world.query(B)].map(r => r[0]), [e2]);
+});
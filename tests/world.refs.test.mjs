@@ -0,0 +1,110 @@
+import { assert, test } from './testlib.js';
+
+import { World, defineComponent, Component } from '../core.js';
+import { serializeWorld, applySnapshot, makeRegistry } from '../serialization.js';
+
+const Asset = defineComponent('RefAsset', { price: 0 });
+const Holding = defineComponent('RefHolding', { assetId: 0, brokerId: 0, qty: 0 }, {
+  refs: { assetId: 'removeComponent', brokerId: 'nullify' }
+});
+const Cargo = Component('RefCargo').defaults({ shipId: 0 }).refs({ shipId: 'cascadeDestroy' }).build();
+const Lease = defineComponent('RefLease', { landlordId: 0 }, { refs: { landlordId: 'error' } });
+
+test('defineComponent validates ref declarations', () => {
+  assert.throws(() => defineComponent('BadRef', { a: 0 }, { refs: { a: 'explode' } }), Error, "unknown ref policy 'explode'");
+  assert.throws(() => defineComponent('BadRef', { a: 0 }, { refs: { b: 'nullify' } }), Error, "ref field 'b' missing");
+  assert.deepEqual(Cargo.refs, { shipId: 'cascadeDestroy' });
+});
+
+for (const store of ['map', 'soa']) {
+  test(`nullify and removeComponent apply on immediate destroy (${store})`, () => {
+    const world = new World({ store });
+    const asset = world.create(), broker = world.create(), trader = world.create();
+    world.add(asset, Asset, { price: 5 });
+    world.add(trader, Holding, { assetId: asset, brokerId: broker, qty: 3 });
+
+    world.destroy(broker);
+    assert.equal(world.get(trader, Holding).brokerId, 0);
+    assert.equal(world.get(trader, Holding).qty, 3);
+
+    world.destroy(asset);
+    assert.equal(world.has(trader, Holding), false);
+    assert.ok(world.isAlive(trader));
+  });
+}
+
+test('policies run in the tick destroy flush and cascades are followed', () => {
+  const world = new World();
+  const ship = world.create();
+  const crate = world.create(), barrel = world.create();
+  world.add(crate, Cargo, { shipId: ship });
+  world.add(barrel, Cargo, { shipId: crate });
+  let during = null;
+  world.setScheduler((w) => {
+    w.destroy(ship);
+    during = w.isAlive(crate);
+  });
+  world.tick(1);
+  assert.equal(during, true, 'nothing happens before the flush');
+  assert.equal(world.isAlive(crate), false);
+  assert.equal(world.isAlive(barrel), false, 'cascade reaches entities referencing cascaded ones');
+});
+
+test('error policy refuses the destroy', () => {
+  const world = new World();
+  const landlord = world.create(), tenant = world.create();
+  world.add(tenant, Lease, { landlordId: landlord });
+  assert.throws(() => world.destroy(landlord), Error, `referenced by RefLease.landlordId on entity ${tenant}`);
+  assert.ok(world.isAlive(landlord));
+
+  world.setScheduler((w) => { w.destroy(landlord); });
+  world.tick(1);
+  assert.ok(world.isAlive(landlord), 'deferred destroy is dropped with an error log');
+
+  world.remove(tenant, Lease);
+  assert.equal(world.destroy(landlord), true);
+});
+
+test('snapshot loads wipe the world without applying policies', () => {
+  const world = new World();
+  const landlord = world.create(), tenant = world.create();
+  world.add(tenant, Lease, { landlordId: landlord });
+  const snap = serializeWorld(world);
+  world.load(snap);
+  assert.equal(world.get(tenant, Lease).landlordId, landlord);
+  applySnapshot(world, snap, makeRegistry(Lease));
+  assert.equal(world.get(tenant, Lease).landlordId, landlord);
+});
+
+test('append mode remaps ref fields and zeroes refs outside the snapshot', () => {
+  const src = new World();
+  const outside = src.create();
+  const asset = src.create(), trader = src.create();
+  src.add(asset, Asset, { price: 2 });
+  src.add(trader, Holding, { assetId: asset, brokerId: outside, qty: 1 });
+  const snap = serializeWorld(src, { pickEntity: (id) => id !== outside });
+
+  const dst = new World();
+  for (let i = 0; i < 5; i++) dst.create();
+  applySnapshot(dst, snap, makeRegistry(Asset, Holding), { mode: 'append' });
+  const [[holder, h]] = Array.from(dst.query(Holding));
+  assert.ok(holder !== trader);
+  assert.equal(dst.get(h.assetId, Asset).price, 2);
+  assert.equal(h.brokerId, 0);
+});
+
+test('remapId maps onto alive entities and remaps ref fields', () => {
+  const src = new World();
+  const asset = src.create(), trader = src.create();
+  src.add(asset, Asset, { price: 9 });
+  src.add(trader, Holding, { assetId: asset, qty: 2 });
+  const snap = serializeWorld(src);
+
+  const dst = new World();
+  const existing = dst.create();
+  dst.create();
+  applySnapshot(dst, snap, makeRegistry(Asset, Holding), { mode: 'append', remapId: (id) => (id === asset ? existing : 0) });
+  assert.equal(dst.get(existing, Asset).price, 9);
+  const [[, h]] = Array.from(dst.query(Holding));
+  assert.equal(h.assetId, existing);
+});
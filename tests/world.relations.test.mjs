@@ -0,0 +1,150 @@
+import { assert, test } from './testlib.js';
+
+import { World, defineComponent, defineRelation, Rel, Any, Not } from '../core.js';
+import { serializeWorld, applySnapshot, makeRegistry } from '../serialization.js';
+
+const Pos = defineComponent('RelPos', { x: 0 });
+const Targets = defineRelation('Targets', { defaults: { weight: 1 } });
+const Owns = defineRelation('Owns', { exclusive: true });
+const Allied = defineRelation('Allied', { symmetric: true });
+
+const ids = (q) => Array.from(q, ([id]) => id);
+
+for (const store of ['map', 'soa', 'table']) {
+  test(`Rel terms match specific targets and the Any wildcard (${store})`, () => {
+    const world = new World({ store });
+    const [a, b, c, t1, t2] = [world.create(), world.create(), world.create(), world.create(), world.create()];
+    for (const id of [a, b, c]) world.add(id, Pos, { x: id });
+
+    world.relate(a, Targets, t1, { weight: 5 });
+    world.relate(b, Targets, t1);
+    world.relate(b, Targets, t2);
+
+    assert.deepEqual(Array.from(world.query(Rel(Targets, t1))), [[a, { weight: 5 }], [b, { weight: 1 }]]);
+    assert.deepEqual(ids(world.query(Rel(Targets, t2))), [b]);
+    assert.deepEqual(Array.from(world.query(Rel(Targets, Any)), ([id, r]) => [id, r.targets]), [[a, [t1]], [b, [t1, t2]]]);
+    assert.deepEqual(ids(world.query(Pos, Not(Rel(Targets, Any)))), [c]);
+    assert.deepEqual(world.targets(b, Targets), [t1, t2]);
+    assert.deepEqual(world.sources(t1, Targets), [a, b]);
+    assert.equal(world.hasRelation(a, Targets, t2), false);
+    assert.deepEqual(world.getRelation(a, Targets, t1), { weight: 5 });
+
+    world.unrelate(b, Targets, t1);
+    assert.deepEqual(ids(world.query(Rel(Targets, t1))), [a]);
+    assert.deepEqual(world.targets(b, Targets), [t2]);
+  });
+}
+
+test('pairs share one store per relation, however many targets there are', () => {
+  const world = new World();
+  const hub = world.create();
+  const spokes = Array.from({ length: 20 }, () => world.create());
+  const stores = world._store.size;
+  for (const s of spokes) world.relate(hub, Targets, s, { weight: s });
+  for (const s of spokes) world.relate(s, Targets, hub);
+  assert.equal(world._store.size, stores + 2, 'pairs by source plus sources by target');
+  assert.deepEqual(world.targets(hub, Targets), spokes);
+  assert.deepEqual(world.sources(hub, Targets), spokes);
+  assert.deepEqual(Array.from(world.query(Rel(Targets, spokes[3]))), [[hub, { weight: spokes[3] }]]);
+  assert.equal(world.query(Rel(Targets, Any), Not(Rel(Targets, hub))).count(), 1);
+
+  const seen = [];
+  world.observeQuery(Rel(Targets, spokes[0]), { onEnter: id => seen.push(['enter', id]), onExit: id => seen.push(['exit', id]) });
+  world.relate(spokes[1], Targets, spokes[0]);
+  world.unrelate(hub, Targets, spokes[0]);
+  assert.deepEqual(seen, [['enter', spokes[1]], ['exit', hub]], 'pair terms react to pairs added to an existing record');
+  assert.throws(() => world.observe(Rel(Targets, hub), {}), Error, 'observe Rel(R, Any)');
+
+  try {
+    world.transaction(() => {
+      world.destroy(hub);
+      assert.deepEqual(world.sources(spokes[2], Targets), []);
+      throw new Error('roll back');
+    });
+  } catch { /* rolled back */ }
+  assert.deepEqual(world.sources(spokes[2], Targets), [hub], 'rollback restores both sides');
+  assert.deepEqual(world.sources(hub, Targets), spokes);
+});
+
+test('re-relating updates pair data; exclusive relations replace the old target', () => {
+  const world = new World();
+  const [owner, car, bike] = [world.create(), world.create(), world.create()];
+  world.relate(owner, Targets, car, { weight: 2 });
+  world.relate(owner, Targets, car, { weight: 3 });
+  assert.deepEqual(world.getRelation(owner, Targets, car), { weight: 3 });
+
+  world.relate(owner, Owns, car);
+  world.relate(owner, Owns, bike);
+  assert.deepEqual(world.targets(owner, Owns), [bike]);
+  assert.deepEqual(world.sources(car, Owns), []);
+});
+
+test('symmetric relations mirror relate and unrelate', () => {
+  const world = new World();
+  const [a, b] = [world.create(), world.create()];
+  world.relate(a, Allied, b);
+  assert.ok(world.hasRelation(b, Allied, a));
+  world.unrelate(b, Allied, a);
+  assert.equal(world.hasRelation(a, Allied, b), false);
+  assert.equal(world.hasRelation(a, Allied, Any), false);
+});
+
+test('destroying either side removes its pairs', () => {
+  const world = new World();
+  const [a, b, t] = [world.create(), world.create(), world.create()];
+  world.relate(a, Targets, t);
+  world.relate(b, Targets, t);
+  world.relate(t, Allied, a);
+  const before = world.query(Rel(Targets, Any));
+  assert.equal(before.count(), 2);
+
+  world.destroy(t);
+  assert.deepEqual(world.targets(a, Targets), []);
+  assert.equal(world.query(Rel(Targets, Any)).count(), 0);
+  assert.equal(world.hasRelation(a, Allied, Any), false, 'mirror of a symmetric pair goes too');
+
+  world.relate(a, Targets, b);
+  world.destroy(a);
+  assert.deepEqual(world.sources(b, Targets), []);
+});
+
+test('unrelate is deferred during a tick', () => {
+  const world = new World();
+  const [a, t] = [world.create(), world.create()];
+  world.relate(a, Targets, t);
+  let during = null;
+  world.setScheduler((w) => {
+    w.unrelate(a, Targets, t);
+    during = w.hasRelation(a, Targets, t);
+  });
+  world.tick(1);
+  assert.equal(during, true);
+  assert.equal(world.hasRelation(a, Targets, t), false);
+});
+
+test('relation pairs round-trip through snapshots', () => {
+  const world = new World();
+  const [a, b, c] = [world.create(), world.create(), world.create()];
+  world.add(a, Pos, { x: 1 });
+  world.relate(a, Targets, b, { weight: 7 });
+  world.relate(c, Allied, a);
+
+  const snap = serializeWorld(world);
+  assert.equal(snap.comps['Targets(*)'], undefined, 'pair storage is not exported as components');
+  assert.deepEqual(snap.relations.Targets, [[a, b, { weight: 7 }]]);
+
+  const reg = makeRegistry(Pos, Targets, Allied);
+  const copy = World.fromSnapshot(JSON.parse(JSON.stringify(snap)), reg);
+  assert.deepEqual(copy.getRelation(a, Targets, b), { weight: 7 });
+  assert.ok(copy.hasRelation(a, Allied, c));
+
+  const other = new World();
+  other.create();
+  applySnapshot(other, snap, reg, { mode: 'append' });
+  const [src] = ids(other.query(Rel(Targets, Any)));
+  const [tgt] = other.targets(src, Targets);
+  assert.ok(src !== a && other.isAlive(tgt));
+  assert.deepEqual(other.getRelation(src, Targets, tgt), { weight: 7 });
+
+  assert.throws(() => applySnapshot(new World(), snap, makeRegistry(Pos)), Error, "unknown relation 'Targets'");
+});
@@ -0,0 +1,98 @@
+import { assert, test } from './testlib.js';
+
+import { World, defineComponent } from '../core.js';
+import { composeScheduler } from '../systems.js';
+import { installScriptsAPI, ScriptRef, PHASE_SCRIPTS } from '../scripts.js';
+import { createVirtualRegistry } from '../virtuals.js';
+import { serializeWorld, applySnapshot, makeRegistry } from '../serialization.js';
+
+const Clock = defineComponent('ResClock', { open: false, session: 0 }, {
+  validate: (c) => Number.isInteger(c.session)
+});
+const Config = defineComponent('ResConfig', { fee: 0.01 });
+const Price = defineComponent('ResPrice', { v: 1 });
+
+test('setResource builds from defaults, validates and replaces', () => {
+  const world = new World();
+  assert.equal(world.resource(Clock), null);
+  const rec = world.setResource(Clock, { open: true });
+  assert.deepEqual(rec, { open: true, session: 0 });
+  assert.ok(world.hasResource(Clock));
+  assert.throws(() => world.setResource(Clock, { session: 0.5 }), Error, 'Validation failed for resource ResClock');
+  assert.throws(() => world.setResource(Clock, { cb: () => {} }), Error);
+  world.setResource(Clock, { session: 2 });
+  assert.deepEqual(world.resource(Clock), { open: false, session: 2 }, 'set replaces the whole record');
+
+  world.mutateResource(Clock, (c) => { c.session++; });
+  assert.equal(world.resource(Clock).session, 3);
+  assert.throws(() => world.mutateResource(Config, () => {}), Error, 'resource not set');
+  assert.equal(world.removeResource(Clock), true);
+  assert.equal(world.removeResource(Clock), false);
+});
+
+test('resource changes follow the caller change window', () => {
+  const world = new World();
+  world.setResource(Clock);
+  const seen = [];
+  world.system((w) => seen.push(w.resourceChanged(Clock)), 'read');
+  world.setScheduler((w, dt) => {
+    if (w.step === 2) w.mutateResource(Clock, (c) => { c.open = true; });
+    w.systems.run('read', w, dt);
+  });
+  for (let i = 0; i < 3; i++) world.tick(1);
+  assert.deepEqual(seen, [true, true, false]);
+  assert.equal(world.resourceChanged(Clock), false);
+});
+
+test('debug.inspectResources reports values and diffs', () => {
+  const world = new World();
+  world.setResource(Config, { fee: 0.02 });
+  world.setResource(Clock);
+  world.debug.inspectResources();
+  world.mutateResource(Config, (c) => { c.fee = 0.03; });
+  world.removeResource(Clock);
+  const view = world.debug.inspectResources();
+  assert.deepEqual(view.resources.ResConfig.value, { fee: 0.03 });
+  assert.deepEqual(view.resources.ResConfig.previous, { fee: 0.02 });
+  assert.ok(view.resources.ResConfig.diff);
+  assert.deepEqual(view.removed, ['ResClock']);
+});
+
+test('resources round-trip through snapshots', () => {
+  const world = new World();
+  world.setResource(Clock, { open: true, session: 4 });
+  world.setResource(Config, { fee: 0.5 });
+  const snap = serializeWorld(world, { exclude: ['ResConfig'] });
+  assert.deepEqual(snap.resources, { ResClock: { open: true, session: 4 } });
+
+  const reg = makeRegistry(Clock, Config);
+  const copy = World.fromSnapshot(JSON.parse(JSON.stringify(snap)), reg);
+  assert.deepEqual(copy.resource(Clock), { open: true, session: 4 });
+
+  world.load(serializeWorld(new World()));
+  assert.equal(world.hasResource(Clock), false, 'replace-mode loads drop resources missing from the snapshot');
+
+  const other = new World();
+  other.setResource(Config, { fee: 1 });
+  applySnapshot(other, snap, reg, { mode: 'append' });
+  assert.deepEqual([other.resource(Clock).session, other.resource(Config).fee], [4, 1]);
+  assert.throws(() => applySnapshot(new World(), snap, makeRegistry(Config)), Error, "unknown resource 'ResClock'");
+});
+
+test('scripts and virtuals read resources', () => {
+  const world = installScriptsAPI(new World());
+  world.scripts.clear();
+  world.setScheduler(composeScheduler(PHASE_SCRIPTS));
+  world.setResource(Config, { fee: 0.25 });
+  const fees = [];
+  world.scripts.register('payer', () => ({ onTick(_w, _id, _dt, ctx) { fees.push(ctx.resource(Config).fee); } }));
+  const e = world.create();
+  world.add(e, ScriptRef, { id: 'payer' });
+  world.add(e, Price, { v: 8 });
+  world.tick(1);
+  assert.deepEqual(fees, [0.25]);
+
+  const virtuals = createVirtualRegistry(world);
+  const Cost = virtuals.define('Cost', (w, id) => w.get(id, Price).v * (1 + w.resource(Config).fee));
+  assert.equal(virtuals.get(e, Cost), 10);
+});
@@ -0,0 +1,78 @@
+import { assert, test } from './testlib.js';
+
+import { World, defineComponent, Component, FIELD_TYPES } from '../core.js';
+
+const Body = defineComponent('ColBody', { x: 0, y: 0, mass: 1, alive: true, target: 0, label: '' }, {
+  types: { x: 'f32', y: 'f32', mass: 'f64', alive: 'bool', target: 'entity' }
+});
+
+test('typed SoA fields are backed by TypedArray columns', () => {
+  const world = new World({ store: 'soa' });
+  const a = world.create();
+  const b = world.create();
+  world.add(a, Body, { x: 1.5, mass: 2, target: b, label: 'a' });
+  world.add(b, Body, { x: -3, alive: false });
+
+  assert.ok(world.column(Body, 'x') instanceof Float32Array);
+  assert.ok(world.column(Body, 'mass') instanceof Float64Array);
+  assert.ok(world.column(Body, 'alive') instanceof Uint8Array);
+  assert.ok(world.column(Body, 'target') instanceof Int32Array);
+  assert.ok(Array.isArray(world.column(Body, 'label')), 'untyped fields stay plain arrays');
+
+  const rec = world.get(a, Body);
+  assert.deepEqual({ ...rec }, { x: 1.5, y: 0, mass: 2, alive: true, target: b, label: 'a' });
+  assert.equal(world.get(b, Body).alive, false, 'bool columns decode to booleans');
+});
+
+test('columns stay densely packed across removals', () => {
+  const world = new World({ store: 'soa' });
+  const ids = [];
+  for (let i = 0; i < 20; i++) {
+    const id = world.create();
+    world.add(id, Body, { x: i });
+    ids.push(id);
+  }
+  world.remove(ids[3], Body);
+  world.destroy(ids[10]);
+
+  const cols = world.columns(Body);
+  assert.equal(cols.count, 18);
+  const seen = [];
+  for (let i = 0; i < cols.count; i++) {
+    const id = cols.entities[i];
+    assert.equal(cols.fields.x[i], world.get(id, Body).x, 'slot data follows its entity');
+    assert.equal(cols.indexOf(id), i);
+    seen.push(id);
+  }
+  assert.deepEqual(seen.sort((p, q) => p - q), ids.filter((_, i) => i !== 3 && i !== 10));
+  assert.equal(cols.indexOf(ids[3]), -1);
+  assert.equal(world.has(ids[3], Body), false);
+});
+
+test('column writes are visible through records and queries', () => {
+  const world = new World({ store: 'soa' });
+  for (let i = 0; i < 100; i++) world.add(world.create(), Body, { x: i, y: 0 });
+
+  const { count } = world.columns(Body);
+  const x = world.column(Body, 'x');
+  const y = world.column(Body, 'y');
+  for (let i = 0; i < count; i++) y[i] = x[i] * 2;
+
+  for (const [, body] of world.query(Body)) assert.equal(body.y, body.x * 2);
+});
+
+test('column API requires the SoA store and known fields', () => {
+  const world = new World();
+  assert.throws(() => world.columns(Body), Error, 'not stored in SoA');
+  const soa = new World({ store: 'soa' });
+  assert.throws(() => soa.column(Body, 'nope'), Error, "unknown field 'nope'");
+});
+
+test('field types are validated at definition time', () => {
+  assert.deepEqual(FIELD_TYPES, ['f32', 'f64', 'i32', 'u8', 'bool', 'entity']);
+  assert.throws(() => defineComponent('BadType', { x: 0 }, { types: { x: 'f16' } }), Error, "unknown field type 'f16'");
+  assert.throws(() => defineComponent('BadField', { x: 0 }, { types: { y: 'f32' } }), Error, "typed field 'y' missing");
+
+  const Built = Component('Built').defaults({ hp: 10 }).types({ hp: 'i32' }).build();
+  assert.deepEqual(Built.types, { hp: 'i32' });
+});
@@ -7,7 +7,7 @@ const Position = defineComponent('Position', { x: 0, y: 0 });
 const Velocity = defineComponent('Velocity', { dx: 0, dy: 0 });
 
 test('SoA direct mutation is visible to later phases in the same tick', (t) => {
-  for (const store of ['soa', 'map']) {
+  for (const store of ['soa', 'map', 'table']) {
     clearSystems();
     const world = new World({ store });
     const e = world.create();
@@ -44,7 +44,7 @@ test('SoA direct mutation is visible to later phases in the same tick', (t) => {
 });
 
 test('world.set() is immediate during tick and visible to later phases', (t) => {
-  for (const store of ['soa', 'map']) {
+  for (const store of ['soa', 'map', 'table']) {
     clearSystems();
     const world = new World({ store });
     const e = world.create();
@@ -81,7 +81,7 @@ test('world.set() is immediate during tick and visible to later phases', (t) =>
 });
 
 test('world.add() is immediate during tick and visible to later phases', (t) => {
-  for (const store of ['soa', 'map']) {
+  for (const store of ['soa', 'map', 'table']) {
     clearSystems();
     const world = new World({ store });
     const e = world.create();
@@ -0,0 +1,97 @@
+import { assert, test } from './testlib.js';
+
+import { World, defineComponent, defineTag, Not } from '../core.js';
+import { serializeWorld, deserializeWorld, makeRegistry } from '../serialization.js';
+import { mulberry32 } from '../rng.js';
+
+const Position = defineComponent('TPos', { x: 0, y: 0 });
+const Velocity = defineComponent('TVel', { dx: 0, dy: 0 });
+const Health = defineComponent('THealth', { hp: 10 });
+const Frozen = defineTag('TFrozen');
+const ALL = [Position, Velocity, Health, Frozen];
+
+function churn(store, seed = 99) {
+  const world = new World({ store });
+  const rand = mulberry32(seed);
+  const ids = [];
+  for (let step = 0; step < 400; step++) {
+    const r = rand();
+    if (r < 0.2 || !ids.length) { ids.push(world.create()); continue; }
+    const id = ids[Math.floor(rand() * ids.length)];
+    if (!world.isAlive(id)) continue;
+    const Comp = ALL[Math.floor(rand() * ALL.length)];
+    if (r < 0.3) world.destroy(id);
+    else if (world.has(id, Comp)) world.remove(id, Comp);
+    else world.add(id, Comp, Comp === Health ? { hp: step } : {});
+  }
+  return world;
+}
+
+// Table queries yield rows table by table, so compare them in id order.
+function rows(world, ...terms) {
+  return [...world.query(...terms)].map(([id, ...recs]) => [id, ...recs.map(r => ({ ...r }))]).sort((a, b) => a[0] - b[0]);
+}
+
+test('table store answers queries exactly like the map store', () => {
+  const map = churn('map');
+  const table = churn('table');
+  const specs = [[Position], [Position, Velocity], [Health, Not(Frozen)], [Frozen, Position, Health], []];
+  for (const terms of specs) assert.deepEqual(rows(table, ...terms), rows(map, ...terms));
+});
+
+test('entities are grouped by exact signature and rows move on add/remove', () => {
+  const world = new World({ store: 'table' });
+  const a = world.create();
+  const b = world.create();
+  world.add(a, Position, { x: 1 });
+  world.add(b, Position, { x: 2 });
+  const rec = world.add(a, Velocity, { dx: 3 });
+
+  const sizes = () => [...world._tables.tables.values()].map(t => t.ids.length).filter(Boolean).sort();
+  assert.deepEqual(sizes(), [1, 1], 'a and b now live in different tables');
+
+  world.add(b, Velocity);
+  assert.deepEqual(sizes(), [2]);
+  assert.equal(world.get(a, Velocity), rec, 'records keep their identity when rows move');
+
+  world.remove(a, Position);
+  assert.deepEqual([...world.query(Position, Velocity)].map(r => r[0]), [b]);
+  assert.equal(world.get(a, Velocity).dx, 3);
+  assert.equal(world.get(a, Position), null);
+
+  world.destroy(b);
+  assert.deepEqual(sizes(), [1]);
+});
+
+test('queries walk table rows and tolerate rows moving mid-loop', () => {
+  const world = new World({ store: 'table' });
+  const ids = [];
+  for (let i = 0; i < 6; i++) {
+    const id = world.create();
+    world.add(id, Position, { x: i });
+    if (i % 2) world.add(id, Velocity);
+    ids.push(id);
+  }
+  const order = [...world.query(Position)].map(r => r[1].x);
+  assert.deepEqual(order, [0, 2, 4, 1, 3, 5], 'rows come table by table');
+  assert.equal(world.query(Position, Not(Velocity)).count({ cheap: true }), 3, 'Not terms skip whole tables');
+
+  const seen = [];
+  for (const [id, pos] of world.query(Position)) {
+    seen.push(id);
+    if (world.has(id, Velocity)) world.remove(id, Velocity); else world.add(id, Velocity);
+    assert.equal(pos.x, ids.indexOf(id));
+  }
+  assert.deepEqual(seen.sort((a, b) => a - b), ids, 'every entity visited exactly once');
+  assert.equal(world.query(Position, Velocity).count(), 3);
+});
+
+test('table worlds round-trip through snapshots', () => {
+  const source = churn('table', 7);
+  const snap = serializeWorld(source);
+  assert.equal(snap.meta.store, 'table');
+  const restored = deserializeWorld(snap, makeRegistry(...ALL), { World });
+  assert.equal(restored.storeMode, 'table');
+  assert.deepEqual(rows(restored, Position, Health), rows(source, Position, Health));
+  assert.equal(World.create().useTables().build().storeMode, 'table');
+});
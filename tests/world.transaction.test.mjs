@@ -0,0 +1,132 @@
+import { assert, test } from './testlib.js';
+
+import { World, defineComponent, defineRelation } from '../core.js';
+import { Systems } from '../systems.js';
+import { serializeWorld, applySnapshot, makeRegistry } from '../serialization.js';
+
+const Cash = defineComponent('TxCash', { amount: 0 }, { validate: (c) => c.amount >= 0 });
+const Order = defineComponent('TxOrder', { qty: 0, ownerId: 0 }, { refs: { ownerId: 'cascadeDestroy' } });
+const Trades = defineRelation('TxTrades', { defaults: { volume: 0 } });
+const Clock = defineComponent('TxClock', { t: 0 });
+
+const fail = () => { throw new Error('agent blew up'); };
+
+for (const store of ['map', 'soa', 'table']) {
+  test(`transaction rolls back adds, sets, mutates and removes (${store})`, () => {
+    const world = new World({ store });
+    const a = world.create(), b = world.create();
+    world.add(a, Cash, { amount: 10 });
+    world.add(b, Cash, { amount: 5 });
+    world.add(b, Order, { qty: 2 });
+    const before = JSON.stringify(serializeWorld(world));
+
+    assert.throws(() => world.transaction((w) => {
+      w.set(a, Cash, { amount: 3 });
+      w.mutate(b, Cash, (c) => { c.amount += 7; });
+      w.add(a, Order, { qty: 1 });
+      w.add(b, Order, { qty: 9 });
+      w.remove(b, Cash);
+      fail();
+    }), Error, 'agent blew up');
+
+    assert.equal(JSON.stringify(serializeWorld(world)), before);
+    assert.equal(world.query(Order).count(), 1, 'query caches follow the rollback');
+  });
+}
+
+test('transaction returns the result and keeps writes on success', () => {
+  const world = new World();
+  const e = world.create();
+  const out = world.transaction((w) => { w.add(e, Cash, { amount: 1 }); return 'ok'; });
+  assert.equal(out, 'ok');
+  assert.equal(world.get(e, Cash).amount, 1);
+  assert.throws(() => world.transaction(async () => {}), Error, 'must be synchronous');
+});
+
+test('created and destroyed entities come back exactly, cascades included', () => {
+  const world = new World();
+  const owner = world.create();
+  const spare = world.create();
+  world.destroy(spare); // leaves a recycled slot on the free list
+  const order = world.create();
+  world.add(order, Order, { qty: 3, ownerId: owner });
+  world.add(owner, Cash, { amount: 4 });
+  const snap = JSON.stringify(serializeWorld(world));
+
+  assert.throws(() => world.transaction((w) => {
+    w.create(); w.create();
+    w.destroy(owner); // cascades to order
+    assert.equal(w.isAlive(order), false);
+    fail();
+  }));
+  assert.ok(world.isAlive(owner) && world.isAlive(order));
+  assert.deepEqual(world.get(order, Order), { qty: 3, ownerId: owner });
+  assert.equal(JSON.stringify(serializeWorld(world)), snap, 'slot generations and free list restored');
+});
+
+test('relations, resources, scheduled events and deferred ops roll back', () => {
+  const world = new World();
+  world.setScheduler(() => {});
+  const a = world.create(), t = world.create();
+  world.relate(a, Trades, t, { volume: 1 });
+  world.setResource(Clock, { t: 1 });
+  const keep = world.schedule(5, 'keep');
+
+  world.setScheduler((w) => {
+    try {
+      w.transaction(() => {
+        w.relate(a, Trades, t, { volume: 9 });
+        w.destroy(t); // deferred inside a tick
+        w.destroyImmediate(a);
+        w.mutateResource(Clock, (c) => { c.t = 99; });
+        w.schedule(1, 'drop');
+        w.cancelEvent(keep);
+        fail();
+      });
+    } catch { /* rolled back */ }
+  });
+  world.tick(1);
+
+  assert.ok(world.isAlive(t), 'the queued destroy was discarded');
+  assert.deepEqual(world.getRelation(a, Trades, t), { volume: 1 });
+  assert.deepEqual(world.targets(a, Trades), [t]);
+  assert.equal(world.resource(Clock).t, 1);
+  assert.deepEqual(world.calendar.pending().map((e) => e.event), ['keep']);
+  assert.equal(world.schedule(1, 'next').id, keep.id + 1, 'event sequence numbers are rewound');
+});
+
+test('nested transactions only undo the inner part', () => {
+  const world = new World();
+  const e = world.create();
+  world.add(e, Cash);
+  world.transaction((w) => {
+    w.set(e, Cash, { amount: 1 });
+    try { w.transaction(() => { w.set(e, Cash, { amount: 2 }); fail(); }); } catch { /* inner only */ }
+    assert.equal(w.get(e, Cash).amount, 1);
+  });
+  assert.equal(world.get(e, Cash).amount, 1);
+});
+
+test('transactional systems leave no partial writes', () => {
+  const world = new World();
+  const e = world.create();
+  world.add(e, Cash, { amount: 10 });
+  const pay = (w) => { w.mutate(e, Cash, (c) => { c.amount -= 4; }); if (w.step === 2) fail(); };
+  Systems.phase('agents', world.systems).add(pay).transactional();
+  world.setScheduler((w, dt) => w.systems.run('agents', w, dt));
+  world.tick(1);
+  world.tick(1);
+  assert.equal(world.get(e, Cash).amount, 6, 'the failing step was rolled back, the first one kept');
+});
+
+test('a snapshot load that fails halfway leaves the world untouched', () => {
+  const world = new World();
+  const e = world.create();
+  world.add(e, Cash, { amount: 2 });
+  const snap = serializeWorld(world);
+  snap.comps.TxCash.push([e, { amount: -1 }]); // fails validation after the wipe
+  assert.throws(() => applySnapshot(world, snap, makeRegistry(Cash)), Error, 'Validation failed');
+  assert.equal(world.get(e, Cash).amount, 2);
+  assert.throws(() => world.load(snap), Error, 'Validation failed');
+  assert.equal(world.get(e, Cash).amount, 2);
+});
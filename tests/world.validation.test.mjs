@@ -0,0 +1,95 @@
+import { assert, test } from './testlib.js';
+
+import { World, defineComponent, defineRelation, validateRecord } from '../core.js';
+
+const Health = defineComponent('ValHealth', { hp: 10, max: 10 }, {
+  schema: { hp: { type: 'integer', min: 0 }, max: 'integer' },
+  validate: r => r.hp <= r.max || { path: 'hp', expected: `<= max (${r.max})`, actual: r.hp }
+});
+const Named = defineComponent('ValNamed', { name: 'x' }, { validate: r => (r.name ? true : ['name must not be empty']) });
+const Legacy = defineComponent('ValLegacy', { ok: true }, { validate: r => r.ok && r });
+const Likes = defineRelation('ValLikes', { defaults: { w: 0 }, schema: { w: { type: 'number', max: 1 } }, exclusive: true });
+
+test('validation errors name the entity and operation and carry structured issues', () => {
+  const world = new World();
+  const e = world.create();
+  world.add(e, Health);
+  let error = null;
+  try { world.set(e, Health, { hp: -2 }); } catch (err) { error = err; }
+  assert.equal(error.message, `Validation failed for component ValHealth on entity ${e} (set): hp must be >= 0 (got -2)`);
+  assert.deepEqual(error.issues, [{ path: 'hp', expected: '>= 0', actual: -2, message: 'hp must be >= 0 (got -2)' }]);
+  assert.equal(error.entity, e);
+  assert.equal(error.component, 'ValHealth');
+  assert.equal(error.op, 'set');
+
+  assert.throws(() => world.set(e, Health, { hp: 11 }), Error, 'hp must be <= max (10) (got 11)');
+  assert.throws(() => world.add(e, Named, { name: '' }), Error, `ValNamed on entity ${e} (add): name must not be empty`);
+  assert.throws(() => world.setResource(Health, { max: 1.5 }), Error, 'Validation failed for resource ValHealth (setResource): max must be an integer');
+  assert.equal(world.add(e, Legacy).ok, true, 'truthy non-issue results still pass');
+  assert.throws(() => world.add(e, Legacy, { ok: false }), Error, 'ValLegacy on entity 1 (add): rejected by validate');
+  assert.deepEqual(world.get(e, Health), { hp: 10, max: 10 });
+});
+
+test('validateRecord runs the validator only once the schema passes', () => {
+  let calls = 0;
+  const Counted = defineComponent('ValCounted', { n: 0 }, { schema: { n: 'number' }, validate: () => { calls++; return 'always wrong'; } });
+  assert.deepEqual(validateRecord(Counted, { n: 'a' }).map(i => i.path), ['n']);
+  assert.equal(calls, 0);
+  assert.deepEqual(validateRecord(Counted, { n: 1 }), [{ path: '', message: 'always wrong' }]);
+  assert.deepEqual(validateRecord(Named, { name: 'ok' }), []);
+});
+
+test('strict handlers see validation issues and may drop the write', () => {
+  const world = new World({ strict: true });
+  const a = world.create(), b = world.create(), c = world.create();
+  world.add(a, Health);
+  world.relate(a, Likes, b, { w: 0.5 });
+  const seen = [];
+  world.onStrictError((ctx) => {
+    if (ctx.kind !== 'validation') return undefined;
+    seen.push({ op: ctx.op, entity: ctx.entity, component: ctx.component.name, paths: ctx.issues.map(i => i.path) });
+    return ctx.entity === b ? undefined : 'ignore';
+  });
+
+  assert.equal(world.set(a, Health, { hp: -1 }), null);
+  assert.equal(world.get(a, Health).hp, 10, 'dropped patches leave the record alone');
+  assert.equal(world.setResource(Health, { hp: 99 }), null);
+  assert.ok(!world.hasResource(Health));
+  assert.equal(world.relate(a, Likes, c, { w: 2 }), null);
+  assert.deepEqual(world.getRelation(a, Likes, b), { w: 0.5 }, 'a dropped exclusive pair keeps the existing one');
+  assert.ok(!world.hasRelation(a, Likes, c));
+  assert.throws(() => world.add(b, Health, { hp: -5 }), Error, `on entity ${b} (add)`);
+  assert.deepEqual(seen, [
+    { op: 'set', entity: a, component: 'ValHealth', paths: ['hp'] },
+    { op: 'setResource', entity: null, component: 'ValHealth', paths: ['hp'] },
+    { op: 'add', entity: a, component: `ValLikes(${c})`, paths: ['w'] },
+    { op: 'add', entity: b, component: 'ValHealth', paths: ['hp'] }
+  ]);
+
+  const loose = new World();
+  loose.onStrictError(() => 'ignore');
+  assert.throws(() => loose.add(loose.create(), Health, { hp: -1 }), Error, 'Validation failed', 'non-strict worlds always throw');
+});
+
+test('validateAll reports records that drifted out of shape', () => {
+  for (const store of ['map', 'soa', 'table']) {
+    const world = new World({ store });
+    const a = world.create(), b = world.create();
+    world.add(a, Health);
+    world.add(b, Health);
+    world.add(b, Named);
+    world.setResource(Named, { name: 'cfg' });
+    assert.deepEqual(world.validateAll(), [], `${store}: nothing to report`);
+
+    world.mutate(b, Named, (r) => { r.name = ''; });
+    world.mutate(a, Health, (r) => { r.hp = 20; });
+    world.mutate(b, Health, (r) => { r.hp = 0.5; });
+    world.resource(Named).name = '';
+    assert.deepEqual(world.validateAll(), [
+      { entity: a, component: 'ValHealth', issues: [{ path: 'hp', expected: '<= max (10)', actual: 20, message: 'hp must be <= max (10) (got 20)' }] },
+      { entity: b, component: 'ValHealth', issues: [{ path: 'hp', expected: 'an integer', actual: 0.5, message: 'hp must be an integer (got 0.5)' }] },
+      { entity: b, component: 'ValNamed', issues: [{ path: '', message: 'name must not be empty' }] },
+      { resource: 'ValNamed', issues: [{ path: '', message: 'name must not be empty' }] }
+    ], store);
+  }
+});
@@ -11,6 +11,8 @@
  *   const MyVirtual = virtuals.define('MyVirtual', (world, id) => compute(world, id));
  *   const result    = virtuals.get(entityId, MyVirtual); // cached for this tick step
  *   virtuals.clear();                                    // invalidate all caches
+ *
+ * `compute` receives the world, so it can read components and resources (`world.resource(Res)`).
  */
 
 /**